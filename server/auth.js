@@ -0,0 +1,158 @@
+// Validates the Microsoft identity platform token the app sends with each request.
+// The app sends its MSAL ID token, or an access token for PROXY_API_AUDIENCE when one is set.
+// Graph access tokens can't be used here: they are meant for Graph only and can't be verified by other services.
+import { authConfig } from './config.js';
+
+const CLOCK_SKEW_SECONDS = 300;
+const JWKS_REFRESH_MS = 60 * 60 * 1000;
+const JWKS_MIN_REFETCH_MS = 5 * 60 * 1000; // Unknown key ids refetch at most this often
+const MULTI_TENANT_IDS = ['common', 'organizations'];
+
+let signingKeys = new Map(); // kid -> CryptoKey
+let keysFetchedAt = 0;
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+async function refreshSigningKeys() {
+  const response = await fetch(`https://login.microsoftonline.com/${authConfig.tenantId}/discovery/v2.0/keys`);
+  if (!response.ok) {
+    throw new Error(`Could not fetch signing keys: ${response.status}`);
+  }
+  const { keys = [] } = await response.json();
+
+  const imported = new Map();
+  for (const jwk of keys) {
+    if (jwk.kty !== 'RSA' || !jwk.kid) continue;
+    const key = await crypto.subtle.importKey(
+      'jwk',
+      { kty: jwk.kty, n: jwk.n, e: jwk.e },
+      { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+      false,
+      ['verify']
+    );
+    imported.set(jwk.kid, key);
+  }
+  signingKeys = imported;
+  keysFetchedAt = Date.now();
+}
+
+async function getSigningKey(kid) {
+  const age = Date.now() - keysFetchedAt;
+  if (age > JWKS_REFRESH_MS || (!signingKeys.has(kid) && age > JWKS_MIN_REFETCH_MS)) {
+    await refreshSigningKeys();
+  }
+  return signingKeys.get(kid) || null;
+}
+
+function acceptedAudiences() {
+  const { clientId, apiAudience } = authConfig;
+  return [clientId, `api://${clientId}`, apiAudience].filter(Boolean);
+}
+
+function acceptsAnyTenant() {
+  return MULTI_TENANT_IDS.includes(authConfig.tenantId);
+}
+
+function isTrustedIssuer(claims) {
+  const issuers = [
+    `https://login.microsoftonline.com/${claims.tid}/v2.0`,
+    `https://sts.windows.net/${claims.tid}/`,
+  ];
+  if (!issuers.includes(claims.iss)) return false;
+
+  // A specific tenant only accepts its own users; common/organizations (when allowed) accept any tenant
+  return acceptsAnyTenant() || claims.tid === authConfig.tenantId;
+}
+
+/**
+ * Why the proxy can't authenticate callers with the current settings
+ * @returns {string|null} - The problem, or null when the settings are usable
+ */
+export function getAuthConfigProblem() {
+  if (!authConfig.clientId) {
+    return 'Proxy is missing AZURE_CLIENT_ID';
+  }
+  if (acceptsAnyTenant() && !authConfig.allowAnyTenant) {
+    return `Proxy tenant is "${authConfig.tenantId}" - set AZURE_TENANT_ID, or PROXY_ALLOW_ANY_TENANT=true to accept users from any tenant`;
+  }
+  return null;
+}
+
+/**
+ * Verify a bearer token's signature and claims
+ * @param {string} token - JWT from the Authorization header
+ * @returns {Promise<Object>} - { ok: true, user: { id, name } } or { ok: false, reason }
+ */
+export async function validateToken(token) {
+  const configProblem = getAuthConfigProblem();
+  if (configProblem) {
+    return { ok: false, reason: configProblem };
+  }
+
+  const segments = (token || '').split('.');
+  if (segments.length !== 3) {
+    return { ok: false, reason: 'Malformed token' };
+  }
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(segments[0]);
+    claims = decodeSegment(segments[1]);
+  } catch {
+    return { ok: false, reason: 'Malformed token' };
+  }
+  if (!isPlainObject(header) || !isPlainObject(claims)) {
+    return { ok: false, reason: 'Malformed token' };
+  }
+  if (header.alg !== 'RS256') {
+    return { ok: false, reason: 'Unsupported token algorithm' };
+  }
+
+  try {
+    const key = await getSigningKey(header.kid);
+    if (!key) {
+      return { ok: false, reason: 'Unknown signing key' };
+    }
+    const valid = await crypto.subtle.verify(
+      'RSASSA-PKCS1-v1_5',
+      key,
+      Buffer.from(segments[2], 'base64url'),
+      Buffer.from(`${segments[0]}.${segments[1]}`)
+    );
+    if (!valid) {
+      return { ok: false, reason: 'Invalid signature' };
+    }
+  } catch (error) {
+    console.error('Token verification failed:', error.message);
+    return { ok: false, reason: 'Could not verify token' };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!claims.exp || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    return { ok: false, reason: 'Token expired' };
+  }
+  if (claims.nbf && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+    return { ok: false, reason: 'Token not yet valid' };
+  }
+  if (!acceptedAudiences().includes(claims.aud)) {
+    return { ok: false, reason: 'Token was issued for a different app' };
+  }
+  if (!isTrustedIssuer(claims)) {
+    return { ok: false, reason: 'Untrusted token issuer' };
+  }
+
+  return {
+    ok: true,
+    user: {
+      id: `${claims.tid}:${claims.oid || claims.sub}`,
+      name: claims.preferred_username || claims.upn || claims.name || claims.oid,
+    },
+  };
+}
@@ -0,0 +1,91 @@
+// LLM proxy configuration, read from the server environment
+// Provider keys use plain names (CLAUDE_API_KEY, not VITE_CLAUDE_API_KEY): VITE_ variables are
+// compiled into the browser bundle, which is exactly what the proxy exists to avoid.
+
+// Load server/.env when present; deployments can set the variables directly instead
+try {
+  process.loadEnvFile(new URL('./.env', import.meta.url));
+} catch {
+  // No .env file
+}
+
+const env = process.env;
+
+export const serverConfig = {
+  port: parseInt(env.PROXY_PORT) || 8787,
+
+  // Browser origins allowed to call the proxy (comma separated)
+  allowedOrigins: (env.PROXY_ALLOWED_ORIGINS || 'http://localhost:5173')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean),
+
+  // Provider used when a request doesn't name one
+  defaultProvider: env.PROXY_DEFAULT_PROVIDER || '',
+
+  // Largest request body accepted (documents are sent as prompt text)
+  maxBodyBytes: parseInt(env.PROXY_MAX_BODY_BYTES) || 2 * 1024 * 1024,
+
+  // Upper bound on maxTokens a caller can ask for
+  maxTokensCap: parseInt(env.PROXY_MAX_TOKENS) || 4096,
+};
+
+// Microsoft Entra ID app the SPA signs in with; tokens must be issued for it
+export const authConfig = {
+  tenantId: env.AZURE_TENANT_ID || env.VITE_AZURE_TENANT_ID || 'common',
+  clientId: env.AZURE_CLIENT_ID || env.VITE_AZURE_CLIENT_ID || '',
+
+  // Extra accepted audience when the app requests an access token for an exposed API scope
+  apiAudience: env.PROXY_API_AUDIENCE || '',
+
+  // With tenant common/organizations, users of any Entra tenant could spend the provider keys,
+  // so tokens are only accepted when this is set to true
+  allowAnyTenant: env.PROXY_ALLOW_ANY_TENANT === 'true',
+};
+
+export const rateLimitConfig = {
+  perMinute: parseInt(env.PROXY_RATE_LIMIT_PER_MINUTE) || 20,
+  perDay: parseInt(env.PROXY_RATE_LIMIT_PER_DAY) || 500,
+};
+
+// Users (sign-in names, comma separated) who can see every user's token usage in /llm/usage
+export const usageConfig = {
+  admins: (env.PROXY_USAGE_ADMINS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean),
+};
+
+export const providerConfigs = {
+  claude: {
+    apiKey: env.CLAUDE_API_KEY || '',
+    model: env.CLAUDE_MODEL || 'claude-3-5-sonnet-20241022',
+    endpoint: 'https://api.anthropic.com/v1/messages',
+  },
+  groq: {
+    apiKey: env.GROQ_API_KEY || '',
+    model: env.GROQ_MODEL || 'llama-3.1-8b-instant',
+    baseUrl: 'https://api.groq.com/openai/v1',
+  },
+  gemini: {
+    apiKey: env.GEMINI_API_KEY || '',
+    model: env.GEMINI_MODEL || 'gemini-2.0-flash',
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+  },
+  'azure-openai': {
+    apiKey: env.AZURE_OPENAI_API_KEY || '',
+    endpoint: env.AZURE_OPENAI_ENDPOINT || '',
+    deploymentName: env.AZURE_OPENAI_DEPLOYMENT || '',
+    apiVersion: env.AZURE_OPENAI_API_VERSION || '2024-02-15-preview',
+  },
+};
+
+/**
+ * Providers that have the settings they need
+ * @returns {Array<string>} - Provider ids
+ */
+export function getConfiguredProviders() {
+  return Object.entries(providerConfigs)
+    .filter(([id, config]) => config.apiKey && (id !== 'azure-openai' || (config.endpoint && config.deploymentName)))
+    .map(([id]) => id);
+}
@@ -0,0 +1,245 @@
+// LLM proxy: holds the provider API keys server-side and exposes one normalized chat endpoint.
+//
+//   GET  /health          - liveness check (no auth)
+//   GET  /llm/providers   - configured providers and models
+//   GET  /llm/usage       - today's token totals for the caller (every user for usage admins)
+//   POST /llm/chat        - { provider?, system?, messages, maxTokens?, temperature?, json?, tools?, toolChoice?, stream? }
+//                           -> { text, toolCalls, provider, model, usage }, or an SSE stream of
+//                              { token } events ending with { done, text, provider, model, usage }
+//
+// Every /llm request needs "Authorization: Bearer <MSAL token>" and counts against the
+// caller's rate limit. Run with `npm run proxy`; settings are described in server/.env.example.
+import http from 'node:http';
+import { serverConfig, rateLimitConfig, usageConfig, getConfiguredProviders, providerConfigs } from './config.js';
+import { validateToken, getAuthConfigProblem } from './auth.js';
+import { createRateLimiter } from './rateLimit.js';
+import { createUsageLedger } from './usage.js';
+import { callProvider } from './providers.js';
+
+const MESSAGE_ROLES = ['user', 'assistant', 'tool'];
+const MAX_TOOLS = 20;
+
+const takeRequest = createRateLimiter(rateLimitConfig);
+const usageLedger = createUsageLedger();
+
+function applyCors(req, res) {
+  const origin = req.headers.origin;
+  if (origin && serverConfig.allowedOrigins.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Max-Age', '600');
+  }
+  res.setHeader('Vary', 'Origin');
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > serverConfig.maxBodyBytes) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch {
+        reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function authenticate(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) {
+    return { ok: false, reason: 'Missing bearer token' };
+  }
+  return validateToken(match[1]);
+}
+
+/**
+ * Check a /llm/chat body and fill in defaults
+ * @param {Object} body - Parsed request body
+ * @returns {Object} - { request } or { error }
+ */
+function normalizeChatRequest(body) {
+  const configured = getConfiguredProviders();
+  const provider = body.provider || serverConfig.defaultProvider || configured[0];
+  if (!provider || !configured.includes(provider)) {
+    return { error: provider ? `Provider "${provider}" is not configured on the proxy` : 'No providers are configured on the proxy' };
+  }
+
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    return { error: 'messages must be a non-empty array' };
+  }
+  for (const msg of body.messages) {
+    if (!MESSAGE_ROLES.includes(msg?.role) || (msg.content !== null && typeof msg.content !== 'string')) {
+      return { error: `Messages need a role of ${MESSAGE_ROLES.join(', ')} and string content` };
+    }
+  }
+  if (body.tools && (!Array.isArray(body.tools) || body.tools.length > MAX_TOOLS)) {
+    return { error: `tools must be an array of at most ${MAX_TOOLS} definitions` };
+  }
+
+  const maxTokens = Math.min(parseInt(body.maxTokens) || 1000, serverConfig.maxTokensCap);
+  const temperature = Number.isFinite(body.temperature) ? Math.min(Math.max(body.temperature, 0), 2) : 0.7;
+
+  return {
+    request: {
+      provider,
+      system: typeof body.system === 'string' ? body.system : '',
+      messages: body.messages,
+      maxTokens,
+      temperature,
+      json: !!body.json,
+      tools: body.tools?.length ? body.tools : null,
+      toolChoice: body.toolChoice === 'none' ? 'none' : 'auto',
+      // Tool calls come back whole, so tool requests are never streamed
+      stream: !!body.stream && !body.tools?.length,
+    },
+  };
+}
+
+function tokenSummary(result) {
+  const usage = result.usage;
+  return usage ? `tokens=${usage.promptTokens ?? '?'}+${usage.completionTokens ?? '?'} model=${result.model}` : `model=${result.model}`;
+}
+
+// Today's totals: the caller's own, plus everyone's for usage admins
+function handleUsage(res, user) {
+  const totals = usageLedger.dailyTotals();
+  const body = { day: new Date().toISOString().slice(0, 10), user: totals.get(user.id) || null };
+  if (usageConfig.admins.includes(String(user.name).toLowerCase())) {
+    body.users = [...totals.values()];
+  }
+  sendJson(res, 200, body);
+}
+
+async function handleChat(req, res, user) {
+  const { request, error } = normalizeChatRequest(await readJsonBody(req));
+  if (error) {
+    sendJson(res, 400, { error });
+    return;
+  }
+
+  const started = Date.now();
+  const controller = new AbortController();
+  res.on('close', () => controller.abort()); // Stop the upstream call if the browser goes away
+
+  if (!request.stream) {
+    try {
+      const result = await callProvider(request.provider, request, { signal: controller.signal });
+      usageLedger.record(user, request.provider, result);
+      sendJson(res, 200, { ...result, provider: request.provider });
+      console.log(`chat ${request.provider} user=${user.name} ok ${Date.now() - started}ms ${tokenSummary(result)}`);
+    } catch (err) {
+      const status = err.upstreamStatus === 429 ? 429 : 502;
+      console.error(`chat ${request.provider} user=${user.name} failed:`, err.message);
+      sendJson(res, status, { error: err.message });
+    }
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+  const sendEvent = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+  try {
+    const result = await callProvider(request.provider, request, {
+      signal: controller.signal,
+      onToken: (token) => sendEvent({ token }),
+    });
+    usageLedger.record(user, request.provider, result);
+    sendEvent({ done: true, text: result.text, provider: request.provider, model: result.model, usage: result.usage });
+    console.log(`chat ${request.provider} user=${user.name} streamed ${Date.now() - started}ms ${tokenSummary(result)}`);
+  } catch (err) {
+    console.error(`chat ${request.provider} user=${user.name} stream failed:`, err.message);
+    sendEvent({ error: err.message, status: err.upstreamStatus || 502 });
+  }
+  res.end('data: [DONE]\n\n');
+}
+
+const server = http.createServer(async (req, res) => {
+  applyCors(req, res);
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  try {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/health') {
+      sendJson(res, 200, { ok: true });
+      return;
+    }
+    if (!pathname.startsWith('/llm/')) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    const auth = await authenticate(req);
+    if (!auth.ok) {
+      sendJson(res, 401, { error: auth.reason }, { 'WWW-Authenticate': 'Bearer' });
+      return;
+    }
+
+    if (req.method === 'GET' && pathname === '/llm/providers') {
+      const providers = getConfiguredProviders().map(id => ({
+        id,
+        model: providerConfigs[id].model || providerConfigs[id].deploymentName,
+      }));
+      sendJson(res, 200, { providers, defaultProvider: serverConfig.defaultProvider || providers[0]?.id || null });
+      return;
+    }
+
+    if (req.method === 'GET' && pathname === '/llm/usage') {
+      handleUsage(res, auth.user);
+      return;
+    }
+
+    if (req.method === 'POST' && pathname === '/llm/chat') {
+      const limit = takeRequest(auth.user.id);
+      if (!limit.allowed) {
+        sendJson(res, 429, { error: 'Rate limit exceeded. Try again shortly.' }, { 'Retry-After': String(limit.retryAfterSeconds) });
+        return;
+      }
+      res.setHeader('X-RateLimit-Remaining-Today', String(limit.remainingToday));
+      await handleChat(req, res, auth.user);
+      return;
+    }
+
+    sendJson(res, 404, { error: 'Not found' });
+  } catch (error) {
+    console.error('Proxy request failed:', error);
+    if (!res.headersSent) {
+      sendJson(res, error.status || 500, { error: error.status ? error.message : 'Internal proxy error' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+server.listen(serverConfig.port, () => {
+  console.log(`LLM proxy listening on http://localhost:${serverConfig.port}`);
+  console.log('Providers:', getConfiguredProviders().join(', ') || 'none - set provider keys in server/.env');
+  const authProblem = getAuthConfigProblem();
+  if (authProblem) {
+    console.warn(`${authProblem} - every request will be rejected`);
+  }
+});
@@ -0,0 +1,198 @@
+// Upstream provider calls behind /llm/chat, normalized to { text, toolCalls, usage }
+// Requests use the provider-neutral message and tool shapes from src/services/toolCalling.js.
+import { providerConfigs } from './config.js';
+import { readSSEStream } from '../src/services/streamUtils.js';
+import {
+  toClaudeMessages,
+  toClaudeTools,
+  parseClaudeResponse,
+  toOpenAIMessages,
+  toOpenAITools,
+  parseOpenAIMessage,
+  toGeminiContents,
+  toGeminiTools,
+  parseGeminiResponse,
+} from '../src/services/toolCalling.js';
+import { normalizeUsage, mergeUsage } from '../src/services/tokenUsage.js';
+
+// Carries the upstream status so the proxy can pass rate limiting (429) through to the app
+function upstreamError(label, status, message) {
+  const error = new Error(`${label} API error: ${status} - ${message}`);
+  error.upstreamStatus = status;
+  return error;
+}
+
+async function postJson(label, url, headers, body, signal) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw upstreamError(label, response.status, data.error?.message || response.statusText);
+  }
+  return response;
+}
+
+async function callClaude(request, onToken, signal) {
+  const { apiKey, model, endpoint } = providerConfigs.claude;
+  const body = {
+    model,
+    max_tokens: request.maxTokens,
+    temperature: request.temperature,
+    messages: toClaudeMessages(request.messages),
+    stream: !!onToken,
+  };
+  if (request.system) body.system = request.system;
+  if (request.tools) {
+    body.tools = toClaudeTools(request.tools);
+    body.tool_choice = { type: request.toolChoice === 'none' ? 'none' : 'auto' };
+  }
+
+  const response = await postJson('Claude', endpoint, {
+    'x-api-key': apiKey,
+    'anthropic-version': '2023-06-01',
+  }, body, signal);
+
+  if (onToken) {
+    let text = '';
+    let usage = null;
+    await readSSEStream(response, (event) => {
+      if (event.type === 'error') {
+        throw upstreamError('Claude', 502, event.error?.message || 'stream error');
+      }
+      if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        text += event.delta.text;
+        onToken(event.delta.text);
+      }
+      if (event.type === 'message_start' || event.type === 'message_delta') {
+        usage = mergeUsage(usage, normalizeUsage(event.message?.usage || event.usage, event.message?.model));
+      }
+    });
+    return { text, toolCalls: [], usage };
+  }
+  const data = await response.json();
+  return { ...parseClaudeResponse(data), usage: normalizeUsage(data.usage, data.model) };
+}
+
+// Groq and Azure OpenAI share the OpenAI chat completions format
+async function callOpenAICompatible(label, url, headers, model, request, onToken, signal, streamUsage = false) {
+  const body = {
+    messages: toOpenAIMessages(request.messages, request.system),
+    max_tokens: request.maxTokens,
+    temperature: request.temperature,
+    stream: !!onToken,
+  };
+  if (onToken && streamUsage) body.stream_options = { include_usage: true };
+  if (model) body.model = model;
+  if (request.json) body.response_format = { type: 'json_object' };
+  if (request.tools) {
+    body.tools = toOpenAITools(request.tools);
+    body.tool_choice = request.toolChoice || 'auto';
+  }
+
+  const response = await postJson(label, url, headers, body, signal);
+
+  if (onToken) {
+    let text = '';
+    let usage = null;
+    await readSSEStream(response, (chunk) => {
+      const token = chunk.choices?.[0]?.delta?.content;
+      if (token) {
+        text += token;
+        onToken(token);
+      }
+      usage = mergeUsage(usage, normalizeUsage(chunk.x_groq?.usage || chunk.usage, chunk.model));
+    });
+    return { text, toolCalls: [], usage };
+  }
+  const data = await response.json();
+  return { ...parseOpenAIMessage(data.choices?.[0]?.message), usage: normalizeUsage(data.usage, data.model) };
+}
+
+function callGroq(request, onToken, signal) {
+  const { apiKey, model, baseUrl } = providerConfigs.groq;
+  return callOpenAICompatible('Groq', `${baseUrl}/chat/completions`, {
+    'Authorization': `Bearer ${apiKey}`,
+  }, model, request, onToken, signal);
+}
+
+function callAzureOpenAI(request, onToken, signal) {
+  const { apiKey, endpoint, deploymentName, apiVersion } = providerConfigs['azure-openai'];
+  const url = `${endpoint}/openai/deployments/${deploymentName}/chat/completions?api-version=${apiVersion}`;
+  // Streamed usage needs API version 2024-09-01-preview or later; older versions reject stream_options
+  return callOpenAICompatible('Azure OpenAI', url, { 'api-key': apiKey }, null, request, onToken, signal, apiVersion >= '2024-09-01');
+}
+
+async function callGemini(request, onToken, signal) {
+  const { apiKey, model, baseUrl } = providerConfigs.gemini;
+  const url = onToken
+    ? `${baseUrl}/models/${model}:streamGenerateContent?alt=sse`
+    : `${baseUrl}/models/${model}:generateContent`;
+
+  const body = {
+    contents: toGeminiContents(request.messages),
+    generationConfig: {
+      temperature: request.temperature,
+      maxOutputTokens: request.maxTokens,
+    },
+  };
+  if (request.system) body.systemInstruction = { parts: [{ text: request.system }] };
+  if (request.json) body.generationConfig.responseMimeType = 'application/json';
+  if (request.tools) {
+    body.tools = toGeminiTools(request.tools);
+    body.toolConfig = {
+      functionCallingConfig: { mode: request.toolChoice === 'none' ? 'NONE' : 'AUTO' },
+    };
+  }
+
+  // Key goes in a header so it stays out of URLs and access logs
+  const response = await postJson('Gemini', url, { 'x-goog-api-key': apiKey }, body, signal);
+
+  if (onToken) {
+    let text = '';
+    let usage = null;
+    await readSSEStream(response, (chunk) => {
+      const token = chunk.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (token) {
+        text += token;
+        onToken(token);
+      }
+      usage = mergeUsage(usage, normalizeUsage(chunk.usageMetadata, chunk.modelVersion));
+    });
+    return { text, toolCalls: [], usage };
+  }
+  const data = await response.json();
+  return { ...parseGeminiResponse(data), usage: normalizeUsage(data.usageMetadata, data.modelVersion) };
+}
+
+/**
+ * Send a normalized chat request to one upstream provider
+ * @param {string} providerId - claude | groq | gemini | azure-openai
+ * @param {Object} request - { messages, system, maxTokens, temperature, json, tools, toolChoice }
+ * @param {Object} options - { onToken, signal }; onToken streams text (not used with tools)
+ * @returns {Promise<Object>} - { text, toolCalls, model, usage }
+ */
+export async function callProvider(providerId, request, { onToken, signal } = {}) {
+  const config = providerConfigs[providerId];
+  let result;
+  switch (providerId) {
+    case 'claude':
+      result = await callClaude(request, onToken, signal);
+      break;
+    case 'groq':
+      result = await callGroq(request, onToken, signal);
+      break;
+    case 'gemini':
+      result = await callGemini(request, onToken, signal);
+      break;
+    case 'azure-openai':
+      result = await callAzureOpenAI(request, onToken, signal);
+      break;
+    default:
+      throw upstreamError('Proxy', 400, `Unknown provider "${providerId}"`);
+  }
+  return { ...result, model: result.usage?.model || config.model || config.deploymentName };
+}
@@ -0,0 +1,50 @@
+// Per-user request limits, kept in memory (one proxy instance; limits reset on restart)
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const PRUNE_THRESHOLD = 10000; // Drop idle users once this many are tracked
+
+/**
+ * Create a fixed-window limiter with a per-minute and a per-day budget
+ * @param {Object} limits - { perMinute, perDay }
+ * @returns {Function} - (userId) => { allowed, retryAfterSeconds, remainingToday }
+ */
+export function createRateLimiter({ perMinute, perDay }) {
+  const usage = new Map(); // userId -> { minuteStart, minuteCount, dayStart, dayCount }
+
+  const prune = (now) => {
+    for (const [userId, entry] of usage) {
+      if (now - entry.dayStart >= DAY_MS) usage.delete(userId);
+    }
+  };
+
+  return function take(userId) {
+    const now = Date.now();
+    if (usage.size > PRUNE_THRESHOLD) prune(now);
+
+    let entry = usage.get(userId);
+    if (!entry) {
+      entry = { minuteStart: now, minuteCount: 0, dayStart: now, dayCount: 0 };
+      usage.set(userId, entry);
+    }
+    if (now - entry.minuteStart >= MINUTE_MS) {
+      entry.minuteStart = now;
+      entry.minuteCount = 0;
+    }
+    if (now - entry.dayStart >= DAY_MS) {
+      entry.dayStart = now;
+      entry.dayCount = 0;
+    }
+
+    if (entry.dayCount >= perDay) {
+      return { allowed: false, retryAfterSeconds: Math.ceil((entry.dayStart + DAY_MS - now) / 1000), remainingToday: 0 };
+    }
+    if (entry.minuteCount >= perMinute) {
+      return { allowed: false, retryAfterSeconds: Math.ceil((entry.minuteStart + MINUTE_MS - now) / 1000), remainingToday: perDay - entry.dayCount };
+    }
+
+    entry.minuteCount++;
+    entry.dayCount++;
+    return { allowed: true, retryAfterSeconds: 0, remainingToday: perDay - entry.dayCount };
+  };
+}
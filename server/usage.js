@@ -0,0 +1,66 @@
+// Per-user token usage, kept in memory (one proxy instance; totals reset on restart)
+
+const DAYS_KEPT = 7;
+
+function dayKey(time = Date.now()) {
+  return new Date(time).toISOString().slice(0, 10); // UTC day
+}
+
+function emptyTotals(name) {
+  return { name, calls: 0, promptTokens: 0, completionTokens: 0, models: {} };
+}
+
+/**
+ * Create a ledger of daily token totals per user and model
+ * @returns {Object} - { record(user, provider, result), dailyTotals(day?) }
+ */
+export function createUsageLedger() {
+  const days = new Map(); // day -> Map(userId -> totals)
+
+  const prune = () => {
+    const oldest = dayKey(Date.now() - DAYS_KEPT * 24 * 60 * 60 * 1000);
+    for (const day of days.keys()) {
+      if (day < oldest) days.delete(day);
+    }
+  };
+
+  return {
+    /**
+     * Add a finished call to the caller's totals
+     * @param {Object} user - { id, name } from the validated token
+     * @param {string} provider - Upstream provider id
+     * @param {Object} result - callProvider result ({ model, usage })
+     */
+    record(user, provider, result) {
+      const day = dayKey();
+      if (!days.has(day)) {
+        days.set(day, new Map());
+        prune();
+      }
+      const users = days.get(day);
+      const totals = users.get(user.id) || emptyTotals(user.name);
+      users.set(user.id, totals);
+
+      const promptTokens = result.usage?.promptTokens || 0;
+      const completionTokens = result.usage?.completionTokens || 0;
+      const key = `${provider}: ${result.model}`;
+      const model = totals.models[key] || { calls: 0, promptTokens: 0, completionTokens: 0 };
+      totals.models[key] = model;
+
+      for (const entry of [totals, model]) {
+        entry.calls++;
+        entry.promptTokens += promptTokens;
+        entry.completionTokens += completionTokens;
+      }
+    },
+
+    /**
+     * Totals for one day
+     * @param {string} [day] - YYYY-MM-DD (UTC), today by default
+     * @returns {Map<string, Object>} - userId -> { name, calls, promptTokens, completionTokens, models }
+     */
+    dailyTotals(day = dayKey()) {
+      return days.get(day) || new Map();
+    },
+  };
+}
@@ -1,130 +1,115 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useCallback } from 'react';
 import { useMsal, useIsAuthenticated } from '@azure/msal-react';
 import { loginRequest } from '../config/authConfig';
 import { searchFiles, searchMedia, getDocumentContent, getRecentFiles, getFoldersOnly, uploadFileToOneDrive, getFileById, getFileType, SUPPORTED_UPLOAD_EXTENSIONS, MAX_UPLOAD_SIZE } from '../services/graphService';
 import FolderPicker from './FolderPicker';
 import PMDocumentForm from './PMDocumentForm';
+import ConversationHistory from './ConversationHistory';
+import ProviderSettings from './ProviderSettings';
+import PromptSettings from './PromptSettings';
+import UsagePanel from './UsagePanel';
+import OllamaModels from './OllamaModels';
+import {
+  createConversationId,
+  getActiveConversationId,
+  setActiveConversationId,
+  titleFromMessages,
+  listConversations,
+  getConversation,
+  saveConversation,
+  renameConversation,
+  deleteConversation,
+} from '../services/conversationStore';
 import { generatePMDocument } from '../services/docxGenerator';
+import { exportTranscript, printTranscript, TRANSCRIPT_FORMATS } from '../services/transcriptExport';
 import { saveAs } from 'file-saver';
 import {
+  LLM_PROVIDERS,
   initializeLLM,
+  recheckLLM,
   isLLMAvailable,
   getProviderName,
   getAvailableProviders,
   setLLMProvider,
   getLLMProvider,
+  isFailoverEnabled,
+  setFailoverEnabled,
+  getFailoverChain,
+  setFailoverOrder,
+  getProviderHealth,
+  getLastAnsweredProvider,
+  clearLastAnsweredProvider,
   generateSummary as llmGenerateSummary,
-  getChatResponse as llmGetChatResponse,
-  answerQuestion as llmAnswerQuestion,
+  answerQuestionWithCitations as llmAnswerWithCitations,
+  generateStructured as llmGenerateStructured,
 } from '../services/llmService';
+import { renderPrompt, getPromptsUsed } from '../services/promptLibrary';
+import { setUsageUser } from '../services/usageTracker';
+import { clearDocumentCache } from '../services/documentCache';
+import { tokenize } from '../services/documentRetrieval';
+import { classifyIntent } from '../services/intentClassifier';
+import { INTENT_HANDLERS } from '../handlers';
+import { isVideoFile } from '../handlers/fileUtils';
+import { cacheFor, extractImpactedAreas, suggestQuestions } from '../handlers/documentHandlers';
 import './ChatBot.css';
 
-// Knowledge base with Q&A patterns
-const knowledgeBase = [
-  {
-    keywords: ['approval', 'project', 'change', 'process'],
-    topic: 'project_change',
-    initialResponse: `Project change approval involves submission of a change request, impact analysis, and formal approval before implementation.
-
-Could you confirm:
-• Which department is this for?
-• Is this for scope, timeline, or cost change?`,
-    followUp: {
-      'pmo': {
-        'scope': {
-          response: 'Scope change approval requires a formal change request, impact assessment on cost and timeline, and sign-off from the client sponsor before implementation.',
-          sourceFile: 'Project_Change_Process'
-        },
-        'timeline': {
-          response: 'Timeline change approval requires justification, updated schedule, and approval from project sponsor and stakeholders.',
-          sourceFile: 'Project_Change_Process'
+// Maximum number of documents kept in the Q&A working set
+const MAX_WORKING_SET = 5;
+
+// Opening bot message for a fresh conversation
+const createWelcomeMessage = (aiEnabled) => ({
+  type: 'bot',
+  text: aiEnabled
+    ? `Hello! I'm your AI-powered document assistant. I can help you:
+
+• Find and summarize documents
+• Answer questions about your files
+• Explain document contents
+
+Try asking me things like:
+• "Summarize the Arogya document"
+• "What is in the health policy?"
+• "Tell me about leave policy"
+
+How can I help you today?`
+    : `Hello! I’m Nvest Insider, your Knowledge centre. How can I help you today?`,
+});
+
+// Fields the PM Impact Analysis form can be pre-filled with from the active document
+const PM_PREFILL_SCHEMA = {
+  type: 'object',
+  properties: {
+    pmNumber: { type: ['string', 'null'], description: 'The PM number (digits only, e.g. 13366) - this is different from the CR number' },
+    crNumber: { type: ['string', 'null'], description: 'The CR number (digits only, e.g. 19078)' },
+    issueDescription: { type: ['string', 'null'], description: 'Brief description of the issue or change' },
+    systemImpacts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          application: { type: 'string', description: 'Application name' },
+          components: { type: 'string', description: 'File/component names' },
+          remarks: { type: 'string', description: 'What is impacted and why' },
         },
-        'cost': {
-          response: 'Cost change approval requires budget revision request, financial impact analysis, and CFO approval for changes exceeding 10%.',
-          sourceFile: 'Budget_Change_Policy'
-        }
-      },
-      'finance': {
-        'scope': {
-          response: 'Finance scope changes require budget committee review and CFO approval.',
-          sourceFile: 'Finance_Change_Policy'
-        }
-      }
-    }
-  },
-  {
-    keywords: ['leave', 'policy', 'vacation', 'pto'],
-    topic: 'leave_policy',
-    initialResponse: `Our leave policy covers various types of time off including vacation, sick leave, and personal days.
-
-What would you like to know:
-• Annual leave entitlement?
-• Sick leave policy?
-• Leave application process?`,
-    followUp: {
-      'annual': {
-        response: 'Annual leave entitlement is 20 days per year for regular employees, accrued monthly. Unused leave can be carried forward up to 5 days.',
-        sourceFile: 'Leave_Policy'
-      },
-      'sick': {
-        response: 'Sick leave is 10 days per year. Medical certificate required for absences exceeding 3 consecutive days.',
-        sourceFile: 'Leave_Policy'
-      },
-      'application': {
-        response: 'Leave applications should be submitted via HR portal at least 5 business days in advance. Manager approval is required.',
-        sourceFile: 'Leave_Policy'
-      }
-    }
-  },
-  {
-    keywords: ['expense', 'reimbursement', 'claim'],
-    topic: 'expense',
-    initialResponse: `Expense reimbursement follows our corporate policy for business-related expenses.
-
-Please specify:
-• Travel expenses?
-• Office supplies?
-• Client entertainment?`,
-    followUp: {
-      'travel': {
-        response: 'Travel expenses require pre-approval for trips over $500. Submit receipts within 30 days via expense portal. Per diem rates apply for meals.',
-        sourceFile: 'Travel_Expense_Policy'
+        required: ['application', 'components', 'remarks'],
       },
-      'supplies': {
-        response: 'Office supplies under $100 can be purchased directly. Amounts over $100 require manager approval.',
-        sourceFile: 'Procurement_Policy'
+    },
+    risks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          assumptions: { type: 'string', description: 'Key assumptions' },
+          risks: { type: 'string', description: 'Identified risks' },
+          otherImpacts: { type: 'string', description: 'Other impacts' },
+          remarks: { type: 'string', description: 'Additional notes' },
+        },
+        required: ['assumptions', 'risks', 'otherImpacts', 'remarks'],
       },
-      'entertainment': {
-        response: 'Client entertainment requires pre-approval and itemized receipts. Maximum $75 per person for meals.',
-        sourceFile: 'Entertainment_Policy'
-      }
-    }
+    },
   },
-  {
-    keywords: ['onboarding', 'new', 'employee', 'hire', 'joining'],
-    topic: 'onboarding',
-    initialResponse: `Welcome! Onboarding process includes IT setup, HR documentation, and department orientation.
-
-What do you need help with:
-• IT access and equipment?
-• HR documentation?
-• Training schedule?`,
-    followUp: {
-      'it': {
-        response: 'IT setup includes laptop provisioning, email activation, and system access. Ticket is auto-created on hire. Equipment delivered within 2 business days.',
-        sourceFile: 'IT_Onboarding_Checklist'
-      },
-      'hr': {
-        response: 'HR documentation includes I-9 verification, tax forms, benefits enrollment, and emergency contacts. Complete within first 3 days.',
-        sourceFile: 'HR_Onboarding_Guide'
-      },
-      'training': {
-        response: 'Mandatory training includes compliance (Day 1), security awareness (Week 1), and role-specific training (Week 2-4).',
-        sourceFile: 'Training_Schedule'
-      }
-    }
-  }
-];
+  required: ['pmNumber', 'crNumber', 'issueDescription', 'systemImpacts', 'risks'],
+};
 
 function ChatBot({ isDarkMode, setIsDarkMode }) {
   const { instance, accounts } = useMsal();
@@ -135,6 +120,9 @@ function ChatBot({ isDarkMode, setIsDarkMode }) {
   const [selectedLLM, setSelectedLLM] = useState('');
   const [conversationHistory, setConversationHistory] = useState([]);
   const [showSettings, setShowSettings] = useState(false);
+  const [failoverOn, setFailoverOn] = useState(true);
+  const [failoverChain, setFailoverChain] = useState([]);
+  const [agentMode, setAgentMode] = useState(() => localStorage.getItem('nvest-agent-mode') === 'true');
 
   // Toggle theme
   const toggleTheme = () => {
@@ -156,61 +144,110 @@ function ChatBot({ isDarkMode, setIsDarkMode }) {
         setAiProvider(getProviderName());
         setAvailableLLMs(result.availableProviders);
         setSelectedLLM(result.activeProvider);
+        setFailoverOn(isFailoverEnabled());
+        setFailoverChain(getFailoverChain());
       }
     };
     init();
     return () => { isMounted = false; };
   }, []);
 
+  // Attribute LLM usage to the signed-in user
+  useEffect(() => {
+    setUsageUser(accounts[0]?.username);
+  }, [accounts]);
+
   // Handle LLM provider change
   const handleLLMChange = (e) => {
     const newProvider = e.target.value;
     if (setLLMProvider(newProvider)) {
       setSelectedLLM(newProvider);
       setAiProvider(getProviderName());
+      setFailoverChain(getFailoverChain());
       console.log('Switched to:', getProviderName());
     }
   };
 
-  const [messages, setMessages] = useState([
-    {
-      type: 'bot',
-      text: aiEnabled
-        ? `Hello! I'm your AI-powered document assistant. I can help you:
+  // Re-detect providers after their settings change in the Settings modal
+  const handleProviderSettingsChange = async () => {
+    const result = await recheckLLM();
+    setAiEnabled(isLLMAvailable());
+    setAiProvider(getProviderName());
+    setAvailableLLMs(result.availableProviders);
+    setSelectedLLM(result.activeProvider);
+    setFailoverChain(getFailoverChain());
+  };
 
-• Find and summarize documents
-• Answer questions about your files
-• Explain document contents
+  // Toggle automatic failover to other configured providers
+  const handleFailoverToggle = (e) => {
+    setFailoverEnabled(e.target.checked);
+    setFailoverOn(e.target.checked);
+    setFailoverChain(getFailoverChain());
+  };
 
-Try asking me things like:
-• "Summarize the Arogya document"
-• "What is in the health policy?"
-• "Tell me about leave policy"
+  // Agent mode lets the model chain Graph lookups itself instead of one intent per message
+  const handleAgentModeToggle = (e) => {
+    localStorage.setItem('nvest-agent-mode', String(e.target.checked));
+    setAgentMode(e.target.checked);
+  };
 
-How can I help you today?`
-        : `Hello! I’m Nvest Insider, your Knowledge centre. How can I help you today?`
+  const handleClearDocumentCache = async () => {
+    if (!window.confirm('Delete cached document text and AI summaries? Documents will be read and summarized again next time.')) return;
+    try {
+      await clearDocumentCache();
+    } catch (error) {
+      console.error('Could not clear document cache:', error);
     }
-  ]);
+  };
+
+  // Move a fallback provider up or down in the failover chain
+  const moveFailoverProvider = (providerId, direction) => {
+    const fallbacks = failoverChain.slice(1);
+    const idx = fallbacks.indexOf(providerId);
+    const target = idx + direction;
+    if (idx === -1 || target < 0 || target >= fallbacks.length) return;
+    [fallbacks[idx], fallbacks[target]] = [fallbacks[target], fallbacks[idx]];
+    setFailoverOrder(fallbacks);
+    setFailoverChain(getFailoverChain());
+  };
+
+  const [messages, setMessages] = useState(() => [createWelcomeMessage(aiEnabled)]);
   const [input, setInput] = useState('');
   const [isTyping, setIsTyping] = useState(false);
   const [currentContext, setCurrentContext] = useState(null);
   const [sourceDocuments, setSourceDocuments] = useState([]);
-  const [recentDocuments, setRecentDocuments] = useState([]); // Accumulated recent docs for sidebar
-  const [activeDocument, setActiveDocument] = useState(null); // Track current document for Q&A
+  const [recentDocuments, setRecentDocuments] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem('nvest-recent-documents')) || [];
+    } catch {
+      return [];
+    }
+  }); // Accumulated recent docs for sidebar
+  const [workingSet, setWorkingSet] = useState([]); // Documents questions are answered across
+  const activeDocument = workingSet[workingSet.length - 1] || null; // Most recently added document
+  const [openCitation, setOpenCitation] = useState(null); // "<messageKey>-<n>" of the expanded citation chip
   const lastFileListRef = useRef([]); // Store last displayed file list for number selection
   const lastSearchResultsRef = useRef([]); // Store full search results for "show all files"
   const messagesEndRef = useRef(null);
   const fileInputRef = useRef(null);
   const recentUploadsRef = useRef([]); // Track recently uploaded items for search
   const lastSuggestedQuestionsRef = useRef([]); // Store numbered suggested questions for shortcut
+  const streamingMessageIdRef = useRef(null); // Bot message currently receiving streamed tokens
   const [showFolderPicker, setShowFolderPicker] = useState(false);
   const [pendingUploadFile, setPendingUploadFile] = useState(null);
   const [uploadProgress, setUploadProgress] = useState(null);
   const [isDragOver, setIsDragOver] = useState(false);
   const [showPMDocForm, setShowPMDocForm] = useState(false);
   const [pmDocFormData, setPmDocFormData] = useState(null);
+  const [showExportMenu, setShowExportMenu] = useState(false);
   const [pendingPMDocBlob, setPendingPMDocBlob] = useState(null); // For upload after download
   const [showMobileSidebar, setShowMobileSidebar] = useState(false);
+  const [sidebarTab, setSidebarTab] = useState('recent');
+  const [conversationId, setConversationId] = useState(() => getActiveConversationId() || createConversationId());
+  const [conversations, setConversations] = useState([]); // Saved chats for the history sidebar
+  const [pendingDocRefs, setPendingDocRefs] = useState([]); // Working-set documents to re-read after resume
+  const conversationMetaRef = useRef({ title: null, titleEdited: false, createdAt: Date.now() });
+  const restoredRef = useRef(false); // Skip auto-save until the last conversation has been restored
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -220,6 +257,72 @@ How can I help you today?`
     scrollToBottom();
   }, [messages]);
 
+  // Add a document to the Q&A working set (re-adding moves it to the end, i.e. makes it active)
+  const addToWorkingSet = (doc) => {
+    setWorkingSet(prev => [...prev.filter(d => d.id !== doc.id), doc].slice(-MAX_WORKING_SET));
+  };
+
+  const removeFromWorkingSet = (docId) => {
+    setWorkingSet(prev => prev.filter(d => d.id !== docId));
+  };
+
+  // Show a bot message that fills in as LLM tokens arrive.
+  // Reuses the in-progress message if one exists, resetting its text to the given prefix.
+  const streamBotMessage = (prefix = '') => {
+    let id = streamingMessageIdRef.current;
+    if (id) {
+      setMessages(prev => prev.map(m => m.id === id ? { ...m, text: prefix } : m));
+    } else {
+      id = `stream-${Date.now()}`;
+      streamingMessageIdRef.current = id;
+      setMessages(prev => [...prev, { id, type: 'bot', text: prefix, streaming: true }]);
+    }
+    setIsTyping(false);
+    return (token) => {
+      // null means the provider failed mid-stream and the next one in the chain is taking over
+      setMessages(prev => prev.map(m => m.id === id ? { ...m, text: token === null ? prefix : m.text + token } : m));
+    };
+  };
+
+  // Progress callback that shows OCR of a scanned PDF on the pending bot message
+  const ocrProgressFor = (fileName) => {
+    let lastPercent = -1;
+    return ({ index, count, progress }) => {
+      const percent = Math.round(progress * 100);
+      if (percent === lastPercent) return;
+      lastPercent = percent;
+      streamBotMessage(`🔍 **${fileName}** is scanned, reading it with OCR: page ${index + 1} of ${count} (${percent}%)...`);
+    };
+  };
+
+  // Show the agent's tool calls on the pending bot message as they run
+  const showAgentTrace = (trace) => {
+    let id = streamingMessageIdRef.current;
+    if (id) {
+      setMessages(prev => prev.map(m => m.id === id ? { ...m, agentTrace: trace } : m));
+    } else {
+      id = `stream-${Date.now()}`;
+      streamingMessageIdRef.current = id;
+      setMessages(prev => [...prev, { id, type: 'bot', text: '🛠 Working on it...', streaming: true, agentTrace: trace }]);
+    }
+    setIsTyping(false);
+  };
+
+  // Post the final bot message, replacing the streamed placeholder if there is one.
+  // Tags the message with the provider that answered during this request, if any,
+  // and the prompt template versions it was sent.
+  const finishBotMessage = (message) => {
+    const id = streamingMessageIdRef.current;
+    streamingMessageIdRef.current = null;
+    setIsTyping(false);
+    const botMessage = { type: 'bot', answeredBy: getLastAnsweredProvider(), prompts: getPromptsUsed(), ...message };
+    if (id) {
+      setMessages(prev => prev.map(m => m.id === id ? botMessage : m));
+    } else {
+      setMessages(prev => [...prev, botMessage]);
+    }
+  };
+
   // Accumulate documents into recentDocuments whenever sourceDocuments changes
   useEffect(() => {
     if (sourceDocuments.length === 0) return;
@@ -231,6 +334,165 @@ How can I help you today?`
     });
   }, [sourceDocuments]);
 
+  // Persist recent documents so the sidebar survives a reload
+  useEffect(() => {
+    localStorage.setItem('nvest-recent-documents', JSON.stringify(recentDocuments));
+  }, [recentDocuments]);
+
+  // ===== CONVERSATION PERSISTENCE =====
+
+  const refreshConversations = async () => {
+    setConversations(await listConversations());
+  };
+
+  // Load a saved conversation into the chat; working-set documents are re-read once signed in
+  const resumeConversation = useCallback(async (id) => {
+    const conversation = await getConversation(id);
+    if (!conversation) return false;
+
+    conversationMetaRef.current = {
+      title: conversation.title,
+      titleEdited: !!conversation.titleEdited,
+      createdAt: conversation.createdAt,
+    };
+    streamingMessageIdRef.current = null;
+    setConversationId(conversation.id);
+    setActiveConversationId(conversation.id);
+    setMessages(conversation.messages);
+    setConversationHistory(conversation.conversationHistory || []);
+    setSourceDocuments(conversation.sources || []);
+    setWorkingSet([]);
+    setPendingDocRefs(conversation.workingSet || []);
+    setOpenCitation(null);
+    setIsTyping(false);
+    return true;
+  }, []);
+
+  // Restore the last open conversation after a reload
+  useEffect(() => {
+    if (restoredRef.current) return;
+    const restore = async () => {
+      const savedId = getActiveConversationId();
+      if (savedId) {
+        await resumeConversation(savedId);
+      }
+      restoredRef.current = true;
+      refreshConversations();
+    };
+    restore();
+  }, [resumeConversation]);
+
+  // Re-read working-set documents of a resumed conversation
+  useEffect(() => {
+    if (pendingDocRefs.length === 0 || !isAuthenticated || !accounts || accounts.length === 0) return;
+    const refs = pendingDocRefs;
+    setPendingDocRefs([]);
+
+    const rehydrate = async () => {
+      try {
+        const tokenResponse = await instance.acquireTokenSilent({
+          ...loginRequest,
+          account: accounts[0],
+        });
+        const { getVideoTranscript } = await import('../services/graphService');
+
+        const restored = [];
+        for (const ref of refs) {
+          try {
+            if (ref.isVideo) {
+              const transcriptData = await getVideoTranscript(tokenResponse.accessToken, ref);
+              if (transcriptData?.hasTranscript && transcriptData.content) {
+                restored.push({ ...ref, content: transcriptData.content });
+              }
+            } else {
+              const docContent = await getDocumentContent(tokenResponse.accessToken, ref.id, ref.name);
+              if (docContent?.content) {
+                restored.push({ ...ref, content: docContent.content, locations: docContent.locations });
+              }
+            }
+          } catch (docErr) {
+            console.log('Could not restore working-set document:', ref.name, docErr);
+          }
+        }
+
+        setWorkingSet(prev => [
+          ...prev.filter(d => !restored.some(r => r.id === d.id)),
+          ...restored,
+        ].slice(-MAX_WORKING_SET));
+      } catch (error) {
+        console.error('Error restoring working set:', error);
+      }
+    };
+    rehydrate();
+  }, [pendingDocRefs, isAuthenticated, accounts, instance]);
+
+  // Auto-save the conversation once it has a user message (debounced, not mid-stream)
+  useEffect(() => {
+    if (!restoredRef.current) return;
+    if (!messages.some(m => m.type === 'user') || messages.some(m => m.streaming)) return;
+
+    const timer = setTimeout(async () => {
+      const meta = conversationMetaRef.current;
+      if (!meta.titleEdited) {
+        meta.title = titleFromMessages(messages);
+      }
+      const saved = await saveConversation({
+        id: conversationId,
+        title: meta.title,
+        titleEdited: meta.titleEdited,
+        createdAt: meta.createdAt,
+        messages,
+        conversationHistory,
+        sources: sourceDocuments,
+        workingSet: [...workingSet, ...pendingDocRefs],
+      });
+      if (saved) {
+        setActiveConversationId(conversationId);
+        refreshConversations();
+      }
+    }, 800);
+    return () => clearTimeout(timer);
+  }, [messages, conversationHistory, sourceDocuments, workingSet, pendingDocRefs, conversationId]);
+
+  const handleNewChat = () => {
+    const id = createConversationId();
+    conversationMetaRef.current = { title: null, titleEdited: false, createdAt: Date.now() };
+    streamingMessageIdRef.current = null;
+    setConversationId(id);
+    setActiveConversationId(null); // Becomes active once it has something worth saving
+    setMessages([createWelcomeMessage(aiEnabled)]);
+    setConversationHistory([]);
+    setSourceDocuments([]);
+    setWorkingSet([]);
+    setPendingDocRefs([]);
+    setOpenCitation(null);
+    lastFileListRef.current = [];
+    lastSuggestedQuestionsRef.current = [];
+    setShowMobileSidebar(false);
+  };
+
+  const handleSelectConversation = async (id) => {
+    if (id === conversationId) return;
+    await resumeConversation(id);
+    setShowMobileSidebar(false);
+  };
+
+  const handleRenameConversation = async (id, title) => {
+    if (id === conversationId) {
+      conversationMetaRef.current = { ...conversationMetaRef.current, title: title.trim(), titleEdited: true };
+    }
+    await renameConversation(id, title);
+    refreshConversations();
+  };
+
+  const handleDeleteConversation = async (id) => {
+    await deleteConversation(id);
+    if (id === conversationId) {
+      handleNewChat();
+    }
+    refreshConversations();
+  };
+
 
   // Search for source documents
   const findSourceDocument = async (searchTerm) => {
@@ -252,69 +514,6 @@ How can I help you today?`
     }
   };
 
-  // Find matching knowledge base entry
-  const findKnowledgeMatch = (text) => {
-    const lowerText = text.toLowerCase();
-
-    for (const entry of knowledgeBase) {
-      const matchCount = entry.keywords.filter(kw => lowerText.includes(kw)).length;
-      if (matchCount >= 2) {
-        return entry;
-      }
-    }
-    return null;
-  };
-
-  // Process follow-up response
-  const processFollowUp = (text, context) => {
-    const lowerText = text.toLowerCase();
-
-    if (context.topic === 'project_change') {
-      // Check for department
-      const departments = ['pmo', 'finance', 'hr', 'it', 'operations'];
-      const changeTypes = ['scope', 'timeline', 'cost', 'budget'];
-
-      let dept = departments.find(d => lowerText.includes(d));
-      let changeType = changeTypes.find(t => lowerText.includes(t));
-
-      if (dept && changeType) {
-        const followUp = context.followUp[dept]?.[changeType] || context.followUp['pmo']?.[changeType];
-        if (followUp) {
-          return {
-            response: followUp.response,
-            sourceFile: followUp.sourceFile,
-            resolved: true
-          };
-        }
-      }
-    } else if (context.followUp) {
-      // Check for matching follow-up keywords
-      for (const [key, value] of Object.entries(context.followUp)) {
-        if (lowerText.includes(key)) {
-          return {
-            response: value.response,
-            sourceFile: value.sourceFile,
-            resolved: true
-          };
-        }
-      }
-    }
-
-    return null;
-  };
-
-  // Handle source request
-  const handleSourceRequest = async () => {
-    if (sourceDocuments.length > 0) {
-      const sources = sourceDocuments.map(doc =>
-        `📄 ${doc.name}\n   📂 ${doc.path}`
-      ).join('\n\n');
-
-      return `**Source Documents:**\n\n${sources}`;
-    }
-    return "I don't have a specific source document for the previous response. Would you like me to search for related documents?";
-  };
-
   // Search for multiple documents
   const searchDocuments = async (searchTerm) => {
     if (!isAuthenticated || !accounts || accounts.length === 0) {
@@ -351,19 +550,6 @@ How can I help you today?`
     }
   };
 
-  // Check if message is asking to read/summarize a document
-  const isReadSummaryRequest = (message) => {
-    const lowerMsg = message.toLowerCase();
-    const readKeywords = ['read', 'summarize', 'summary', 'content', 'what does', 'what is in', 'tell me about', 'explain', 'transcript', 'meeting', 'recording', 'call'];
-    return readKeywords.some(kw => lowerMsg.includes(kw));
-  };
-
-  // Check if file is a video
-  const isVideoFile = (fileName) => {
-    const ext = fileName?.split('.').pop()?.toLowerCase();
-    return ['mp4', 'mov', 'avi', 'mkv', 'webm'].includes(ext);
-  };
-
   // Read video transcript and generate summary
   const readVideoTranscript = async (videoItem) => {
     if (!isAuthenticated || !accounts || accounts.length === 0) {
@@ -382,30 +568,28 @@ How can I help you today?`
     }
   };
 
-  // Check if message is a follow-up question about the active document
-  const isDocumentQuestion = (message) => {
-    if (!activeDocument) return false;
-    const lowerMsg = message.toLowerCase();
-    // Direct action phrases for CR documents
-    const actionPhrases = ['simplify', 'layman', 'simple terms', 'break down', 'task breakdown', 'dev assignment', 'assign to dev', 'development tasks'];
-    if (actionPhrases.some(p => lowerMsg.includes(p))) return true;
-    // Question indicators
-    const questionWords = ['what', 'who', 'when', 'where', 'why', 'how', 'which', 'is', 'are', 'does', 'do', 'can', 'tell', 'explain', 'describe', 'list', 'show'];
-    const hasQuestionWord = questionWords.some(qw => lowerMsg.startsWith(qw) || lowerMsg.includes(' ' + qw + ' '));
-    const hasQuestionMark = message.includes('?');
-    // Check if it's likely a question about the document
-    return hasQuestionWord || hasQuestionMark;
+  // Wrap the question's terms in <mark> so reviewers can spot the supporting text
+  const highlightPassage = (text, query) => {
+    const terms = [...new Set(tokenize(query))]; // Plain [a-z0-9] words, safe to use in a RegExp
+    if (terms.length === 0) return text;
+    const pattern = new RegExp(`\\b(${terms.join('|')})\\b`, 'gi');
+    return text.split(pattern).map((part, i) => (i % 2 === 1 ? <mark key={i}>{part}</mark> : part));
   };
 
-  // Answer question about the active document
-  const answerDocumentQuestion = async (question) => {
+  // Answer question about the active document, returning { answer, citations }
+  const answerDocumentQuestion = async (question, onToken = null) => {
     if (!activeDocument || !activeDocument.content) {
       return null;
     }
     try {
       console.log('Answering question about:', activeDocument.name);
-      const answer = await llmAnswerQuestion(activeDocument.content, question, activeDocument.name);
-      return answer;
+      return await llmAnswerWithCitations(
+        activeDocument.content,
+        question,
+        activeDocument.name,
+        onToken,
+        activeDocument.locations
+      );
     } catch (error) {
       console.error('Error answering document question:', error);
       return null;
@@ -424,7 +608,9 @@ How can I help you today?`
         account: accounts[0],
       });
 
-      const docContent = await getDocumentContent(tokenResponse.accessToken, itemId, fileName);
+      const docContent = await getDocumentContent(tokenResponse.accessToken, itemId, fileName, {
+        onProgress: ocrProgressFor(fileName),
+      });
       return docContent;
     } catch (error) {
       console.error('Error reading document:', error);
@@ -432,8 +618,9 @@ How can I help you today?`
     }
   };
 
-  // Generate summary from content (uses AI if configured)
-  const generateSummary = async (content, fileName, maxLength = 500) => {
+  // Generate summary from content (uses AI if configured, streaming through onToken).
+  // cache ({ itemId, version }) reuses an earlier AI summary of the same OneDrive file version.
+  const generateSummary = async (content, fileName, onToken = null, cache = null, maxLength = 500) => {
     if (!content || content.trim().length === 0) {
       return null;
     }
@@ -442,7 +629,7 @@ How can I help you today?`
     if (aiEnabled) {
       try {
         console.log('Generating AI summary for:', fileName, 'using:', aiProvider);
-        const aiSummary = await llmGenerateSummary(content, fileName);
+        const aiSummary = await llmGenerateSummary(content, fileName, onToken, cache);
         if (aiSummary) {
           return aiSummary;
         }
@@ -458,6 +645,8 @@ How can I help you today?`
     let text = content
       .split('\n')
       .filter((line, i, arr) => line.trim() && arr.indexOf(line) === i) // Remove empty and duplicate lines
+      .filter(line => !/^[\s|:-]+$/.test(line)) // Markdown table separators
+      .map(line => line.replace(/^#{1,6}\s+/, '').replace(/\s*\|\s*/g, ' ')) // Markdown headings and table cells
       .join(' ')
       .replace(/\s+/g, ' ')
       .trim();
@@ -480,114 +669,6 @@ How can I help you today?`
     return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
   };
 
-  // Check if message is a file search request
-  const isFileSearchRequest = (message) => {
-    const lowerMsg = message.toLowerCase();
-    // Action keywords
-    const actionKeywords = ['find', 'search', 'show', 'get', 'list', 'check', 'want', 'need', 'look', 'related', 'about', 'share', 'give'];
-    // File type keywords
-    const fileKeywords = ['file', 'files', 'document', 'documents', 'sheet', 'sheets', 'video', 'recording', 'recordings', 'image', 'images'];
-    const hasSearchIntent = actionKeywords.some(kw => lowerMsg.includes(kw));
-    const hasFileKeyword = fileKeywords.some(kw => lowerMsg.includes(kw));
-
-    // Also check for product names or specific terms
-    const hasSpecificTerm = lowerMsg.includes('arogya') ||
-                           lowerMsg.includes('sanjeevani') ||
-                           lowerMsg.includes('top up') ||
-                           lowerMsg.includes('topup') ||
-                           lowerMsg.includes('product') ||
-                           lowerMsg.includes('policy') ||
-                           lowerMsg.includes('health');
-
-    return hasSearchIntent || hasFileKeyword || hasSpecificTerm;
-  };
-
-  // Check if user wants multiple files or just one
-  const wantsMultipleFiles = (message) => {
-    const lowerMsg = message.toLowerCase();
-    const multipleKeywords = ['files', 'all', 'list', 'multiple', 'documents', 'every', 'related'];
-    const hasKeyword = multipleKeywords.some(kw => lowerMsg.includes(kw));
-    const hasCount = getRequestedCount(message) !== null;
-    return hasKeyword || hasCount;
-  };
-
-  // Extract requested file count from message (e.g. "top 10", "show 20 files")
-  const getRequestedCount = (message) => {
-    const lowerMsg = message.toLowerCase();
-    // Match patterns: "top 10", "top10", "show 20", "first 15", "10 files", "10 documents"
-    const patterns = [
-      /top\s*(\d+)/i,
-      /first\s*(\d+)/i,
-      /show\s*(\d+)/i,
-      /list\s*(\d+)/i,
-      /get\s*(\d+)/i,
-      /(\d+)\s*(?:files?|documents?|results?|items?)/i,
-    ];
-    for (const pattern of patterns) {
-      const match = lowerMsg.match(pattern);
-      if (match) {
-        const num = parseInt(match[1], 10);
-        if (num > 0 && num <= 50) return num;
-      }
-    }
-    return null;
-  };
-
-  // Check if message is just a number (for selecting from file list)
-  const isNumberSelection = (message) => {
-    return /^\s*\d+\s*$/.test(message.trim());
-  };
-
-  // Check if user specifically asked for folders
-  const wantsFolders = (message) => {
-    const lowerMsg = message.toLowerCase();
-    return lowerMsg.includes('folder') || lowerMsg.includes('directory') || lowerMsg.includes('directories');
-  };
-
-  // Check if user specifically asked for documents (show only doc/docx/pdf)
-  const wantsDocumentsOnly = (message) => {
-    const lowerMsg = message.toLowerCase();
-    return lowerMsg.includes('document') || lowerMsg.includes('doc ') || lowerMsg.includes('docs') || lowerMsg.endsWith('doc');
-  };
-
-  const isDocOrPdf = (fileName) => {
-    const ext = fileName?.split('.').pop()?.toLowerCase();
-    return ['doc', 'docx', 'pdf'].includes(ext);
-  };
-
-  // Apply file type filters based on user request
-  const applyFileFilters = (files, message) => {
-    let filtered = files;
-    if (!wantsFolders(message)) {
-      filtered = filtered.filter(f => !f.isFolder);
-    }
-    if (wantsDocumentsOnly(message)) {
-      filtered = filtered.filter(f => f.isFolder || isDocOrPdf(f.name));
-    }
-    return filtered;
-  };
-
-  // Check if message is asking for images or videos
-  const isMediaRequest = (message) => {
-    const lowerMsg = message.toLowerCase();
-    const mediaKeywords = ['image', 'images', 'photo', 'photos', 'picture', 'pictures', 'video', 'videos', 'media', 'png', 'jpg', 'jpeg', 'gif', 'mp4', 'mov'];
-    return mediaKeywords.some(kw => lowerMsg.includes(kw));
-  };
-
-  // Determine media type requested
-  const getMediaType = (message) => {
-    const lowerMsg = message.toLowerCase();
-    const imageKeywords = ['image', 'images', 'photo', 'photos', 'picture', 'pictures', 'png', 'jpg', 'jpeg', 'gif'];
-    const videoKeywords = ['video', 'videos', 'mp4', 'mov', 'clip', 'clips'];
-
-    const hasImage = imageKeywords.some(kw => lowerMsg.includes(kw));
-    const hasVideo = videoKeywords.some(kw => lowerMsg.includes(kw));
-
-    if (hasImage && !hasVideo) return 'image';
-    if (hasVideo && !hasImage) return 'video';
-    return 'all';
-  };
-
   // Search for media files
   const searchMediaFiles = async (searchTerm, mediaType = 'all') => {
     if (!isAuthenticated || !accounts || accounts.length === 0) {
@@ -608,92 +689,13 @@ How can I help you today?`
     }
   };
 
-  // Extract search terms from message
-  const extractSearchTerms = (message) => {
-    const lowerMsg = message.toLowerCase();
-    const productTerms = [];
-
-    // Check for CR/Change Request numbers (e.g., CR 19637, CR-19637, CR19637)
-    const crMatch = message.match(/CR[\s\-_]*(\d+)/i);
-    if (crMatch) {
-      // Search with most specific terms first
-      productTerms.push(`CR${crMatch[1]}`);    // CR20049 (exact, no space)
-      productTerms.push(`CR_${crMatch[1]}`);   // CR_20049 (underscore variant)
-      productTerms.push(`CR ${crMatch[1]}`);   // CR 20049
-      productTerms.push(`CR-${crMatch[1]}`);   // CR-20049
-      productTerms.push(crMatch[1]);            // 20049 (bare number last - too broad)
-      return productTerms;
-    }
-
-    // Check for any standalone numbers (could be document IDs)
-    const numberMatch = message.match(/\b(\d{4,})\b/);
-    if (numberMatch) {
-      productTerms.push(numberMatch[1]);
-    }
-
-    // Common product/file terms to search for
-    if (lowerMsg.includes('arogya') && lowerMsg.includes('sanjeevani')) {
-      productTerms.push('Arogya Sanjeevani');
-    } else if (lowerMsg.includes('arogya')) {
-      productTerms.push('Arogya');
-    }
-
-    if (lowerMsg.includes('top up') || lowerMsg.includes('topup')) {
-      productTerms.push('Top up');
-      productTerms.push('Topup');
-    }
-
-    if (lowerMsg.includes('sanjeevani') && !lowerMsg.includes('arogya')) {
-      productTerms.push('Sanjeevani');
-    }
-
-    if (lowerMsg.includes('cross sell') || lowerMsg.includes('crosssell')) {
-      productTerms.push('Cross Sell');
-    }
-
-    if (lowerMsg.includes('insuremo')) {
-      productTerms.push('Insuremo');
-    }
-
-    // If we found specific terms, return them
-    if (productTerms.length > 0) {
-      return productTerms;
-    }
-
-    // Otherwise, extract key words from message
-    const stopWords = [
-      // Action keywords
-      'find', 'search', 'show', 'get', 'list', 'check', 'want', 'need', 'look',
-      'related', 'about', 'from', 'my', 'all', 'the', 'in', 'for', 'to', 'a',
-      'an', 'of', 'every', 'multiple', 'share', 'give', 'me', 'please', 'can',
-      'you', 'could', 'would', 'should', 'this', 'that', 'these', 'those',
-      // Read/summary keywords
-      'read', 'summarize', 'summary', 'content', 'what', 'does', 'tell', 'explain',
-      'is', 'are', 'was', 'were', 'has', 'have', 'had', 'do', 'did',
-      // File type keywords
-      'file', 'files', 'document', 'documents', 'sheet', 'sheets',
-      'recording', 'recordings',
-      // Media keywords
-      'image', 'images', 'photo', 'photos', 'picture', 'pictures',
-      'video', 'videos', 'media', 'clip', 'clips',
-      // Count/number keywords
-      'top', 'first', 'last',
-      // Common filler words
-      'add', 'respective', 'fields', 'tags'
-    ];
-
-    const words = message.split(/\s+/).filter(w =>
-      !stopWords.includes(w.toLowerCase()) &&
-      w.length > 2 &&
-      !/^[\-\_\.\,\;\:]+$/.test(w) // Skip punctuation-only
-    );
-
-    // Take only first 3-4 meaningful words for search
-    if (words.length > 0) {
-      productTerms.push(words.slice(0, 4).join(' '));
-    }
-
-    return productTerms;
+  // Recently used OneDrive files (throws when not signed in)
+  const fetchRecentFiles = async () => {
+    const tokenResponse = await instance.acquireTokenSilent({
+      ...loginRequest,
+      account: accounts[0],
+    });
+    return await getRecentFiles(tokenResponse.accessToken);
   };
 
   const handleSend = async (directMessage = null) => {
@@ -702,843 +704,134 @@ How can I help you today?`
 
     const userMessage = messageToSend;
     setInput('');
+    clearLastAnsweredProvider();
 
     // Add user message
     setMessages(prev => [...prev, { type: 'user', text: userMessage }]);
     setIsTyping(true);
 
-    // Process the message
-    let botResponse = '';
-    let newSourceDocs = [];
-
-    const lowerMessage = userMessage.toLowerCase();
-
-    // Check if user wants to see all files from last search
-    if ((lowerMessage.includes('show all files') || lowerMessage.includes('show all') || lowerMessage.includes('see more')) && lastSearchResultsRef.current.length > 1) {
-      const allResults = lastSearchResultsRef.current;
-      botResponse = `📂 **All Search Results (${allResults.length}):**\n\n`;
-      allResults.forEach((file, idx) => {
-        botResponse += `${idx + 1}. **${file.name}**\n`;
-        botResponse += `   📁 ${file.path || 'Root'} • ${file.date || 'N/A'}\n\n`;
+    // Work out what the user wants, then hand off to that intent's handler.
+    // In agent mode the model plans the steps itself.
+    const useAgent = agentMode && aiEnabled;
+    const { intent, slots, source } = useAgent
+      ? { intent: 'agent', slots: {}, source: 'llm' }
+      : await classifyIntent(userMessage, {
+        aiEnabled,
+        hasActiveDocument: !!activeDocument,
+        activeDocumentName: activeDocument?.name,
+        workingSetSize: workingSet.length,
+        lastResultCount: lastSearchResultsRef.current.length,
+        fileListCount: lastFileListRef.current.length,
+        suggestionCount: lastSuggestedQuestionsRef.current.length,
+        imageCount: sourceDocuments.filter(doc => doc.isImage).length,
       });
-      botResponse += `\n💡 **Type a number (e.g. "3") to summarize that document.**`;
-      newSourceDocs = allResults;
-      setSourceDocuments(allResults);
-      lastFileListRef.current = allResults;
-
-      setIsTyping(false);
-      setMessages(prev => [...prev, { type: 'bot', text: botResponse, sources: newSourceDocs }]);
-      return;
-    }
+    console.log('Intent:', intent, `(${source})`, slots);
+    clearLastAnsweredProvider(); // The classifier call shouldn't be credited with the answer
+
+    const ctx = {
+      aiEnabled,
+      aiProvider,
+      activeDocument,
+      workingSet,
+      sourceDocuments,
+      currentContext,
+      conversationHistory,
+      lastFileListRef,
+      lastSearchResultsRef,
+      lastSuggestedQuestionsRef,
+      setSourceDocuments,
+      setWorkingSet,
+      addToWorkingSet,
+      setCurrentContext,
+      setConversationHistory,
+      setIsTyping,
+      searchDocuments,
+      searchMediaFiles,
+      fetchRecentFiles,
+      readDocument,
+      readVideoTranscript,
+      findSourceDocument,
+      generateSummary,
+      answerDocumentQuestion,
+      streamBotMessage,
+      showAgentTrace,
+      resend: handleSend,
+      openPMDocumentForm: handleGeneratePMDoc,
+    };
 
-    // Check if user wants to see recent/all files
-    if (lowerMessage.includes('recent files') || lowerMessage.includes('my recent') || lowerMessage.includes('show recent') || lowerMessage.includes('list recent') || lowerMessage.includes('all files') || lowerMessage.includes('list files') || lowerMessage.includes('my files')) {
-      try {
-        const tokenResponse = await instance.acquireTokenSilent({
-          ...loginRequest,
-          account: accounts[0],
+    try {
+      const handler = INTENT_HANDLERS[intent] || INTENT_HANDLERS.chat;
+      const result = await handler({ message: userMessage, slots, source }, ctx);
+      if (result) {
+        finishBotMessage({
+          text: result.text,
+          sources: result.sources || [],
+          citations: result.citations || [],
+          citationQuery: userMessage,
+          agentTrace: result.agentTrace,
         });
-
-        const recentFiles = await getRecentFiles(tokenResponse.accessToken);
-
-        if (recentFiles.length > 0) {
-          const filteredFiles = applyFileFilters(recentFiles, userMessage);
-          const requestedCount = getRequestedCount(userMessage);
-          const showCount = requestedCount || 10;
-          const displayFiles = filteredFiles.slice(0, showCount);
-
-          const label = wantsFolders(userMessage) ? 'Files & Folders' : wantsDocumentsOnly(userMessage) ? 'Documents' : 'Files';
-          botResponse = `📂 **Your Recent ${label} (${filteredFiles.length}):**\n\n`;
-          displayFiles.forEach((file, idx) => {
-            botResponse += `${idx + 1}. **${file.name}**\n`;
-            botResponse += `   📁 ${file.path || 'Root'} • ${file.date || 'N/A'}\n\n`;
-          });
-          if (filteredFiles.length > showCount) {
-            botResponse += `_...and ${filteredFiles.length - showCount} more files_\n`;
-          }
-          botResponse += `\n💡 **Type a number (e.g. "3") to summarize that document.**`;
-          newSourceDocs = displayFiles;
-          setSourceDocuments(newSourceDocs);
-          lastFileListRef.current = displayFiles;
-        } else {
-          botResponse = `No recent files found. Try uploading a file to OneDrive first.`;
-        }
-      } catch (error) {
-        console.error('Error getting recent files:', error);
-        botResponse = `Couldn't fetch recent files. Please make sure you're signed in.`;
-      }
-
-      setIsTyping(false);
-      setMessages(prev => [...prev, { type: 'bot', text: botResponse, sources: newSourceDocs }]);
-      return;
-    }
-
-    // Check if user typed a number to pick a suggested question
-    if (isNumberSelection(userMessage) && lastSuggestedQuestionsRef.current.length > 0) {
-      const qIdx = parseInt(userMessage.trim(), 10) - 1;
-      if (qIdx >= 0 && qIdx < lastSuggestedQuestionsRef.current.length) {
-        const selectedQuestion = lastSuggestedQuestionsRef.current[qIdx];
-        lastSuggestedQuestionsRef.current = [];
-        setIsTyping(false);
-        // Re-send as if user typed the full question
-        handleSend(selectedQuestion);
-        return;
       }
+    } catch (error) {
+      console.error(`Error handling ${intent} request:`, error);
+      finishBotMessage({ text: `Sorry, something went wrong while handling that request. Please try again.` });
     }
+  };
 
-    // Check if user typed a number to select a file from the last list
-    const fileList = lastFileListRef.current;
-    if (isNumberSelection(userMessage) && fileList.length > 0) {
-      const selectedIdx = parseInt(userMessage.trim(), 10) - 1;
-      if (selectedIdx >= 0 && selectedIdx < fileList.length) {
-        const doc = fileList[selectedIdx];
-        console.log('User selected file #', selectedIdx + 1, ':', doc.name, 'id:', doc.id);
-
-        // Check if it's a video file
-        if (isVideoFile(doc.name)) {
-          const transcriptData = await readVideoTranscript(doc);
-          newSourceDocs = [{ ...doc, isVideo: true }];
-          setSourceDocuments(newSourceDocs);
-
-          botResponse = `🎬 **${doc.name}**\n\n`;
-          if (transcriptData && transcriptData.hasTranscript && transcriptData.content) {
-            setActiveDocument({ id: doc.id, name: doc.name, content: transcriptData.content, path: doc.path, isVideo: true });
-            const summary = await generateSummary(transcriptData.content, doc.name);
-            if (summary) {
-              botResponse += `**📝 ${aiEnabled ? 'AI Summary of Transcript' : 'Transcript Preview'}:**\n${summary}\n`;
-            }
-            botResponse += `\n**📂 Path:** ${doc.path}`;
-            if (aiEnabled) botResponse += `\n\n💡 **Ask me questions about this recording!**`;
-          } else {
-            botResponse += `No transcript available for this video.\nClick "Open" below to watch in OneDrive.`;
-          }
-        } else {
-          // Regular document - read and summarize
-          const docContent = await readDocument(doc.id, doc.name);
-          newSourceDocs = [{ ...doc, webUrl: docContent?.webUrl || doc.webUrl }];
-          setSourceDocuments(newSourceDocs);
-
-          botResponse = `📄 **#${selectedIdx + 1}: ${doc.name}**\n\n`;
-
-          if (docContent && docContent.content && docContent.content.length > 50) {
-            setActiveDocument({ id: doc.id, name: doc.name, content: docContent.content, path: docContent.path });
-            const summary = await generateSummary(docContent.content, doc.name);
-            if (summary) {
-              botResponse += `**📝 ${aiEnabled ? 'Document Summary' : 'Content Preview'}:**\n${summary}\n`;
-            }
-
-            // For CR documents, extract impacted areas
-            const isCRDoc = /CR[\s\-_]*\d+/i.test(doc.name);
-            if (isCRDoc && aiEnabled) {
-              try {
-                const impactedAreas = await llmAnswerQuestion(
-                  docContent.content,
-                  'List all impacted areas, affected modules, systems, screens, APIs, and components mentioned in this document. Format as a concise bullet list. If specific module names, screen names, or API names are mentioned, include them.',
-                  doc.name
-                );
-                if (impactedAreas && !impactedAreas.toLowerCase().includes('not found') && !impactedAreas.toLowerCase().includes('not mentioned')) {
-                  botResponse += `\n**🎯 Impacted Areas:**\n${impactedAreas}\n`;
-                }
-              } catch (impactErr) {
-                console.log('Could not extract impacted areas:', impactErr);
-              }
-            }
-
-            botResponse += `\n**📂 Path:** ${docContent.path || doc.path}`;
-            if (aiEnabled) botResponse += `\n\n💡 **Ask me questions about this document!**`;
-          } else {
-            botResponse += `Could not extract content for summarization.\n`;
-            botResponse += `**📂 Path:** ${doc.path}\n`;
-            botResponse += `Click "Open" below to view in OneDrive.`;
-          }
-        }
-
-        setIsTyping(false);
-        setMessages(prev => [...prev, { type: 'bot', text: botResponse, sources: newSourceDocs }]);
-        return;
-      } else {
-        botResponse = `Invalid selection. Please enter a number between 1 and ${fileList.length}.`;
-        setIsTyping(false);
-        setMessages(prev => [...prev, { type: 'bot', text: botResponse }]);
-        return;
-      }
+  const handleKeyPress = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSend();
     }
+  };
 
-    // Check if user wants to clear current document and start fresh
-    if (lowerMessage.includes('new document') || lowerMessage.includes('different document') || lowerMessage.includes('another document') || lowerMessage.includes('clear document')) {
-      setActiveDocument(null);
-      botResponse = `Document cleared. What document would you like me to find?\n\nTry:\n• "Read Arogya document"\n• "Summarize health policy"\n• "Show me product files"`;
-      setIsTyping(false);
-      setMessages(prev => [...prev, { type: 'bot', text: botResponse, sources: [] }]);
-      return;
+  const openDocument = (url) => {
+    if (url) {
+      window.open(url, '_blank');
     }
+  };
 
-    // Check if asking to read/summarize a document
-    if (isReadSummaryRequest(userMessage)) {
-      const searchTerms = extractSearchTerms(userMessage);
-      console.log('Read/Summary request - Search terms:', searchTerms);
-
-      let results = [];
-      let usedSearchTerm = '';
-      const readableExts = ['docx', 'doc', 'pdf', 'txt', 'md', 'csv', 'xlsx', 'xls', 'pptx', 'ppt'];
-      const userWantsVideo = /\b(video|recording|meeting|call)\b/i.test(userMessage);
-      let fallbackResults = [];
-      let fallbackTerm = '';
-
-      // Try each search term — prefer readable docs with name match
-      for (const term of searchTerms) {
-        if (!term) continue;
-        console.log('Searching for:', term);
-        const allResults = await searchDocuments(term);
-        if (allResults.length === 0) continue;
-
-        // Filter to readable file types only (unless user wants video)
-        let filtered = allResults;
-        if (!userWantsVideo) {
-          const readable = allResults.filter(r => {
-            const ext = r.name?.split('.').pop()?.toLowerCase();
-            return readableExts.includes(ext);
-          });
-          if (readable.length > 0) filtered = readable;
-        }
-
-        // Check if any readable result has the search term in filename
-        const termLower = term.toLowerCase();
-        const hasNameMatch = filtered.some(r => r.name?.toLowerCase().includes(termLower));
-
-        if (hasNameMatch) {
-          results = filtered;
-          usedSearchTerm = term;
-          break;
-        }
-
-        // Keep first readable results as fallback
-        if (fallbackResults.length === 0 && filtered.length > 0) {
-          fallbackResults = filtered;
-          fallbackTerm = term;
-        }
-      }
-
-      // Use fallback if no name-matched readable results found
-      if (results.length === 0 && fallbackResults.length > 0) {
-        results = fallbackResults;
-        usedSearchTerm = fallbackTerm;
-      }
-
-      console.log('Found documents:', results.length, 'using term:', usedSearchTerm);
-
-      // Sort and prioritize results
-      if (results.length > 0) {
-        // Sort: name-match first
-        results.sort((a, b) => {
-          const aNameMatch = a.name?.toLowerCase().includes(usedSearchTerm.toLowerCase()) ? 1 : 0;
-          const bNameMatch = b.name?.toLowerCase().includes(usedSearchTerm.toLowerCase()) ? 1 : 0;
-          return bNameMatch - aNameMatch;
-        });
-
-        // If user mentioned "video"/"recording", prefer video results
-        if (userWantsVideo) {
-          const videoResult = results.find(r => isVideoFile(r.name));
-          if (videoResult) {
-            results = [videoResult, ...results.filter(r => r.id !== videoResult.id)];
-            console.log('Prioritized video result:', videoResult.name);
-          }
-        }
-
-        console.log('Best match:', results[0]?.name);
-      }
-
-      if (results.length > 0) {
-          const doc = results[0];
-          console.log('Reading document:', doc.name, doc.id);
-
-          // Check if the found file is a video - use transcript flow instead
-          if (isVideoFile(doc.name)) {
-            console.log('Video file detected, using transcript flow:', doc.name);
-            const transcriptData = await readVideoTranscript(doc);
-            newSourceDocs = [{ ...doc, isVideo: true }];
-            setSourceDocuments(newSourceDocs);
-
-            botResponse = `🎬 **${doc.name}**\n\n`;
-            if (transcriptData && transcriptData.hasTranscript && transcriptData.content) {
-              setActiveDocument({ id: doc.id, name: doc.name, content: transcriptData.content, path: doc.path, isVideo: true });
-              const summary = await generateSummary(transcriptData.content, doc.name);
-              if (summary) {
-                botResponse += `**📝 ${aiEnabled ? 'AI Summary of Transcript' : 'Transcript Preview'}:**\n${summary}\n`;
-              }
-              botResponse += `\n**📂 Path:** ${doc.path}`;
-              if (aiEnabled) botResponse += `\n\n💡 **Ask me questions about this recording!**`;
-            } else {
-              botResponse += `No transcript available for this video.\n`;
-              botResponse += `**📂 Path:** ${doc.path}\n`;
-              botResponse += `Click "Open" below to watch in OneDrive.`;
-            }
-            if (results.length > 1) {
-              lastSearchResultsRef.current = results;
-              botResponse += `\n\n_${results.length - 1} more file(s) found. Ask "show all files" to see more._`;
-            }
-          } else {
-          // Regular document flow
-          const docContent = await readDocument(doc.id, doc.name);
-          console.log('Document content:', docContent?.contentType, 'Length:', docContent?.content?.length);
-
-          if (docContent) {
-            newSourceDocs = [{ ...doc, webUrl: docContent.webUrl }];
-            setSourceDocuments(newSourceDocs);
-
-            // Save document for Q&A follow-up questions
-            if (docContent.content && docContent.content.length > 50) {
-              setActiveDocument({
-                id: doc.id,
-                name: doc.name,
-                content: docContent.content,
-                path: docContent.path,
-              });
-              console.log('Active document set for Q&A:', doc.name);
-            }
-
-            const ext = doc.name.split('.').pop()?.toLowerCase();
-            const getFileType = (name) => {
-              const e = name.split('.').pop()?.toLowerCase();
-              const types = { 'docx': 'Word Document', 'xlsx': 'Excel Spreadsheet', 'pptx': 'PowerPoint', 'pdf': 'PDF', 'txt': 'Text File' };
-              return types[e] || 'File';
-            };
-
-            botResponse = `📄 **${doc.name}**\n\n`;
-
-            const isCRDoc = /CR[\s\-_]*\d+/i.test(doc.name) || /CR[\s\-_]*\d+/i.test(userMessage);
-
-            // Show content summary if we have content
-            if (docContent.content && docContent.content.length > 50) {
-              const summary = await generateSummary(docContent.content, doc.name);
-              if (summary) {
-                botResponse += `\n**📝 ${aiEnabled ? 'Document Summary' : 'Content Preview'}:**\n${summary}\n`;
-              }
-
-              // For CR documents, automatically extract impacted areas
-              if (isCRDoc && aiEnabled) {
-                try {
-                  const impactedAreas = await llmAnswerQuestion(
-                    docContent.content,
-                    'List all impacted areas, affected modules, systems, screens, APIs, and components mentioned in this document. Format as a concise bullet list. If specific module names, screen names, or API names are mentioned, include them.',
-                    doc.name
-                  );
-                  if (impactedAreas && !impactedAreas.toLowerCase().includes('not found') && !impactedAreas.toLowerCase().includes('not mentioned')) {
-                    botResponse += `\n**🎯 Impacted Areas:**\n${impactedAreas}\n`;
-                  }
-                } catch (impactErr) {
-                  console.log('Could not extract impacted areas:', impactErr);
-                }
-              }
-            } else {
-              // No content extracted, show metadata only
-              botResponse += `**📋 Document Summary:**\n`;
-              botResponse += `• Type: ${getFileType(doc.name)}\n`;
-              if (docContent.size) {
-                const kb = docContent.size / 1024;
-                const size = kb > 1024 ? (kb / 1024).toFixed(1) + ' MB' : Math.round(kb) + ' KB';
-                botResponse += `• Size: ${size}\n`;
-              }
-              botResponse += `• Modified: ${docContent.lastModified || 'N/A'}\n`;
-              if (docContent.lastModifiedBy) {
-                botResponse += `• Last edited by: ${docContent.lastModifiedBy}\n`;
-              }
-
-              // For Office documents, suggest opening to view content
-              if (['docx', 'doc', 'xlsx', 'xls', 'pptx', 'ppt', 'pdf'].includes(ext)) {
-                botResponse += `\n_Note: Click "Open" below to view full content in OneDrive._\n`;
-              }
-            }
-
-            botResponse += `\n**📂 Path:**\n${docContent.path}`;
-
-            // Add numbered Q&A suggestions
-            if (aiEnabled && docContent.content && docContent.content.length > 50) {
-              const numberedQuestions = [];
-              try {
-                const suggestedQs = await llmAnswerQuestion(
-                  docContent.content,
-                  'Based on this document, suggest exactly 3 short questions a user might ask. Return ONLY the 3 questions, one per line, without numbering or bullet points.',
-                  doc.name
-                );
-                if (suggestedQs) {
-                  const questions = suggestedQs.split('\n').map(q => q.trim()).filter(q => q.length > 0).slice(0, 3);
-                  numberedQuestions.push(...questions);
-                }
-              } catch (err) {
-                console.log('Could not generate suggested questions:', err);
-              }
-
-              // CR documents also get layman and task breakdown suggestions
-              if (isCRDoc) {
-                numberedQuestions.push('Simplify this CR in simple words.');
-                numberedQuestions.push('Break down tasks for dev assignment');
-              }
-
-              if (numberedQuestions.length > 0) {
-                lastSuggestedQuestionsRef.current = numberedQuestions;
-                lastFileListRef.current = [];
-                botResponse += `\n\n💡 **Ask me questions about this document!**`;
-                botResponse += `\n_Enter a number to ask:_`;
-                numberedQuestions.forEach((q, i) => {
-                  botResponse += `\n_${i + 1}. ${q}_`;
-                });
-              }
-            }
-
-            if (results.length > 1) {
-              lastSearchResultsRef.current = results;
-              botResponse += `\n\n_${results.length - 1} more file(s) found. Ask "show all files" to see more._`;
-            }
-          } else {
-            // Could not read content, show basic info
-            botResponse = `📄 **${doc.name}**\n\n`;
-            botResponse += `I found the document but couldn't read its content.\n\n`;
-            botResponse += `**Path:** ${doc.path}\n`;
-            botResponse += `Click "Open" below to view in OneDrive.`;
-            newSourceDocs = [doc];
-            setSourceDocuments([doc]);
-          }
-          }
-      } else {
-        botResponse = `I couldn't find a document matching "${searchTerms.join(', ')}".\n\nTry:\n• Different keywords\n• Just the CR number (e.g., "19637")\n• "Read Arogya document"`;
-      }
-
-      if (searchTerms.length === 0) {
-        botResponse = `Please specify which document you want me to read.\n\nExamples:\n• "Read CR 19637"\n• "Summarize health policy file"\n• "What is in the product sheet?"`;
-      }
-
-      setCurrentContext(null);
-    }
-    // Check if user wants to generate/create a PM document (independent of active document)
-    else if (['generate pm', 'create pm', 'pm document', 'impact analysis document'].some(p => lowerMessage.includes(p))) {
-      setIsTyping(false);
-      handleGeneratePMDoc();
+  // Read a search result or recent file and add it to the Q&A working set
+  const handleAddToWorkingSet = async (doc) => {
+    if (!doc || !doc.id || doc.isFolder) return;
+    if (workingSet.some(d => d.id === doc.id)) {
+      setMessages(prev => [...prev, { type: 'bot', text: `"${doc.name}" is already in your working set.` }]);
       return;
     }
-    // Check if it's a follow-up question about the active document
-    else if (aiEnabled && activeDocument && isDocumentQuestion(userMessage)) {
-      console.log('Document Q&A detected for:', activeDocument.name);
-
-      const lowerMsg = userMessage.toLowerCase();
-      const isLaymanRequest = ['simplify', 'layman', 'simple terms', 'plain language', 'non-technical', 'easy to understand'].some(p => lowerMsg.includes(p));
-      const isTaskBreakdown = ['break down', 'task breakdown', 'dev assignment', 'assign to dev', 'development tasks', 'dev tasks'].some(p => lowerMsg.includes(p));
-
-      let answer;
-      if (isLaymanRequest) {
-        answer = await llmAnswerQuestion(
-          activeDocument.content,
-          'Explain this change request in simple, non-technical language that anyone can understand. Describe what is changing, why it matters, and what the end result will be for the users or the business. Keep it to 4-6 sentences. Avoid all technical jargon.',
-          activeDocument.name
-        );
-        if (answer) {
-          botResponse = `**💬 In Simple Terms — "${activeDocument.name}":**\n\n${answer}`;
-        }
-      } else if (isTaskBreakdown) {
-        answer = await llmAnswerQuestion(
-          activeDocument.content,
-          'Break down this change request into specific development tasks that can be assigned to developers. For each task include: task title, brief description of what needs to be done, and the module/area it belongs to. Format as a numbered list. Be specific and actionable.',
-          activeDocument.name
-        );
-        if (answer) {
-          botResponse = `**📋 Task Breakdown for Dev Assignment — "${activeDocument.name}":**\n\n${answer}`;
-        }
-      } else {
-        answer = await answerDocumentQuestion(userMessage);
-      }
-
-      if (answer) {
-        if (!botResponse) {
-          botResponse = `**📄 Answer from "${activeDocument.name}":**\n\n${answer}`;
-        }
-        botResponse += `\n\n💡 _Ask more questions or say "new document" to search for another file._`;
-
-        // Keep the same source documents
-        newSourceDocs = sourceDocuments;
-      } else {
-        botResponse = `I couldn't find an answer to that question in the document. Try rephrasing or ask a different question.`;
-      }
-
-      // Update conversation history for context
-      setConversationHistory(prev => [
-        ...prev.slice(-6),
-        { role: 'user', content: userMessage },
-        { role: 'assistant', content: botResponse }
-      ]);
-    }
-    // Check if asking for images or videos
-    else if (isMediaRequest(userMessage)) {
-      const mediaType = getMediaType(userMessage);
-      const searchTerms = extractSearchTerms(userMessage);
-      const searchTerm = searchTerms.length > 0 ? searchTerms[0] : '';
-
-      console.log('Media request detected:', { mediaType, searchTerms, searchTerm });
 
-      // Use a generic term if no specific search term found
-      const queryTerm = searchTerm || (mediaType === 'video' ? 'video' : 'image');
-      const results = await searchMediaFiles(queryTerm, mediaType);
-
-      console.log('Media search results:', results.length);
-
-      if (results.length > 0) {
-        // Show up to 5 only if using plural/multiple keywords (images, videos, all, list)
-        const lowerMsg = userMessage.toLowerCase();
-        const multipleKeywords = ['images', 'videos', 'photos', 'pictures', 'all', 'list', 'every'];
-        const showMultiple = multipleKeywords.some(kw => lowerMsg.includes(kw));
-        const requestedMediaCount = getRequestedCount(userMessage);
-        const maxFiles = requestedMediaCount || (showMultiple ? 5 : 1);
-
-        console.log('Multiple check:', { lowerMsg, showMultiple, maxFiles });
-
-        const displayResults = results.slice(0, maxFiles);
-
-        newSourceDocs = displayResults;
-        setSourceDocuments(displayResults);
-        lastFileListRef.current = displayResults;
-
-        const mediaLabel = mediaType === 'video' ? 'video(s)' : mediaType === 'image' ? 'image(s)' : 'media file(s)';
-
-        if (showMultiple || requestedMediaCount) {
-          botResponse = `I found **${results.length} ${mediaLabel}**${searchTerm ? ` related to "${searchTerm}"` : ''}${requestedMediaCount ? ` (showing ${displayResults.length})` : ''}:\n\n`;
-        } else {
-          botResponse = `Here's ${mediaType === 'video' ? 'a video' : 'an image'}${searchTerm ? ` related to "${searchTerm}"` : ''}:\n\n`;
-        }
-
-        // Media will be rendered separately in the message
-        displayResults.forEach((doc, idx) => {
-          if (showMultiple || requestedMediaCount) {
-            botResponse += `**${idx + 1}. ${doc.name}**\n`;
-          } else {
-            botResponse += `**${doc.name}**\n`;
-          }
-          botResponse += `📂 ${doc.path}\n\n`;
-        });
-
-        if (results.length > maxFiles) {
-          botResponse += `_...and ${results.length - maxFiles} more ${mediaLabel} available._\n`;
-        }
-        if (displayResults.length > 1) {
-          botResponse += `\n💡 **Type a number (e.g. "1") to summarize that ${mediaType === 'video' ? 'video' : 'file'}.**`;
-        }
-      } else {
-        botResponse = `I couldn't find any ${mediaType === 'video' ? 'videos' : mediaType === 'image' ? 'images' : 'media files'}${searchTerm ? ` matching "${searchTerm}"` : ''} in your OneDrive.\n\nTry:\n• Different keywords\n• "Show my images" or "Show my videos"`;
-      }
-
-      setCurrentContext(null);
-    }
-    // Check if asking for source
-    else if (lowerMessage.includes('source') || (lowerMessage.includes('share') && !lowerMessage.includes('sharepoint'))) {
-      if (sourceDocuments.length > 0) {
-        botResponse = await handleSourceRequest();
-      } else if (currentContext?.lastSourceFile) {
-        // Search for the source file
-        const doc = await findSourceDocument(currentContext.lastSourceFile);
-        if (doc) {
-          newSourceDocs = [doc];
-          setSourceDocuments([doc]);
-          botResponse = `**Source:**\n📄 ${doc.name}\n📂 Location: ${doc.path}`;
-        } else {
-          botResponse = `Source: ${currentContext.lastSourceFile}.docx – Check the relevant department folder.`;
-        }
-      } else {
-        botResponse = "I don't have a specific source for the previous response. Could you ask a question first?";
-      }
-    }
-    // Check if it's a file search request
-    else if (isFileSearchRequest(userMessage)) {
-      const searchTerms = extractSearchTerms(userMessage);
-
-      if (searchTerms.length > 0) {
-        let allResults = [];
-
-        // Search for each term
-        for (const term of searchTerms) {
-          const results = await searchDocuments(term);
-          allResults = [...allResults, ...results];
-        }
-
-        // Remove duplicates by id
-        const uniqueResults = allResults.filter((file, index, self) =>
-          index === self.findIndex(f => f.id === file.id)
-        );
-
-        // Filter based on user request (folders, documents only, etc.)
-        const filteredResults = applyFileFilters(uniqueResults, userMessage);
-
-        if (filteredResults.length > 0) {
-          // Determine how many files to show based on user request
-          const showMultiple = wantsMultipleFiles(userMessage);
-          const requestedCount = getRequestedCount(userMessage);
-          const maxFiles = requestedCount || (showMultiple ? 5 : 1);
-          const displayResults = filteredResults.slice(0, maxFiles);
-
-          newSourceDocs = displayResults;
-          setSourceDocuments(displayResults);
-
-          // Store the displayed list for number selection
-          lastFileListRef.current = displayResults;
-
-          // Helper to get file type description
-          const getFileTypeDesc = (name) => {
-            const ext = name.split('.').pop()?.toLowerCase();
-            const typeMap = {
-              'docx': 'Word Document', 'doc': 'Word Document',
-              'xlsx': 'Excel Spreadsheet', 'xls': 'Excel Spreadsheet',
-              'pptx': 'PowerPoint Presentation', 'ppt': 'PowerPoint Presentation',
-              'pdf': 'PDF Document', 'txt': 'Text File',
-              'png': 'Image', 'jpg': 'Image', 'jpeg': 'Image', 'gif': 'Image',
-              'mp4': 'Video', 'mov': 'Video', 'avi': 'Video',
-              'mp3': 'Audio', 'wav': 'Audio',
-              'zip': 'Archive', 'rar': 'Archive'
-            };
-            return typeMap[ext] || 'File';
-          };
-
-          // Helper to format size
-          const formatSize = (bytes) => {
-            if (!bytes) return '';
-            const kb = bytes / 1024;
-            return kb > 1024 ? (kb / 1024).toFixed(1) + ' MB' : Math.round(kb) + ' KB';
-          };
-
-          if (showMultiple || requestedCount) {
-            botResponse = `I found **${filteredResults.length} file(s)** related to "${searchTerms.join(', ')}"${requestedCount ? ` (showing ${displayResults.length})` : ''}:\n\n`;
-            displayResults.forEach((doc, idx) => {
-              const fileType = getFileTypeDesc(doc.name);
-              const size = formatSize(doc.size);
-              botResponse += `**${idx + 1}. ${doc.name}**\n`;
-              botResponse += `   📄 ${fileType}${size ? ` • ${size}` : ''}\n`;
-              botResponse += `   📂 ${doc.path}\n`;
-              botResponse += `   📅 Modified: ${doc.date || 'N/A'}${doc.sharedBy ? ` • By: ${doc.sharedBy}` : ''}\n\n`;
-            });
-            if (filteredResults.length > maxFiles) {
-              botResponse += `_...and ${filteredResults.length - maxFiles} more files._\n`;
-            }
-            botResponse += `\n💡 **Type a number (e.g. "3") to summarize that document.**`;
-          } else {
-            // Single file response with summary
-            const doc = displayResults[0];
-            const fileType = getFileTypeDesc(doc.name);
-            const size = formatSize(doc.size);
-
-            botResponse = `Here's the file for "${searchTerms.join(', ')}":\n\n`;
-            botResponse += `📄 **${doc.name}**\n\n`;
-            botResponse += `**Summary:**\n`;
-            botResponse += `• Type: ${fileType}\n`;
-            if (size) botResponse += `• Size: ${size}\n`;
-            botResponse += `• Modified: ${doc.date || 'N/A'}\n`;
-            if (doc.sharedBy) botResponse += `• Owner: ${doc.sharedBy}\n`;
-            botResponse += `\n**Path:**\n📂 ${doc.path}\n`;
-
-            if (filteredResults.length > 1) {
-              botResponse += `\n_${filteredResults.length - 1} more file(s) available. Ask "show all files" or "list files" to see more._`;
-            }
-          }
-        } else {
-          botResponse = `I couldn't find any files matching "${searchTerms.join(', ')}" in your OneDrive.\n\nPlease check:\n• The file name spelling\n• If the file exists in your accessible folders\n• Try different search terms`;
-        }
-      } else {
-        botResponse = "Please specify what files you're looking for. For example:\n• 'Show Arogya Sanjeevani files'\n• 'Find Top up product documents'\n• 'Search health policy'";
+    setIsTyping(true);
+    let entry = null;
+    if (isVideoFile(doc.name)) {
+      const transcriptData = await readVideoTranscript(doc);
+      if (transcriptData && transcriptData.hasTranscript && transcriptData.content) {
+        entry = { id: doc.id, name: doc.name, content: transcriptData.content, path: doc.path, isVideo: true };
       }
-
-      setCurrentContext(null);
-    }
-    // Check if we have an active context for follow-up
-    else if (currentContext) {
-      const followUpResult = processFollowUp(userMessage, currentContext);
-
-      if (followUpResult) {
-        botResponse = followUpResult.response;
-
-        // Search for source document
-        if (followUpResult.sourceFile) {
-          const doc = await findSourceDocument(followUpResult.sourceFile);
-          if (doc) {
-            newSourceDocs = [doc];
-            setSourceDocuments([doc]);
-          }
-          setCurrentContext({
-            ...currentContext,
-            lastSourceFile: followUpResult.sourceFile,
-            resolved: true
-          });
-        }
-      } else {
-        // Try finding new topic
-        const match = findKnowledgeMatch(userMessage);
-        if (match) {
-          botResponse = match.initialResponse;
-          setCurrentContext({ ...match, lastSourceFile: null });
-          setSourceDocuments([]);
-        } else {
-          // Try file search as fallback
-          const searchTerms = extractSearchTerms(userMessage);
-          if (searchTerms.length > 0) {
-            const results = await searchDocuments(searchTerms[0]);
-            const filteredResultsCtx = applyFileFilters(results, userMessage);
-            if (filteredResultsCtx.length > 0) {
-              const showMultiple = wantsMultipleFiles(userMessage);
-              const requestedCount = getRequestedCount(userMessage);
-              const maxFiles = requestedCount || (showMultiple ? 5 : 1);
-              const displayResults = filteredResultsCtx.slice(0, maxFiles);
-              newSourceDocs = displayResults;
-              setSourceDocuments(displayResults);
-              lastFileListRef.current = displayResults;
-
-              const getFileType = (name) => {
-                const ext = name.split('.').pop()?.toLowerCase();
-                const types = { 'docx': 'Word', 'xlsx': 'Excel', 'pptx': 'PowerPoint', 'pdf': 'PDF', 'txt': 'Text' };
-                return types[ext] || 'File';
-              };
-
-              if (showMultiple || requestedCount) {
-                botResponse = `I found **${filteredResultsCtx.length} file(s)** that might be relevant:\n\n`;
-                displayResults.forEach((doc, idx) => {
-                  botResponse += `**${idx + 1}. ${doc.name}**\n`;
-                  botResponse += `   📄 ${getFileType(doc.name)} • 📂 ${doc.path}\n\n`;
-                });
-                if (filteredResultsCtx.length > maxFiles) {
-                  botResponse += `_...and ${filteredResultsCtx.length - maxFiles} more files._\n`;
-                }
-                botResponse += `\n💡 **Type a number (e.g. "3") to summarize that document.**`;
-              } else {
-                const doc = displayResults[0];
-                botResponse = `Here's a relevant file:\n\n📄 **${doc.name}**\n\n`;
-                botResponse += `**Summary:**\n• Type: ${getFileType(doc.name)}\n• Path: ${doc.path}`;
-                if (filteredResultsCtx.length > 1) {
-                  botResponse += `\n\n_${filteredResultsCtx.length - 1} more file(s) available. Ask "show all files" to see more._`;
-                }
-              }
-            } else {
-              botResponse = "I'm not sure I understand. Could you please rephrase your question or try searching for specific file names?";
-            }
-          } else {
-            botResponse = "I'm not sure I understand. Could you please rephrase your question or provide more details?";
-          }
-        }
+    } else {
+      const docContent = await readDocument(doc.id, doc.name);
+      if (docContent && docContent.content && docContent.content.length > 50) {
+        entry = {
+          id: doc.id,
+          name: doc.name,
+          content: docContent.content,
+          locations: docContent.locations,
+          path: docContent.path,
+        };
       }
     }
-    // Check for new topic
-    else {
-      const match = findKnowledgeMatch(userMessage);
-
-      if (match) {
-        botResponse = match.initialResponse;
-        setCurrentContext({ ...match, lastSourceFile: null });
-        setSourceDocuments([]);
-      } else {
-        // Try file search
-        const searchTerms = extractSearchTerms(userMessage);
-        if (searchTerms.length > 0) {
-          const results = await searchDocuments(searchTerms[0]);
-          const filteredResultsElse = applyFileFilters(results, userMessage);
-          if (filteredResultsElse.length > 0) {
-            const showMultiple = wantsMultipleFiles(userMessage);
-            const requestedCount = getRequestedCount(userMessage);
-            const maxFiles = requestedCount || (showMultiple ? 5 : 1);
-            const displayResults = filteredResultsElse.slice(0, maxFiles);
-            newSourceDocs = displayResults;
-            setSourceDocuments(displayResults);
-            lastFileListRef.current = displayResults;
-
-            const getFileType = (name) => {
-              const ext = name.split('.').pop()?.toLowerCase();
-              const types = { 'docx': 'Word Document', 'xlsx': 'Excel Spreadsheet', 'pptx': 'PowerPoint', 'pdf': 'PDF', 'txt': 'Text File' };
-              return types[ext] || 'File';
-            };
-            const formatSize = (bytes) => {
-              if (!bytes) return '';
-              const kb = bytes / 1024;
-              return kb > 1024 ? (kb / 1024).toFixed(1) + ' MB' : Math.round(kb) + ' KB';
-            };
-
-            if (showMultiple || requestedCount) {
-              botResponse = `I found **${filteredResultsElse.length} file(s)** matching your query:\n\n`;
-              displayResults.forEach((doc, idx) => {
-                const size = formatSize(doc.size);
-                botResponse += `**${idx + 1}. ${doc.name}**\n`;
-                botResponse += `   📄 ${getFileType(doc.name)}${size ? ` • ${size}` : ''}\n`;
-                botResponse += `   📂 ${doc.path}\n`;
-                botResponse += `   📅 ${doc.date || 'N/A'}${doc.sharedBy ? ` • ${doc.sharedBy}` : ''}\n\n`;
-              });
-              if (filteredResultsElse.length > maxFiles) {
-                botResponse += `_...and ${filteredResultsElse.length - maxFiles} more files._\n`;
-              }
-              botResponse += `\n💡 **Type a number (e.g. "3") to summarize that document.**`;
-            } else {
-              const doc = displayResults[0];
-              const size = formatSize(doc.size);
-              botResponse = `Here's the file matching your query:\n\n`;
-              botResponse += `📄 **${doc.name}**\n\n`;
-              botResponse += `**Summary:**\n`;
-              botResponse += `• Type: ${getFileType(doc.name)}\n`;
-              if (size) botResponse += `• Size: ${size}\n`;
-              botResponse += `• Modified: ${doc.date || 'N/A'}\n`;
-              if (doc.sharedBy) botResponse += `• Owner: ${doc.sharedBy}\n`;
-              botResponse += `\n**Path:**\n📂 ${doc.path}`;
-              if (filteredResultsElse.length > 1) {
-                botResponse += `\n\n_${filteredResultsElse.length - 1} more file(s) available. Ask "show all files" or "list files" to see more._`;
-              }
-            }
-          } else {
-            botResponse = `I couldn't find files matching "${userMessage}".\n\nTry:\n• Different keywords\n• Product names like "Arogya", "Sanjeevani", "Top up"\n• Or ask about company policies`;
-          }
-        } else {
-          // If AI is enabled, try getting a conversational response
-          if (aiEnabled) {
-            try {
-              console.log('Getting AI chat response for:', userMessage, 'using:', aiProvider);
-              botResponse = await llmGetChatResponse(userMessage, conversationHistory);
-              // Update conversation history
-              setConversationHistory(prev => [
-                ...prev.slice(-8), // Keep last 8 messages
-                { role: 'user', content: userMessage },
-                { role: 'assistant', content: botResponse }
-              ]);
-            } catch (error) {
-              console.log('AI chat failed:', error);
-              botResponse = `I'm sorry, I couldn't process your request. Try asking:
-• "Show Arogya Sanjeevani file"
-• "Find Top up product"
-• "Summarize health policy"`;
-            }
-          } else {
-            botResponse = `I'm sorry, I couldn't find specific information about "${userMessage}".
+    setIsTyping(false);
 
-Try asking:
-• "Show Arogya Sanjeevani file"
-• "Find Top up product"
-• "List all health policy files"
-• Or ask about project approval, leave policy, expenses`;
-          }
-        }
-      }
+    if (!entry) {
+      setMessages(prev => [...prev, { type: 'bot', text: `I couldn't read any text from "${doc.name}", so it wasn't added.` }]);
+      return;
     }
 
-    // Simulate typing delay
-    await new Promise(resolve => setTimeout(resolve, 500 + Math.random() * 500));
-
-    setIsTyping(false);
+    addToWorkingSet(entry);
+    const count = Math.min(workingSet.length + 1, MAX_WORKING_SET);
     setMessages(prev => [...prev, {
       type: 'bot',
-      text: botResponse,
-      sources: newSourceDocs
+      text: `📚 Added "${doc.name}" to your working set (${count} document${count > 1 ? 's' : ''}).${count > 1 ? '\n\nAsk a question to search across them, or say "compare these".' : ''}`,
     }]);
   };
 
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter' && !e.shiftKey) {
-      e.preventDefault();
-      handleSend();
-    }
-  };
-
-  const openDocument = (url) => {
-    if (url) {
-      window.open(url, '_blank');
-    }
-  };
-
   const openFileLocation = async (doc) => {
     if (!doc) return;
     console.log('Opening file location for:', doc.name, 'id:', doc.id);
@@ -1620,6 +913,7 @@ Try asking:
     setMessages(prev => [...prev, { type: 'user', text: `Upload "${file.name}" to ${folder.name}` }]);
     setIsTyping(true);
     setUploadProgress(0);
+    clearLastAnsweredProvider();
 
     try {
       const tokenResponse = await instance.acquireTokenSilent({
@@ -1649,7 +943,8 @@ Try asking:
         const docContent = await getDocumentContent(
           tokenResponse.accessToken,
           uploadedItem.id,
-          file.name
+          file.name,
+          { onProgress: ocrProgressFor(file.name) }
         );
 
         if (docContent) {
@@ -1665,17 +960,23 @@ Try asking:
           setSourceDocuments(newSourceDocs);
 
           if (docContent.content && docContent.content.length > 50) {
-            setActiveDocument({
+            addToWorkingSet({
               id: uploadedItem.id,
               name: file.name,
               content: docContent.content,
+              locations: docContent.locations,
               path: docContent.path,
             });
 
             botResponse += `📄 **${file.name}**\n\n`;
 
             // AI summary
-            const summary = await generateSummary(docContent.content, file.name);
+            const summary = await generateSummary(
+              docContent.content,
+              file.name,
+              aiEnabled ? streamBotMessage(`${botResponse}**📝 Document Summary:**\n`) : null,
+              cacheFor(docContent, 'summary')
+            );
             if (summary) {
               botResponse += `**📝 ${aiEnabled ? 'Document Summary' : 'Content Preview'}:**\n${summary}\n`;
             }
@@ -1683,53 +984,14 @@ Try asking:
             // For CR documents, extract impacted areas
             const isCRDoc = /CR[\s\-_]*\d+/i.test(file.name);
             if (isCRDoc && aiEnabled) {
-              try {
-                const impactedAreas = await llmAnswerQuestion(
-                  docContent.content,
-                  'List all impacted areas, affected modules, systems, screens, APIs, and components mentioned in this document. Format as a concise bullet list. If specific module names, screen names, or API names are mentioned, include them.',
-                  file.name
-                );
-                if (impactedAreas && !impactedAreas.toLowerCase().includes('not found') && !impactedAreas.toLowerCase().includes('not mentioned')) {
-                  botResponse += `\n**🎯 Impacted Areas:**\n${impactedAreas}\n`;
-                }
-              } catch (impactErr) {
-                console.log('Could not extract impacted areas:', impactErr);
-              }
+              botResponse += await extractImpactedAreas(docContent, file.name, botResponse, { streamBotMessage });
             }
 
             botResponse += `\n**📂 Path:**\n${docContent.path}`;
 
             // Numbered Q&A suggestions
             if (aiEnabled) {
-              const numberedQuestions = [];
-              try {
-                const suggestedQs = await llmAnswerQuestion(
-                  docContent.content,
-                  'Based on this document, suggest exactly 3 short questions a user might ask. Return ONLY the 3 questions, one per line, without numbering or bullet points.',
-                  file.name
-                );
-                if (suggestedQs) {
-                  const questions = suggestedQs.split('\n').map(q => q.trim()).filter(q => q.length > 0).slice(0, 3);
-                  numberedQuestions.push(...questions);
-                }
-              } catch (err) {
-                console.log('Could not generate suggested questions:', err);
-              }
-
-              if (isCRDoc) {
-                numberedQuestions.push('Simplify this CR in layman terms');
-                numberedQuestions.push('Break down tasks for dev assignment');
-              }
-
-              if (numberedQuestions.length > 0) {
-                lastSuggestedQuestionsRef.current = numberedQuestions;
-                lastFileListRef.current = [];
-                botResponse += `\n\n💡 **Ask me questions about this document!**`;
-                botResponse += `\n_Enter a number to ask:_`;
-                numberedQuestions.forEach((q, i) => {
-                  botResponse += `\n_${i + 1}. ${q}_`;
-                });
-              }
+              botResponse += await suggestQuestions(docContent, file.name, isCRDoc, { lastSuggestedQuestionsRef, lastFileListRef });
             }
           } else {
             // No content extracted, show metadata
@@ -1767,16 +1029,13 @@ Try asking:
         setSourceDocuments(newSourceDocs);
       }
 
-      setIsTyping(false);
-      setMessages(prev => [...prev, { type: 'bot', text: botResponse, sources: newSourceDocs }]);
+      finishBotMessage({ text: botResponse, sources: newSourceDocs });
     } catch (uploadErr) {
       console.error('Upload error:', uploadErr);
       setUploadProgress(null);
-      setIsTyping(false);
-      setMessages(prev => [...prev, {
-        type: 'bot',
+      finishBotMessage({
         text: `Upload failed: ${uploadErr.message}\n\nPlease try again or check your permissions.`,
-      }]);
+      });
     }
   };
 
@@ -1823,28 +1082,20 @@ Try asking:
       setIsTyping(true);
 
       try {
-        const extractPrompt = `Extract the following from this document and return ONLY valid JSON (no markdown, no code blocks):
-{
-  "pmNumber": "the PM number (digits only, e.g. 13366) - this is different from the CR number",
-  "crNumber": "the CR number (digits only, e.g. 19078)",
-  "issueDescription": "brief description of the issue or change",
-  "systemImpacts": [{"application": "app name", "components": "file/component names", "remarks": "what is impacted and why"}],
-  "risks": [{"assumptions": "key assumptions", "risks": "identified risks", "otherImpacts": "other impacts", "remarks": "additional notes"}]
-}`;
-
-        const aiResult = await llmAnswerQuestion(activeDocument.content, extractPrompt, activeDocument.name);
-
-        let prefill = {};
-        if (aiResult) {
-          try {
-            const cleaned = aiResult.replace(/```json?\s*/g, '').replace(/```\s*/g, '').trim();
-            prefill = JSON.parse(cleaned);
-          } catch (parseErr) {
-            console.log('Could not parse AI prefill JSON:', parseErr);
-          }
+        const prefill = await llmGenerateStructured(PM_PREFILL_SCHEMA, activeDocument.content, {
+          instructions: renderPrompt('pm.prefill'),
+          fileName: activeDocument.name,
+          feature: 'prefill',
+        });
+
+        if (!prefill) {
+          setMessages(prev => [...prev, {
+            type: 'bot',
+            text: `I couldn't extract the form details from "${activeDocument.name}". The form opens empty - please fill it in manually.`,
+          }]);
         }
 
-        setPmDocFormData(prefill);
+        setPmDocFormData(prefill || {});
         setShowPMDocForm(true);
       } catch (err) {
         console.error('PM doc prefill error:', err);
@@ -1888,6 +1139,51 @@ Try asking:
     }
   };
 
+  // ===== CHAT TRANSCRIPT EXPORT =====
+
+  const handleExportTranscript = async (format, mode) => {
+    setShowExportMenu(false);
+
+    // Skip the welcome message and anything still streaming
+    const exportable = messages.slice(1).filter(m => !m.streaming);
+    if (exportable.length === 0) {
+      setMessages(prev => [...prev, { type: 'bot', text: 'There is nothing to export yet - ask a question first.' }]);
+      return;
+    }
+    const title = conversations.find(c => c.id === conversationId)?.title;
+
+    if (format === 'pdf') {
+      if (!printTranscript(exportable, title)) {
+        setMessages(prev => [...prev, { type: 'bot', text: 'Could not open the print dialog. Try exporting to Word instead.' }]);
+      }
+      return;
+    }
+
+    try {
+      const { blob, fileName, mimeType } = await exportTranscript(exportable, format, title);
+
+      // Always download
+      saveAs(blob, fileName);
+
+      setMessages(prev => [...prev, {
+        type: 'bot',
+        text: `**${fileName}** has been downloaded.\n\n${mode === 'upload' ? 'Select a folder to upload...' : ''}`,
+      }]);
+
+      // If upload requested, open folder picker
+      if (mode === 'upload') {
+        setPendingUploadFile(new File([blob], fileName, { type: mimeType }));
+        setShowFolderPicker(true);
+      }
+    } catch (err) {
+      console.error('Transcript export error:', err);
+      setMessages(prev => [...prev, {
+        type: 'bot',
+        text: `Failed to export the chat: ${err.message}`,
+      }]);
+    }
+  };
+
   // Suggested questions for quick access
   const suggestedQuestions = [
     "Tell me about Arogya Sanjeevani Product",
@@ -1909,33 +1205,64 @@ Try asking:
       {/* Left Sidebar */}
       <aside className={`chat-sidebar ${showMobileSidebar ? 'mobile-open' : ''}`}>
         <div className="sidebar-tabs">
-          <button className="tab-btn active">Recent</button>
+          <button
+            className={`tab-btn ${sidebarTab === 'recent' ? 'active' : ''}`}
+            onClick={() => setSidebarTab('recent')}
+          >
+            Recent
+          </button>
+          <button
+            className={`tab-btn ${sidebarTab === 'chats' ? 'active' : ''}`}
+            onClick={() => setSidebarTab('chats')}
+          >
+            Chats
+          </button>
           <button className="mobile-sidebar-close" onClick={() => setShowMobileSidebar(false)}>✕</button>
         </div>
 
-        <div className="sidebar-documents">
-          {recentDocuments.length > 0 ? (
-            recentDocuments.slice(0, 8).map((doc, idx) => (
-              <div
-                key={idx}
-                className="sidebar-doc-item"
-                onClick={() => openDocument(doc.webUrl)}
-              >
-                <span className="doc-icon">📄</span>
-                <div className="doc-info">
-                  <span className="doc-name">{doc.name}</span>
-                  <br/>
-                  <span className="doc-date">📅{doc.date || 'Recently accessed'}</span>
+        {sidebarTab === 'chats' ? (
+          <ConversationHistory
+            conversations={conversations}
+            activeId={conversationId}
+            onSelect={handleSelectConversation}
+            onRename={handleRenameConversation}
+            onDelete={handleDeleteConversation}
+            onNewChat={handleNewChat}
+          />
+        ) : (
+          <div className="sidebar-documents">
+            {recentDocuments.length > 0 ? (
+              recentDocuments.slice(0, 8).map((doc, idx) => (
+                <div
+                  key={idx}
+                  className="sidebar-doc-item"
+                  onClick={() => openDocument(doc.webUrl)}
+                >
+                  <span className="doc-icon">📄</span>
+                  <div className="doc-info">
+                    <span className="doc-name">{doc.name}</span>
+                    <br/>
+                    <span className="doc-date">📅{doc.date || 'Recently accessed'}</span>
+                  </div>
+                  {aiEnabled && !doc.isFolder && (
+                    <button
+                      className="sidebar-doc-add"
+                      onClick={(e) => { e.stopPropagation(); handleAddToWorkingSet(doc); }}
+                      title="Add to working set"
+                    >
+                      ➕
+                    </button>
+                  )}
                 </div>
+              ))
+            ) : (
+              <div className="sidebar-empty">
+                <p>No recent documents</p>
+                <span>Your recently accessed files will appear here</span>
               </div>
-            ))
-          ) : (
-            <div className="sidebar-empty">
-              <p>No recent documents</p>
-              <span>Your recently accessed files will appear here</span>
-            </div>
-          )}
-        </div>
+            )}
+          </div>
+        )}
 
         <div className="fs-sidebar-footer">
           
@@ -1980,11 +1307,36 @@ Try asking:
               {isAuthenticated ? '● Connected' : '○ Not signed in'}
             </span>
           </div>
+          <div className="export-menu-wrapper">
+            <button
+              className="export-chat-btn"
+              onClick={() => setShowExportMenu(!showExportMenu)}
+              title="Export this chat"
+            >
+              ⬇ Export
+            </button>
+            {showExportMenu && (
+              <div className="export-menu">
+                {Object.entries(TRANSCRIPT_FORMATS).map(([format, { label }]) => (
+                  <button key={format} onClick={() => handleExportTranscript(format, 'download')}>
+                    {label}
+                  </button>
+                ))}
+                {isAuthenticated && (
+                  <>
+                    <div className="export-menu-divider" />
+                    <button onClick={() => handleExportTranscript('docx', 'upload')}>Word to OneDrive</button>
+                    <button onClick={() => handleExportTranscript('md', 'upload')}>Markdown to OneDrive</button>
+                  </>
+                )}
+              </div>
+            )}
+          </div>
         </div>
 
         <div className="chat-messages-dark">
           {messages.map((msg, idx) => (
-            <div key={idx} className={`message-dark ${msg.type}`}>
+            <div key={msg.id || idx} className={`message-dark ${msg.type}${msg.streaming ? ' streaming' : ''}`}>
               {msg.type === 'bot' && (
                 <div className="message-avatar">
                   <span>🤖</span>
@@ -1996,6 +1348,55 @@ Try asking:
                     <p key={i}>{line}</p>
                   ))}
                 </div>
+                {/* Agent tool calls, in the order they ran */}
+                {msg.agentTrace && msg.agentTrace.length > 0 && (
+                  <details className="agent-trace" open={msg.streaming}>
+                    <summary>🛠 {msg.agentTrace.length} tool call{msg.agentTrace.length > 1 ? 's' : ''}</summary>
+                    <ol>
+                      {msg.agentTrace.map((entry, i) => (
+                        <li key={i} className={`agent-trace-step ${entry.status}`}>
+                          <code>{entry.tool}({Object.entries(entry.arguments || {}).map(([k, v]) => `${k}: ${JSON.stringify(v)}`).join(', ')})</code>
+                          <span className="agent-trace-result">
+                            {entry.status === 'running' ? 'running…' : `→ ${entry.summary || entry.status}`}
+                            {entry.durationMs !== undefined && ` · ${(entry.durationMs / 1000).toFixed(1)}s`}
+                          </span>
+                        </li>
+                      ))}
+                    </ol>
+                  </details>
+                )}
+                {/* Citation chips - click to show the quoted source passage */}
+                {msg.citations && msg.citations.length > 0 && (
+                  <div className="message-citations">
+                    <span className="citations-label">
+                      {msg.citations[0].cited ? 'Sources:' : 'Related passages:'}
+                    </span>
+                    {msg.citations.map(citation => {
+                      const citationKey = `${msg.id || idx}-${citation.n}`;
+                      return (
+                        <button
+                          key={citation.n}
+                          className={`citation-chip${openCitation === citationKey ? ' active' : ''}`}
+                          onClick={() => setOpenCitation(openCitation === citationKey ? null : citationKey)}
+                          title="Show quoted passage"
+                        >
+                          [{citation.n}] {citation.location || `Section ${citation.n}`}
+                        </button>
+                      );
+                    })}
+                  </div>
+                )}
+                {msg.citations && msg.citations
+                  .filter(citation => openCitation === `${msg.id || idx}-${citation.n}`)
+                  .map(citation => (
+                    <div key={citation.n} className="citation-passage">
+                      <div className="citation-passage-header">
+                        <span>[{citation.n}] {citation.location || `Section ${citation.n}`}</span>
+                        <button onClick={() => setOpenCitation(null)}>✕</button>
+                      </div>
+                      <p>{highlightPassage(citation.text, msg.citationQuery)}</p>
+                    </div>
+                  ))}
                 {/* Display media (images and videos) */}
                 {msg.sources && msg.sources.length > 0 && msg.sources.some(doc => doc.isImage || doc.isVideo) && (
                   <div className="message-media-dark">
@@ -2119,12 +1520,34 @@ Try asking:
                             >
                               📁
                             </button>
+                            {aiEnabled && !doc.isFolder && (
+                              <button
+                                className="file-location-btn"
+                                onClick={() => handleAddToWorkingSet(doc)}
+                                title="Add to working set"
+                              >
+                                ➕
+                              </button>
+                            )}
                           </div>
                         </div>
                       );
                     })}
                   </div>
                 )}
+                {msg.answeredBy && (
+                  <span className={`message-provider ${msg.answeredBy.failover ? 'failover' : ''}`}>
+                    {msg.answeredBy.cached ? '⚡ Cached from ' : msg.answeredBy.budgetFallback ? '💰 Over budget, used ' : msg.answeredBy.failover ? '↪ Failover: ' : 'via '}{msg.answeredBy.name}
+                  </span>
+                )}
+                {msg.answeredBy?.budgetWarning && (
+                  <span className="message-budget-warning">⚠️ {msg.answeredBy.budgetWarning}</span>
+                )}
+                {msg.answeredBy && msg.prompts?.length > 0 && (
+                  <span className="message-prompts" title={msg.prompts.join('\n')}>
+                    📝 {msg.prompts.join(', ')}
+                  </span>
+                )}
                 <span className="message-time">{formatTime()}</span>
               </div>
               {msg.type === 'user' && (
@@ -2169,11 +1592,21 @@ Try asking:
           </div>
         )}
 
-        {/* Active document indicator for Q&A */}
-        {activeDocument && aiEnabled && (
+        {/* Working set indicator for Q&A */}
+        {workingSet.length > 0 && aiEnabled && (
           <div className="active-doc-bar">
-            <span>📄 Asking about: <strong>{activeDocument.name}</strong></span>
-            <button onClick={() => setActiveDocument(null)}>✕</button>
+            <span>{workingSet.length > 1 ? '📚 Asking across:' : '📄 Asking about:'}</span>
+            <div className="working-set-chips">
+              {workingSet.map(doc => (
+                <span key={doc.id} className={`working-set-chip${doc.id === activeDocument.id ? ' active' : ''}`}>
+                  {doc.name}
+                  <button onClick={() => removeFromWorkingSet(doc.id)} title="Remove from working set">✕</button>
+                </span>
+              ))}
+            </div>
+            {workingSet.length > 1 && (
+              <button className="working-set-clear" onClick={() => setWorkingSet([])}>Clear all</button>
+            )}
           </div>
         )}
 
@@ -2208,7 +1641,11 @@ Try asking:
               value={input}
               onChange={(e) => setInput(e.target.value)}
               onKeyPress={handleKeyPress}
-              placeholder={activeDocument ? `Ask about ${activeDocument.name}...` : "Type your question here..."}
+              placeholder={agentMode && aiEnabled
+                ? 'Ask the agent, e.g. "find the CR for KYC, read it and list the impacted APIs"'
+                : workingSet.length > 1
+                ? `Ask across ${workingSet.length} documents...`
+                : activeDocument ? `Ask about ${activeDocument.name}...` : "Type your question here..."}
               className="chat-input-field"
             />
           </div>
@@ -2271,6 +1708,87 @@ Try asking:
                   <p className="settings-no-llm">No AI providers available</p>
                 )}
               </div>
+              <div className="settings-section">
+                <h3>AI Providers</h3>
+                <p className="settings-description">Add providers, change endpoints, models and limits, and test the connection. Changes apply without a rebuild.</p>
+                <ProviderSettings availableProviders={availableLLMs} onChange={handleProviderSettingsChange} />
+              </div>
+              {availableLLMs.length > 1 && (
+                <div className="settings-section">
+                  <h3>Automatic Failover</h3>
+                  <p className="settings-description">If the selected provider fails or is rate-limited, try the next one in this order</p>
+                  <label className="settings-toggle">
+                    <input type="checkbox" checked={failoverOn} onChange={handleFailoverToggle} />
+                    Enable failover
+                  </label>
+                  {failoverOn && (
+                    <ol className="failover-chain">
+                      {failoverChain.map((providerId, idx) => {
+                        const llm = availableLLMs.find(p => p.id === providerId);
+                        const health = getProviderHealth(providerId);
+                        return (
+                          <li key={providerId} className="failover-item">
+                            <span className="failover-name">
+                              {llm?.icon} {llm?.name || providerId}
+                              {idx === 0 && <span className="failover-badge">Primary</span>}
+                            </span>
+                            <span className={`failover-health ${health.open ? 'open' : health.failures > 0 ? 'degraded' : ''}`}>
+                              {health.open
+                                ? `Paused ${Math.ceil(health.retryInMs / 1000)}s`
+                                : health.failures > 0 ? `${health.failures} failure(s)` : 'Healthy'}
+                            </span>
+                            {idx > 0 && (
+                              <span className="failover-actions">
+                                <button onClick={() => moveFailoverProvider(providerId, -1)} disabled={idx === 1} title="Move up">▲</button>
+                                <button onClick={() => moveFailoverProvider(providerId, 1)} disabled={idx === failoverChain.length - 1} title="Move down">▼</button>
+                              </span>
+                            )}
+                          </li>
+                        );
+                      })}
+                    </ol>
+                  )}
+                </div>
+              )}
+              {availableLLMs.some(p => p.id === LLM_PROVIDERS.OLLAMA) && (
+                <div className="settings-section">
+                  <h3>Local Models (Ollama)</h3>
+                  <p className="settings-description">Models pulled into your Ollama server. Pick the one to use, pull new ones or delete those you no longer need.</p>
+                  <OllamaModels />
+                </div>
+              )}
+              {availableLLMs.length > 0 && (
+                <div className="settings-section">
+                  <h3>Agent Mode</h3>
+                  <p className="settings-description">Let the AI search, read and chain OneDrive lookups on its own for multi-step requests. Each tool call is shown under the answer.</p>
+                  <label className="settings-toggle">
+                    <input type="checkbox" checked={agentMode} onChange={handleAgentModeToggle} />
+                    Enable agent mode
+                  </label>
+                </div>
+              )}
+              {availableLLMs.length > 0 && (
+                <div className="settings-section">
+                  <h3>Prompt Templates</h3>
+                  <p className="settings-description">Adjust the wording the AI is given for summaries, answers and CR analysis. Your version replaces the built-in one for everyone using this browser.</p>
+                  <PromptSettings />
+                </div>
+              )}
+              {availableLLMs.length > 0 && (
+                <div className="settings-section">
+                  <h3>AI Usage &amp; Budgets</h3>
+                  <p className="settings-description">Tokens, estimated cost and latency of every AI call made from this browser, with daily budgets per provider.</p>
+                  <UsagePanel availableProviders={availableLLMs} />
+                </div>
+              )}
+              <div className="settings-section">
+                <h3>Document Cache</h3>
+                <p className="settings-description">Text and AI summaries of documents you open are kept in this browser and reused until the file changes in OneDrive.</p>
+                <button className="settings-theme-btn" onClick={handleClearDocumentCache}>
+                  <span>🧹</span>
+                  Clear cached documents
+                </button>
+              </div>
               <div className="settings-section">
                 <h3>Appearance</h3>
                 <p className="settings-description">Customize the look and feel</p>
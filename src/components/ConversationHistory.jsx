@@ -0,0 +1,105 @@
+import { useState } from 'react';
+import { searchConversations } from '../services/conversationStore';
+import './ConversationHistory.css';
+
+const formatUpdated = (timestamp) => {
+  const date = new Date(timestamp);
+  const today = new Date();
+  return date.toDateString() === today.toDateString()
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString();
+};
+
+function ConversationHistory({ conversations, activeId, onSelect, onRename, onDelete, onNewChat }) {
+  const [query, setQuery] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+
+  const visible = searchConversations(conversations, query);
+
+  const startRename = (conversation) => {
+    setEditingId(conversation.id);
+    setDraftTitle(conversation.title);
+  };
+
+  const commitRename = () => {
+    if (editingId && draftTitle.trim()) {
+      onRename(editingId, draftTitle);
+    }
+    setEditingId(null);
+  };
+
+  const handleDelete = (conversation) => {
+    if (window.confirm(`Delete "${conversation.title}"? This cannot be undone.`)) {
+      onDelete(conversation.id);
+    }
+  };
+
+  return (
+    <div className="conversation-history">
+      <button className="conversation-new-btn" onClick={onNewChat}>+ New chat</button>
+      <input
+        type="text"
+        className="conversation-search"
+        placeholder="Search chats..."
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+      />
+
+      <div className="conversation-list">
+        {visible.length === 0 ? (
+          <div className="sidebar-empty">
+            <p>{query ? 'No matching chats' : 'No saved chats'}</p>
+            <span>{query ? 'Try a different search' : 'Your conversations are saved automatically'}</span>
+          </div>
+        ) : (
+          visible.map(conversation => (
+            <div
+              key={conversation.id}
+              className={`conversation-item ${conversation.id === activeId ? 'active' : ''}`}
+              onClick={() => editingId !== conversation.id && onSelect(conversation.id)}
+            >
+              {editingId === conversation.id ? (
+                <input
+                  className="conversation-rename-input"
+                  value={draftTitle}
+                  autoFocus
+                  onClick={(e) => e.stopPropagation()}
+                  onChange={(e) => setDraftTitle(e.target.value)}
+                  onBlur={commitRename}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') commitRename();
+                    if (e.key === 'Escape') setEditingId(null);
+                  }}
+                />
+              ) : (
+                <div className="conversation-info">
+                  <span className="conversation-title">{conversation.title}</span>
+                  <span className="conversation-meta">
+                    {formatUpdated(conversation.updatedAt)} · {conversation.messages?.length || 0} messages
+                  </span>
+                </div>
+              )}
+              <div className="conversation-actions">
+                <button
+                  onClick={(e) => { e.stopPropagation(); startRename(conversation); }}
+                  title="Rename"
+                >
+                  ✏️
+                </button>
+                <button
+                  onClick={(e) => { e.stopPropagation(); handleDelete(conversation); }}
+                  title="Delete"
+                >
+                  🗑️
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ConversationHistory;
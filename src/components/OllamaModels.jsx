@@ -0,0 +1,167 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  getOllamaModels,
+  pullOllamaModel,
+  deleteOllamaModel,
+  setOllamaModel,
+} from '../services/ollamaService';
+import { ollamaConfig } from '../config/ollamaConfig';
+import { formatFileSize } from '../services/graphService';
+import './OllamaModels.css';
+
+// Ollama treats "llama3" and "llama3:latest" as the same model
+function isSameModel(a, b) {
+  const withTag = (name) => (name.includes(':') ? name : `${name}:latest`);
+  return withTag(a) === withTag(b);
+}
+
+function OllamaModels() {
+  const [models, setModels] = useState(null); // null until loaded or when Ollama is unreachable
+  const [loading, setLoading] = useState(true);
+  const [activeModel, setActiveModel] = useState(ollamaConfig.model);
+  const [pullName, setPullName] = useState('');
+  const [pull, setPull] = useState(null); // { name, status, completed, total }
+  const [pulling, setPulling] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const pullController = useRef(null);
+
+  const refresh = async () => {
+    setLoading(true);
+    setModels(await getOllamaModels());
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    refresh();
+    return () => pullController.current?.abort();
+  }, []);
+
+  const handleSelect = async (name) => {
+    setBusy(true);
+    try {
+      await setOllamaModel(name);
+      setActiveModel(name);
+    } catch (error) {
+      console.error('Could not switch Ollama model:', error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePull = async () => {
+    const name = pullName.trim();
+    if (!name) return;
+    pullController.current = new AbortController();
+    setPulling(true);
+    setPull({ name, status: 'Starting download...' });
+    const ok = await pullOllamaModel(
+      name,
+      (progress) => setPull(prev => ({ ...prev, ...progress })),
+      pullController.current.signal
+    );
+    pullController.current = null;
+    setPulling(false);
+    if (ok) {
+      setPull(null);
+      setPullName('');
+      refresh();
+    } else {
+      setPull(prev => (prev?.status?.startsWith('Failed') ? prev : null));
+    }
+  };
+
+  const handleDelete = async (name) => {
+    if (!window.confirm(`Delete ${name} from Ollama? It will have to be pulled again to use it.`)) return;
+    setBusy(true);
+    if (!(await deleteOllamaModel(name))) {
+      window.alert(`Could not delete ${name}.`);
+    }
+    setBusy(false);
+    refresh();
+  };
+
+  if (!models) {
+    return (
+      <div className="ollama-models">
+        <p className="ollama-models-note">
+          {loading ? 'Loading models...' : `Ollama is not reachable at ${ollamaConfig.baseUrl}. Start it with "ollama serve".`}
+        </p>
+        {!loading && <button onClick={refresh}>Retry</button>}
+      </div>
+    );
+  }
+
+  const activeIsPulled = models.some(m => isSameModel(m.name, activeModel));
+  const percent = pull?.total ? Math.round(((pull.completed || 0) / pull.total) * 100) : null;
+
+  return (
+    <div className="ollama-models">
+      {models.length === 0 ? (
+        <p className="ollama-models-note">No models pulled yet. Pull one below, e.g. llama3 or mistral.</p>
+      ) : (
+        <table className="ollama-models-table">
+          <thead>
+            <tr><th>Use</th><th>Model</th><th>Family</th><th>Size</th><th>Modified</th><th></th></tr>
+          </thead>
+          <tbody>
+            {models.map(model => (
+              <tr key={model.name} className={isSameModel(model.name, activeModel) ? 'active' : ''}>
+                <td>
+                  <input
+                    type="radio"
+                    name="ollama-model"
+                    checked={isSameModel(model.name, activeModel)}
+                    onChange={() => handleSelect(model.name)}
+                    disabled={busy}
+                  />
+                </td>
+                <td>
+                  <code>{model.name}</code>
+                  {(model.parameterSize || model.quantization) && (
+                    <span className="ollama-model-details">{[model.parameterSize, model.quantization].filter(Boolean).join(' · ')}</span>
+                  )}
+                </td>
+                <td>{model.family || '—'}</td>
+                <td>{formatFileSize(model.size)}</td>
+                <td>{model.modifiedAt ? new Date(model.modifiedAt).toLocaleDateString('en-IN') : '—'}</td>
+                <td>
+                  <button className="danger" onClick={() => handleDelete(model.name)} disabled={busy || isSameModel(model.name, activeModel)}>
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {!activeIsPulled && (
+        <p className="ollama-models-warning">⚠️ The selected model "{activeModel}" is not pulled. Pull it or choose another.</p>
+      )}
+
+      <div className="ollama-pull">
+        <input
+          type="text"
+          value={pullName}
+          placeholder="Model to pull, e.g. mistral or llama3.1:8b"
+          onChange={(e) => setPullName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && !pulling && handlePull()}
+          disabled={pulling}
+        />
+        {pulling ? (
+          <button onClick={() => pullController.current?.abort()}>Cancel</button>
+        ) : (
+          <button className="primary" onClick={handlePull} disabled={!pullName.trim()}>Pull</button>
+        )}
+        <button onClick={refresh} disabled={loading}>Refresh</button>
+      </div>
+      {pull && (
+        <div className="ollama-pull-progress">
+          <span>{pull.name}: {pull.status}{percent !== null ? ` (${percent}%)` : ''}</span>
+          {percent !== null && <progress value={percent} max="100" />}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OllamaModels;
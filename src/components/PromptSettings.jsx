@@ -0,0 +1,161 @@
+import { useState, useRef } from 'react';
+import { saveAs } from 'file-saver';
+import {
+  getPromptTemplates,
+  validatePromptTemplate,
+  savePromptOverride,
+  resetPromptOverride,
+  exportPromptOverrides,
+  importPromptOverrides,
+} from '../services/promptLibrary';
+import './PromptSettings.css';
+
+const PARTS = [
+  { key: 'system', label: 'System prompt' },
+  { key: 'text', label: 'Prompt' },
+];
+
+function PromptSettings() {
+  const [templates, setTemplates] = useState(() => getPromptTemplates());
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState({});
+  const [status, setStatus] = useState(null); // { ok, message }
+  const [busy, setBusy] = useState(false);
+  const importInputRef = useRef(null);
+
+  const startEditing = (template) => {
+    setEditingId(template.id);
+    setDraft({ system: template.system, text: template.text });
+    setStatus(null);
+  };
+
+  const stopEditing = () => {
+    setEditingId(null);
+    setStatus(null);
+  };
+
+  // Run a library action, then refresh the list from the saved overrides
+  const runAction = async (action, doneMessage) => {
+    setBusy(true);
+    try {
+      const message = await action();
+      setTemplates(getPromptTemplates());
+      setEditingId(null);
+      setStatus(message ? { ok: true, message } : null);
+    } catch (error) {
+      console.error('Prompt template update failed:', error);
+      setStatus({ ok: false, message: `${doneMessage} failed: ${error.message}` });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = () => {
+    const error = validatePromptTemplate(editingId, draft);
+    if (error) {
+      setStatus({ ok: false, message: error });
+      return;
+    }
+    runAction(() => savePromptOverride(editingId, draft), 'Saving');
+  };
+
+  const handleReset = (template) => {
+    if (window.confirm(`Go back to the built-in "${template.name}" template? The team version will be deleted.`)) {
+      runAction(() => resetPromptOverride(template.id), 'Reset');
+    }
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([exportPromptOverrides()], { type: 'application/json' });
+    saveAs(blob, 'prompt-templates.json');
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // Let the same file be picked again
+    if (!file) return;
+    runAction(async () => {
+      const count = await importPromptOverrides(await file.text());
+      return `Imported ${count} template${count === 1 ? '' : 's'}.`;
+    }, 'Import');
+  };
+
+  const overriddenCount = templates.filter(t => t.overridden).length;
+
+  return (
+    <div className="prompt-settings">
+      <div className="prompt-settings-toolbar">
+        <span>{overriddenCount} of {templates.length} templates customized</span>
+        <button onClick={handleExport} disabled={busy || overriddenCount === 0}>Export</button>
+        <button onClick={() => importInputRef.current?.click()} disabled={busy}>Import</button>
+        <input ref={importInputRef} type="file" accept=".json,application/json" hidden onChange={handleImport} />
+      </div>
+
+      {status && !editingId && (
+        <p className={`prompt-status ${status.ok ? 'ok' : 'error'}`}>{status.message}</p>
+      )}
+
+      {templates.map(template => {
+        const isEditing = editingId === template.id;
+        return (
+          <div key={template.id} className={`prompt-card ${isEditing ? 'editing' : ''}`}>
+            <div className="prompt-card-header">
+              <span className="prompt-card-name">{template.name}</span>
+              <span className={`prompt-version ${template.overridden ? 'team' : ''}`}>
+                v{template.version}{template.overridden ? ` · team r${template.revision}` : ''}
+              </span>
+              {!isEditing && (
+                <button className="prompt-edit-btn" onClick={() => startEditing(template)} disabled={busy}>Edit</button>
+              )}
+            </div>
+            <p className="prompt-description">{template.description}</p>
+
+            {isEditing && (
+              <div className="prompt-form">
+                {PARTS.filter(part => template.defaults[part.key] !== undefined).map(part => (
+                  <label key={part.key} className="prompt-field">
+                    <span>{part.label}</span>
+                    <textarea
+                      value={draft[part.key] ?? ''}
+                      rows={part.key === 'system' ? 4 : 3}
+                      onChange={(e) => setDraft(prev => ({ ...prev, [part.key]: e.target.value }))}
+                    />
+                  </label>
+                ))}
+
+                {template.variables.length > 0 && (
+                  <p className="prompt-variables">
+                    Variables: {template.variables.map(name => <code key={name}>{`{${name}}`}</code>)}
+                  </p>
+                )}
+
+                {status && (
+                  <p className={`prompt-status ${status.ok ? 'ok' : 'error'}`}>{status.message}</p>
+                )}
+
+                <div className="prompt-form-actions">
+                  <button className="primary" onClick={handleSave} disabled={busy}>Save</button>
+                  <button
+                    onClick={() => setDraft({ ...template.defaults })}
+                    disabled={busy}
+                  >
+                    Load built-in text
+                  </button>
+                  {template.overridden && (
+                    <button className="danger" onClick={() => handleReset(template)} disabled={busy}>Reset to built-in</button>
+                  )}
+                  <button onClick={stopEditing} disabled={busy}>Cancel</button>
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      })}
+      <p className="prompt-settings-note">
+        Changes apply to the next question. Answers show the template versions they used. Export shares your changes with the team.
+      </p>
+    </div>
+  );
+}
+
+export default PromptSettings;
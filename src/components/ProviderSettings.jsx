@@ -0,0 +1,145 @@
+import { useState } from 'react';
+import { getAllProviders, testProviderConnection } from '../services/llmService';
+import {
+  getProviderSettingsFields,
+  getProviderSettings,
+  validateProviderSettings,
+  saveProviderSettings,
+  removeProvider,
+  resetProviderSettings,
+} from '../services/providerSettings';
+import './ProviderSettings.css';
+
+const SOURCE_LABELS = { saved: 'Saved in this browser', environment: 'From environment' };
+
+function ProviderSettings({ availableProviders, onChange }) {
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState({});
+  const [status, setStatus] = useState(null); // { ok, message }
+  const [busy, setBusy] = useState(false);
+
+  const startEditing = (providerId) => {
+    setEditingId(providerId);
+    setDraft(getProviderSettings(providerId).values);
+    setStatus(null);
+  };
+
+  const stopEditing = () => {
+    setEditingId(null);
+    setStatus(null);
+  };
+
+  // Run a settings action, then let ChatBot re-detect the available providers
+  const runAction = async (action, doneMessage) => {
+    setBusy(true);
+    try {
+      await action();
+      await onChange();
+      stopEditing();
+    } catch (error) {
+      console.error('Provider settings update failed:', error);
+      setStatus({ ok: false, message: `${doneMessage} failed: ${error.message}` });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleTest = async () => {
+    const error = validateProviderSettings(editingId, draft);
+    if (error) {
+      setStatus({ ok: false, message: error });
+      return;
+    }
+    setBusy(true);
+    setStatus({ ok: true, message: 'Testing connection...' });
+    setStatus(await testProviderConnection(editingId, draft));
+    setBusy(false);
+  };
+
+  const handleSave = () => {
+    const error = validateProviderSettings(editingId, draft);
+    if (error) {
+      setStatus({ ok: false, message: error });
+      return;
+    }
+    runAction(() => saveProviderSettings(editingId, draft), 'Saving');
+  };
+
+  const handleRemove = (provider) => {
+    if (window.confirm(`Remove ${provider.name}? It won't be used until you add it again.`)) {
+      runAction(() => removeProvider(provider.id), 'Removing');
+    }
+  };
+
+  return (
+    <div className="provider-settings">
+      {getAllProviders().map(provider => {
+        const { values, source } = getProviderSettings(provider.id);
+        const available = availableProviders.some(p => p.id === provider.id);
+        // Servers that may simply be down, rather than missing credentials
+        const unreachable = provider.capabilities.checksReachability && values.baseUrl;
+        let state = available ? 'Active' : unreachable ? 'Not running' : 'Not set up';
+        if (source === 'removed') state = 'Removed';
+        const isEditing = editingId === provider.id;
+
+        return (
+          <div key={provider.id} className={`provider-card ${isEditing ? 'editing' : ''}`}>
+            <div className="provider-card-header">
+              <span className="provider-card-name">{provider.icon} {provider.name}</span>
+              <span className={`provider-state ${state.toLowerCase().replace(/\s+/g, '-')}`}>{state}</span>
+              {SOURCE_LABELS[source] && <span className="provider-source">{SOURCE_LABELS[source]}</span>}
+              {!isEditing && (
+                <button className="provider-edit-btn" onClick={() => startEditing(provider.id)} disabled={busy}>
+                  {state === 'Removed' || state === 'Not set up' ? '+ Add' : 'Edit'}
+                </button>
+              )}
+            </div>
+
+            {isEditing && (
+              <div className="provider-form">
+                {getProviderSettingsFields(provider.id).map(field => (
+                  <label key={field.key} className="provider-field">
+                    <span>{field.label}{field.required ? ' *' : ''}</span>
+                    <input
+                      type={field.type}
+                      value={draft[field.key] ?? ''}
+                      min={field.min}
+                      max={field.max}
+                      step={field.step}
+                      placeholder={field.placeholder}
+                      autoComplete="off"
+                      onChange={(e) => setDraft(prev => ({ ...prev, [field.key]: e.target.value }))}
+                    />
+                  </label>
+                ))}
+
+                {status && (
+                  <p className={`provider-status ${status.ok ? 'ok' : 'error'}`}>{status.message}</p>
+                )}
+
+                <div className="provider-form-actions">
+                  <button onClick={handleTest} disabled={busy}>Test connection</button>
+                  <button className="primary" onClick={handleSave} disabled={busy}>Save</button>
+                  {source !== 'environment' && (
+                    <button onClick={() => runAction(() => resetProviderSettings(provider.id), 'Reset')} disabled={busy}>
+                      Reset to defaults
+                    </button>
+                  )}
+                  {state !== 'Removed' && (
+                    <button className="danger" onClick={() => handleRemove(provider)} disabled={busy}>Remove</button>
+                  )}
+                  <button onClick={stopEditing} disabled={busy}>Cancel</button>
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      })}
+      <p className="provider-settings-note">
+        🔒 Keys are encrypted and stored only in this browser. Environment values are used when nothing is saved.
+      </p>
+    </div>
+  );
+}
+
+export default ProviderSettings;
@@ -0,0 +1,280 @@
+import { useState, useEffect } from 'react';
+import { saveAs } from 'file-saver';
+import { getAllProviders, LLM_PROVIDERS } from '../services/llmService';
+import {
+  getUsageSummary,
+  getBudget,
+  setBudget,
+  getPriceFor,
+  setPriceOverride,
+  exportUsageCsv,
+  clearUsage,
+} from '../services/usageTracker';
+import { getProxyUsage } from '../services/proxyService';
+import './UsagePanel.css';
+
+const PERIODS = [
+  { days: 1, label: 'Today' },
+  { days: 7, label: 'Last 7 days' },
+  { days: 30, label: 'Last 30 days' },
+];
+
+const FEATURE_LABELS = {
+  summary: 'Summaries',
+  answer: 'Q&A',
+  compare: 'Comparisons',
+  vision: 'Image questions',
+  chat: 'Chat',
+  prefill: 'Form prefill',
+  intent: 'Intent detection',
+  agent: 'Agent mode',
+  structured: 'Structured output',
+};
+
+function formatCost(cost, unpriced = 0) {
+  if (unpriced > 0 && cost === 0) return 'No price';
+  const text = cost > 0 && cost < 0.01 ? '<$0.01' : `$${cost.toFixed(2)}`;
+  return unpriced > 0 ? `${text}+` : text;
+}
+
+function formatTokens(totals) {
+  return `${(totals.promptTokens || 0).toLocaleString()} / ${(totals.completionTokens || 0).toLocaleString()}`;
+}
+
+function UsagePanel({ availableProviders }) {
+  const [days, setDays] = useState(7);
+  const [summary, setSummary] = useState(() => getUsageSummary(7));
+  const [proxyUsage, setProxyUsage] = useState(null);
+  const [drafts, setDrafts] = useState({}); // providerId -> { budget, input, output }
+
+  const providers = getAllProviders().filter(p => availableProviders.some(a => a.id === p.id));
+  const nameOf = (providerId) => {
+    const provider = getAllProviders().find(p => p.id === providerId);
+    return provider ? `${provider.icon} ${provider.name}` : providerId;
+  };
+  const hasProxy = availableProviders.some(p => p.id === LLM_PROVIDERS.PROXY);
+
+  const refresh = () => setSummary(getUsageSummary(days));
+
+  useEffect(() => {
+    setSummary(getUsageSummary(days));
+  }, [days]);
+
+  useEffect(() => {
+    if (!hasProxy) return;
+    let isMounted = true;
+    getProxyUsage().then(usage => {
+      if (isMounted) setProxyUsage(usage);
+    });
+    return () => { isMounted = false; };
+  }, [hasProxy]);
+
+  const draftFor = (providerId) => {
+    if (drafts[providerId]) return drafts[providerId];
+    const price = getPriceFor(providerId);
+    return {
+      budget: getBudget(providerId) ?? '',
+      input: price?.source === 'override' ? price.input : '',
+      output: price?.source === 'override' ? price.output : '',
+    };
+  };
+
+  const updateDraft = (providerId, key, value) => {
+    setDrafts(prev => ({ ...prev, [providerId]: { ...draftFor(providerId), [key]: value } }));
+  };
+
+  const saveLimits = (providerId) => {
+    const draft = draftFor(providerId);
+    setBudget(providerId, parseFloat(draft.budget) || null);
+    const hasPrice = draft.input !== '' || draft.output !== '';
+    setPriceOverride(providerId, hasPrice ? { input: parseFloat(draft.input), output: parseFloat(draft.output) } : null);
+    setDrafts(prev => {
+      const next = { ...prev };
+      delete next[providerId];
+      return next;
+    });
+    refresh();
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([exportUsageCsv()], { type: 'text/csv;charset=utf-8' });
+    saveAs(blob, `llm-usage-${new Date().toISOString().slice(0, 10)}.csv`);
+  };
+
+  const handleClear = async () => {
+    if (window.confirm('Delete all recorded AI usage in this browser? Budgets and prices are kept.')) {
+      await clearUsage();
+      refresh();
+    }
+  };
+
+  const todayByProvider = new Map(summary.providersToday.map(totals => [totals.providerId, totals]));
+
+  return (
+    <div className="usage-panel">
+      <div className="usage-toolbar">
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+          {PERIODS.map(period => <option key={period.days} value={period.days}>{period.label}</option>)}
+        </select>
+        <button onClick={refresh}>Refresh</button>
+        <button onClick={handleExport}>Export CSV</button>
+        <button className="danger" onClick={handleClear}>Clear</button>
+      </div>
+
+      <h4>Daily budgets (today)</h4>
+      <table className="usage-table">
+        <thead>
+          <tr><th>Provider</th><th>Calls</th><th>Spent</th><th>Budget $/day</th><th>Price $/1M in · out</th><th></th></tr>
+        </thead>
+        <tbody>
+          {providers.map(provider => {
+            const totals = todayByProvider.get(provider.id);
+            const status = totals?.budget;
+            const draft = draftFor(provider.id);
+            const price = getPriceFor(provider.id);
+            return (
+              <tr key={provider.id}>
+                <td>{provider.icon} {provider.name}</td>
+                <td>{totals?.calls || 0}</td>
+                <td>
+                  <span className={`usage-budget-state ${status?.state || ''}`}>
+                    {formatCost(totals?.cost || 0, totals?.unpriced)}
+                    {status?.budget ? ` (${Math.round(status.ratio * 100)}%)` : ''}
+                  </span>
+                </td>
+                <td>
+                  <input type="number" min="0" step="0.5" value={draft.budget} placeholder="None"
+                    onChange={(e) => updateDraft(provider.id, 'budget', e.target.value)} />
+                </td>
+                <td className="usage-price">
+                  <input type="number" min="0" step="0.01" value={draft.input}
+                    placeholder={price && price.source !== 'override' ? String(price.input) : '?'}
+                    onChange={(e) => updateDraft(provider.id, 'input', e.target.value)} />
+                  <input type="number" min="0" step="0.01" value={draft.output}
+                    placeholder={price && price.source !== 'override' ? String(price.output) : '?'}
+                    onChange={(e) => updateDraft(provider.id, 'output', e.target.value)} />
+                </td>
+                <td>
+                  <button onClick={() => saveLimits(provider.id)} disabled={!drafts[provider.id]}>Save</button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="usage-note">
+        Answers warn at 80% of a budget. Over budget, requests go to the cheapest provider still within budget.
+        Empty prices use list prices for the model.
+      </p>
+
+      <h4>Daily totals</h4>
+      {summary.daily.length === 0 ? (
+        <p className="usage-empty">No AI calls recorded yet.</p>
+      ) : (
+        <table className="usage-table">
+          <thead><tr><th>Day</th><th>Calls</th><th>Tokens in / out</th><th>Est. cost</th></tr></thead>
+          <tbody>
+            {summary.daily.map(day => (
+              <tr key={day.day}>
+                <td>{day.day}</td>
+                <td>{day.calls}</td>
+                <td>{formatTokens(day)}</td>
+                <td>{formatCost(day.cost, day.unpriced)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {summary.models.length > 0 && (
+        <>
+          <h4>Cost by model</h4>
+          <table className="usage-table">
+            <thead><tr><th>Model</th><th>Calls</th><th>Tokens in / out</th><th>Est. cost</th></tr></thead>
+            <tbody>
+              {summary.models.map(model => (
+                <tr key={`${model.providerId}|${model.model}`}>
+                  <td>{nameOf(model.providerId)} · <code>{model.model || 'unknown'}</code></td>
+                  <td>{model.calls}</td>
+                  <td>{formatTokens(model)}{model.estimated > 0 ? ' ~' : ''}</td>
+                  <td>{formatCost(model.cost, model.unpriced)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h4>By feature</h4>
+          <table className="usage-table">
+            <thead><tr><th>Feature</th><th>Calls</th><th>Tokens in / out</th><th>Est. cost</th></tr></thead>
+            <tbody>
+              {summary.features.map(feature => (
+                <tr key={feature.feature}>
+                  <td>{FEATURE_LABELS[feature.feature] || feature.feature}</td>
+                  <td>{feature.calls}</td>
+                  <td>{formatTokens(feature)}</td>
+                  <td>{formatCost(feature.cost, feature.unpriced)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {summary.users.length > 1 && (
+            <>
+              <h4>By user (this browser)</h4>
+              <table className="usage-table">
+                <thead><tr><th>User</th><th>Calls</th><th>Tokens in / out</th><th>Est. cost</th></tr></thead>
+                <tbody>
+                  {summary.users.map(user => (
+                    <tr key={user.user || 'unknown'}>
+                      <td>{user.user || 'Not signed in'}</td>
+                      <td>{user.calls}</td>
+                      <td>{formatTokens(user)}</td>
+                      <td>{formatCost(user.cost, user.unpriced)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          <h4>Slowest calls</h4>
+          <table className="usage-table">
+            <thead><tr><th>When</th><th>Provider</th><th>Feature</th><th>Latency</th><th>Tokens in / out</th></tr></thead>
+            <tbody>
+              {summary.slowest.map(call => (
+                <tr key={call.id} className={call.ok ? '' : 'failed'}>
+                  <td>{new Date(call.timestamp).toLocaleString('en-IN', { dateStyle: 'short', timeStyle: 'short' })}</td>
+                  <td>{nameOf(call.providerId)}</td>
+                  <td>{FEATURE_LABELS[call.feature] || call.feature}{call.ok ? '' : ' (failed)'}</td>
+                  <td>{(call.latencyMs / 1000).toFixed(1)}s</td>
+                  <td>{formatTokens(call)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="usage-note">~ includes estimated token counts for calls the provider didn't report usage for.</p>
+        </>
+      )}
+
+      {proxyUsage && (
+        <>
+          <h4>Secure Proxy today ({proxyUsage.day} UTC)</h4>
+          <table className="usage-table">
+            <thead><tr><th>User</th><th>Calls</th><th>Tokens in / out</th></tr></thead>
+            <tbody>
+              {(proxyUsage.users || (proxyUsage.user ? [proxyUsage.user] : [])).map(user => (
+                <tr key={user.name}>
+                  <td>{user.name}</td>
+                  <td>{user.calls}</td>
+                  <td>{formatTokens(user)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default UsagePanel;
@@ -12,9 +12,16 @@ export const azureOpenAIConfig = {
 
   // API Version
   apiVersion: import.meta.env.VITE_AZURE_OPENAI_API_VERSION || '2024-02-15-preview',
+
+  // Sampling overrides set in Settings (null = each request's own default)
+  temperature: null,
+  maxTokens: null,
+
+  // Cleared when the provider is removed in Settings
+  enabled: true,
 };
 
 // Check if Azure OpenAI is configured
 export function isAzureOpenAIConfigured() {
-  return !!(azureOpenAIConfig.endpoint && azureOpenAIConfig.apiKey && azureOpenAIConfig.deploymentName);
+  return !!(azureOpenAIConfig.enabled && azureOpenAIConfig.endpoint && azureOpenAIConfig.apiKey && azureOpenAIConfig.deploymentName);
 }
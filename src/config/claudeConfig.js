@@ -9,9 +9,16 @@ export const claudeConfig = {
 
   // API endpoint
   apiEndpoint: 'https://api.anthropic.com/v1/messages',
+
+  // Sampling overrides set in Settings (null = each request's own default)
+  temperature: null,
+  maxTokens: null,
+
+  // Cleared when the provider is removed in Settings
+  enabled: true,
 };
 
 // Check if Claude is configured
 export function isClaudeConfigured() {
-  return !!(claudeConfig.apiKey && claudeConfig.model);
+  return !!(claudeConfig.enabled && claudeConfig.apiKey && claudeConfig.model);
 }
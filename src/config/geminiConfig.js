@@ -9,9 +9,16 @@ export const geminiConfig = {
 
   // API endpoint - v1beta supports latest models
   baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+
+  // Sampling overrides set in Settings (null = each request's own default)
+  temperature: null,
+  maxTokens: null,
+
+  // Cleared when the provider is removed in Settings
+  enabled: true,
 };
 
 // Check if Gemini is configured
 export function isGeminiConfigured() {
-  return !!geminiConfig.apiKey;
+  return !!(geminiConfig.enabled && geminiConfig.apiKey);
 }
@@ -10,9 +10,16 @@ export const groqConfig = {
 
   // API endpoint
   baseUrl: 'https://api.groq.com/openai/v1',
+
+  // Sampling overrides set in Settings (null = each request's own default)
+  temperature: null,
+  maxTokens: null,
+
+  // Cleared when the provider is removed in Settings
+  enabled: true,
 };
 
   // API endpoint
 export function isGroqConfigured() {
-  return !!groqConfig.apiKey;
+  return !!(groqConfig.enabled && groqConfig.apiKey);
 }
@@ -9,11 +9,18 @@ export const ollamaConfig = {
 
   // Request timeout in milliseconds (3 minutes for first load)
   timeout: parseInt(import.meta.env.VITE_OLLAMA_TIMEOUT) || 180000,
+
+  // Sampling overrides set in Settings (null = each request's own default)
+  temperature: null,
+  maxTokens: null,
+
+  // Cleared when the provider is removed in Settings
+  enabled: true,
 };
 
-// Check if Ollama is configured (always true since it uses defaults)
+// Check if Ollama is configured (it uses defaults, so only removing it in Settings turns it off)
 export function isOllamaConfigured() {
-  return true;
+  return ollamaConfig.enabled;
 }
 
 // Check if Ollama server is running
@@ -0,0 +1,47 @@
+// OpenAI-compatible API Configuration - any server that speaks the chat completions protocol
+// (vLLM, LM Studio, LocalAI, OpenRouter, ...)
+
+export const openAICompatibleConfig = {
+  // API base URL including the version path (e.g., http://localhost:1234/v1 for LM Studio,
+  // http://localhost:8000/v1 for vLLM, https://openrouter.ai/api/v1)
+  baseUrl: import.meta.env.VITE_OPENAI_COMPATIBLE_BASE_URL || '',
+
+  // API key, sent as a Bearer token (optional - most local servers don't need one)
+  apiKey: import.meta.env.VITE_OPENAI_COMPATIBLE_API_KEY || '',
+
+  // Model name as the server knows it (e.g., meta-llama/Llama-3.1-8B-Instruct)
+  model: import.meta.env.VITE_OPENAI_COMPATIBLE_MODEL || '',
+
+  // Extra request headers as a JSON object (e.g., {"HTTP-Referer": "https://insider.example.com"})
+  headers: import.meta.env.VITE_OPENAI_COMPATIBLE_HEADERS || '',
+
+  // Sampling overrides set in Settings (null = each request's own default)
+  temperature: null,
+  maxTokens: null,
+
+  // Cleared when the provider is removed in Settings
+  enabled: true,
+};
+
+// Check if an OpenAI-compatible server is configured
+export function isOpenAICompatibleConfigured() {
+  return !!(openAICompatibleConfig.enabled && openAICompatibleConfig.baseUrl && openAICompatibleConfig.model);
+}
+
+/**
+ * Parse the extra headers setting
+ * @param {string} value - JSON object text (empty for none)
+ * @returns {Object|null} - Header map, or null if the text isn't a JSON object of strings
+ */
+export function parseExtraHeaders(value) {
+  if (!value || !value.trim()) {
+    return {};
+  }
+  try {
+    const headers = JSON.parse(value);
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) return null;
+    return Object.values(headers).every(v => typeof v === 'string') ? headers : null;
+  } catch {
+    return null;
+  }
+}
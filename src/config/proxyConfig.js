@@ -0,0 +1,24 @@
+// LLM Proxy Configuration - provider keys stay on the server (see server/)
+
+export const proxyConfig = {
+  // Proxy URL (e.g., http://localhost:8787); empty disables proxy mode
+  baseUrl: import.meta.env.VITE_LLM_PROXY_URL || '',
+
+  // Upstream provider the proxy should use (claude, groq, gemini, azure-openai); empty = proxy default
+  provider: import.meta.env.VITE_LLM_PROXY_PROVIDER || '',
+
+  // API scope to request a token for (e.g., api://<client-id>/access_as_user); empty sends the ID token
+  scope: import.meta.env.VITE_LLM_PROXY_SCOPE || '',
+
+  // Sampling overrides set in Settings (null = each request's own default)
+  temperature: null,
+  maxTokens: null,
+
+  // Cleared when the provider is removed in Settings
+  enabled: true,
+};
+
+// Check if the proxy is configured
+export function isProxyConfigured() {
+  return !!(proxyConfig.enabled && proxyConfig.baseUrl);
+}
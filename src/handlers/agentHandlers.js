@@ -0,0 +1,174 @@
+// Agent mode: the LLM drives OneDrive / Graph lookups itself through native tool calling
+import { runAgent } from '../services/llmService';
+import { selectRelevantPassages } from '../services/documentRetrieval';
+import { applyFileFilters, isVideoFile } from './fileUtils';
+
+const AGENT_MAX_STEPS = 6;
+const TOOL_CONTENT_CHARS = 6000; // Document text returned per read, to keep each step inside context limits
+const TOOL_LIST_LIMIT = 10;
+
+const AGENT_INSTRUCTIONS = `You are Nvest Assistant working in the user's OneDrive and SharePoint files.
+Use the tools to find and read files before answering; never invent file names, ids or contents.
+Search first, then read the most relevant result using the id from the search results.
+Refer to files by name in your answer, keep it concise, and use "•" for bullet points.`;
+
+// Trim Graph items down to what the model needs to pick the next step
+function describeFiles(files) {
+  return files.slice(0, TOOL_LIST_LIMIT).map(f => ({
+    id: f.id,
+    name: f.name,
+    path: f.path,
+    modified: f.date,
+    isFolder: !!f.isFolder,
+  }));
+}
+
+function clipContent(content, focus) {
+  if (focus) return selectRelevantPassages(content, focus, TOOL_CONTENT_CHARS);
+  return content.length > TOOL_CONTENT_CHARS
+    ? content.substring(0, TOOL_CONTENT_CHARS) + '\n...[truncated]'
+    : content;
+}
+
+/**
+ * Graph operations exposed to the model, bound to this message's handler context.
+ * Files the agent sees are remembered in knownFiles so reads can resolve paths and
+ * links, and files it reads are collected in readFiles for the answer's sources.
+ */
+function createGraphTools(ctx, knownFiles, readFiles) {
+  const remember = (files) => files.forEach(f => knownFiles.set(f.id, f));
+  const countSummary = (result) => `${result.length} result${result.length === 1 ? '' : 's'}`;
+
+  return [
+    {
+      name: 'search_files',
+      description: 'Search OneDrive and SharePoint files by name or content keywords. Returns up to 10 files with their ids.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Keywords, e.g. a CR number, product or document name' },
+          file_type: { type: 'string', enum: ['any', 'document', 'spreadsheet', 'presentation', 'folder'], description: 'Restrict results to one kind of file' },
+        },
+        required: ['query'],
+      },
+      run: async ({ query, file_type }) => {
+        const results = await ctx.searchDocuments(query);
+        const filtered = applyFileFilters(results, { fileType: file_type === 'any' ? null : file_type });
+        remember(filtered);
+        return describeFiles(filtered);
+      },
+      summarize: countSummary,
+    },
+    {
+      name: 'get_recent_files',
+      description: "List the user's recently used files, newest first.",
+      parameters: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', description: 'How many files to return (max 10)' },
+        },
+      },
+      run: async ({ limit }) => {
+        const files = (await ctx.fetchRecentFiles()).filter(f => !f.isFolder);
+        remember(files);
+        return describeFiles(files).slice(0, Math.min(limit || TOOL_LIST_LIMIT, TOOL_LIST_LIMIT));
+      },
+      summarize: countSummary,
+    },
+    {
+      name: 'read_document',
+      description: 'Read the text of a document (Word, PDF, Excel, PowerPoint, text) by its id. Long documents are cut down to the passages most relevant to focus.',
+      parameters: {
+        type: 'object',
+        properties: {
+          item_id: { type: 'string', description: 'File id from search_files or get_recent_files' },
+          file_name: { type: 'string', description: 'File name including extension' },
+          focus: { type: 'string', description: 'What you are looking for in the document, used to pick passages' },
+        },
+        required: ['item_id', 'file_name'],
+      },
+      run: async ({ item_id, file_name, focus }) => {
+        const doc = await ctx.readDocument(item_id, file_name);
+        if (!doc || !doc.content) {
+          throw new Error(`Could not read "${file_name}"`);
+        }
+        readFiles.set(item_id, { ...knownFiles.get(item_id), id: item_id, name: doc.name, path: doc.path, webUrl: doc.webUrl });
+        return { name: doc.name, path: doc.path, modified: doc.lastModified, content: clipContent(doc.content, focus) };
+      },
+      summarize: (result) => `${result.content.length.toLocaleString()} chars from ${result.name}`,
+    },
+    {
+      name: 'get_video_transcript',
+      description: 'Get the transcript of a video file (from a matching .vtt, .srt or .txt file next to it) by its id.',
+      parameters: {
+        type: 'object',
+        properties: {
+          item_id: { type: 'string', description: 'Video id from search_media or search_files' },
+          file_name: { type: 'string', description: 'Video file name including extension' },
+          focus: { type: 'string', description: 'What you are looking for in the transcript, used to pick passages' },
+        },
+        required: ['item_id', 'file_name'],
+      },
+      run: async ({ item_id, file_name, focus }) => {
+        if (!isVideoFile(file_name)) {
+          throw new Error(`"${file_name}" is not a video file`);
+        }
+        const video = knownFiles.get(item_id) || { id: item_id, name: file_name };
+        const transcript = await ctx.readVideoTranscript(video);
+        if (!transcript?.hasTranscript) {
+          return { name: file_name, hasTranscript: false, message: transcript?.message || 'No transcript found.' };
+        }
+        readFiles.set(item_id, video);
+        return { name: file_name, hasTranscript: true, transcript: clipContent(transcript.content, focus) };
+      },
+      summarize: (result) => (result.hasTranscript ? `${result.transcript.length.toLocaleString()} chars of transcript` : 'no transcript'),
+    },
+    {
+      name: 'search_media',
+      description: 'Search for images and videos by keyword.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Keywords' },
+          media_type: { type: 'string', enum: ['all', 'image', 'video'], description: 'Kind of media to return' },
+        },
+        required: ['query'],
+      },
+      run: async ({ query, media_type }) => {
+        const media = await ctx.searchMediaFiles(query, media_type || 'all');
+        remember(media);
+        return media.slice(0, TOOL_LIST_LIMIT).map(m => ({ id: m.id, name: m.name, path: m.path, type: m.type, modified: m.date }));
+      },
+      summarize: countSummary,
+    },
+  ];
+}
+
+// agent: multi-step requests ("find the CR for X, read it and list the impacted APIs")
+export async function handleAgentRequest({ message }, ctx) {
+  const knownFiles = new Map();
+  const readFiles = new Map();
+  const tools = createGraphTools(ctx, knownFiles, readFiles);
+
+  ctx.showAgentTrace([]);
+  const result = await runAgent(message, tools, {
+    system: AGENT_INSTRUCTIONS,
+    maxSteps: AGENT_MAX_STEPS,
+    onStep: ctx.showAgentTrace,
+  });
+
+  if (!result) {
+    return { text: "I couldn't complete that request with the AI tools. Try turning off agent mode and asking step by step." };
+  }
+
+  const sources = [...readFiles.values()];
+  if (sources.length > 0) {
+    ctx.setSourceDocuments(sources);
+  }
+
+  let text = result.answer || "I wasn't able to put together an answer from the files I found.";
+  if (result.stepLimitReached) {
+    text += `\n\n_Stopped after ${AGENT_MAX_STEPS} steps - ask a narrower question for a complete answer._`;
+  }
+  return { text, sources, agentTrace: result.trace };
+}
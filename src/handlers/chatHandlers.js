@@ -0,0 +1,119 @@
+// Chat intent handlers for conversation, knowledge-base topics and source lookups
+import { getChatResponse as llmGetChatResponse } from '../services/llmService';
+import { findKnowledgeMatch, processFollowUp } from './knowledgeBase';
+import { applyFileFilters, presentFileResults } from './fileUtils';
+
+// source_request: which files the previous answer came from
+export async function handleSourceRequest(request, ctx) {
+  const { sourceDocuments, currentContext } = ctx;
+
+  if (sourceDocuments.length > 0) {
+    const sources = sourceDocuments.map(doc =>
+      `📄 ${doc.name}\n   📂 ${doc.path}`
+    ).join('\n\n');
+    return { text: `**Source Documents:**\n\n${sources}` };
+  }
+
+  if (currentContext?.lastSourceFile) {
+    // Search for the source file
+    const doc = await ctx.findSourceDocument(currentContext.lastSourceFile);
+    if (doc) {
+      ctx.setSourceDocuments([doc]);
+      return { text: `**Source:**\n📄 ${doc.name}\n📂 Location: ${doc.path}`, sources: [doc] };
+    }
+    return { text: `Source: ${currentContext.lastSourceFile}.docx – Check the relevant department folder.` };
+  }
+
+  return { text: "I don't have a specific source for the previous response. Could you ask a question first?" };
+}
+
+// Conversational answer from the active LLM, keeping a short history for context
+async function chatWithLLM(message, ctx) {
+  try {
+    console.log('Getting AI chat response for:', message, 'using:', ctx.aiProvider);
+    const text = await llmGetChatResponse(message, ctx.conversationHistory, ctx.streamBotMessage());
+    // Update conversation history
+    ctx.setConversationHistory(prev => [
+      ...prev.slice(-8), // Keep last 8 messages
+      { role: 'user', content: message },
+      { role: 'assistant', content: text }
+    ]);
+    return { text };
+  } catch (error) {
+    console.log('AI chat failed:', error);
+    return { text: `I'm sorry, I couldn't process your request. Try asking:
+• "Show Arogya Sanjeevani file"
+• "Find Top up product"
+• "Summarize health policy"` };
+  }
+}
+
+// chat: knowledge-base topics and their follow-ups, then general conversation
+export async function handleChat({ message, slots, source }, ctx) {
+  const { currentContext } = ctx;
+
+  // Check if we have an active context for follow-up
+  if (currentContext) {
+    const followUpResult = processFollowUp(message, currentContext);
+    if (followUpResult) {
+      let sources = [];
+      // Search for source document
+      if (followUpResult.sourceFile) {
+        const doc = await ctx.findSourceDocument(followUpResult.sourceFile);
+        if (doc) {
+          sources = [doc];
+          ctx.setSourceDocuments([doc]);
+        }
+        ctx.setCurrentContext({
+          ...currentContext,
+          lastSourceFile: followUpResult.sourceFile,
+          resolved: true
+        });
+      }
+      return { text: followUpResult.response, sources };
+    }
+  }
+
+  // Check for new topic
+  const match = findKnowledgeMatch(message);
+  if (match) {
+    ctx.setCurrentContext({ ...match, lastSourceFile: null });
+    ctx.setSourceDocuments([]);
+    return { text: match.initialResponse };
+  }
+
+  // The model already decided this isn't a file request
+  if (source === 'llm' && ctx.aiEnabled) {
+    return chatWithLLM(message, ctx);
+  }
+
+  // Keyword rules can't tell small talk from a file name - try file search as fallback
+  if (slots.searchTerms.length > 0) {
+    const results = await ctx.searchDocuments(slots.searchTerms[0]);
+    const filteredResults = applyFileFilters(results, slots);
+    if (filteredResults.length > 0) {
+      return presentFileResults(filteredResults, slots, ctx, 'matching your query');
+    }
+    if (currentContext) {
+      return { text: "I'm not sure I understand. Could you please rephrase your question or try searching for specific file names?" };
+    }
+    return { text: `I couldn't find files matching "${message}".\n\nTry:\n• Different keywords\n• Product names like "Arogya", "Sanjeevani", "Top up"\n• Or ask about company policies` };
+  }
+
+  if (currentContext) {
+    return { text: "I'm not sure I understand. Could you please rephrase your question or provide more details?" };
+  }
+
+  // If AI is enabled, try getting a conversational response
+  if (ctx.aiEnabled) {
+    return chatWithLLM(message, ctx);
+  }
+
+  return { text: `I'm sorry, I couldn't find specific information about "${message}".
+
+Try asking:
+• "Show Arogya Sanjeevani file"
+• "Find Top up product"
+• "List all health policy files"
+• Or ask about project approval, leave policy, expenses` };
+}
@@ -0,0 +1,432 @@
+// Chat intent handlers for reading, questioning and comparing documents
+import {
+  answerQuestion as llmAnswerQuestion,
+  answerAcrossDocuments as llmAnswerAcrossDocuments,
+  compareDocuments as llmCompareDocuments,
+} from '../services/llmService';
+import { renderPrompt } from '../services/promptLibrary';
+import { isVideoFile, describeFileType } from './fileUtils';
+
+const READABLE_EXTENSIONS = ['docx', 'doc', 'pdf', 'txt', 'md', 'csv', 'xlsx', 'xls', 'pptx', 'ppt'];
+const CR_PATTERN = /CR[\s\-_]*\d+/i;
+
+const ACTION_QUESTIONS = {
+  simplify: {
+    heading: 'In Simple Terms',
+    icon: '💬',
+    promptId: 'cr.simplify',
+  },
+  tasks: {
+    heading: 'Task Breakdown for Dev Assignment',
+    icon: '📋',
+    promptId: 'cr.tasks',
+  },
+};
+
+/**
+ * Cache descriptor for a standard response about this version of a OneDrive file
+ * @param {Object} docContent - From readDocument/getDocumentContent ({ id, version, ... })
+ * @param {string} kind - Response kind, e.g. 'summary' or a prompt id
+ * @returns {Object} - { itemId, version, kind }
+ */
+export function cacheFor(docContent, kind) {
+  return { itemId: docContent.id, version: docContent.version, kind };
+}
+
+/**
+ * For CR documents, extract impacted areas, streaming them after responseSoFar
+ * @param {Object} docContent - From readDocument/getDocumentContent
+ * @param {string} fileName - Document name
+ * @param {string} responseSoFar - Reply text shown above the streamed section
+ * @param {Object} ctx - Handler context; only streamBotMessage is used
+ * @returns {Promise<string>} - The section to append, or ''
+ */
+export async function extractImpactedAreas(docContent, fileName, responseSoFar, ctx) {
+  try {
+    const impactedAreas = await llmAnswerQuestion(
+      docContent.content,
+      renderPrompt('cr.impactedAreas'),
+      fileName,
+      ctx.streamBotMessage(`${responseSoFar}\n**🎯 Impacted Areas:**\n`),
+      cacheFor(docContent, 'cr.impactedAreas')
+    );
+    if (impactedAreas && !impactedAreas.toLowerCase().includes('not found') && !impactedAreas.toLowerCase().includes('not mentioned')) {
+      return `\n**🎯 Impacted Areas:**\n${impactedAreas}\n`;
+    }
+  } catch (impactErr) {
+    console.log('Could not extract impacted areas:', impactErr);
+  }
+  return '';
+}
+
+/**
+ * Read a video's transcript, add it to the working set and summarize it
+ * @param {Object} doc - Video file item
+ * @param {Object} ctx - Handler context
+ * @returns {Promise<Object>} - { text, sources }
+ */
+export async function summarizeVideo(doc, ctx) {
+  const transcriptData = await ctx.readVideoTranscript(doc);
+  const sources = [{ ...doc, isVideo: true }];
+  ctx.setSourceDocuments(sources);
+
+  let text = `🎬 **${doc.name}**\n\n`;
+  if (transcriptData && transcriptData.hasTranscript && transcriptData.content) {
+    ctx.addToWorkingSet({ id: doc.id, name: doc.name, content: transcriptData.content, path: doc.path, isVideo: true });
+    const summary = await ctx.generateSummary(
+      transcriptData.content,
+      doc.name,
+      ctx.aiEnabled ? ctx.streamBotMessage(`${text}**📝 AI Summary of Transcript:**\n`) : null
+    );
+    if (summary) {
+      text += `**📝 ${ctx.aiEnabled ? 'AI Summary of Transcript' : 'Transcript Preview'}:**\n${summary}\n`;
+    }
+    text += `\n**📂 Path:** ${doc.path}`;
+    if (ctx.aiEnabled) text += `\n\n💡 **Ask me questions about this recording!**`;
+  } else {
+    text += `No transcript available for this video.\n`;
+    text += `**📂 Path:** ${doc.path}\n`;
+    text += `Click "Open" below to watch in OneDrive.`;
+  }
+  return { text, sources };
+}
+
+/**
+ * Read and summarize a document the user picked from a numbered list
+ * @param {Object} doc - File item
+ * @param {number} position - 1-based position in the list
+ * @param {Object} ctx - Handler context
+ * @returns {Promise<Object>} - { text, sources }
+ */
+export async function summarizeListedDocument(doc, position, ctx) {
+  const docContent = await ctx.readDocument(doc.id, doc.name);
+  const sources = [{ ...doc, webUrl: docContent?.webUrl || doc.webUrl }];
+  ctx.setSourceDocuments(sources);
+
+  let text = `📄 **#${position}: ${doc.name}**\n\n`;
+
+  if (docContent && docContent.content && docContent.content.length > 50) {
+    ctx.addToWorkingSet({ id: doc.id, name: doc.name, content: docContent.content, locations: docContent.locations, path: docContent.path });
+    const summary = await ctx.generateSummary(
+      docContent.content,
+      doc.name,
+      ctx.aiEnabled ? ctx.streamBotMessage(`${text}**📝 Document Summary:**\n`) : null,
+      cacheFor(docContent, 'summary')
+    );
+    if (summary) {
+      text += `**📝 ${ctx.aiEnabled ? 'Document Summary' : 'Content Preview'}:**\n${summary}\n`;
+    }
+
+    if (CR_PATTERN.test(doc.name) && ctx.aiEnabled) {
+      text += await extractImpactedAreas(docContent, doc.name, text, ctx);
+    }
+
+    text += `\n**📂 Path:** ${docContent.path || doc.path}`;
+    if (ctx.aiEnabled) text += `\n\n💡 **Ask me questions about this document!**`;
+  } else {
+    text += `Could not extract content for summarization.\n`;
+    text += `**📂 Path:** ${doc.path}\n`;
+    text += `Click "Open" below to view in OneDrive.`;
+  }
+  return { text, sources };
+}
+
+// Search each term in turn, preferring readable files whose name contains the term
+async function findDocumentToRead(searchTerms, userWantsVideo, ctx) {
+  let results = [];
+  let usedSearchTerm = '';
+  let fallbackResults = [];
+  let fallbackTerm = '';
+
+  for (const term of searchTerms) {
+    if (!term) continue;
+    console.log('Searching for:', term);
+    const allResults = await ctx.searchDocuments(term);
+    if (allResults.length === 0) continue;
+
+    // Filter to readable file types only (unless user wants video)
+    let filtered = allResults;
+    if (!userWantsVideo) {
+      const readable = allResults.filter(r => READABLE_EXTENSIONS.includes(r.name?.split('.').pop()?.toLowerCase()));
+      if (readable.length > 0) filtered = readable;
+    }
+
+    // Check if any readable result has the search term in filename
+    const termLower = term.toLowerCase();
+    if (filtered.some(r => r.name?.toLowerCase().includes(termLower))) {
+      results = filtered;
+      usedSearchTerm = term;
+      break;
+    }
+
+    // Keep first readable results as fallback
+    if (fallbackResults.length === 0 && filtered.length > 0) {
+      fallbackResults = filtered;
+      fallbackTerm = term;
+    }
+  }
+
+  // Use fallback if no name-matched readable results found
+  if (results.length === 0 && fallbackResults.length > 0) {
+    results = fallbackResults;
+    usedSearchTerm = fallbackTerm;
+  }
+
+  console.log('Found documents:', results.length, 'using term:', usedSearchTerm);
+  if (results.length === 0) return results;
+
+  // Sort: name-match first
+  const termLower = usedSearchTerm.toLowerCase();
+  results.sort((a, b) => {
+    const aNameMatch = a.name?.toLowerCase().includes(termLower) ? 1 : 0;
+    const bNameMatch = b.name?.toLowerCase().includes(termLower) ? 1 : 0;
+    return bNameMatch - aNameMatch;
+  });
+
+  // If user mentioned "video"/"recording", prefer video results
+  if (userWantsVideo) {
+    const videoResult = results.find(r => isVideoFile(r.name));
+    if (videoResult) {
+      results = [videoResult, ...results.filter(r => r.id !== videoResult.id)];
+      console.log('Prioritized video result:', videoResult.name);
+    }
+  }
+
+  console.log('Best match:', results[0]?.name);
+  return results;
+}
+
+/**
+ * Suggested follow-up questions, numbered so the user can type "1", "2", ...
+ * @param {Object} docContent - From readDocument/getDocumentContent
+ * @param {string} fileName - Document name
+ * @param {boolean} isCRDoc - Add the CR simplify and task breakdown suggestions
+ * @param {Object} ctx - Handler context; lastSuggestedQuestionsRef and lastFileListRef are updated
+ * @returns {Promise<string>} - The section to append, or ''
+ */
+export async function suggestQuestions(docContent, fileName, isCRDoc, ctx) {
+  const numberedQuestions = [];
+  try {
+    const suggestedQs = await llmAnswerQuestion(
+      docContent.content,
+      renderPrompt('document.suggestedQuestions'),
+      fileName,
+      null,
+      cacheFor(docContent, 'document.suggestedQuestions')
+    );
+    if (suggestedQs) {
+      const questions = suggestedQs.split('\n').map(q => q.trim()).filter(q => q.length > 0).slice(0, 3);
+      numberedQuestions.push(...questions);
+    }
+  } catch (err) {
+    console.log('Could not generate suggested questions:', err);
+  }
+
+  // CR documents also get layman and task breakdown suggestions
+  if (isCRDoc) {
+    numberedQuestions.push('Simplify this CR in simple words.');
+    numberedQuestions.push('Break down tasks for dev assignment');
+  }
+
+  if (numberedQuestions.length === 0) return '';
+
+  ctx.lastSuggestedQuestionsRef.current = numberedQuestions;
+  ctx.lastFileListRef.current = [];
+  let text = `\n\n💡 **Ask me questions about this document!**`;
+  text += `\n_Enter a number to ask:_`;
+  numberedQuestions.forEach((q, i) => {
+    text += `\n_${i + 1}. ${q}_`;
+  });
+  return text;
+}
+
+// read_document: find the best matching file, read it and summarize it
+export async function handleReadDocument({ message, slots }, ctx) {
+  const searchTerms = slots.searchTerms;
+  console.log('Read/Summary request - Search terms:', searchTerms);
+  ctx.setCurrentContext(null);
+
+  if (searchTerms.length === 0) {
+    return { text: `Please specify which document you want me to read.\n\nExamples:\n• "Read CR 19637"\n• "Summarize health policy file"\n• "What is in the product sheet?"` };
+  }
+
+  const userWantsVideo = slots.fileType === 'video' || /\b(video|recording|meeting|call)\b/i.test(message);
+  const results = await findDocumentToRead(searchTerms, userWantsVideo, ctx);
+
+  if (results.length === 0) {
+    return { text: `I couldn't find a document matching "${searchTerms.join(', ')}".\n\nTry:\n• Different keywords\n• Just the CR number (e.g., "19637")\n• "Read Arogya document"` };
+  }
+
+  const doc = results[0];
+  console.log('Reading document:', doc.name, doc.id);
+  const moreResults = results.length > 1
+    ? `\n\n_${results.length - 1} more file(s) found. Ask "show all files" to see more._`
+    : '';
+  if (results.length > 1) {
+    ctx.lastSearchResultsRef.current = results;
+  }
+
+  // Check if the found file is a video - use transcript flow instead
+  if (isVideoFile(doc.name)) {
+    console.log('Video file detected, using transcript flow:', doc.name);
+    const video = await summarizeVideo(doc, ctx);
+    return { ...video, text: video.text + moreResults };
+  }
+
+  // Regular document flow
+  const docContent = await ctx.readDocument(doc.id, doc.name);
+  console.log('Document content:', docContent?.contentType, 'Length:', docContent?.content?.length);
+
+  if (!docContent) {
+    // Could not read content, show basic info
+    ctx.setSourceDocuments([doc]);
+    let text = `📄 **${doc.name}**\n\n`;
+    text += `I found the document but couldn't read its content.\n\n`;
+    text += `**Path:** ${doc.path}\n`;
+    text += `Click "Open" below to view in OneDrive.`;
+    return { text, sources: [doc] };
+  }
+
+  const sources = [{ ...doc, webUrl: docContent.webUrl }];
+  ctx.setSourceDocuments(sources);
+
+  const hasContent = docContent.content && docContent.content.length > 50;
+  // Save document for Q&A follow-up questions
+  if (hasContent) {
+    ctx.addToWorkingSet({
+      id: doc.id,
+      name: doc.name,
+      content: docContent.content,
+      locations: docContent.locations,
+      path: docContent.path,
+    });
+    console.log('Active document set for Q&A:', doc.name);
+  }
+
+  let text = `📄 **${doc.name}**\n\n`;
+  const isCRDoc = CR_PATTERN.test(doc.name) || !!slots.crNumber;
+
+  // Show content summary if we have content
+  if (hasContent) {
+    const summary = await ctx.generateSummary(
+      docContent.content,
+      doc.name,
+      ctx.aiEnabled ? ctx.streamBotMessage(`${text}\n**📝 Document Summary:**\n`) : null,
+      cacheFor(docContent, 'summary')
+    );
+    if (summary) {
+      text += `\n**📝 ${ctx.aiEnabled ? 'Document Summary' : 'Content Preview'}:**\n${summary}\n`;
+    }
+
+    // For CR documents, automatically extract impacted areas
+    if (isCRDoc && ctx.aiEnabled) {
+      text += await extractImpactedAreas(docContent, doc.name, text, ctx);
+    }
+  } else {
+    // No content extracted, show metadata only
+    text += `**📋 Document Summary:**\n`;
+    text += `• Type: ${describeFileType(doc.name)}\n`;
+    if (docContent.size) {
+      const kb = docContent.size / 1024;
+      const size = kb > 1024 ? (kb / 1024).toFixed(1) + ' MB' : Math.round(kb) + ' KB';
+      text += `• Size: ${size}\n`;
+    }
+    text += `• Modified: ${docContent.lastModified || 'N/A'}\n`;
+    if (docContent.lastModifiedBy) {
+      text += `• Last edited by: ${docContent.lastModifiedBy}\n`;
+    }
+
+    // For Office documents, suggest opening to view content
+    const ext = doc.name.split('.').pop()?.toLowerCase();
+    if (['docx', 'doc', 'xlsx', 'xls', 'pptx', 'ppt', 'pdf'].includes(ext)) {
+      text += `\n_Note: Click "Open" below to view full content in OneDrive._\n`;
+    }
+  }
+
+  text += `\n**📂 Path:**\n${docContent.path}`;
+
+  // Add numbered Q&A suggestions
+  if (ctx.aiEnabled && hasContent) {
+    text += await suggestQuestions(docContent, doc.name, isCRDoc, ctx);
+  }
+
+  return { text: text + moreResults, sources };
+}
+
+// document_question: answer from the working set, or simplify / break down the open CR
+export async function handleDocumentQuestion({ message, slots }, ctx) {
+  const { activeDocument, workingSet } = ctx;
+  console.log('Document Q&A detected for:', activeDocument.name);
+
+  const action = ACTION_QUESTIONS[slots.action];
+  let heading;
+  let result;
+  if (action) {
+    heading = `**${action.icon} ${action.heading} — "${activeDocument.name}":**\n\n`;
+    result = await ctx.answerDocumentQuestion(renderPrompt(action.promptId), ctx.streamBotMessage(heading));
+  } else if (workingSet.length > 1) {
+    heading = `**📚 Answer across ${workingSet.length} documents:**\n\n`;
+    result = await llmAnswerAcrossDocuments(workingSet, message, ctx.streamBotMessage(heading));
+  } else {
+    heading = `**📄 Answer from "${activeDocument.name}":**\n\n`;
+    result = await ctx.answerDocumentQuestion(message, ctx.streamBotMessage(heading));
+  }
+
+  let text;
+  let sources = [];
+  if (result?.answer) {
+    text = `${heading}${result.answer}`;
+    text += workingSet.length > 1
+      ? `\n\n💡 _Ask more questions, say "compare these", or "clear documents" to start over._`
+      : `\n\n💡 _Ask more questions or say "another document" to add a file to compare._`;
+    // Keep the same source documents
+    sources = ctx.sourceDocuments;
+  } else {
+    text = `I couldn't find an answer to that question in the document. Try rephrasing or ask a different question.`;
+  }
+
+  // Update conversation history for context
+  ctx.setConversationHistory(prev => [
+    ...prev.slice(-6),
+    { role: 'user', content: message },
+    { role: 'assistant', content: text }
+  ]);
+
+  return { text, sources, citations: result?.citations || [] };
+}
+
+// compare_documents: compare everything in the working set
+export async function handleCompareDocuments({ message }, ctx) {
+  const { workingSet } = ctx;
+  if (workingSet.length < 2) {
+    return { text: `Add at least two documents to compare. Open a file, then say "another document" to add a second one, or use ➕ on a search result.` };
+  }
+
+  const names = workingSet.map(d => `"${d.name}"`).join(' vs ');
+  const prefix = `**⚖️ Comparison — ${names}:**\n\n`;
+  const comparison = await llmCompareDocuments(workingSet, message, ctx.streamBotMessage(prefix));
+  return { text: `${prefix}${comparison}`, sources: ctx.sourceDocuments };
+}
+
+// clear_documents: empty the working set and start fresh
+export async function handleClearDocuments(request, ctx) {
+  ctx.setWorkingSet([]);
+  return { text: `Documents cleared. What document would you like me to find?\n\nTry:\n• "Read Arogya document"\n• "Summarize health policy"\n• "Show me product files"` };
+}
+
+// add_document: prompt for another document to bring into the working set
+export async function handleAddDocument(request, ctx) {
+  let text = `What document would you like me to find?\n\nTry:\n• "Read Arogya document"\n• "Summarize health policy"\n• "Show me product files"`;
+  const count = ctx.workingSet.length;
+  if (count > 0) {
+    text += `\n\n📚 It will be added to your working set (${count} document${count > 1 ? 's' : ''} so far). Say "clear documents" to start fresh.`;
+  }
+  return { text };
+}
+
+// generate_pm_document: open the PM impact analysis form (independent of the active document)
+export async function handleGeneratePMDocument(request, ctx) {
+  ctx.setIsTyping(false);
+  ctx.openPMDocumentForm();
+  return null;
+}
@@ -0,0 +1,155 @@
+// Chat intent handlers for listing, searching and picking files
+import { applyFileFilters, presentFileResults, isVideoFile, isZipFile } from './fileUtils';
+import { summarizeVideo, summarizeListedDocument } from './documentHandlers';
+import { describeImages, DESCRIBE_IMAGE_QUESTION } from './mediaHandlers';
+
+const MAX_SHOWN_ARCHIVE_ENTRIES = 50; // The rest stay in the listing for follow-up questions
+const RECENT_LABELS = { folder: 'Files & Folders', document: 'Documents', spreadsheet: 'Spreadsheets', presentation: 'Presentations' };
+
+// Numbered file list with path and date, shared by "show all" and recent files
+function formatFileList(files) {
+  let text = '';
+  files.forEach((file, idx) => {
+    text += `${idx + 1}. **${file.name}**\n`;
+    text += `   📁 ${file.path || 'Root'} • ${file.date || 'N/A'}\n\n`;
+  });
+  return text;
+}
+
+// show_all_results: every result from the last search
+export async function handleShowAllResults(request, ctx) {
+  const allResults = ctx.lastSearchResultsRef.current;
+  let text = `📂 **All Search Results (${allResults.length}):**\n\n`;
+  text += formatFileList(allResults);
+  text += `\n💡 **Type a number (e.g. "3") to summarize that document.**`;
+  ctx.setSourceDocuments(allResults);
+  ctx.lastFileListRef.current = allResults;
+  return { text, sources: allResults };
+}
+
+// recent_files: the user's recently used OneDrive files
+export async function handleRecentFiles({ slots }, ctx) {
+  try {
+    const recentFiles = await ctx.fetchRecentFiles();
+    if (recentFiles.length === 0) {
+      return { text: `No recent files found. Try uploading a file to OneDrive first.` };
+    }
+
+    const filteredFiles = applyFileFilters(recentFiles, slots);
+    const showCount = slots.count || 10;
+    const displayFiles = filteredFiles.slice(0, showCount);
+
+    let text = `📂 **Your Recent ${RECENT_LABELS[slots.fileType] || 'Files'} (${filteredFiles.length}):**\n\n`;
+    text += formatFileList(displayFiles);
+    if (filteredFiles.length > showCount) {
+      text += `_...and ${filteredFiles.length - showCount} more files_\n`;
+    }
+    text += `\n💡 **Type a number (e.g. "3") to summarize that document.**`;
+    ctx.setSourceDocuments(displayFiles);
+    ctx.lastFileListRef.current = displayFiles;
+    return { text, sources: displayFiles };
+  } catch (error) {
+    console.error('Error getting recent files:', error);
+    return { text: `Couldn't fetch recent files. Please make sure you're signed in.` };
+  }
+}
+
+/**
+ * List the files inside a .zip and add the listing to the working set for follow-up questions
+ * @param {Object} doc - Archive file item
+ * @param {Object} ctx - Handler context
+ * @returns {Promise<Object>} - { text, sources }
+ */
+export async function listArchive(doc, ctx) {
+  const docContent = await ctx.readDocument(doc.id, doc.name);
+  const sources = [{ ...doc, webUrl: docContent?.webUrl || doc.webUrl }];
+  ctx.setSourceDocuments(sources);
+
+  if (!docContent?.content) {
+    return { text: `I couldn't read what's inside **${doc.name}**. It may be damaged or not a ZIP archive.`, sources };
+  }
+  ctx.addToWorkingSet({ id: doc.id, name: doc.name, content: docContent.content, locations: docContent.locations, path: docContent.path });
+
+  const [summary, ...entries] = docContent.content.split('\n');
+  let text = `📦 **${doc.name}** - ${summary}\n${entries.slice(0, MAX_SHOWN_ARCHIVE_ENTRIES).join('\n')}\n`;
+  if (entries.length > MAX_SHOWN_ARCHIVE_ENTRIES) {
+    text += `_...and ${entries.length - MAX_SHOWN_ARCHIVE_ENTRIES} more_\n`;
+  }
+  text += `\n**📂 Path:** ${docContent.path || doc.path}`;
+  if (ctx.aiEnabled) text += `\n\n💡 **Ask me about these files, e.g. "which of them are PDFs?"**`;
+  return { text, sources };
+}
+
+// archive_contents: "what's inside this .zip?" about an archive found by search or opened
+export async function handleArchiveContents({ message }, ctx) {
+  const archives = [...ctx.sourceDocuments, ...ctx.lastFileListRef.current, ctx.activeDocument]
+    .filter(doc => doc?.id && isZipFile(doc.name));
+  if (archives.length === 0) {
+    return { text: 'Find the archive first (e.g. "find release bundle zip"), then ask what\'s inside it.' };
+  }
+  const lowerMsg = message.toLowerCase();
+  const named = archives.find(doc => lowerMsg.includes(doc.name.toLowerCase().replace(/\.zip$/, '')));
+  return listArchive(named || archives[0], ctx);
+}
+
+// select_number: a bare number picks a suggested question, or a file from the last list
+export async function handleSelectNumber({ slots }, ctx) {
+  const selection = slots.selection;
+
+  const suggestions = ctx.lastSuggestedQuestionsRef.current;
+  if (selection >= 1 && selection <= suggestions.length) {
+    const selectedQuestion = suggestions[selection - 1];
+    ctx.lastSuggestedQuestionsRef.current = [];
+    ctx.setIsTyping(false);
+    // Re-send as if user typed the full question
+    ctx.resend(selectedQuestion);
+    return null;
+  }
+
+  const fileList = ctx.lastFileListRef.current;
+  if (selection < 1 || selection > fileList.length) {
+    return { text: `Invalid selection. Please enter a number between 1 and ${fileList.length || suggestions.length}.` };
+  }
+
+  const doc = fileList[selection - 1];
+  console.log('User selected file #', selection, ':', doc.name, 'id:', doc.id);
+  if (doc.isImage && ctx.aiEnabled) {
+    return describeImages([doc], DESCRIBE_IMAGE_QUESTION, ctx);
+  }
+  if (isZipFile(doc.name)) {
+    return listArchive(doc, ctx);
+  }
+  return isVideoFile(doc.name)
+    ? summarizeVideo(doc, ctx)
+    : summarizeListedDocument(doc, selection, ctx);
+}
+
+// file_search: find files matching the search terms without reading them
+export async function handleFileSearch({ slots }, ctx) {
+  const searchTerms = slots.searchTerms;
+  ctx.setCurrentContext(null);
+
+  if (searchTerms.length === 0) {
+    return { text: "Please specify what files you're looking for. For example:\n• 'Show Arogya Sanjeevani files'\n• 'Find Top up product documents'\n• 'Search health policy'" };
+  }
+
+  // Search for each term
+  let allResults = [];
+  for (const term of searchTerms) {
+    const results = await ctx.searchDocuments(term);
+    allResults = [...allResults, ...results];
+  }
+
+  // Remove duplicates by id
+  const uniqueResults = allResults.filter((file, index, self) =>
+    index === self.findIndex(f => f.id === file.id)
+  );
+
+  // Filter based on user request (folders, documents only, date range, etc.)
+  const filteredResults = applyFileFilters(uniqueResults, slots);
+  if (filteredResults.length === 0) {
+    return { text: `I couldn't find any files matching "${searchTerms.join(', ')}" in your OneDrive.\n\nPlease check:\n• The file name spelling\n• If the file exists in your accessible folders\n• Try different search terms` };
+  }
+
+  return presentFileResults(filteredResults, slots, ctx, `related to "${searchTerms.join(', ')}"`);
+}
@@ -0,0 +1,116 @@
+// File helpers shared by the chat intent handlers
+
+// Extensions kept for each fileType slot value
+const FILE_TYPE_EXTENSIONS = {
+  document: ['doc', 'docx', 'pdf'],
+  spreadsheet: ['xlsx', 'xls', 'csv'],
+  presentation: ['pptx', 'ppt'],
+};
+
+const FILE_TYPE_DESCRIPTIONS = {
+  'docx': 'Word Document', 'doc': 'Word Document',
+  'xlsx': 'Excel Spreadsheet', 'xls': 'Excel Spreadsheet',
+  'pptx': 'PowerPoint Presentation', 'ppt': 'PowerPoint Presentation',
+  'pdf': 'PDF Document', 'txt': 'Text File',
+  'png': 'Image', 'jpg': 'Image', 'jpeg': 'Image', 'gif': 'Image',
+  'mp4': 'Video', 'mov': 'Video', 'avi': 'Video',
+  'mp3': 'Audio', 'wav': 'Audio',
+  'zip': 'Archive', 'rar': 'Archive'
+};
+
+const extensionOf = (fileName) => fileName?.split('.').pop()?.toLowerCase();
+
+// Check if file is a video
+export function isVideoFile(fileName) {
+  return ['mp4', 'mov', 'avi', 'mkv', 'webm'].includes(extensionOf(fileName));
+}
+
+export function isZipFile(fileName) {
+  return extensionOf(fileName) === 'zip';
+}
+
+export function describeFileType(fileName) {
+  return FILE_TYPE_DESCRIPTIONS[extensionOf(fileName)] || 'File';
+}
+
+export function formatSize(bytes) {
+  if (!bytes) return '';
+  const kb = bytes / 1024;
+  return kb > 1024 ? (kb / 1024).toFixed(1) + ' MB' : Math.round(kb) + ' KB';
+}
+
+/**
+ * Apply the fileType and dateRange slots to a file list
+ * @param {Array} files - Graph file items ({ name, isFolder, date: 'YYYY-MM-DD' })
+ * @param {Object} slots - From classifyIntent
+ * @returns {Array}
+ */
+export function applyFileFilters(files, slots) {
+  let filtered = files;
+  if (slots.fileType !== 'folder') {
+    filtered = filtered.filter(f => !f.isFolder);
+  }
+  const extensions = FILE_TYPE_EXTENSIONS[slots.fileType];
+  if (extensions) {
+    filtered = filtered.filter(f => f.isFolder || extensions.includes(extensionOf(f.name)));
+  }
+  if (slots.dateRange) {
+    const { from, to } = slots.dateRange;
+    filtered = filtered.filter(f => f.date && f.date >= from && (!to || f.date <= to));
+  }
+  return filtered;
+}
+
+/**
+ * Show search results as a numbered list, or a single file card when one file was asked for
+ * @param {Array} files - Filtered results
+ * @param {Object} slots - From classifyIntent (count, multiple)
+ * @param {Object} ctx - Handler context
+ * @param {string} description - How the results relate to the request, e.g. 'related to "Arogya"'
+ * @returns {Object} - { text, sources }
+ */
+export function presentFileResults(files, slots, ctx, description) {
+  const showMultiple = slots.multiple;
+  const requestedCount = slots.count;
+  const maxFiles = requestedCount || (showMultiple ? 5 : 1);
+  const displayResults = files.slice(0, maxFiles);
+
+  ctx.setSourceDocuments(displayResults);
+  // Store the displayed list for number selection
+  ctx.lastFileListRef.current = displayResults;
+
+  let text;
+  if (showMultiple || requestedCount) {
+    text = `I found **${files.length} file(s)** ${description}${requestedCount ? ` (showing ${displayResults.length})` : ''}:\n\n`;
+    displayResults.forEach((doc, idx) => {
+      const size = formatSize(doc.size);
+      text += `**${idx + 1}. ${doc.name}**\n`;
+      text += `   📄 ${describeFileType(doc.name)}${size ? ` • ${size}` : ''}\n`;
+      text += `   📂 ${doc.path}\n`;
+      text += `   📅 Modified: ${doc.date || 'N/A'}${doc.sharedBy ? ` • By: ${doc.sharedBy}` : ''}\n\n`;
+    });
+    if (files.length > maxFiles) {
+      text += `_...and ${files.length - maxFiles} more files._\n`;
+    }
+    text += `\n💡 **Type a number (e.g. "3") to summarize that document.**`;
+  } else {
+    // Single file response with summary
+    const doc = displayResults[0];
+    const size = formatSize(doc.size);
+
+    text = `Here's the file ${description}:\n\n`;
+    text += `📄 **${doc.name}**\n\n`;
+    text += `**Summary:**\n`;
+    text += `• Type: ${describeFileType(doc.name)}\n`;
+    if (size) text += `• Size: ${size}\n`;
+    text += `• Modified: ${doc.date || 'N/A'}\n`;
+    if (doc.sharedBy) text += `• Owner: ${doc.sharedBy}\n`;
+    text += `\n**Path:**\n📂 ${doc.path}\n`;
+
+    if (files.length > 1) {
+      text += `\n_${files.length - 1} more file(s) available. Ask "show all files" or "list files" to see more._`;
+    }
+  }
+
+  return { text, sources: displayResults };
+}
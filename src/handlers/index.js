@@ -0,0 +1,51 @@
+// Maps each chat intent (see services/intentRules.js) to its handler. 'agent' is never
+// classified; ChatBot sends every message there while agent mode is on.
+//
+// Handlers are called as handler({ message, slots, source }, ctx) and resolve to
+// { text, sources?, citations?, agentTrace? } for the bot reply, or null when they respond some other way
+// (re-sending a suggested question, opening the PM document form).
+//
+// ctx is built by ChatBot for each message:
+//   state    - aiEnabled, aiProvider, activeDocument, workingSet, sourceDocuments, currentContext, conversationHistory
+//   refs     - lastFileListRef, lastSearchResultsRef, lastSuggestedQuestionsRef
+//   setters  - setSourceDocuments, setWorkingSet, addToWorkingSet, setCurrentContext, setConversationHistory, setIsTyping
+//   OneDrive - searchDocuments, searchMediaFiles, fetchRecentFiles, readDocument, readVideoTranscript, findSourceDocument
+//   answers  - generateSummary, answerDocumentQuestion, streamBotMessage, showAgentTrace
+//   actions  - resend(question), openPMDocumentForm()
+import {
+  handleShowAllResults,
+  handleRecentFiles,
+  handleSelectNumber,
+  handleFileSearch,
+  handleArchiveContents,
+} from './fileHandlers';
+import {
+  handleReadDocument,
+  handleDocumentQuestion,
+  handleCompareDocuments,
+  handleClearDocuments,
+  handleAddDocument,
+  handleGeneratePMDocument,
+} from './documentHandlers';
+import { handleMediaSearch, handleImageQuestion } from './mediaHandlers';
+import { handleSourceRequest, handleChat } from './chatHandlers';
+import { handleAgentRequest } from './agentHandlers';
+
+export const INTENT_HANDLERS = {
+  show_all_results: handleShowAllResults,
+  recent_files: handleRecentFiles,
+  select_number: handleSelectNumber,
+  clear_documents: handleClearDocuments,
+  add_document: handleAddDocument,
+  compare_documents: handleCompareDocuments,
+  read_document: handleReadDocument,
+  generate_pm_document: handleGeneratePMDocument,
+  document_question: handleDocumentQuestion,
+  media_search: handleMediaSearch,
+  image_question: handleImageQuestion,
+  archive_contents: handleArchiveContents,
+  source_request: handleSourceRequest,
+  file_search: handleFileSearch,
+  chat: handleChat,
+  agent: handleAgentRequest,
+};
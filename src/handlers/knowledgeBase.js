@@ -0,0 +1,157 @@
+// Canned answers for common company-process questions, matched by keyword
+const knowledgeBase = [
+  {
+    keywords: ['approval', 'project', 'change', 'process'],
+    topic: 'project_change',
+    initialResponse: `Project change approval involves submission of a change request, impact analysis, and formal approval before implementation.
+
+Could you confirm:
+• Which department is this for?
+• Is this for scope, timeline, or cost change?`,
+    followUp: {
+      'pmo': {
+        'scope': {
+          response: 'Scope change approval requires a formal change request, impact assessment on cost and timeline, and sign-off from the client sponsor before implementation.',
+          sourceFile: 'Project_Change_Process'
+        },
+        'timeline': {
+          response: 'Timeline change approval requires justification, updated schedule, and approval from project sponsor and stakeholders.',
+          sourceFile: 'Project_Change_Process'
+        },
+        'cost': {
+          response: 'Cost change approval requires budget revision request, financial impact analysis, and CFO approval for changes exceeding 10%.',
+          sourceFile: 'Budget_Change_Policy'
+        }
+      },
+      'finance': {
+        'scope': {
+          response: 'Finance scope changes require budget committee review and CFO approval.',
+          sourceFile: 'Finance_Change_Policy'
+        }
+      }
+    }
+  },
+  {
+    keywords: ['leave', 'policy', 'vacation', 'pto'],
+    topic: 'leave_policy',
+    initialResponse: `Our leave policy covers various types of time off including vacation, sick leave, and personal days.
+
+What would you like to know:
+• Annual leave entitlement?
+• Sick leave policy?
+• Leave application process?`,
+    followUp: {
+      'annual': {
+        response: 'Annual leave entitlement is 20 days per year for regular employees, accrued monthly. Unused leave can be carried forward up to 5 days.',
+        sourceFile: 'Leave_Policy'
+      },
+      'sick': {
+        response: 'Sick leave is 10 days per year. Medical certificate required for absences exceeding 3 consecutive days.',
+        sourceFile: 'Leave_Policy'
+      },
+      'application': {
+        response: 'Leave applications should be submitted via HR portal at least 5 business days in advance. Manager approval is required.',
+        sourceFile: 'Leave_Policy'
+      }
+    }
+  },
+  {
+    keywords: ['expense', 'reimbursement', 'claim'],
+    topic: 'expense',
+    initialResponse: `Expense reimbursement follows our corporate policy for business-related expenses.
+
+Please specify:
+• Travel expenses?
+• Office supplies?
+• Client entertainment?`,
+    followUp: {
+      'travel': {
+        response: 'Travel expenses require pre-approval for trips over $500. Submit receipts within 30 days via expense portal. Per diem rates apply for meals.',
+        sourceFile: 'Travel_Expense_Policy'
+      },
+      'supplies': {
+        response: 'Office supplies under $100 can be purchased directly. Amounts over $100 require manager approval.',
+        sourceFile: 'Procurement_Policy'
+      },
+      'entertainment': {
+        response: 'Client entertainment requires pre-approval and itemized receipts. Maximum $75 per person for meals.',
+        sourceFile: 'Entertainment_Policy'
+      }
+    }
+  },
+  {
+    keywords: ['onboarding', 'new', 'employee', 'hire', 'joining'],
+    topic: 'onboarding',
+    initialResponse: `Welcome! Onboarding process includes IT setup, HR documentation, and department orientation.
+
+What do you need help with:
+• IT access and equipment?
+• HR documentation?
+• Training schedule?`,
+    followUp: {
+      'it': {
+        response: 'IT setup includes laptop provisioning, email activation, and system access. Ticket is auto-created on hire. Equipment delivered within 2 business days.',
+        sourceFile: 'IT_Onboarding_Checklist'
+      },
+      'hr': {
+        response: 'HR documentation includes I-9 verification, tax forms, benefits enrollment, and emergency contacts. Complete within first 3 days.',
+        sourceFile: 'HR_Onboarding_Guide'
+      },
+      'training': {
+        response: 'Mandatory training includes compliance (Day 1), security awareness (Week 1), and role-specific training (Week 2-4).',
+        sourceFile: 'Training_Schedule'
+      }
+    }
+  }
+];
+
+// Find matching knowledge base entry
+export function findKnowledgeMatch(text) {
+  const lowerText = text.toLowerCase();
+
+  for (const entry of knowledgeBase) {
+    const matchCount = entry.keywords.filter(kw => lowerText.includes(kw)).length;
+    if (matchCount >= 2) {
+      return entry;
+    }
+  }
+  return null;
+}
+
+// Process follow-up response
+export function processFollowUp(text, context) {
+  const lowerText = text.toLowerCase();
+
+  if (context.topic === 'project_change') {
+    // Check for department
+    const departments = ['pmo', 'finance', 'hr', 'it', 'operations'];
+    const changeTypes = ['scope', 'timeline', 'cost', 'budget'];
+
+    let dept = departments.find(d => lowerText.includes(d));
+    let changeType = changeTypes.find(t => lowerText.includes(t));
+
+    if (dept && changeType) {
+      const followUp = context.followUp[dept]?.[changeType] || context.followUp['pmo']?.[changeType];
+      if (followUp) {
+        return {
+          response: followUp.response,
+          sourceFile: followUp.sourceFile,
+          resolved: true
+        };
+      }
+    }
+  } else if (context.followUp) {
+    // Check for matching follow-up keywords
+    for (const [key, value] of Object.entries(context.followUp)) {
+      if (lowerText.includes(key)) {
+        return {
+          response: value.response,
+          sourceFile: value.sourceFile,
+          resolved: true
+        };
+      }
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,112 @@
+// Chat intent handlers for finding images and videos, and asking about images
+import { answerAboutImages } from '../services/llmService';
+import { loadImageInput, MAX_IMAGES_PER_QUESTION } from '../services/visionInputs';
+
+const MEDIA_LABELS = { video: 'video(s)', image: 'image(s)', all: 'media file(s)' };
+const ORDINALS = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5 };
+export const DESCRIBE_IMAGE_QUESTION = 'Describe this image. If it contains text, include the text.';
+
+// Which shown images a question is about: "image 2", "the second diagram", "the last one", else all of them
+function pickImages(message, images) {
+  const lowerMsg = message.toLowerCase();
+  const numbered = lowerMsg.match(/\b(?:image|picture|photo|diagram|screenshot)\s*#?(\d+)\b/);
+  // An ordinal only picks an image next to an image noun - "the first step" is about all of them
+  const ordinal = lowerMsg.match(/\b(first|second|third|fourth|fifth|last)\s+(?:one|image|picture|photo|diagram|screenshot)\b/);
+  let position = null;
+  if (numbered) position = parseInt(numbered[1], 10);
+  else if (ordinal) position = ordinal[1] === 'last' ? images.length : ORDINALS[ordinal[1]];
+
+  if (position >= 1 && position <= images.length) return [images[position - 1]];
+  return images.slice(0, MAX_IMAGES_PER_QUESTION);
+}
+
+/**
+ * Answer a question about OneDrive images with a vision-capable provider
+ * @param {Array} images - Image items from searchMedia
+ * @param {string} question - User question
+ * @param {Object} ctx - Handler context
+ * @returns {Promise<Object>} - { text, sources }
+ */
+export async function describeImages(images, question, ctx) {
+  const loaded = await Promise.all(images.map(loadImageInput));
+  const inputs = loaded.filter(Boolean);
+  ctx.setSourceDocuments(images);
+
+  if (inputs.length === 0) {
+    return {
+      text: `I couldn't download ${images.length > 1 ? 'these images' : `**${images[0].name}**`} to look at. Try searching for ${images.length > 1 ? 'them' : 'it'} again.`,
+      sources: images,
+    };
+  }
+
+  const heading = `🖼️ **${inputs.map(image => image.name).join(', ')}**\n\n`;
+  let text = heading + await answerAboutImages(inputs, question, ctx.streamBotMessage(heading));
+  const skipped = images.filter((image, idx) => !loaded[idx]);
+  if (skipped.length > 0) {
+    text += `\n\n_Couldn't load: ${skipped.map(image => image.name).join(', ')}_`;
+  }
+  return { text, sources: images };
+}
+
+// image_question: ask about the images shown by the last media search
+export async function handleImageQuestion({ message }, ctx) {
+  const shown = ctx.sourceDocuments.filter(doc => doc.isImage);
+  if (shown.length === 0) {
+    return { text: 'Find an image first (e.g. "show the architecture diagram"), then ask me about it.' };
+  }
+  return describeImages(pickImages(message, shown), message, ctx);
+}
+
+// media_search: find images or videos matching the search terms
+export async function handleMediaSearch({ message, slots }, ctx) {
+  const mediaType = slots.fileType === 'image' || slots.fileType === 'video' ? slots.fileType : 'all';
+  const searchTerm = slots.searchTerms.length > 0 ? slots.searchTerms[0] : '';
+  ctx.setCurrentContext(null);
+
+  console.log('Media request detected:', { mediaType, searchTerms: slots.searchTerms, searchTerm });
+
+  // Use a generic term if no specific search term found
+  const queryTerm = searchTerm || (mediaType === 'video' ? 'video' : 'image');
+  const results = await ctx.searchMediaFiles(queryTerm, mediaType);
+
+  console.log('Media search results:', results.length);
+
+  if (results.length === 0) {
+    return { text: `I couldn't find any ${mediaType === 'video' ? 'videos' : mediaType === 'image' ? 'images' : 'media files'}${searchTerm ? ` matching "${searchTerm}"` : ''} in your OneDrive.\n\nTry:\n• Different keywords\n• "Show my images" or "Show my videos"` };
+  }
+
+  // Show up to 5 only if using plural/multiple keywords (images, videos, all, list)
+  const showMultiple = /\b(images|videos|photos|pictures|clips|all|list|every)\b/i.test(message);
+  const requestedMediaCount = slots.count;
+  const maxFiles = requestedMediaCount || (showMultiple ? 5 : 1);
+  const displayResults = results.slice(0, maxFiles);
+
+  ctx.setSourceDocuments(displayResults);
+  ctx.lastFileListRef.current = displayResults;
+
+  const mediaLabel = MEDIA_LABELS[mediaType];
+  let text;
+  if (showMultiple || requestedMediaCount) {
+    text = `I found **${results.length} ${mediaLabel}**${searchTerm ? ` related to "${searchTerm}"` : ''}${requestedMediaCount ? ` (showing ${displayResults.length})` : ''}:\n\n`;
+  } else {
+    text = `Here's ${mediaType === 'video' ? 'a video' : 'an image'}${searchTerm ? ` related to "${searchTerm}"` : ''}:\n\n`;
+  }
+
+  // Media will be rendered separately in the message
+  displayResults.forEach((doc, idx) => {
+    text += showMultiple || requestedMediaCount ? `**${idx + 1}. ${doc.name}**\n` : `**${doc.name}**\n`;
+    text += `📂 ${doc.path}\n\n`;
+  });
+
+  if (results.length > maxFiles) {
+    text += `_...and ${results.length - maxFiles} more ${mediaLabel} available._\n`;
+  }
+  if (displayResults.length > 1) {
+    text += `\n💡 **Type a number (e.g. "1") to ${mediaType === 'image' ? 'describe that image' : `summarize that ${mediaType === 'video' ? 'video' : 'file'}`}.**`;
+  }
+  if (ctx.aiEnabled && displayResults.some(doc => doc.isImage)) {
+    text += `\n💡 **Ask me about ${displayResults.length > 1 ? 'them' : 'it'}, e.g. "what's in this diagram?" or "read the text in image 1".**`;
+  }
+
+  return { text, sources: displayResults };
+}
@@ -3,12 +3,16 @@ import { createRoot } from 'react-dom/client'
 import { PublicClientApplication, EventType } from '@azure/msal-browser'
 import { MsalProvider } from '@azure/msal-react'
 import { msalConfig } from './config/authConfig'
+import { registerProxyAuth } from './services/proxyService'
 import './index.css'
 import App from './App.jsx'
 
 // Initialize MSAL instance
 const msalInstance = new PublicClientApplication(msalConfig)
 
+// LLM proxy requests are signed with the user's token
+registerProxyAuth(msalInstance)
+
 // Handle redirect response
 msalInstance.initialize().then(() => {
   // Handle redirect promise
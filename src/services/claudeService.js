@@ -1,27 +1,37 @@
 // Claude Service for intelligent document processing using Anthropic's Claude API
 // NOTE: Claude API has CORS restrictions when called from browser
-// This service includes fallback to Groq for browser compatibility
+// Failures are rethrown so llmService can fail over to the next provider in the chain
 import { claudeConfig, isClaudeConfigured } from '../config/claudeConfig';
-import { generateDocumentSummaryGroq, answerDocumentQuestionGroq, getChatResponseGroq } from './groqService';
+import { readSSEStream } from './streamUtils';
+import { toClaudeMessages, toClaudeTools, parseClaudeResponse } from './toolCalling';
+import { normalizeUsage } from './tokenUsage';
+import { samplingFor, SAMPLING_FIELDS } from './providerSettings';
+import { LLM_PROVIDERS, registerProvider } from './providerRegistry';
 
 /**
- * Call Claude API with fallback to Groq
+ * Call Claude API
  * @param {Array} messages - Array of message objects with role and content
- * @param {Object} options - Optional parameters
+ * @param {Object} options - Optional parameters: system, maxTokens, temperature (pass onToken to stream,
+ *   onUsage to receive token counts)
  * @returns {Promise<string>} - The Claude response text
  */
 export async function callClaude(messages, options = {}) {
   if (!isClaudeConfigured()) {
-    throw new Error('Claude is not configured. Please set environment variables.');
+    throw new Error('Claude is not configured. Add it in Settings or set environment variables.');
   }
 
+  const sampling = samplingFor(claudeConfig, options);
   const requestBody = {
     model: claudeConfig.model,
-    max_tokens: options.maxTokens || 1000,
+    max_tokens: sampling.maxTokens,
     messages: messages,
-    temperature: options.temperature !== undefined ? options.temperature : 0.7,
+    temperature: sampling.temperature,
     top_p: options.topP || 1,
+    stream: !!options.onToken,
   };
+  if (options.system) {
+    requestBody.system = options.system;
+  }
 
   try {
     console.log('Claude: Attempting to call', claudeConfig.model, 'with', messages.length, 'messages');
@@ -36,9 +46,8 @@ export async function callClaude(messages, options = {}) {
       body: JSON.stringify(requestBody),
     });
 
-    const data = await response.json();
-
     if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
       console.error('Claude API error response:', data);
       throw new Error(
         `Claude API error: ${response.status} - ${
@@ -47,6 +56,29 @@ export async function callClaude(messages, options = {}) {
       );
     }
 
+    // Streaming: content_block_delta events carry the text deltas; message_start reports the
+    // input tokens and message_delta the output tokens
+    if (options.onToken) {
+      let text = '';
+      await readSSEStream(response, (event) => {
+        if (event.type === 'error') {
+          throw new Error(`Claude API error: ${event.error?.message || 'stream error'}`);
+        }
+        if (event.type === 'message_start' || event.type === 'message_delta') {
+          const usage = normalizeUsage(event.message?.usage || event.usage, event.message?.model);
+          if (usage) options.onUsage?.(usage);
+        }
+        if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          text += event.delta.text;
+          options.onToken(event.delta.text);
+        }
+      });
+      console.log('Claude: Stream complete, length:', text.length);
+      return text;
+    }
+
+    const data = await response.json();
+    options.onUsage?.(normalizeUsage(data.usage, data.model));
     const text = data.content?.[0]?.text || '';
     console.log('Claude: Response received, length:', text.length);
     return text;
@@ -58,164 +90,108 @@ export async function callClaude(messages, options = {}) {
 }
 
 /**
- * Generate an intelligent summary of document content using Claude (with Groq fallback)
- * @param {string} content - The document content to summarize
- * @param {string} fileName - The name of the document
- * @returns {Promise<string>} - The Claude-generated summary
+ * Call Claude with tools it may use (native tool_use)
+ * @param {Array} messages - Provider-neutral agent messages (see toolCalling.js)
+ * @param {Array} tools - Tool definitions ({ name, description, parameters })
+ * @param {Object} options - { system, toolChoice: 'auto'|'none', maxTokens, onUsage }
+ * @returns {Promise<Object>} - { text, toolCalls }
  */
-export async function generateDocumentSummaryClaude(content, fileName) {
-  if (!content || content.trim().length === 0) {
-    return null;
+export async function callClaudeWithTools(messages, tools, options = {}) {
+  if (!isClaudeConfigured()) {
+    throw new Error('Claude is not configured. Add it in Settings or set environment variables.');
   }
 
-  // Truncate content if too long (Claude has good context window but still needs limits)
-  const maxContentLength = 16000;
-  const truncatedContent =
-    content.length > maxContentLength
-      ? content.substring(0, maxContentLength) + '\n...[content truncated]'
-      : content;
-
-  const systemPrompt = `You are a professional document summarizer for a corporate healthcare environment. Your task is to provide clear, concise, and actionable summaries.
-
-Guidelines:
-- Extract the most important information first
-- Focus on key decisions, dates, and metrics
-- Highlight any action items or requirements
-- Use bullet points for clarity
-- Keep language professional and precise
-- Summaries should be 3-5 sentences or 5-7 bullet points`;
-
-  const userPrompt = `Please provide a comprehensive summary of the following document titled "${fileName}":
-
-${truncatedContent}
-
-Summary:`;
+  const sampling = samplingFor(claudeConfig, options, 1500, 0.2);
+  const requestBody = {
+    model: claudeConfig.model,
+    max_tokens: sampling.maxTokens,
+    system: options.system,
+    messages: toClaudeMessages(messages),
+    tools: toClaudeTools(tools),
+    tool_choice: { type: options.toolChoice === 'none' ? 'none' : 'auto' },
+    temperature: sampling.temperature,
+  };
 
-  const messages = [
-    {
-      role: 'user',
-      content: userPrompt,
+  const response = await fetch(claudeConfig.apiEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': claudeConfig.apiKey,
+      'anthropic-version': '2023-06-01',
     },
-  ];
+    body: JSON.stringify(requestBody),
+  });
 
-  try {
-    console.log('Claude Summary: Starting for', fileName, 'content length:', truncatedContent.length);
-    const summary = await callClaude(messages, {
-      maxTokens: 800,
-      temperature: 0.3,
-    });
-    console.log('Claude Summary: Generated', summary.length, 'characters');
-    return summary;
-  } catch (error) {
-    console.error('Claude summary failed:', error.message);
-    console.warn('Claude not available, falling back to Groq...');
-    
-    // Fallback to Groq
-    try {
-      return await generateDocumentSummaryGroq(content, fileName);
-    } catch (groqError) {
-      console.error('Groq fallback also failed:', groqError.message);
-      return null;
-    }
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    console.error('Claude API error response:', data);
+    throw new Error(`Claude API error: ${response.status} - ${data.error?.message || response.statusText}`);
   }
+
+  const data = await response.json();
+  options.onUsage?.(normalizeUsage(data.usage, data.model));
+  return parseClaudeResponse(data);
 }
 
 /**
- * Answer a question about document content using Claude (with Groq fallback)
- * @param {string} content - The document content
- * @param {string} question - The user's question
- * @param {string} fileName - The name of the document
- * @returns {Promise<string>} - The Claude-generated answer
+ * Send a prompt request (see prompts.js) to Claude
+ * Claude has no JSON mode, so object responses are prefilled with "{" to skip any preamble.
+ * @param {Object} request - { system, messages, maxTokens, temperature, json, schema, onUsage }; user messages
+ *   may carry images
+ * @param {Function} [onToken] - Optional callback receiving streamed text deltas
+ * @returns {Promise<string>} - The Claude response text
  */
-export async function answerDocumentQuestionClaude(
-  content,
-  question,
-  fileName
-) {
-  if (!content || content.trim().length === 0) {
-    return "I couldn't read the document content to answer your question.";
-  }
-
-  // Truncate content if too long
-  const maxContentLength = 16000;
-  const truncatedContent =
-    content.length > maxContentLength
-      ? content.substring(0, maxContentLength) + '\n...[content truncated]'
-      : content;
-
-  const messages = [
-    {
-      role: 'user',
-      content: `Answer the following question based on the provided document content.
-
-Document: "${fileName}"
-
-Document Content:
-${truncatedContent}
-
-Question: ${question}
-
-If the answer cannot be found in the document, say so clearly.
-Be accurate and cite specific information from the document when possible.`,
-    },
-  ];
-
-  try {
-    console.log('Claude Q&A: Starting for question:', question);
-    const answer = await callClaude(messages, {
-      maxTokens: 800,
-      temperature: 0.3,
-    });
-    console.log('Claude Q&A: Response length:', answer.length);
-    return answer;
-  } catch (error) {
-    console.error('Claude Q&A failed:', error.message);
-    console.warn('Claude not available, falling back to Groq...');
-    
-    // Fallback to Groq
-    try {
-      return await answerDocumentQuestionGroq(content, question, fileName);
-    } catch (groqError) {
-      console.error('Groq fallback also failed:', groqError.message);
-      return "I encountered an error while processing your question. Please try again.";
-    }
-  }
+async function completeClaude(request, onToken) {
+  const prefill = request.json && request.schema?.type === 'object' ? '{' : '';
+  const messages = prefill
+    ? [...request.messages, { role: 'assistant', content: prefill }]
+    : request.messages;
+
+  const response = await callClaude(toClaudeMessages(messages), {
+    system: request.system,
+    maxTokens: request.maxTokens,
+    temperature: request.temperature,
+    onToken,
+    onUsage: request.onUsage,
+  });
+  return prefill + response;
 }
 
 /**
- * Get chat response using Claude (with Groq fallback) for conversational queries
- * @param {string} userMessage - The user's message
- * @param {Array} conversationHistory - Previous messages in the conversation
- * @returns {Promise<string>} - The Claude response
+ * List the models the API key can use
+ * @returns {Promise<Array>} - Model ids
  */
-export async function getChatResponseClaude(
-  userMessage,
-  conversationHistory = []
-) {
-  // Build messages array with conversation history
-  const messages = [
-    ...conversationHistory.slice(-10), // Keep last 10 messages for context
-    { role: 'user', content: userMessage },
-  ];
-
-  try {
-    console.log('Claude Chat: Processing message from user');
-    const response = await callClaude(messages, {
-      maxTokens: 800,
-      temperature: 0.7,
-    });
-    console.log('Claude Chat: Response length:', response.length);
-    return response;
-  } catch (error) {
-    console.error('Claude chat failed:', error.message);
-    console.warn('Claude not available, falling back to Groq...');
-    
-    // Fallback to Groq
-    try {
-      return await getChatResponseGroq(userMessage, conversationHistory);
-    } catch (groqError) {
-      console.error('Groq fallback also failed:', groqError.message);
-      return "I'm having trouble processing your request right now. Please try again.";
-    }
+async function listClaudeModels() {
+  const response = await fetch(claudeConfig.apiEndpoint.replace(/\/messages$/, '/models'), {
+    headers: {
+      'x-api-key': claudeConfig.apiKey,
+      'anthropic-version': '2023-06-01',
+    },
+  });
+  if (!response.ok) {
+    throw new Error(`Claude API error: ${response.status} - ${response.statusText}`);
   }
+  const data = await response.json();
+  return (data.data || []).map(m => m.id);
 }
+
+registerProvider({
+  id: LLM_PROVIDERS.CLAUDE,
+  name: 'Claude',
+  icon: '🤖',
+  priority: 10, // Highest priority direct provider - though has CORS issues from browser
+  contextChars: 15500,
+  capabilities: { streaming: true, tools: true, jsonMode: false, jsonSchema: false, vision: true, checksReachability: false },
+  config: claudeConfig,
+  settingsFields: [
+    { key: 'apiKey', label: 'API key', type: 'password', required: true },
+    { key: 'model', label: 'Model', type: 'text', required: true, placeholder: 'claude-3-5-sonnet-20241022' },
+    { key: 'apiEndpoint', label: 'Endpoint', type: 'url', required: true },
+    ...SAMPLING_FIELDS,
+  ],
+  detect: async () => isClaudeConfigured(),
+  complete: (request) => completeClaude(request),
+  stream: (request, onToken) => completeClaude(request, onToken),
+  chat: callClaudeWithTools,
+  listModels: listClaudeModels,
+});
@@ -0,0 +1,121 @@
+// Chat conversation persistence (IndexedDB) so a page reload doesn't lose a Q&A session
+import { getRecord, getAllRecords, putRecord, deleteRecord } from './localDb';
+
+const STORE = 'conversations';
+const ACTIVE_CONVERSATION_KEY = 'nvest-active-conversation';
+const MAX_TITLE_LENGTH = 60;
+
+export function createConversationId() {
+  return `chat-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Last open conversation, resumed after a reload
+export function getActiveConversationId() {
+  return localStorage.getItem(ACTIVE_CONVERSATION_KEY);
+}
+
+export function setActiveConversationId(id) {
+  if (id) {
+    localStorage.setItem(ACTIVE_CONVERSATION_KEY, id);
+  } else {
+    localStorage.removeItem(ACTIVE_CONVERSATION_KEY);
+  }
+}
+
+/**
+ * Derive a title from the first user message
+ * @param {Array} messages - Chat messages
+ * @returns {string}
+ */
+export function titleFromMessages(messages) {
+  const first = messages.find(m => m.type === 'user' && m.text);
+  if (!first) return 'New chat';
+  const text = first.text.replace(/\s+/g, ' ').trim();
+  return text.length > MAX_TITLE_LENGTH ? text.substring(0, MAX_TITLE_LENGTH) + '…' : text;
+}
+
+/**
+ * List saved conversations, most recently updated first
+ * @returns {Promise<Array>}
+ */
+export async function listConversations() {
+  try {
+    const conversations = await getAllRecords(STORE);
+    return conversations.sort((a, b) => b.updatedAt - a.updatedAt);
+  } catch (error) {
+    console.error('Error listing conversations:', error);
+    return [];
+  }
+}
+
+/**
+ * Load one conversation
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getConversation(id) {
+  try {
+    return (await getRecord(STORE, id)) || null;
+  } catch (error) {
+    console.error('Error loading conversation:', error);
+    return null;
+  }
+}
+
+/**
+ * Save a conversation. Working-set documents are stored as references only;
+ * their content is re-read from OneDrive on resume.
+ * @param {Object} conversation - { id, title, createdAt, messages, conversationHistory, sources, workingSet }
+ * @returns {Promise<boolean>}
+ */
+export async function saveConversation(conversation) {
+  try {
+    await putRecord(STORE, {
+      ...conversation,
+      // Drop in-progress streaming state so a resumed message doesn't look live
+      messages: conversation.messages.map(message => (message.streaming ? { ...message, streaming: false } : message)),
+      workingSet: (conversation.workingSet || []).map(doc => ({
+        id: doc.id,
+        name: doc.name,
+        path: doc.path,
+        isVideo: !!doc.isVideo,
+      })),
+      updatedAt: Date.now(),
+    });
+    return true;
+  } catch (error) {
+    console.error('Error saving conversation:', error);
+    return false;
+  }
+}
+
+export async function renameConversation(id, title) {
+  const conversation = await getConversation(id);
+  if (!conversation) return false;
+  return saveConversation({ ...conversation, title: title.trim() || conversation.title, titleEdited: true });
+}
+
+export async function deleteConversation(id) {
+  try {
+    await deleteRecord(STORE, id);
+    return true;
+  } catch (error) {
+    console.error('Error deleting conversation:', error);
+    return false;
+  }
+}
+
+/**
+ * Filter conversations by title or message text
+ * @param {Array} conversations - From listConversations
+ * @param {string} query - Search text
+ * @returns {Array}
+ */
+export function searchConversations(conversations, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return conversations;
+  return conversations.filter(conversation =>
+    conversation.title?.toLowerCase().includes(needle) ||
+    conversation.messages?.some(m => m.text?.toLowerCase().includes(needle))
+  );
+}
@@ -0,0 +1,87 @@
+// Local cache of work derived from OneDrive documents: extracted text and the LLM summaries,
+// impacted areas and suggested questions built from it. Entries are keyed by drive item and
+// file version (eTag/cTag); LLM entries also by provider, model and prompt version, so an edited
+// file, a different model or an edited prompt template all miss the cache.
+// Last use is kept in its own store, so a cache hit doesn't rewrite a cached value of up to 500k
+// characters, and eviction reads only keys from the usedAt index.
+import {
+  getRecord,
+  putRecord,
+  deleteRecord,
+  clearStore,
+  getAllKeys,
+  getKeysByIndex,
+  countRecords,
+} from './localDb';
+
+const STORE = 'documentCache';
+const USAGE_STORE = 'documentCacheUsage';
+const MAX_ENTRIES = 300; // Least recently used entries are dropped beyond this
+
+function keyOf({ itemId, version, kind, providerId = '', model = '', promptVersion = '' }) {
+  return [itemId, version, kind, providerId, model, promptVersion].join('|');
+}
+
+function touch(key) {
+  return putRecord(USAGE_STORE, { key, usedAt: Date.now() });
+}
+
+async function deleteEntry(key) {
+  await deleteRecord(STORE, key);
+  await deleteRecord(USAGE_STORE, key);
+}
+
+/**
+ * Look up a cached value
+ * @param {Object} entry - { itemId, version, kind, providerId?, model?, promptVersion? }
+ * @returns {Promise<*>} - The cached value, or null on a miss
+ */
+export async function getCachedDocumentData(entry) {
+  if (!entry.itemId || !entry.version) return null;
+  try {
+    const key = keyOf(entry);
+    const record = await getRecord(STORE, key);
+    if (!record) return null;
+    touch(key).catch(() => {});
+    return record.value;
+  } catch (error) {
+    console.log('Document cache unavailable:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Cache a value, dropping everything cached for older versions of the same file
+ * @param {Object} entry - { itemId, version, kind, providerId?, model?, promptVersion? }
+ * @param {*} value - Text or a structured-clonable object
+ */
+export async function cacheDocumentData(entry, value) {
+  if (!entry.itemId || !entry.version || !value) return;
+  try {
+    // Keys start with the item id, so other versions of this file are a key range
+    const itemKeys = await getAllKeys(STORE, IDBKeyRange.bound(`${entry.itemId}|`, `${entry.itemId}|\uffff`));
+    const versionPrefix = `${entry.itemId}|${entry.version}|`;
+    for (const key of itemKeys) {
+      if (!key.startsWith(versionPrefix)) await deleteEntry(key);
+    }
+
+    const excess = (await countRecords(USAGE_STORE)) + 1 - MAX_ENTRIES;
+    if (excess > 0) {
+      for (const key of await getKeysByIndex(USAGE_STORE, 'usedAt', excess)) await deleteEntry(key);
+    }
+
+    const key = keyOf(entry);
+    await putRecord(STORE, { ...entry, key, value, createdAt: Date.now() });
+    await touch(key);
+  } catch (error) {
+    console.log('Could not cache document data:', error.message);
+  }
+}
+
+/**
+ * Delete every cached document and response
+ */
+export async function clearDocumentCache() {
+  await clearStore(STORE);
+  await clearStore(USAGE_STORE);
+}
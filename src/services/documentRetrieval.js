@@ -0,0 +1,298 @@
+// Document retrieval for Q&A over long documents
+// Splits document text into overlapping chunks and ranks them against a question with BM25,
+// so only the most relevant passages are sent to the LLM instead of a hard-truncated prefix.
+
+const DEFAULT_CHUNK_SIZE = 1200; // Characters per chunk
+const DEFAULT_CHUNK_OVERLAP = 200; // Characters carried over between consecutive chunks
+const BM25_K1 = 1.5;
+const BM25_B = 0.75;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from',
+  'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'mentioned', 'my', 'of',
+  'on', 'or', 'please', 'so', 'that', 'the', 'their', 'there', 'this', 'to', 'was', 'we',
+  'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+  'document', 'tell', 'about', 'explain', 'describe', 'list', 'show', 'give',
+]);
+
+// Small cache of built indexes: follow-up questions target the same working set of documents
+const MAX_CACHED_INDEXES = 8;
+const indexCache = [];
+const EMPTY_LOCATIONS = Object.freeze([]);
+
+/**
+ * Lowercase, split on non-alphanumerics and drop stop words
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+/**
+ * Describe where a span of the document lives, e.g. "Page 4" or "Slide 2 – Slide 3"
+ * @param {Array<{start: number, label: string}>} locations - Sorted location markers
+ * @param {number} start - Span start offset
+ * @param {number} end - Span end offset
+ * @returns {string|null}
+ */
+function describeLocation(locations, start, end) {
+  if (!locations || locations.length === 0) return null;
+
+  let first = null;
+  let last = null;
+  for (const location of locations) {
+    if (location.start <= start) first = location;
+    if (location.start < end) last = location;
+    else break;
+  }
+  first = first || locations[0];
+  last = last || first;
+  return first === last ? first.label : `${first.label} – ${last.label}`;
+}
+
+/**
+ * Split document text into overlapping chunks on paragraph/sentence boundaries
+ * @param {string} content - Document text
+ * @param {Object} options - { chunkSize, overlap, locations }
+ * @returns {Array<{index: number, start: number, text: string, location: string|null}>}
+ */
+export function chunkDocument(content, options = {}) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const overlap = options.overlap ?? DEFAULT_CHUNK_OVERLAP;
+
+  // Break into sentence-sized pieces, keeping their offsets in the original text.
+  // Extracted PDF/DOCX text often has no newlines, so sentences are the fallback boundary.
+  const pieces = [];
+  const pieceRegex = /[^\n.!?]+(?:[.!?]+|\n+|$)/g;
+  let match;
+  while ((match = pieceRegex.exec(content)) !== null) {
+    if (match[0].length === 0) {
+      pieceRegex.lastIndex++;
+      continue;
+    }
+    // Hard-split runaway pieces (tables, lists without punctuation)
+    for (let i = 0; i < match[0].length; i += chunkSize) {
+      pieces.push({ start: match.index + i, text: match[0].slice(i, i + chunkSize) });
+    }
+  }
+
+  const chunks = [];
+  let current = [];
+  let currentLength = 0;
+
+  const flush = () => {
+    const text = current.map(p => p.text).join('').trim();
+    if (text) {
+      const start = current[0].start;
+      const end = current[current.length - 1].start + current[current.length - 1].text.length;
+      chunks.push({
+        index: chunks.length,
+        start,
+        text,
+        location: describeLocation(options.locations, start, end),
+      });
+    }
+  };
+
+  // Location starts (pages, slides) - a half-full chunk ends there so citations stay precise
+  const boundaries = (options.locations || []).map(l => l.start);
+  let nextBoundary = 0;
+
+  for (const piece of pieces) {
+    let atBoundary = false;
+    while (nextBoundary < boundaries.length && boundaries[nextBoundary] <= piece.start) {
+      atBoundary = boundaries[nextBoundary] > (current[0]?.start ?? -1);
+      nextBoundary++;
+    }
+    if (atBoundary && currentLength >= chunkSize / 2) {
+      flush();
+      current = [];
+      currentLength = 0;
+    } else if (currentLength + piece.text.length > chunkSize && current.length > 0) {
+      flush();
+      // Carry trailing pieces into the next chunk for overlap
+      const carried = [];
+      let carriedLength = 0;
+      for (let i = current.length - 1; i >= 0 && carriedLength < overlap; i--) {
+        carried.unshift(current[i]);
+        carriedLength += current[i].text.length;
+      }
+      current = carriedLength < chunkSize ? carried : [];
+      currentLength = current.reduce((sum, p) => sum + p.text.length, 0);
+    }
+    current.push(piece);
+    currentLength += piece.text.length;
+  }
+  if (current.length > 0) flush();
+
+  return chunks;
+}
+
+/**
+ * Build a BM25 index over document chunks
+ * @param {string} content - Document text
+ * @param {Array} [locations] - Location markers from getDocumentContent
+ * @returns {Object} - Index with chunks, term frequencies and document frequencies
+ */
+export function buildIndex(content, locations = EMPTY_LOCATIONS) {
+  // Documents without markers share one empty array, so their cache entries can match by identity
+  if (!locations || locations.length === 0) locations = EMPTY_LOCATIONS;
+  const cached = indexCache.find(entry => entry.content === content && entry.locations === locations);
+  if (cached) {
+    return cached;
+  }
+
+  const chunks = chunkDocument(content, { locations });
+  const docFreq = new Map();
+  const termFreqs = chunks.map(chunk => {
+    const freq = new Map();
+    for (const token of tokenize(chunk.text)) {
+      freq.set(token, (freq.get(token) || 0) + 1);
+    }
+    for (const token of freq.keys()) {
+      docFreq.set(token, (docFreq.get(token) || 0) + 1);
+    }
+    return freq;
+  });
+  const lengths = termFreqs.map(freq => [...freq.values()].reduce((a, b) => a + b, 0));
+  const avgLength = lengths.reduce((a, b) => a + b, 0) / (lengths.length || 1);
+
+  const index = { content, locations, chunks, termFreqs, docFreq, lengths, avgLength };
+  indexCache.unshift(index);
+  indexCache.length = Math.min(indexCache.length, MAX_CACHED_INDEXES);
+  return index;
+}
+
+/**
+ * Rank chunks against a query using BM25
+ * @param {Object} index - Index from buildIndex
+ * @param {string} query - Question text
+ * @returns {Array<{chunk: Object, score: number}>} - Sorted best first
+ */
+export function rankChunks(index, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const total = index.chunks.length;
+
+  return index.chunks
+    .map((chunk, i) => {
+      let score = 0;
+      const freq = index.termFreqs[i];
+      for (const term of queryTerms) {
+        const tf = freq.get(term);
+        if (!tf) continue;
+        const df = index.docFreq.get(term) || 0;
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (index.lengths[i] / (index.avgLength || 1)));
+        score += idf * ((tf * (BM25_K1 + 1)) / norm);
+      }
+      return { chunk, score };
+    })
+    .sort((a, b) => b.score - a.score || a.chunk.index - b.chunk.index);
+}
+
+/**
+ * Retrieve the passages most relevant to a question that fit in a character budget.
+ * When the whole document fits, every passage is returned.
+ * @param {string} content - Full document text
+ * @param {string} question - User question
+ * @param {number} maxChars - Context budget for the target model
+ * @param {Array} [locations] - Location markers from getDocumentContent
+ * @returns {{passages: Array<{n: number, index: number, text: string, location: string|null, score: number}>, total: number}}
+ *   Passages in document order, numbered from 1 for citation
+ */
+export function retrievePassages(content, question, maxChars, locations = EMPTY_LOCATIONS) {
+  if (!content) {
+    return { passages: [], total: 0 };
+  }
+
+  const index = buildIndex(content, locations);
+  const ranked = rankChunks(index, question);
+  const cost = (chunk) => chunk.text.length + 40; // Room for the passage label
+
+  let candidates;
+  if (ranked.reduce((sum, r) => sum + cost(r.chunk), 0) <= maxChars) {
+    candidates = ranked;
+  } else if (ranked[0]?.score > 0) {
+    candidates = ranked.filter(r => r.score > 0);
+  } else {
+    // Nothing matched the question - fall back to the opening of the document
+    candidates = ranked.slice().sort((a, b) => a.chunk.index - b.chunk.index);
+  }
+
+  const selected = [];
+  let used = 0;
+  for (const { chunk, score } of candidates) {
+    if (used + cost(chunk) > maxChars) continue;
+    selected.push({ ...chunk, score });
+    used += cost(chunk);
+  }
+
+  selected.sort((a, b) => a.index - b.index);
+  console.log('Retrieval: Selected', selected.length, 'of', index.chunks.length, 'passages for question');
+
+  return {
+    passages: selected.map((chunk, i) => ({ n: i + 1, ...chunk })),
+    total: index.chunks.length,
+  };
+}
+
+/**
+ * Render retrieved passages as numbered, location-labelled prompt context
+ * @param {Array} passages - From retrievePassages
+ * @param {number} total - Total number of chunks in the document
+ * @returns {string}
+ */
+export function formatPassages(passages, total) {
+  const header = passages.length < total
+    ? `[Most relevant ${passages.length} of ${total} sections of a long document]`
+    : `[Document split into ${total} numbered sections]`;
+  const blocks = passages.map(p => `[${p.n}]${p.location ? ` (${p.location})` : ''}\n${p.text}`);
+  return [header, ...blocks].join('\n\n');
+}
+
+/**
+ * Pick the passages most relevant to a question that fit in a character budget.
+ * Short documents are returned unchanged.
+ * @param {string} content - Full document text
+ * @param {string} question - User question
+ * @param {number} maxChars - Context budget for the target model
+ * @returns {string} - Document text or selected passages in document order
+ */
+export function selectRelevantPassages(content, question, maxChars) {
+  if (!content || content.length <= maxChars) {
+    return content;
+  }
+
+  const { passages, total } = retrievePassages(content, question, maxChars);
+  return formatPassages(passages, total);
+}
+
+/**
+ * Collect the passages an answer cites with [n] markers.
+ * If the model cited nothing, the best-scoring passages are returned as uncited references.
+ * @param {string} answer - Model answer
+ * @param {Array} passages - Passages the model was given
+ * @returns {Array<{n: number, location: string|null, text: string, cited: boolean}>}
+ */
+export function extractCitations(answer, passages) {
+  if (!answer || passages.length === 0) return [];
+
+  const cited = new Set();
+  for (const match of answer.matchAll(/\[(\d+(?:\s*[,;]\s*\d+)*)\]/g)) {
+    match[1].split(/[,;]/).forEach(n => cited.add(parseInt(n, 10)));
+  }
+
+  const toCitation = (p, isCited) => ({ n: p.n, location: p.location, text: p.text, cited: isCited });
+  const citations = passages.filter(p => cited.has(p.n)).map(p => toCitation(p, true));
+  if (citations.length > 0) return citations;
+
+  return passages
+    .filter(p => p.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 3)
+    .map(p => toCitation(p, false));
+}
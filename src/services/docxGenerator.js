@@ -1,7 +1,7 @@
 import {
   Document, Packer, Paragraph, Table, TableRow, TableCell,
   TextRun, WidthType, AlignmentType, BorderStyle, HeadingLevel,
-  PageBreak,
+  PageBreak, ExternalHyperlink,
 } from 'docx';
 
 const FONT = 'Calibri';
@@ -195,3 +195,88 @@ export async function generatePMDocument(data) {
   const fileName = pmNumber ? `PM${pmNumber} Impact Analysis Document.docx` : 'PM Impact Analysis Document.docx';
   return { blob, fileName };
 }
+
+// Split "**bold**" markup from chat answers into runs
+function formattedRuns(text, options = {}) {
+  return text.split(/(\*\*[^*]+\*\*)/).filter(Boolean).map(part => {
+    const bold = part.startsWith('**') && part.endsWith('**');
+    return new TextRun({ text: bold ? part.slice(2, -2) : part, bold, font: FONT, size: 20, ...options });
+  });
+}
+
+function transcriptLabel(text) {
+  return new Paragraph({
+    children: [new TextRun({ text, bold: true, font: FONT, size: 18, color: '666666' })],
+    spacing: { before: 80, after: 40 },
+  });
+}
+
+/**
+ * Build a Word document from an exported chat transcript
+ * @param {Object} transcript - From buildTranscript: { title, exportedAt, turns }
+ * @returns {Promise<Blob>}
+ */
+export async function generateTranscriptDocument(transcript) {
+  const children = [
+    new Paragraph({
+      heading: HeadingLevel.HEADING_1,
+      children: [new TextRun({ text: transcript.title, bold: true, font: FONT, size: 32, color: '2F5496' })],
+      spacing: { after: 40 },
+    }),
+    new Paragraph({
+      children: [new TextRun({ text: `Knowledge Centre chat exported ${transcript.exportedAt}`, font: FONT, size: 20, color: '666666' })],
+      spacing: { after: 200 },
+    }),
+  ];
+
+  for (const turn of transcript.turns) {
+    children.push(new Paragraph({
+      heading: HeadingLevel.HEADING_2,
+      children: [
+        new TextRun({ text: turn.role, bold: true, font: FONT, size: 24, color: '2F5496' }),
+        ...(turn.provider ? [new TextRun({ text: `  (${turn.provider})`, font: FONT, size: 18, color: '666666' })] : []),
+      ],
+      spacing: { before: 300, after: 120 },
+    }));
+
+    for (const line of turn.text.split('\n')) {
+      const bullet = line.match(/^\s*[•\-*]\s+(.*)$/);
+      children.push(new Paragraph({
+        children: formattedRuns(bullet ? bullet[1] : line),
+        ...(bullet ? { bullet: { level: 0 } } : {}),
+        spacing: { after: 60 },
+      }));
+    }
+
+    if (turn.sources.length > 0) {
+      children.push(transcriptLabel('Sources'));
+      for (const source of turn.sources) {
+        children.push(new Paragraph({
+          bullet: { level: 0 },
+          children: [source.webUrl
+            ? new ExternalHyperlink({
+              link: source.webUrl,
+              children: [new TextRun({ text: source.name, style: 'Hyperlink', font: FONT, size: 20 })],
+            })
+            : new TextRun({ text: source.name, font: FONT, size: 20 })],
+        }));
+      }
+    }
+
+    if (turn.citations.length > 0) {
+      children.push(transcriptLabel(turn.citations[0].cited ? 'Citations' : 'Related passages'));
+      for (const citation of turn.citations) {
+        children.push(new Paragraph({
+          children: [
+            new TextRun({ text: `[${citation.n}] ${citation.location}: `, bold: true, font: FONT, size: 18 }),
+            new TextRun({ text: `"${citation.quote}"`, italics: true, font: FONT, size: 18, color: '444444' }),
+          ],
+          spacing: { after: 60 },
+        }));
+      }
+    }
+  }
+
+  const doc = new Document({ sections: [{ properties: {}, children }] });
+  return Packer.toBlob(doc);
+}
@@ -0,0 +1,184 @@
+// DOCX to structured Markdown with mammoth - headings, numbered/bulleted lists and tables survive
+// extraction, so an impacted-module grid reaches the LLM as "| Module | Change |" rows instead of
+// one run-on sentence. Comments are collected into their own section after the body.
+
+// mammoth drops comments unless their references are mapped to an element
+const STYLE_MAP = ['comment-reference => sup'];
+const MAX_HEADING_LEVEL = 6;
+
+let mammothLib = null;
+
+async function loadMammoth() {
+  if (!mammothLib) {
+    const module = await import('mammoth');
+    mammothLib = module.default || module;
+  }
+  return mammothLib;
+}
+
+function wrapInline(text, marker) {
+  const trimmed = text.trim();
+  if (!trimmed) return text;
+  const leading = text.match(/^\s*/)[0];
+  const trailing = text.match(/\s*$/)[0];
+  return `${leading}${marker}${trimmed}${marker}${trailing}`;
+}
+
+// Text of an inline run with bold/italic, links and comment/footnote markers kept
+function inlineMarkdown(node) {
+  let text = '';
+  for (const child of node.childNodes) {
+    if (child.nodeType === Node.TEXT_NODE) {
+      text += child.textContent;
+      continue;
+    }
+    if (child.nodeType !== Node.ELEMENT_NODE) continue;
+
+    const tag = child.tagName.toLowerCase();
+    if (tag === 'ul' || tag === 'ol' || tag === 'table') continue; // Rendered as their own blocks
+    if (tag === 'br') {
+      text += ' ';
+    } else if (tag === 'img') {
+      text += child.getAttribute('alt') ? `[Image: ${child.getAttribute('alt')}]` : '[Image]';
+    } else if (tag === 'strong' || tag === 'b') {
+      text += wrapInline(inlineMarkdown(child), '**');
+    } else if (tag === 'em' || tag === 'i') {
+      text += wrapInline(inlineMarkdown(child), '_');
+    } else if (tag === 's' || tag === 'del') {
+      text += wrapInline(inlineMarkdown(child), '~~');
+    } else if (tag === 'a') {
+      const href = child.getAttribute('href') || '';
+      const label = inlineMarkdown(child);
+      if (href.startsWith('#')) {
+        // Back-links from comments and footnotes ("↑") carry no text worth keeping
+        if (label.trim() !== '↑') text += label;
+      } else {
+        text += href && label.trim() ? `[${label.trim()}](${href})` : label;
+      }
+    } else {
+      text += inlineMarkdown(child);
+    }
+  }
+  return text;
+}
+
+function cleanInline(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function listMarkdown(list, depth = 0) {
+  const ordered = list.tagName.toLowerCase() === 'ol';
+  const lines = [];
+  let number = 0;
+  for (const item of list.children) {
+    if (item.tagName.toLowerCase() !== 'li') continue;
+    number++;
+    const marker = ordered ? `${number}.` : '-';
+    const text = cleanInline(inlineMarkdown(item));
+    if (text) lines.push(`${'  '.repeat(depth)}${marker} ${text}`);
+    for (const nested of item.children) {
+      const tag = nested.tagName.toLowerCase();
+      if (tag === 'ul' || tag === 'ol') lines.push(...listMarkdown(nested, depth + 1));
+    }
+  }
+  return lines;
+}
+
+function tableCellText(cell) {
+  const blocks = [];
+  for (const child of cell.children) {
+    const tag = child.tagName.toLowerCase();
+    if (tag === 'ul' || tag === 'ol') {
+      blocks.push(...listMarkdown(child).map(line => line.trim()));
+    } else if (tag === 'table') {
+      blocks.push(tableMarkdown(child).replace(/\n/g, ' '));
+    } else {
+      blocks.push(cleanInline(inlineMarkdown(child)));
+    }
+  }
+  if (cell.children.length === 0) blocks.push(cleanInline(inlineMarkdown(cell)));
+  return blocks.filter(Boolean).join('<br>').replace(/\|/g, '\\|');
+}
+
+// Markdown table - the first row is the header, merged cells are padded so columns line up
+function tableMarkdown(table) {
+  const rows = Array.from(table.rows).map(row => {
+    const cells = [];
+    for (const cell of row.cells) {
+      cells.push(tableCellText(cell));
+      for (let i = 1; i < (cell.colSpan || 1); i++) cells.push('');
+    }
+    return cells;
+  }).filter(cells => cells.some(Boolean));
+  if (rows.length === 0) return '';
+
+  const columns = Math.max(...rows.map(cells => cells.length));
+  const line = (cells) => `| ${Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ')} |`;
+  return [
+    line(rows[0]),
+    line(Array(columns).fill('---')),
+    ...rows.slice(1).map(line),
+  ].join('\n');
+}
+
+/**
+ * Convert a .docx file to Markdown blocks
+ * @param {ArrayBuffer} arrayBuffer - The .docx file
+ * @returns {Promise<Array<{label: string, text: string}>>} - Body blocks labelled "¶ N" or "Table N",
+ *   followed by a "Comments" block when the document has comments
+ */
+export async function convertDocxToMarkdown(arrayBuffer) {
+  const mammoth = await loadMammoth();
+  const { value: html, messages } = await mammoth.convertToHtml({ arrayBuffer }, {
+    styleMap: STYLE_MAP,
+    // Images are not read, and inlining them as base64 would bloat the HTML
+    convertImage: mammoth.images.imgElement(() => Promise.resolve({ src: '' })),
+  });
+  const warnings = messages.filter(message => message.type === 'warning');
+  if (warnings.length > 0) {
+    console.log('mammoth warnings:', warnings.length, warnings[0].message);
+  }
+
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  const parts = [];
+  const comments = [];
+  let paragraphCount = 0;
+  let tableCount = 0;
+  const addBlock = (text) => {
+    if (text) parts.push({ label: `¶ ${++paragraphCount}`, text });
+  };
+
+  for (const block of doc.body.children) {
+    const tag = block.tagName.toLowerCase();
+    const heading = tag.match(/^h([1-6])$/);
+    if (heading) {
+      const text = cleanInline(inlineMarkdown(block));
+      addBlock(text && `${'#'.repeat(Math.min(Number(heading[1]), MAX_HEADING_LEVEL))} ${text}`);
+    } else if (tag === 'ul' || tag === 'ol') {
+      addBlock(listMarkdown(block).join('\n'));
+    } else if (tag === 'table') {
+      const text = tableMarkdown(block);
+      if (text) parts.push({ label: `Table ${++tableCount}`, text });
+    } else if (tag === 'dl') {
+      // mammoth renders comments as <dt id="comment-N">Comment [AB1]</dt><dd>text</dd> at the end
+      for (const term of block.querySelectorAll('dt')) {
+        const body = term.nextElementSibling?.tagName.toLowerCase() === 'dd'
+          ? cleanInline(inlineMarkdown(term.nextElementSibling))
+          : '';
+        const name = cleanInline(term.textContent).replace(/^Comment\s*/, '');
+        if (term.id?.startsWith('comment-')) {
+          if (body) comments.push(`- ${name} ${body}`);
+        } else {
+          addBlock(body ? `${name}: ${body}` : name);
+        }
+      }
+    } else {
+      addBlock(cleanInline(inlineMarkdown(block)));
+    }
+  }
+
+  if (comments.length > 0) {
+    parts.push({ label: 'Comments', text: `## Comments\n${comments.join('\n')}` });
+  }
+  return parts;
+}
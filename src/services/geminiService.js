@@ -1,25 +1,33 @@
 // Google Gemini API Service for document processing
-import { geminiConfig } from '../config/geminiConfig';
+import { geminiConfig, isGeminiConfigured } from '../config/geminiConfig';
+import { readSSEStream } from './streamUtils';
+import { toGeminiSchema } from './structuredOutput';
+import { toGeminiContents, toGeminiTools, parseGeminiResponse } from './toolCalling';
+import { normalizeUsage } from './tokenUsage';
+import { samplingFor, SAMPLING_FIELDS } from './providerSettings';
+import { LLM_PROVIDERS, registerProvider } from './providerRegistry';
 
 /**
  * Call Google Gemini API
- * @param {string} prompt - The prompt to send
- * @param {Object} options - Optional parameters
+ * @param {string|Array} prompt - The prompt to send, or { role, content } messages for a multi-turn chat
+ * @param {Object} options - Optional parameters: system, json, responseSchema (pass onToken to stream,
+ *   onUsage to receive token counts)
  * @returns {Promise<string>} - The AI response text
  */
 export async function callGemini(prompt, options = {}) {
   const { apiKey, model, baseUrl } = geminiConfig;
-  const url = `${baseUrl}/models/${options.model || model}:generateContent?key=${apiKey}`;
+  const url = options.onToken
+    ? `${baseUrl}/models/${options.model || model}:streamGenerateContent?alt=sse&key=${apiKey}`
+    : `${baseUrl}/models/${options.model || model}:generateContent?key=${apiKey}`;
+  const sampling = samplingFor(geminiConfig, options);
 
   const requestBody = {
-    contents: [
-      {
-        parts: [{ text: prompt }]
-      }
-    ],
+    contents: typeof prompt === 'string'
+      ? [{ parts: [{ text: prompt }] }]
+      : toGeminiContents(prompt),
     generationConfig: {
-      temperature: options.temperature || 0.7,
-      maxOutputTokens: options.maxTokens || 1000,
+      temperature: sampling.temperature,
+      maxOutputTokens: sampling.maxTokens,
       topP: options.topP || 0.95,
     },
     safetySettings: [
@@ -29,6 +37,16 @@ export async function callGemini(prompt, options = {}) {
       { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_ONLY_HIGH' },
     ],
   };
+  if (options.system) {
+    requestBody.systemInstruction = { parts: [{ text: options.system }] };
+  }
+  // Native JSON mode, optionally constraining decoding to the given schema
+  if (options.json || options.responseSchema) {
+    requestBody.generationConfig.responseMimeType = 'application/json';
+  }
+  if (options.responseSchema) {
+    requestBody.generationConfig.responseSchema = options.responseSchema;
+  }
 
   try {
     console.log('Gemini API: Calling model:', options.model || model);
@@ -41,13 +59,36 @@ export async function callGemini(prompt, options = {}) {
       body: JSON.stringify(requestBody),
     });
 
-    const data = await response.json();
-
     if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
       console.error('Gemini API error response:', data);
       throw new Error(`Gemini API error: ${response.status} - ${data.error?.message || response.statusText}`);
     }
 
+    // Streaming: each SSE event is a partial GenerateContentResponse
+    if (options.onToken) {
+      let text = '';
+      await readSSEStream(response, (chunk) => {
+        const candidate = chunk.candidates?.[0];
+        if (candidate?.finishReason === 'SAFETY') {
+          console.warn('Gemini: Content blocked by safety filters');
+        }
+        const token = (candidate?.content?.parts || []).map(p => p.text || '').join('');
+        if (token) {
+          text += token;
+          options.onToken(token);
+        }
+        // usageMetadata is cumulative, so the last chunk's counts cover the whole response
+        const usage = normalizeUsage(chunk.usageMetadata, chunk.modelVersion);
+        if (usage) options.onUsage?.(usage);
+      });
+      console.log('Gemini API: Stream complete, length:', text.length);
+      return text;
+    }
+
+    const data = await response.json();
+    options.onUsage?.(normalizeUsage(data.usageMetadata, data.modelVersion));
+
     // Check for blocked content
     if (data.candidates?.[0]?.finishReason === 'SAFETY') {
       console.warn('Gemini: Content blocked by safety filters');
@@ -70,243 +111,101 @@ export async function callGemini(prompt, options = {}) {
 }
 
 /**
- * Call Gemini with chat history (multi-turn conversation)
- * @param {Array} messages - Array of {role, content} objects
- * @param {Object} options - Optional parameters
- * @returns {Promise<string>} - The AI response text
+ * Call Gemini with functions it may call (functionDeclarations)
+ * @param {Array} messages - Provider-neutral agent messages (see toolCalling.js)
+ * @param {Array} tools - Tool definitions ({ name, description, parameters })
+ * @param {Object} options - { system, toolChoice: 'auto'|'none', maxTokens, onUsage }
+ * @returns {Promise<Object>} - { text, toolCalls }
  */
-export async function callGeminiChat(messages, options = {}) {
+export async function callGeminiWithTools(messages, tools, options = {}) {
   const { apiKey, model, baseUrl } = geminiConfig;
-  const url = `${baseUrl}/models/${options.model || model}:generateContent?key=${apiKey}`;
-
-  // Convert messages to Gemini format
-  const contents = messages.map(msg => ({
-    role: msg.role === 'assistant' ? 'model' : 'user',
-    parts: [{ text: msg.content }]
-  }));
+  const url = `${baseUrl}/models/${model}:generateContent?key=${apiKey}`;
+  const sampling = samplingFor(geminiConfig, options, 1500, 0.2);
 
   const requestBody = {
-    contents: contents,
+    contents: toGeminiContents(messages),
+    tools: toGeminiTools(tools),
+    toolConfig: {
+      functionCallingConfig: { mode: options.toolChoice === 'none' ? 'NONE' : 'AUTO' },
+    },
     generationConfig: {
-      temperature: options.temperature || 0.7,
-      maxOutputTokens: options.maxTokens || 1000,
-      topP: options.topP || 0.95,
+      temperature: sampling.temperature,
+      maxOutputTokens: sampling.maxTokens,
     },
   };
-
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(requestBody),
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`Gemini Chat API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-  } catch (error) {
-    console.error('Gemini Chat API call failed:', error);
-    throw error;
-  }
-}
-
-/**
- * Generate document summary using Gemini
- * @param {string} content - Document content
- * @param {string} fileName - File name
- * @returns {Promise<string|null>} - AI-generated summary
- */
-export async function generateDocumentSummaryGemini(content, fileName) {
-  if (!content || content.trim().length === 0) {
-    console.log('Gemini summary: No content provided');
-    return null;
+  if (options.system) {
+    requestBody.systemInstruction = { parts: [{ text: options.system }] };
   }
 
-  // Clean content - remove duplicate lines and excessive whitespace
-  let cleanContent = content
-    .split('\n')
-    .filter((line, index, arr) => arr.indexOf(line) === index) // Remove duplicate lines
-    .join('\n')
-    .replace(/\s+/g, ' ')
-    .trim();
-
-  // Gemini has large context window, but let's be reasonable
-  const maxContentLength = 8000;
-  const truncatedContent = cleanContent.length > maxContentLength
-    ? cleanContent.substring(0, maxContentLength) + '...'
-    : cleanContent;
-
-  console.log('Gemini summary: Content length:', truncatedContent.length);
-
-  const prompt = `Summarize this document in 3-5 clear sentences. Focus on the main purpose, key points, and any important details like dates, names, or numbers.
-
-Document name: "${fileName}"
-
-Document content:
-${truncatedContent}
-
-Provide a professional summary:`;
-
-  try {
-    console.log('Gemini: Generating summary for', fileName);
-    const summary = await callGemini(prompt, {
-      maxTokens: 500,
-      temperature: 0.5,
-    });
-
-    if (summary && summary.trim().length > 0) {
-      console.log('Gemini: Summary generated successfully');
-      return summary.trim();
-    }
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(requestBody),
+  });
 
-    console.log('Gemini: No summary returned');
-    return null;
-  } catch (error) {
-    console.error('Gemini summary error:', error.message);
-    return null;
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(`Gemini API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
   }
-}
-
-/**
- * Answer a question about document content
- * @param {string} content - Document content
- * @param {string} question - User's question
- * @param {string} fileName - File name
- * @returns {Promise<string>} - AI-generated answer
- */
-export async function answerDocumentQuestionGemini(content, question, fileName) {
-  if (!content || content.trim().length === 0) {
-    return "I couldn't read the document content to answer your question.";
-  }
-
-  const maxContentLength = 10000;
-  const truncatedContent = content.length > maxContentLength
-    ? content.substring(0, maxContentLength) + '...[truncated]'
-    : content;
-
-  const prompt = `You are a helpful document assistant. Answer the question based on the provided document content.
-
-Document: "${fileName}"
 
-Document Content:
-${truncatedContent}
-
-Question: ${question}
-
-Instructions:
-- Answer based only on information in the document
-- If the answer is not in the document, say so clearly
-- Be accurate and cite specific information when possible
-
-Answer:`;
-
-  try {
-    const answer = await callGemini(prompt, {
-      maxTokens: 800,
-      temperature: 0.3,
-    });
-    return answer.trim();
-  } catch (error) {
-    console.error('Failed to answer question with Gemini:', error);
-    return "I encountered an error processing your question. Please try again.";
-  }
+  const data = await response.json();
+  options.onUsage?.(normalizeUsage(data.usageMetadata, data.modelVersion));
+  return parseGeminiResponse(data);
 }
 
 /**
- * Get chat response using Gemini
- * @param {string} userMessage - User's message
- * @param {Array} conversationHistory - Previous messages
- * @returns {Promise<string>} - AI response
+ * Send a prompt request (see prompts.js) to Gemini; structured output is constrained to the schema
+ * @param {Object} request - { system, messages, maxTokens, temperature, json, schema, onUsage }
+ * @param {Function} [onToken] - Optional callback receiving streamed text deltas
+ * @returns {Promise<string>} - The AI response text
  */
-export async function getChatResponseGemini(userMessage, conversationHistory = []) {
-  const systemContext = `You are a helpful document assistant for a corporate environment. You help users:
-- Find and understand documents
-- Answer questions about company policies
-- Provide information about processes and procedures
-
-Be professional, helpful, and concise. If you don't have specific information, offer to search for relevant documents.`;
-
-  // Build prompt with context
-  let prompt = systemContext + '\n\n';
-
-  if (conversationHistory.length > 0) {
-    const recentHistory = conversationHistory.slice(-6);
-    prompt += 'Recent conversation:\n';
-    recentHistory.forEach(msg => {
-      prompt += `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}\n`;
-    });
-    prompt += '\n';
-  }
-
-  prompt += `User: ${userMessage}\n\nAssistant:`;
-
-  try {
-    const response = await callGemini(prompt, {
-      maxTokens: 800,
-      temperature: 0.7,
-    });
-    return response.trim();
-  } catch (error) {
-    console.error('Failed to get chat response from Gemini:', error);
-    return "I'm having trouble processing your request right now. Please try again.";
-  }
+function completeGemini(request, onToken) {
+  return callGemini(request.messages, {
+    system: request.system,
+    maxTokens: request.maxTokens,
+    temperature: request.temperature,
+    json: request.json,
+    responseSchema: request.json && request.schema ? toGeminiSchema(request.schema) : undefined,
+    onToken,
+    onUsage: request.onUsage,
+  });
 }
 
 /**
- * Analyze document and extract key information
- * @param {string} content - Document content
- * @param {string} fileName - File name
- * @returns {Promise<Object|null>} - Extracted information
+ * List the models that support generateContent
+ * @returns {Promise<Array>} - Model names
  */
-export async function analyzeDocumentGemini(content, fileName) {
-  if (!content || content.trim().length === 0) {
-    return null;
+async function listGeminiModels() {
+  const { apiKey, baseUrl } = geminiConfig;
+  const response = await fetch(`${baseUrl}/models?key=${apiKey}`);
+  if (!response.ok) {
+    throw new Error(`Gemini API error: ${response.status} - ${response.statusText}`);
   }
-
-  const maxContentLength = 8000;
-  const truncatedContent = content.length > maxContentLength
-    ? content.substring(0, maxContentLength) + '...[truncated]'
-    : content;
-
-  const prompt = `Analyze this document and extract key information in JSON format.
-
-Document: "${fileName}"
-
-Content:
-${truncatedContent}
-
-Return a JSON object with these fields (use null if not found):
-{
-  "title": "document title if mentioned",
-  "type": "document type (policy, procedure, report, etc.)",
-  "date": "any relevant dates mentioned",
-  "keyPoints": ["array of 3-5 key points"],
-  "topics": ["array of main topics covered"],
-  "summary": "2-3 sentence summary"
+  const data = await response.json();
+  return (data.models || [])
+    .filter(m => m.supportedGenerationMethods?.includes('generateContent'))
+    .map(m => m.name.replace(/^models\//, ''));
 }
 
-JSON:`;
-
-  try {
-    const response = await callGemini(prompt, {
-      maxTokens: 800,
-      temperature: 0.3,
-    });
-
-    // Try to parse JSON from response
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-    return { rawResponse: response };
-  } catch (error) {
-    console.error('Failed to analyze document with Gemini:', error);
-    return null;
-  }
-}
+registerProvider({
+  id: LLM_PROVIDERS.GEMINI,
+  name: 'Google Gemini',
+  icon: '✨',
+  priority: 20, // Stable, reliable, no deprecation issues
+  contextChars: 9800,
+  capabilities: { streaming: true, tools: true, jsonMode: true, jsonSchema: true, vision: true, checksReachability: false },
+  config: geminiConfig,
+  settingsFields: [
+    { key: 'apiKey', label: 'API key', type: 'password', required: true },
+    { key: 'model', label: 'Model', type: 'text', required: true, placeholder: 'gemini-2.0-flash' },
+    { key: 'baseUrl', label: 'Endpoint', type: 'url', required: true },
+    ...SAMPLING_FIELDS,
+  ],
+  detect: async () => isGeminiConfigured(),
+  complete: (request) => completeGemini(request),
+  stream: completeGemini,
+  chat: callGeminiWithTools,
+  listModels: listGeminiModels,
+});
@@ -1,8 +1,52 @@
 import { Client } from '@microsoft/microsoft-graph-client';
+import { getCachedDocumentData, cacheDocumentData } from './documentCache';
+import { ocrPdfPages, OCR_MIN_PAGE_CHARS, MAX_OCR_PAGES } from './pdfOcr';
+import { convertDocxToMarkdown } from './docxMarkdown';
+import { openZipArchive, readZipText, listRemoteZipEntries } from './zipReader';
 
 // PDF.js will be loaded dynamically to avoid worker issues
 let pdfjsLib = null;
 
+// Extraction limits - Q&A retrieves relevant passages, so keep the whole document where practical
+const MAX_EXTRACTED_CHARS = 500000; // Guard against pathological files
+const MAX_PDF_PAGES = 300;
+const EXTRACTION_VERSION = 5; // Bump when extracted content changes shape (2: DOCX as Markdown, 3: XLSX sheets, 4: PPTX slides, 5: numeric XML entities)
+
+function capExtractedText(text) {
+  return text.length > MAX_EXTRACTED_CHARS
+    ? text.substring(0, MAX_EXTRACTED_CHARS) + '...'
+    : text;
+}
+
+// Join labelled parts (pages, slides, paragraphs, rows) into one text, recording where each
+// part starts so Q&A answers can cite "Page 4" or "Slide 2" instead of a character offset
+function joinLocatedParts(parts, separator, locations) {
+  let text = '';
+  for (const part of parts) {
+    if (!part.text) continue;
+    if (text) text += separator;
+    locations.push({ start: text.length, label: part.label });
+    text += part.text;
+  }
+  return text;
+}
+
+// A numeric character reference as text; references outside Unicode are left as written
+function decodeCharacterReference(reference, codePoint) {
+  return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : reference;
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (reference, digits) => decodeCharacterReference(reference, Number(digits)))
+    .replace(/&#x([0-9a-f]+);/gi, (reference, hex) => decodeCharacterReference(reference, parseInt(hex, 16)))
+    .replace(/&amp;/g, '&');
+}
+
 // Initialize Graph client with access token
 function getGraphClient(accessToken) {
   return Client.init({
@@ -584,114 +628,210 @@ export function formatFileSize(bytes) {
   return `${(bytes / Math.pow(1024, i)).toFixed(1)} ${sizes[i]}`;
 }
 
-// Get document content/preview for summary
-export async function getDocumentContent(accessToken, itemId, fileName) {
-  const client = getGraphClient(accessToken);
-  const ext = fileName.split('.').pop()?.toLowerCase();
+// Download a file and extract its text, with page/slide/paragraph markers for citations
+async function extractDocumentContent(downloadUrl, fileName, ext, onProgress) {
+  let content = '';
+  let contentType = 'unknown';
+  const locations = []; // { start, label } markers into content for citations
 
-  try {
-    // Get file details first
-    const itemDetails = await client
-      .api(`/me/drive/items/${itemId}`)
-      .get();
-
-    const downloadUrl = itemDetails['@microsoft.graph.downloadUrl'];
-    let content = '';
-    let contentType = 'unknown';
-
-    // For text files, fetch content directly
-    if (['txt', 'md', 'csv', 'json', 'xml', 'html', 'htm'].includes(ext)) {
-      contentType = 'text';
-      if (downloadUrl) {
-        try {
-          const response = await fetch(downloadUrl);
-          content = await response.text();
-          // Limit content length
-          if (content.length > 5000) {
-            content = content.substring(0, 5000) + '...';
-          }
-        } catch (e) {
-          console.log('Could not fetch text content:', e);
-        }
+  // For text files, fetch content directly
+  if (['txt', 'md', 'csv', 'json', 'xml', 'html', 'htm'].includes(ext)) {
+    contentType = 'text';
+    if (downloadUrl) {
+      try {
+        const response = await fetch(downloadUrl);
+        content = capExtractedText(await response.text());
+      } catch (e) {
+        console.log('Could not fetch text content:', e);
       }
     }
-    // For Word documents, try to extract content directly from .docx
-    else if (['docx', 'doc'].includes(ext)) {
-      contentType = 'word';
+  }
+  // For Word documents, try to extract content directly from .docx
+  else if (ext === 'docx') {
+    contentType = 'word';
 
-      // Try downloading and parsing .docx first (most reliable)
-      if (downloadUrl && ext === 'docx') {
-        try {
-          console.log('Fetching Word document:', fileName);
-          const docResponse = await fetch(downloadUrl);
-          const docBlob = await docResponse.blob();
-          const textFromDocx = await extractTextFromDocx(docBlob);
+    // Try downloading and parsing .docx first (most reliable)
+    if (downloadUrl) {
+      try {
+        console.log('Fetching Word document:', fileName);
+        const docResponse = await fetch(downloadUrl);
+        const docBlob = await docResponse.blob();
+        const markdown = await extractMarkdownFromDocx(docBlob, locations);
+        if (markdown.length > 20) {
+          content = markdown;
+          contentType = 'word-markdown';
+          console.log('Converted Word content to Markdown:', content.substring(0, 100));
+        } else {
+          // mammoth couldn't read it - fall back to the flat paragraph text
+          locations.length = 0;
+          const textFromDocx = await extractTextFromDocx(docBlob, locations);
           if (textFromDocx && textFromDocx.length > 20) {
             content = textFromDocx;
             contentType = 'word-extracted';
             console.log('Extracted Word content:', content.substring(0, 100));
           }
-        } catch (docxErr) {
-          console.log('Could not extract docx content:', docxErr);
         }
+      } catch (docxErr) {
+        console.log('Could not extract docx content:', docxErr);
       }
-
     }
-    // For Excel documents - extract from downloaded file
-    else if (['xlsx', 'xls'].includes(ext)) {
-      contentType = 'excel';
-      if (downloadUrl && ext === 'xlsx') {
-        try {
-          console.log('Fetching Excel document:', fileName);
-          const xlsResponse = await fetch(downloadUrl);
-          if (xlsResponse.ok) {
-            const xlsBlob = await xlsResponse.blob();
-            const textFromXlsx = await extractTextFromOfficeXml(xlsBlob, 'xlsx');
-            if (textFromXlsx && textFromXlsx.length > 20) {
-              content = textFromXlsx;
-              contentType = 'excel-extracted';
-            }
+
+  }
+  // For Excel documents - extract from downloaded file
+  else if (ext === 'xlsx') {
+    contentType = 'excel';
+    if (downloadUrl) {
+      try {
+        console.log('Fetching Excel document:', fileName);
+        const xlsResponse = await fetch(downloadUrl);
+        if (xlsResponse.ok) {
+          const xlsBlob = await xlsResponse.blob();
+          const textFromXlsx = await extractTextFromOfficeXml(xlsBlob, 'xlsx', locations);
+          if (textFromXlsx && textFromXlsx.length > 20) {
+            content = textFromXlsx;
+            contentType = 'excel-extracted';
           }
-        } catch (xlsErr) {
-          console.log('Could not extract xlsx content:', xlsErr);
         }
+      } catch (xlsErr) {
+        console.log('Could not extract xlsx content:', xlsErr);
       }
     }
-    // For PowerPoint - extract from downloaded file
-    else if (['pptx', 'ppt'].includes(ext)) {
-      contentType = 'powerpoint';
-      if (downloadUrl && ext === 'pptx') {
-        try {
-          console.log('Fetching PowerPoint document:', fileName);
-          const pptResponse = await fetch(downloadUrl);
-          if (pptResponse.ok) {
-            const pptBlob = await pptResponse.blob();
-            const textFromPptx = await extractTextFromOfficeXml(pptBlob, 'pptx');
-            if (textFromPptx && textFromPptx.length > 20) {
-              content = textFromPptx;
-              contentType = 'ppt-extracted';
-            }
+  }
+  // For PowerPoint - extract from downloaded file
+  else if (ext === 'pptx') {
+    contentType = 'powerpoint';
+    if (downloadUrl) {
+      try {
+        console.log('Fetching PowerPoint document:', fileName);
+        const pptResponse = await fetch(downloadUrl);
+        if (pptResponse.ok) {
+          const pptBlob = await pptResponse.blob();
+          const textFromPptx = await extractTextFromOfficeXml(pptBlob, 'pptx', locations);
+          if (textFromPptx && textFromPptx.length > 20) {
+            content = textFromPptx;
+            contentType = 'ppt-extracted';
           }
-        } catch (pptErr) {
-          console.log('Could not extract pptx content:', pptErr);
         }
+      } catch (pptErr) {
+        console.log('Could not extract pptx content:', pptErr);
       }
     }
-    // For PDFs - extract text using pdf.js
-    else if (ext === 'pdf') {
-      contentType = 'pdf';
-      if (downloadUrl) {
-        try {
-          console.log('Fetching PDF for text extraction...');
-          const pdfResponse = await fetch(downloadUrl);
-          const pdfBlob = await pdfResponse.blob();
-          content = await extractTextFromPdf(pdfBlob);
-          console.log('PDF text extracted, length:', content.length);
-        } catch (pdfErr) {
-          console.log('Could not extract PDF content:', pdfErr);
-        }
+  }
+  // For PDFs - extract text using pdf.js
+  else if (ext === 'pdf') {
+    contentType = 'pdf';
+    if (downloadUrl) {
+      try {
+        console.log('Fetching PDF for text extraction...');
+        const pdfResponse = await fetch(downloadUrl);
+        const pdfBlob = await pdfResponse.blob();
+        content = await extractTextFromPdf(pdfBlob, locations, onProgress);
+        console.log('PDF text extracted, length:', content.length);
+      } catch (pdfErr) {
+        console.log('Could not extract PDF content:', pdfErr);
+      }
+    }
+  }
+
+  return { content, contentType, locations };
+}
+
+// Legacy binary Office formats aren't parsed directly - Graph converts them to PDF (the only
+// conversion it offers for these formats), and the PDF goes through the PDF extractor
+const LEGACY_OFFICE_TYPES = { doc: 'word', xls: 'excel', ppt: 'powerpoint' };
+
+async function extractLegacyOfficeContent(accessToken, itemId, fileName, ext, onProgress) {
+  const contentType = LEGACY_OFFICE_TYPES[ext];
+  const locations = [];
+  try {
+    console.log('Fetching PDF conversion of', fileName);
+    const response = await fetch(`https://graph.microsoft.com/v1.0/me/drive/items/${itemId}/content?format=pdf`, {
+      headers: { 'Authorization': `Bearer ${accessToken}` },
+    });
+    if (!response.ok) {
+      throw new Error(`Conversion failed: ${response.status}`);
+    }
+    const content = await extractTextFromPdf(await response.blob(), locations, onProgress);
+    console.log('Converted document text extracted, length:', content.length);
+    return { content, contentType: content ? `${contentType}-converted` : contentType, locations: content ? locations : [] };
+  } catch (convertErr) {
+    console.log(`Could not convert ${ext} to PDF:`, convertErr);
+    return { content: '', contentType, locations: [] };
+  }
+}
+
+// ZIP archives are listed rather than extracted - only their central directory is downloaded
+const MAX_LISTED_ZIP_ENTRIES = 1000;
+
+async function extractZipListing(downloadUrl, fileName, size) {
+  const locations = [];
+  try {
+    console.log('Reading ZIP directory of', fileName);
+    const entries = downloadUrl ? await listRemoteZipEntries(downloadUrl, size) : null;
+    if (!entries) {
+      return { content: '', contentType: 'archive', locations };
+    }
+
+    const files = entries.filter(entry => !entry.isDirectory);
+    const totalSize = files.reduce((sum, entry) => sum + entry.size, 0);
+    const parts = [{ label: 'Archive', text: `${files.length} files, ${formatFileSize(totalSize) || '0 B'} uncompressed:` }];
+    for (const entry of files.slice(0, MAX_LISTED_ZIP_ENTRIES)) {
+      const details = [
+        formatFileSize(entry.size) || '0 B',
+        entry.modified && `modified ${entry.modified.toISOString().split('T')[0]}`,
+        entry.encrypted && 'encrypted',
+      ].filter(Boolean).join(', ');
+      parts.push({ label: entry.name, text: `- ${entry.name} (${details})` });
+    }
+    if (files.length > MAX_LISTED_ZIP_ENTRIES) {
+      parts.push({ label: 'Archive', text: `...and ${files.length - MAX_LISTED_ZIP_ENTRIES} more files` });
+    }
+    return { content: capExtractedText(joinLocatedParts(parts, '\n', locations)), contentType: 'archive-listing', locations };
+  } catch (zipErr) {
+    console.log('Could not list ZIP contents:', zipErr);
+    return { content: '', contentType: 'archive', locations: [] };
+  }
+}
+
+/**
+ * Get document content/preview for summary
+ * @param {string} accessToken - Graph access token
+ * @param {string} itemId - Drive item id
+ * @param {string} fileName - File name (its extension picks the extractor)
+ * @param {Object} [options] - { onProgress } - called with OCR progress ({ page, index, count, progress })
+ *   while scanned PDF pages are recognized
+ * @returns {Promise<Object|null>}
+ */
+export async function getDocumentContent(accessToken, itemId, fileName, options = {}) {
+  const client = getGraphClient(accessToken);
+  const ext = fileName.split('.').pop()?.toLowerCase();
+
+  try {
+    // Get file details first
+    const itemDetails = await client
+      .api(`/me/drive/items/${itemId}`)
+      .get();
+
+    const downloadUrl = itemDetails['@microsoft.graph.downloadUrl'];
+    // Reuse the text extracted from this version of the file, if any. The extractor version is
+    // part of the key so improved extraction replaces cached text and the summaries built from it.
+    const fileVersion = itemDetails.cTag || itemDetails.eTag;
+    const version = fileVersion && `${fileVersion}|x${EXTRACTION_VERSION}`;
+    const cacheEntry = { itemId, version, kind: 'content' };
+    let extracted = await getCachedDocumentData(cacheEntry);
+    if (extracted) {
+      console.log('Using cached content for:', fileName);
+    } else {
+      if (LEGACY_OFFICE_TYPES[ext]) {
+        extracted = await extractLegacyOfficeContent(accessToken, itemId, fileName, ext, options.onProgress);
+      } else if (ext === 'zip') {
+        extracted = await extractZipListing(downloadUrl, fileName, itemDetails.size);
+      } else {
+        extracted = await extractDocumentContent(downloadUrl, fileName, ext, options.onProgress);
       }
+      if (extracted.content) cacheDocumentData(cacheEntry, extracted);
     }
+    const { content, contentType, locations } = extracted;
 
     // Extract path
     const rawPath = itemDetails.parentReference?.path || '';
@@ -705,12 +845,16 @@ export async function getDocumentContent(accessToken, itemId, fileName) {
       name: fileName,
       content: content,
       contentType: contentType,
+      locations: locations,
       path: folderPath ? `${folderPath}/${fileName}` : fileName,
       size: itemDetails.size,
       lastModified: itemDetails.lastModifiedDateTime?.split('T')[0],
       lastModifiedBy: itemDetails.lastModifiedBy?.user?.displayName,
       webUrl: itemDetails.webUrl,
-      downloadUrl: downloadUrl
+      downloadUrl: downloadUrl,
+      eTag: itemDetails.eTag,
+      cTag: itemDetails.cTag,
+      version,
     };
   } catch (error) {
     console.error('Error getting document content:', error);
@@ -750,16 +894,58 @@ function extractTextFromHtml(html) {
   }
 }
 
-// Helper to extract text from .docx files (with ZIP decompression)
-async function extractTextFromDocx(blob) {
-  try {
-    console.log('extractTextFromDocx - Blob size:', blob.size);
+// Tracked changes (<w:ins>/<w:del>) from document.xml, listed after the body - mammoth shows
+// the document with insertions applied and deletions dropped, so they'd otherwise be invisible
+const MAX_TRACKED_CHANGES = 200;
+
+function extractTrackedChanges(documentXml) {
+  const changes = [];
+  // Skip self-closing <w:ins/> markers in run properties - they carry no text
+  const changeRegex = /<w:(ins|del)\b([^>]*?)(?<!\/)>([\s\S]*?)<\/w:\1>/g;
+  let match;
+  while ((match = changeRegex.exec(documentXml)) !== null && changes.length < MAX_TRACKED_CHANGES) {
+    const [, kind, attributes, body] = match;
+    const runs = body.match(/<w:(?:t|delText)\b[^>]*>[^<]*<\/w:(?:t|delText)>/g) || [];
+    const text = decodeXmlEntities(runs.map(run => run.replace(/<[^>]+>/g, '')).join(''))
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!text) continue;
+    const author = decodeXmlEntities(attributes.match(/w:author="([^"]*)"/)?.[1] || 'Unknown');
+    const date = attributes.match(/w:date="(\d{4}-\d{2}-\d{2})/)?.[1];
+    changes.push(`- ${kind === 'ins' ? 'Inserted' : 'Deleted'} by ${author}${date ? ` (${date})` : ''}: "${text}"`);
+  }
+  return changes;
+}
 
+// Helper to convert .docx files to Markdown (headings, lists, tables, comments, tracked changes)
+// Blocks are recorded in `locations` as ¶ / Table numbers; returns '' if the file can't be converted
+async function extractMarkdownFromDocx(blob, locations = []) {
+  try {
     const arrayBuffer = await blob.arrayBuffer();
-    const uint8Array = new Uint8Array(arrayBuffer);
+    const parts = await convertDocxToMarkdown(arrayBuffer);
 
-    // Check if it's a valid ZIP file (starts with PK)
-    if (uint8Array[0] !== 0x50 || uint8Array[1] !== 0x4B) {
+    const documentXml = await readZipText(openZipArchive(new Uint8Array(arrayBuffer)), 'word/document.xml');
+    const changes = documentXml ? extractTrackedChanges(documentXml) : [];
+    if (changes.length > 0) {
+      parts.push({ label: 'Tracked changes', text: `## Tracked changes\n${changes.join('\n')}` });
+    }
+
+    return capExtractedText(joinLocatedParts(parts, '\n\n', locations));
+  } catch (e) {
+    console.log('Error converting docx to Markdown:', e);
+    locations.length = 0;
+    return '';
+  }
+}
+
+// Helper to extract flat text from .docx files (with ZIP decompression) - the fallback when
+// mammoth can't convert a file. Paragraphs are kept on separate lines and recorded in `locations` as ¶ numbers
+async function extractTextFromDocx(blob, locations = []) {
+  try {
+    console.log('extractTextFromDocx - Blob size:', blob.size);
+
+    const zip = openZipArchive(new Uint8Array(await blob.arrayBuffer()));
+    if (!zip) {
       console.log('Not a valid ZIP/DOCX file');
       return '';
     }
@@ -767,7 +953,7 @@ async function extractTextFromDocx(blob) {
     console.log('Valid DOCX file, extracting document.xml...');
 
     // Extract and decompress document.xml from the ZIP
-    const documentXml = await extractFileFromZip(uint8Array, 'word/document.xml');
+    const documentXml = await readZipText(zip, 'word/document.xml');
 
     if (!documentXml) {
       console.log('Could not extract document.xml');
@@ -776,27 +962,27 @@ async function extractTextFromDocx(blob) {
 
     console.log('document.xml extracted, length:', documentXml.length);
 
-    // Extract text from the XML
-    let extractedText = '';
-
-    // Look for <w:t> tags (Word text content)
-    const wtMatches = documentXml.match(/<w:t[^>]*>([^<]*)<\/w:t>/g);
-    console.log('Found w:t matches:', wtMatches ? wtMatches.length : 0);
+    // Extract text paragraph by paragraph (<w:p>), joining the <w:t> runs inside each
+    const paragraphs = documentXml.match(/<w:p[\s>][\s\S]*?<\/w:p>/g) || [];
+    console.log('Found paragraphs:', paragraphs.length);
 
-    if (wtMatches && wtMatches.length > 0) {
-      extractedText = wtMatches
-        .map(match => match.replace(/<[^>]+>/g, ''))
-        .join(' ')
+    const parts = [];
+    for (const paragraph of paragraphs) {
+      const runs = paragraph.match(/<w:t[^>]*>([^<]*)<\/w:t>/g);
+      if (!runs) continue;
+      const text = decodeXmlEntities(runs.map(run => run.replace(/<[^>]+>/g, '')).join(''))
         .replace(/\s+/g, ' ')
         .trim();
+      if (text) {
+        parts.push({ label: `¶ ${parts.length + 1}`, text });
+      }
     }
 
+    const extractedText = joinLocatedParts(parts, '\n', locations);
+
     console.log('Extracted text length:', extractedText.length);
 
-    if (extractedText.length > 3000) {
-      return extractedText.substring(0, 3000) + '...';
-    }
-    return extractedText;
+    return capExtractedText(extractedText);
   } catch (e) {
     console.log('Error extracting text from docx:', e);
     return '';
@@ -804,7 +990,8 @@ async function extractTextFromDocx(blob) {
 }
 
 // Helper to extract text from PDF files using pdf.js
-async function extractTextFromPdf(blob) {
+// Each page's starting offset is recorded in `locations` for page-level citations
+async function extractTextFromPdf(blob, locations = [], onProgress) {
   try {
     console.log('extractTextFromPdf - Blob size:', blob.size);
 
@@ -828,8 +1015,8 @@ async function extractTextFromPdf(blob) {
 
     console.log('PDF loaded, pages:', pdf.numPages);
 
-    let fullText = '';
-    const maxPages = Math.min(pdf.numPages, 20); // Limit to first 20 pages
+    const pages = [];
+    const maxPages = Math.min(pdf.numPages, MAX_PDF_PAGES);
 
     // Extract text from each page
     for (let pageNum = 1; pageNum <= maxPages; pageNum++) {
@@ -837,30 +1024,46 @@ async function extractTextFromPdf(blob) {
         const page = await pdf.getPage(pageNum);
         const textContent = await page.getTextContent();
 
-        // Concatenate text items
+        // Concatenate text items, keeping a paragraph break between pages
         const pageText = textContent.items
           .map(item => item.str)
-          .join(' ');
+          .join(' ')
+          .replace(/\s+/g, ' ')
+          .trim();
 
-        fullText += pageText + '\n\n';
+        pages.push({ pageNum, label: `Page ${pageNum}`, text: pageText });
       } catch (pageErr) {
         console.log(`Error extracting page ${pageNum}:`, pageErr);
       }
     }
 
-    // Clean up the text
-    fullText = fullText
-      .replace(/\s+/g, ' ')  // Replace multiple spaces
-      .replace(/\n\s*\n/g, '\n\n')  // Clean up newlines
-      .trim();
+    // Scanned pages have no text layer - read them with OCR instead
+    const scanned = pages.filter(page => page.text.length < OCR_MIN_PAGE_CHARS);
+    let ocrNote = '';
+    if (scanned.length > 0) {
+      console.log('PDF has', scanned.length, 'scanned page(s), running OCR');
+      try {
+        const recognized = await ocrPdfPages(pdf, scanned.map(page => page.pageNum), onProgress);
+        for (const page of scanned) {
+          if (recognized.get(page.pageNum)?.length > page.text.length) {
+            page.text = recognized.get(page.pageNum);
+          }
+        }
+        if (scanned.length > MAX_OCR_PAGES) {
+          ocrNote = `\n\n[Text of scanned pages recognized with OCR for the first ${MAX_OCR_PAGES} of ${scanned.length} scanned pages]`;
+        }
+      } catch (ocrErr) {
+        console.log('OCR unavailable:', ocrErr);
+      }
+    }
+
+    let fullText = joinLocatedParts(pages, '\n\n', locations);
 
     console.log('PDF text extracted, length:', fullText.length);
 
-    // Limit text length for LLM processing
-    if (fullText.length > 15000) {
-      fullText = fullText.substring(0, 15000) + '...\n\n[Content truncated - PDF has ' + pdf.numPages + ' pages]';
-    }
+    fullText = capExtractedText(fullText);
 
+    fullText += ocrNote;
     if (pdf.numPages > maxPages) {
       fullText += `\n\n[Showing first ${maxPages} of ${pdf.numPages} pages]`;
     }
@@ -872,100 +1075,302 @@ async function extractTextFromPdf(blob) {
   }
 }
 
-// Extract a file from ZIP archive
-async function extractFileFromZip(zipData, targetFileName) {
-  try {
-    let offset = 0;
-
-    while (offset < zipData.length - 4) {
-      // Check for local file header signature (PK\x03\x04)
-      if (zipData[offset] !== 0x50 || zipData[offset + 1] !== 0x4B ||
-          zipData[offset + 2] !== 0x03 || zipData[offset + 3] !== 0x04) {
-        break;
-      }
+// Slide reading - slides in presentation order as Markdown sections with the title, bullets
+// (indented by level), tables and the speaker notes, one located part per slide
+const MAX_SLIDES = 500;
+const SKIPPED_PLACEHOLDERS = ['sldNum', 'dt', 'ftr', 'sldImg', 'hdr'];
+
+// Resolve a relationship target (e.g. "../notesSlides/notesSlide1.xml") against its part's folder
+function resolvePartPath(baseFolder, target) {
+  if (target.startsWith('/')) return target.slice(1);
+  const segments = baseFolder.split('/');
+  for (const segment of target.split('/')) {
+    if (segment === '..') segments.pop();
+    else if (segment !== '.') segments.push(segment);
+  }
+  return segments.join('/');
+}
 
-      // Parse local file header
-      const compressionMethod = zipData[offset + 8] | (zipData[offset + 9] << 8);
-      const compressedSize = zipData[offset + 18] | (zipData[offset + 19] << 8) |
-                            (zipData[offset + 20] << 16) | (zipData[offset + 21] << 24);
-      const uncompressedSize = zipData[offset + 22] | (zipData[offset + 23] << 8) |
-                               (zipData[offset + 24] << 16) | (zipData[offset + 25] << 24);
-      const fileNameLength = zipData[offset + 26] | (zipData[offset + 27] << 8);
-      const extraFieldLength = zipData[offset + 28] | (zipData[offset + 29] << 8);
+// Relationship id -> { type, path } from a .rels part
+async function readRelationships(zip, relsPath, baseFolder) {
+  const relsXml = await readZipText(zip, relsPath);
+  const relationships = new Map();
+  for (const rel of relsXml.match(/<Relationship\b[^>]*>/g) || []) {
+    relationships.set(xmlAttribute(rel, 'Id'), {
+      type: xmlAttribute(rel, 'Type') || '',
+      path: resolvePartPath(baseFolder, xmlAttribute(rel, 'Target') || ''),
+    });
+  }
+  return relationships;
+}
 
-      // Get file name
-      const fileNameBytes = zipData.slice(offset + 30, offset + 30 + fileNameLength);
-      const fileName = new TextDecoder().decode(fileNameBytes);
+function drawingParagraphText(paragraph) {
+  return decodeXmlEntities(
+    paragraph
+      .replace(/<a:br\b[^>]*>/g, '<a:t> </a:t>')
+      .match(/<a:t\b[^>]*>[^<]*<\/a:t>/g)
+      ?.map(run => run.replace(/<[^>]+>/g, ''))
+      .join('') || ''
+  ).replace(/\s+/g, ' ').trim();
+}
 
-      const dataOffset = offset + 30 + fileNameLength + extraFieldLength;
+// Text paragraphs of a shape with their outline level (0 = top-level bullet)
+function shapeParagraphs(shapeXml) {
+  const paragraphs = [];
+  for (const match of shapeXml.matchAll(/<a:p\b[^>]*?(?<!\/)>([\s\S]*?)<\/a:p>/g)) {
+    const text = drawingParagraphText(match[1]);
+    const level = Number(match[1].match(/<a:pPr\b[^>]*\slvl="(\d+)"/)?.[1] || 0);
+    if (text) paragraphs.push({ text, level });
+  }
+  return paragraphs;
+}
 
-      console.log('ZIP entry:', fileName, 'compression:', compressionMethod, 'size:', compressedSize);
+function slideTableMarkdown(tableXml) {
+  const rows = (tableXml.match(/<a:tr\b[\s\S]*?<\/a:tr>/g) || []).map(row =>
+    (row.match(/<a:tc\b[^>]*?(?:\/>|>[\s\S]*?<\/a:tc>)/g) || [])
+      .map(cell => shapeParagraphs(cell).map(p => p.text).join('<br>').replace(/\|/g, '\\|'))
+  ).filter(cells => cells.some(Boolean));
+  if (rows.length === 0) return '';
+  const columns = Math.max(...rows.map(cells => cells.length));
+  const line = (cells) => `| ${Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ')} |`;
+  return [line(rows[0]), `|${' --- |'.repeat(columns)}`, ...rows.slice(1).map(line)].join('\n');
+}
 
-      if (fileName === targetFileName) {
-        const compressedData = zipData.slice(dataOffset, dataOffset + compressedSize);
+// Title, bullet lines and tables of a slide, in shape order
+function parseSlide(slideXml) {
+  let title = '';
+  const lines = [];
+  for (const [shape] of slideXml.matchAll(/<p:sp\b[\s\S]*?<\/p:sp>|<a:tbl\b[\s\S]*?<\/a:tbl>/g)) {
+    if (shape.startsWith('<a:tbl')) {
+      const table = slideTableMarkdown(shape);
+      if (table) lines.push(table);
+      continue;
+    }
+    const placeholder = shape.match(/<p:ph\b[^>]*>/)?.[0];
+    const placeholderType = placeholder ? xmlAttribute(placeholder, 'type') || 'body' : null;
+    if (SKIPPED_PLACEHOLDERS.includes(placeholderType)) continue;
+
+    const paragraphs = shapeParagraphs(shape);
+    if ((placeholderType === 'title' || placeholderType === 'ctrTitle') && !title) {
+      title = paragraphs.map(p => p.text).join(' ');
+    } else {
+      lines.push(...paragraphs.map(p => `${'  '.repeat(p.level)}- ${p.text}`));
+    }
+  }
+  return { title, lines };
+}
 
-        if (compressionMethod === 0) {
-          // No compression - stored
-          return new TextDecoder().decode(compressedData);
-        } else if (compressionMethod === 8) {
-          // Deflate compression - use DecompressionStream
-          try {
-            const decompressed = await decompressDeflate(compressedData);
-            return new TextDecoder().decode(decompressed);
-          } catch (decompressErr) {
-            console.log('Decompression failed:', decompressErr);
-            return '';
-          }
-        }
-      }
+// Speaker notes are the body placeholder of the slide's notes slide
+async function readSlideNotes(zip, slidePath) {
+  const folder = slidePath.slice(0, slidePath.lastIndexOf('/'));
+  const fileName = slidePath.slice(folder.length + 1);
+  const relationships = await readRelationships(zip, `${folder}/_rels/${fileName}.rels`, folder);
+  const notes = [...relationships.values()].find(rel => rel.type.endsWith('/notesSlide'));
+  if (!notes) return '';
+
+  const notesXml = await readZipText(zip, notes.path);
+  const body = (notesXml.match(/<p:sp\b[\s\S]*?<\/p:sp>/g) || [])
+    .find(shape => /<p:ph\b[^>]*\stype="body"/.test(shape));
+  return body ? shapeParagraphs(body).map(p => p.text).join('\n') : '';
+}
 
-      // Move to next file
-      offset = dataOffset + compressedSize;
+async function extractPptxSlides(zip) {
+  // Slide order comes from presentation.xml; fall back to numbering when it can't be read
+  const presentationXml = await readZipText(zip, 'ppt/presentation.xml');
+  const relationships = await readRelationships(zip, 'ppt/_rels/presentation.xml.rels', 'ppt');
+  const orderedPaths = (presentationXml.match(/<p:sldId\b[^>]*>/g) || [])
+    .map(slideId => relationships.get(xmlAttribute(slideId, 'r:id'))?.path)
+    .filter(Boolean);
+  const slidePaths = orderedPaths.length > 0
+    ? orderedPaths
+    : Array.from({ length: MAX_SLIDES }, (_, i) => `ppt/slides/slide${i + 1}.xml`);
+
+  const slides = [];
+  for (const [index, slidePath] of slidePaths.slice(0, MAX_SLIDES).entries()) {
+    const slideXml = await readZipText(zip, slidePath);
+    if (!slideXml) {
+      if (orderedPaths.length > 0) continue;
+      break;
     }
 
-    return '';
-  } catch (e) {
-    console.log('Error parsing ZIP:', e);
-    return '';
+    const slideNum = index + 1;
+    const { title, lines } = parseSlide(slideXml);
+    const notes = await readSlideNotes(zip, slidePath);
+    const hidden = /<p:sld\b[^>]*\sshow="(0|false)"/.test(slideXml) ? ' (hidden)' : '';
+    const sections = [`## Slide ${slideNum}${title ? `: ${title}` : ''}${hidden}`, ...lines];
+    if (notes) sections.push(`Speaker notes:\n${notes}`);
+    slides.push({
+      label: `Slide ${slideNum}`,
+      text: title || lines.length > 0 || notes ? sections.join('\n') : '',
+    });
   }
+  return slides;
 }
 
-// Decompress deflate data using browser's DecompressionStream
-async function decompressDeflate(compressedData) {
-  try {
-    // Add zlib header for DecompressionStream (it expects raw deflate without header)
-    // DecompressionStream 'deflate-raw' handles raw deflate
-    const stream = new DecompressionStream('deflate-raw');
-    const writer = stream.writable.getWriter();
-    const reader = stream.readable.getReader();
-
-    // Write compressed data
-    writer.write(compressedData);
-    writer.close();
-
-    // Read decompressed data
-    const chunks = [];
-    let result;
-    while (!(result = await reader.read()).done) {
-      chunks.push(result.value);
+// Workbook reading - sheets in workbook order under their own names, shared strings resolved to
+// cells, numbers and formulas kept, and date-formatted serial numbers shown as dates
+const MAX_SHEET_ROWS = 5000; // Per sheet - the overall text cap still applies
+const MAX_SHEET_COLUMNS = 50;
+const SHEET_BLOCK_ROWS = 25; // Column headers repeat this often so retrieved passages keep their context
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 22]); // m/d/yyyy, d-mmm-yy, d-mmm, mmm-yy, m/d/yyyy h:mm
+
+function xmlAttribute(tag, name) {
+  return tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+}
+
+function xmlTextRuns(xml) {
+  return decodeXmlEntities((xml.match(/<t\b[^>]*>[^<]*<\/t>/g) || [])
+    .map(t => t.replace(/<[^>]+>/g, ''))
+    .join(''));
+}
+
+// 0 -> A, 26 -> AA
+function columnLetters(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+function columnIndex(letters) {
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+function excelSerialToDate(serial, date1904) {
+  const days = serial + (date1904 ? 1462 : 0); // The 1904 date system counts from 1904-01-01
+  const iso = new Date(Date.UTC(1899, 11, 30) + Math.round(days * 86400000)).toISOString();
+  return Number.isInteger(serial) ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 16)}`;
+}
+
+// Sheet names and part paths in workbook order, via the workbook relationships
+async function readWorkbookSheets(zip) {
+  const workbookXml = await readZipText(zip, 'xl/workbook.xml');
+  const relsXml = await readZipText(zip, 'xl/_rels/workbook.xml.rels');
+  const targets = new Map();
+  for (const rel of relsXml.match(/<Relationship\b[^>]*>/g) || []) {
+    const target = xmlAttribute(rel, 'Target') || '';
+    targets.set(xmlAttribute(rel, 'Id'), target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+  }
+  const sheets = (workbookXml.match(/<sheet\b[^>]*>/g) || []).map((sheet, i) => ({
+    name: decodeXmlEntities(xmlAttribute(sheet, 'name') || `Sheet${i + 1}`),
+    path: targets.get(xmlAttribute(sheet, 'r:id')) || `xl/worksheets/sheet${i + 1}.xml`,
+    hidden: /\sstate="(hidden|veryHidden)"/.test(sheet),
+  }));
+  return { sheets, date1904: /<workbookPr\b[^>]*\sdate1904="(1|true)"/.test(workbookXml) };
+}
+
+// Which cell styles (by index) display their number as a date
+async function readDateStyles(zip) {
+  const stylesXml = await readZipText(zip, 'xl/styles.xml');
+  const customDateFormats = new Set();
+  for (const numFmt of stylesXml.match(/<numFmt\b[^>]*>/g) || []) {
+    // Ignore quoted literals, [colors]/[conditions] and escaped characters before looking for d/y
+    const code = decodeXmlEntities(xmlAttribute(numFmt, 'formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+    if (/[dy]/i.test(code)) customDateFormats.add(Number(xmlAttribute(numFmt, 'numFmtId')));
+  }
+  const cellXfs = stylesXml.match(/<cellXfs\b[\s\S]*?<\/cellXfs>/)?.[0] || '';
+  return (cellXfs.match(/<xf\b[^>]*>/g) || []).map(xf => {
+    const id = Number(xmlAttribute(xf, 'numFmtId') || 0);
+    return BUILTIN_DATE_FORMATS.has(id) || customDateFormats.has(id);
+  });
+}
+
+// Display value of one <c> cell: text, number, date or boolean, followed by its formula if any
+function xlsxCellValue(attributes, body, workbook) {
+  const type = xmlAttribute(attributes, 't') || 'n';
+  const raw = body.match(/<v>([^<]*)<\/v>/)?.[1];
+  const formula = body.match(/<f\b[^>]*>([^<]+)<\/f>/)?.[1];
+
+  let value = '';
+  if (type === 's') {
+    value = workbook.sharedStrings[parseInt(raw, 10)] || '';
+  } else if (type === 'inlineStr') {
+    value = xmlTextRuns(body);
+  } else if (type === 'b') {
+    value = raw === '1' ? 'TRUE' : raw === '0' ? 'FALSE' : '';
+  } else if (raw !== undefined && raw !== '') {
+    const number = Number(raw);
+    if (type !== 'n' || Number.isNaN(number)) {
+      value = decodeXmlEntities(raw); // Formula strings, errors (#DIV/0!) and ISO dates
+    } else if (workbook.dateStyles[Number(xmlAttribute(attributes, 's') || 0)]) {
+      value = excelSerialToDate(number, workbook.date1904);
+    } else {
+      value = String(Number(number.toPrecision(12))); // 0.30000000000000004 -> 0.3
     }
+  }
+  value = value.replace(/\s+/g, ' ').trim();
+  return formula ? `${value} (=${decodeXmlEntities(formula)})`.trim() : value;
+}
 
-    // Combine chunks
-    const totalLength = chunks.reduce((acc, chunk) => acc + chunk.length, 0);
-    const decompressed = new Uint8Array(totalLength);
-    let position = 0;
-    for (const chunk of chunks) {
-      decompressed.set(chunk, position);
-      position += chunk.length;
+function readSheetRows(sheetXml, workbook) {
+  const rows = [];
+  let rowNumber = 0;
+  for (const row of sheetXml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    rowNumber = Number(xmlAttribute(row[1], 'r')) || rowNumber + 1;
+    const cells = new Map(); // column index -> value
+    let column = -1;
+    for (const cell of (row[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = xmlAttribute(cell[1], 'r');
+      column = ref ? columnIndex(ref.match(/^[A-Z]+/)[0]) : column + 1;
+      const value = xlsxCellValue(cell[1], cell[2] || '', workbook);
+      if (value && column < MAX_SHEET_COLUMNS) cells.set(column, value);
+    }
+    if (cells.size > 0) rows.push({ number: rowNumber, cells });
+    if (rows.length >= MAX_SHEET_ROWS) {
+      rows.truncated = true;
+      break;
     }
+  }
+  return rows;
+}
 
-    return decompressed;
-  } catch (e) {
-    console.log('DecompressionStream error:', e);
-    throw e;
+// Add a sheet as Markdown tables with a Row column and A1 column letters, one located part per row.
+// Long sheets are split into blocks that repeat the sheet name, column letters and first row.
+function appendSheetParts(parts, sheet, rows) {
+  const columns = [...new Set(rows.flatMap(row => [...row.cells.keys()]))].sort((a, b) => a - b);
+  const sheetRef = /^\w+$/.test(sheet.name) ? sheet.name : `'${sheet.name.replace(/'/g, "''")}'`;
+  const range = `${columnLetters(columns[0])}${rows[0].number}:${columnLetters(columns[columns.length - 1])}${rows[rows.length - 1].number}`;
+  const tableHeader = `| Row | ${columns.map(columnLetters).join(' | ')} |\n|${' --- |'.repeat(columns.length + 1)}`;
+  const rowLine = (row) => `| ${row.number} | ${columns.map(c => (row.cells.get(c) || '').replace(/\|/g, '\\|')).join(' | ')} |`;
+
+  rows.forEach((row, i) => {
+    let text = rowLine(row);
+    if (i % SHEET_BLOCK_ROWS === 0) {
+      const heading = i === 0
+        ? `## Sheet: ${sheet.name} (${range})${sheet.hidden ? ' - hidden' : ''}`
+        : `## Sheet: ${sheet.name} (continued)\n${tableHeader}\n${rowLine(rows[0])}`;
+      text = `${parts.length > 0 ? '\n' : ''}${i === 0 ? `${heading}\n${tableHeader}` : heading}\n${text}`;
+    }
+    const firstColumn = row.cells.keys().next().value;
+    parts.push({ label: `${sheetRef}!${columnLetters(firstColumn)}${row.number}`, text });
+  });
+  if (rows.truncated) {
+    parts.push({ label: `${sheetRef}`, text: `(Only the first ${MAX_SHEET_ROWS} rows of ${sheet.name} were read)` });
   }
 }
 
+// Read every worksheet of an .xlsx workbook as located Markdown table rows
+async function extractXlsxSheets(zip) {
+  const { sheets, date1904 } = await readWorkbookSheets(zip);
+  const sharedXml = await readZipText(zip, 'xl/sharedStrings.xml');
+  const workbook = {
+    date1904,
+    // Phonetic guides (<rPh>) repeat the text in another script
+    sharedStrings: (sharedXml.match(/<si>[\s\S]*?<\/si>/g) || [])
+      .map(item => xmlTextRuns(item.replace(/<rPh\b[\s\S]*?<\/rPh>/g, ''))),
+    dateStyles: await readDateStyles(zip),
+  };
+
+  const parts = [];
+  for (const sheet of sheets) {
+    const sheetXml = await readZipText(zip, sheet.path);
+    const rows = sheetXml ? readSheetRows(sheetXml, workbook) : [];
+    if (rows.length > 0) appendSheetParts(parts, sheet, rows);
+  }
+  return parts;
+}
+
 // Extract text from XML content (Word document format)
 function extractTextFromXmlContent(content) {
   try {
@@ -1019,17 +1424,25 @@ function extractTextFromXmlContent(content) {
 }
 
 // Extract text from Office XML files (xlsx, pptx)
-async function extractTextFromOfficeXml(blob, fileType) {
+// Slides and sheet rows are recorded in `locations`; falls back to scanning the raw archive
+async function extractTextFromOfficeXml(blob, fileType, locations = []) {
   try {
     const arrayBuffer = await blob.arrayBuffer();
     const uint8Array = new Uint8Array(arrayBuffer);
 
-    // Check if it's a valid ZIP file
-    if (uint8Array[0] !== 0x50 || uint8Array[1] !== 0x4B) {
+    const zip = openZipArchive(uint8Array);
+    if (!zip) {
       console.log('Not a valid ZIP/Office file');
       return '';
     }
 
+    const parts = fileType === 'pptx'
+      ? await extractPptxSlides(zip)
+      : await extractXlsxSheets(zip);
+    if (parts.length > 0) {
+      return capExtractedText(joinLocatedParts(parts, fileType === 'pptx' ? '\n\n' : '\n', locations));
+    }
+
     // Convert to string
     let binaryString = '';
     for (let i = 0; i < uint8Array.length; i++) {
@@ -1058,10 +1471,7 @@ async function extractTextFromOfficeXml(blob, fileType) {
 
     textContent = textContent.replace(/\s+/g, ' ').trim();
 
-    if (textContent.length > 3000) {
-      return textContent.substring(0, 3000) + '...';
-    }
-    return textContent;
+    return capExtractedText(textContent);
   } catch (e) {
     console.log('Error extracting Office XML content:', e);
     return '';
@@ -1547,12 +1957,7 @@ function parseSubtitleFile(content) {
     .replace(/\s+/g, ' ')
     .trim();
 
-  // Limit length for LLM processing
-  if (text.length > 15000) {
-    text = text.substring(0, 15000) + '...\n\n[Transcript truncated]';
-  }
-
-  return text;
+  return capExtractedText(text);
 }
 
 // Search for images and videos specifically
@@ -1,23 +1,33 @@
 // Groq API Service - Fast LLM Inference with Llama 3.1
-import { groqConfig } from '../config/groqConfig';
+import { groqConfig, isGroqConfigured } from '../config/groqConfig';
+import { readSSEStream } from './streamUtils';
+import { toOpenAIMessages, toOpenAITools, parseOpenAIMessage } from './toolCalling';
+import { normalizeUsage } from './tokenUsage';
+import { samplingFor, SAMPLING_FIELDS } from './providerSettings';
+import { LLM_PROVIDERS, registerProvider } from './providerRegistry';
 
 /**
  * Call Groq API (OpenAI-compatible format)
  * @param {Array} messages - Array of message objects with role and content
- * @param {Object} options - Optional parameters
+ * @param {Object} options - Optional parameters (pass onToken to stream the response, onUsage to receive token counts)
  * @returns {Promise<string>} - The AI response text
  */
 export async function callGroq(messages, options = {}) {
   const { apiKey, model, baseUrl } = groqConfig;
   const url = `${baseUrl}/chat/completions`;
 
+  const sampling = samplingFor(groqConfig, options);
   const requestBody = {
     model: options.model || model,
     messages: messages,
-    max_tokens: options.maxTokens || 1000,
-    temperature: options.temperature || 0.7,
+    max_tokens: sampling.maxTokens,
+    temperature: sampling.temperature,
     top_p: options.topP || 0.95,
+    stream: !!options.onToken,
   };
+  if (options.responseFormat) {
+    requestBody.response_format = options.responseFormat;
+  }
 
   try {
     console.log('Groq: Calling', model);
@@ -31,13 +41,30 @@ export async function callGroq(messages, options = {}) {
       body: JSON.stringify(requestBody),
     });
 
-    const data = await response.json();
-
     if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
       console.error('Groq API error:', data);
       throw new Error(`Groq API error: ${response.status} - ${data.error?.message || response.statusText}`);
     }
 
+    if (options.onToken) {
+      let text = '';
+      await readSSEStream(response, (chunk) => {
+        const token = chunk.choices?.[0]?.delta?.content;
+        if (token) {
+          text += token;
+          options.onToken(token);
+        }
+        // Groq reports usage on the final chunk under x_groq
+        const usage = normalizeUsage(chunk.x_groq?.usage || chunk.usage, chunk.model);
+        if (usage) options.onUsage?.(usage);
+      });
+      console.log('Groq: Stream complete, length:', text.length);
+      return text;
+    }
+
+    const data = await response.json();
+    options.onUsage?.(normalizeUsage(data.usage, data.model));
     const text = data.choices?.[0]?.message?.content || '';
     console.log('Groq: Response length:', text.length);
 
@@ -49,127 +76,92 @@ export async function callGroq(messages, options = {}) {
 }
 
 /**
- * Generate document summary using Groq
- * @param {string} content - Document content
- * @param {string} fileName - File name
- * @returns {Promise<string|null>} - AI-generated summary
+ * Call Groq with tools the model may call (OpenAI-style function calling)
+ * @param {Array} messages - Provider-neutral agent messages (see toolCalling.js)
+ * @param {Array} tools - Tool definitions ({ name, description, parameters })
+ * @param {Object} options - { system, toolChoice: 'auto'|'none', maxTokens, onUsage }
+ * @returns {Promise<Object>} - { text, toolCalls }
  */
-export async function generateDocumentSummaryGroq(content, fileName) {
-  if (!content || content.trim().length === 0) {
-    return null;
-  }
-
-  // Clean and truncate content
-  let cleanContent = content
-    .split('\n')
-    .filter((line, index, arr) => arr.indexOf(line) === index)
-    .join('\n')
-    .replace(/\s+/g, ' ')
-    .trim();
-
-  const maxContentLength = 12000; // Llama 3.1 70B has large context
-  const truncatedContent = cleanContent.length > maxContentLength
-    ? cleanContent.substring(0, maxContentLength) + '...'
-    : cleanContent;
+export async function callGroqWithTools(messages, tools, options = {}) {
+  const { apiKey, model, baseUrl } = groqConfig;
+  const sampling = samplingFor(groqConfig, options, 1500, 0.2);
 
-  const messages = [
-    {
-      role: 'system',
-      content: 'You are a helpful document assistant. Provide clear, concise summaries focusing on main topics, key points, and important details. Keep summaries to 3-5 sentences.'
+  const response = await fetch(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`,
     },
-    {
-      role: 'user',
-      content: `Summarize this document "${fileName}":\n\n${truncatedContent}`
-    }
-  ];
-
-  try {
-    const summary = await callGroq(messages, {
-      maxTokens: 500,
-      temperature: 0.5,
-    });
-    return summary.trim();
-  } catch (error) {
-    console.error('Groq summary failed:', error);
-    return null;
+    body: JSON.stringify({
+      model,
+      messages: toOpenAIMessages(messages, options.system),
+      tools: toOpenAITools(tools),
+      tool_choice: options.toolChoice || 'auto',
+      max_tokens: sampling.maxTokens,
+      temperature: sampling.temperature,
+    }),
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    console.error('Groq API error:', data);
+    throw new Error(`Groq API error: ${response.status} - ${data.error?.message || response.statusText}`);
   }
+
+  const data = await response.json();
+  options.onUsage?.(normalizeUsage(data.usage, data.model));
+  return parseOpenAIMessage(data.choices?.[0]?.message);
 }
 
 /**
- * Answer a question about document content using Groq
- * @param {string} content - Document content
- * @param {string} question - User's question
- * @param {string} fileName - File name
- * @returns {Promise<string>} - AI-generated answer
+ * Send a prompt request (see prompts.js) to Groq, using JSON mode for structured output
+ * @param {Object} request - { system, messages, maxTokens, temperature, json, onUsage }
+ * @param {Function} [onToken] - Optional callback receiving streamed text deltas
+ * @returns {Promise<string>} - The AI response text
  */
-export async function answerDocumentQuestionGroq(content, question, fileName) {
-  if (!content || content.trim().length === 0) {
-    return "I couldn't read the document content to answer your question.";
-  }
-
-  const maxContentLength = 12000;
-  const truncatedContent = content.length > maxContentLength
-    ? content.substring(0, maxContentLength) + '...'
-    : content;
-
-  const messages = [
-    {
-      role: 'system',
-      content: 'You are a helpful document assistant. Answer questions based only on the provided document content. If the answer is not in the document, say so clearly. Be accurate and cite specific information when possible.'
-    },
-    {
-      role: 'user',
-      content: `Document: "${fileName}"\n\nContent:\n${truncatedContent}\n\nQuestion: ${question}`
-    }
-  ];
-
-  try {
-    const answer = await callGroq(messages, {
-      maxTokens: 800,
-      temperature: 0.3,
-    });
-    return answer.trim();
-  } catch (error) {
-    console.error('Groq answer failed:', error);
-    return "I encountered an error processing your question. Please try again.";
-  }
+function completeGroq(request, onToken) {
+  return callGroq(toOpenAIMessages(request.messages, request.system), {
+    maxTokens: request.maxTokens,
+    temperature: request.temperature,
+    responseFormat: request.json ? { type: 'json_object' } : undefined,
+    onToken,
+    onUsage: request.onUsage,
+  });
 }
 
 /**
- * Get chat response using Groq
- * @param {string} userMessage - User's message
- * @param {Array} conversationHistory - Previous messages
- * @returns {Promise<string>} - AI response
+ * List the models available to the API key
+ * @returns {Promise<Array>} - Model ids
  */
-export async function getChatResponseGroq(userMessage, conversationHistory = []) {
-  const messages = [
-    {
-      role: 'system',
-      content: `You are a helpful document assistant for a corporate environment. You help users:
-- Find and understand documents
-- Answer questions about company policies
-- Provide information about processes and procedures
-
-Be professional, helpful, and concise.`
-    },
-    ...conversationHistory.slice(-8).map(msg => ({
-      role: msg.role,
-      content: msg.content
-    })),
-    {
-      role: 'user',
-      content: userMessage
-    }
-  ];
-
-  try {
-    const response = await callGroq(messages, {
-      maxTokens: 800,
-      temperature: 0.7,
-    });
-    return response.trim();
-  } catch (error) {
-    console.error('Groq chat failed:', error);
-    return "I'm having trouble processing your request right now. Please try again.";
+async function listGroqModels() {
+  const { apiKey, baseUrl } = groqConfig;
+  const response = await fetch(`${baseUrl}/models`, {
+    headers: { 'Authorization': `Bearer ${apiKey}` },
+  });
+  if (!response.ok) {
+    throw new Error(`Groq API error: ${response.status} - ${response.statusText}`);
   }
+  const data = await response.json();
+  return (data.data || []).map(m => m.id);
 }
+
+registerProvider({
+  id: LLM_PROVIDERS.GROQ,
+  name: 'Groq',
+  icon: '⚡',
+  priority: 40, // Fallback - smaller model to avoid deprecation
+  contextChars: 11800,
+  capabilities: { streaming: true, tools: true, jsonMode: true, jsonSchema: false, vision: false, checksReachability: false },
+  config: groqConfig,
+  settingsFields: [
+    { key: 'apiKey', label: 'API key', type: 'password', required: true },
+    { key: 'model', label: 'Model', type: 'text', required: true, placeholder: 'llama-3.1-8b-instant' },
+    { key: 'baseUrl', label: 'Endpoint', type: 'url', required: true },
+    ...SAMPLING_FIELDS,
+  ],
+  detect: async () => isGroqConfigured(),
+  complete: (request) => completeGroq(request),
+  stream: completeGroq,
+  chat: callGroqWithTools,
+  listModels: listGroqModels,
+});
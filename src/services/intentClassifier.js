@@ -0,0 +1,128 @@
+// Intent layer for chat messages: the active LLM classifies the request and extracts slots,
+// with the deterministic rules in intentRules.js as the offline fallback.
+import { isLLMAvailable, generateStructured } from './llmService';
+import { classifyWithRules, crSearchTerms } from './intentRules';
+
+const FILE_TYPES = ['document', 'spreadsheet', 'presentation', 'image', 'video', 'media', 'folder'];
+
+// What each intent means, shown to the model. select_number is rules-only (bare numbers are unambiguous).
+const INTENT_DESCRIPTIONS = {
+  show_all_results: 'see every result of the previous search ("show all", "see more")',
+  recent_files: 'list their recently used OneDrive files',
+  clear_documents: 'close the open documents and start fresh',
+  add_document: 'bring another document in without naming it yet',
+  compare_documents: 'compare the open documents or list their differences',
+  read_document: 'open, read or summarize a specific document, recording or transcript',
+  generate_pm_document: 'create a PM impact analysis document',
+  document_question: 'ask a question about the open document(s), or simplify / break down the open CR',
+  media_search: 'find images or videos',
+  image_question: 'ask about the images just shown: describe them, read their text, explain a diagram or screenshot',
+  archive_contents: 'see the files inside a .zip archive that was found or opened ("what\'s inside this zip?")',
+  source_request: 'know which file the previous answer came from',
+  file_search: 'find or share files without reading them',
+  chat: 'general conversation or a company-policy question not tied to a file',
+};
+
+const INTENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    intent: { type: 'string', enum: Object.keys(INTENT_DESCRIPTIONS) },
+    searchTerms: { type: 'array', items: { type: 'string' }, description: 'File name keywords to search for, without filler words' },
+    fileType: { type: ['string', 'null'], description: `One of ${FILE_TYPES.join(', ')}, or null` },
+    count: { type: ['integer', 'null'], description: 'Number of files requested' },
+    multiple: { type: ['boolean', 'null'], description: 'True when a list of several files is wanted rather than one' },
+    dateFrom: { type: ['string', 'null'], description: 'Start of a requested modified-date range, YYYY-MM-DD' },
+    dateTo: { type: ['string', 'null'], description: 'End of a requested modified-date range, YYYY-MM-DD' },
+    crNumber: { type: ['string', 'null'], description: 'Change request number digits, e.g. "20049" for CR 20049' },
+    action: { type: ['string', 'null'], description: '"simplify" for a plain-language explanation, "tasks" for a dev task breakdown, else null' },
+  },
+  required: ['intent', 'searchTerms', 'fileType', 'count', 'crNumber'],
+};
+
+const INTENT_INSTRUCTIONS = `Classify the user's chat message for a OneDrive document assistant and extract its slots.
+Intents - the user wants to:
+${Object.entries(INTENT_DESCRIPTIONS).map(([intent, description]) => `- ${intent}: ${description}`).join('\n')}
+Typos are common; classify by meaning. Only choose document_question or compare_documents when documents are open,
+and image_question when images are shown.`;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Intents that need state the model can't be trusted to check
+function isAllowed(intent, context) {
+  switch (intent) {
+    case 'document_question':
+      return context.aiEnabled && context.hasActiveDocument;
+    case 'compare_documents':
+      return context.aiEnabled;
+    case 'image_question':
+      return context.aiEnabled && context.imageCount > 0;
+    case 'show_all_results':
+      return context.lastResultCount > 1;
+    default:
+      return intent in INTENT_DESCRIPTIONS;
+  }
+}
+
+function describeRequest(message, context) {
+  const lines = [`Today: ${new Date().toISOString().split('T')[0]}`];
+  lines.push(context.hasActiveDocument
+    ? `Open documents: ${context.workingSetSize} (latest: "${context.activeDocumentName}")`
+    : 'Open documents: none');
+  lines.push(`Previous search results: ${context.lastResultCount || 0}`);
+  lines.push(`Images shown: ${context.imageCount || 0}`);
+  lines.push(`User message: "${message}"`);
+  return lines.join('\n');
+}
+
+// Prefer the model's slots, keeping rule-extracted values where the model left a gap
+function mergeSlots(ruleSlots, classified) {
+  const crNumber = classified.crNumber?.replace(/\D/g, '') || ruleSlots.crNumber;
+  const modelTerms = (classified.searchTerms || []).map(t => t.trim()).filter(Boolean);
+  const count = Number.isInteger(classified.count) && classified.count > 0 && classified.count <= 50
+    ? classified.count
+    : ruleSlots.count;
+
+  return {
+    ...ruleSlots,
+    searchTerms: crNumber ? crSearchTerms(crNumber) : (modelTerms.length > 0 ? modelTerms : ruleSlots.searchTerms),
+    fileType: FILE_TYPES.includes(classified.fileType) ? classified.fileType : ruleSlots.fileType,
+    count,
+    multiple: classified.multiple ?? ruleSlots.multiple,
+    dateRange: DATE_PATTERN.test(classified.dateFrom || '')
+      ? { from: classified.dateFrom, to: DATE_PATTERN.test(classified.dateTo || '') ? classified.dateTo : null }
+      : ruleSlots.dateRange,
+    crNumber,
+    action: ['simplify', 'tasks'].includes(classified.action) ? classified.action : ruleSlots.action,
+  };
+}
+
+/**
+ * Classify a chat message into an intent plus slots
+ * @param {string} message - User message
+ * @param {Object} context - { aiEnabled, hasActiveDocument, activeDocumentName, workingSetSize,
+ *   lastResultCount, fileListCount, suggestionCount, imageCount }
+ * @returns {Promise<Object>} - { intent, slots, source } where source is 'llm' or 'rules'.
+ *   slots: { searchTerms, fileType, count, multiple, dateRange, crNumber, action, selection }
+ */
+export async function classifyIntent(message, context = {}) {
+  const rules = classifyWithRules(message, context);
+
+  // Exact commands and number picks don't need a model round trip
+  if (rules.confident || !context.aiEnabled || !isLLMAvailable()) {
+    return { intent: rules.intent, slots: rules.slots, source: 'rules' };
+  }
+
+  const classified = await generateStructured(INTENT_SCHEMA, describeRequest(message, context), {
+    instructions: INTENT_INSTRUCTIONS,
+    maxRetries: 1,
+    feature: 'intent',
+  });
+
+  if (!classified || !isAllowed(classified.intent, context)) {
+    console.log('Intent classifier: using rules for', JSON.stringify(message), '->', rules.intent);
+    return { intent: rules.intent, slots: rules.slots, source: 'rules' };
+  }
+
+  console.log('Intent classifier:', classified.intent, 'for', JSON.stringify(message));
+  return { intent: classified.intent, slots: mergeSlots(rules.slots, classified), source: 'llm' };
+}
@@ -0,0 +1,370 @@
+// Deterministic intent rules for chat messages - used offline and whenever the LLM classifier is unavailable
+// Mirrors the keyword routing ChatBot used before the intent layer, with typo tolerance and slot extraction.
+
+export const INTENTS = [
+  'show_all_results',
+  'recent_files',
+  'select_number',
+  'clear_documents',
+  'add_document',
+  'compare_documents',
+  'read_document',
+  'generate_pm_document',
+  'document_question',
+  'media_search',
+  'image_question',
+  'archive_contents',
+  'source_request',
+  'file_search',
+  'chat',
+];
+
+// Words the rules key on - misspellings of these are corrected before matching.
+// Only words of 6+ letters: shorter ones are too close to unrelated English words.
+const VOCABULARY = [
+  'summarize', 'summary', 'explain', 'transcript', 'meeting', 'recording', 'recordings',
+  'search', 'document', 'documents', 'folder', 'folders', 'directory', 'recent',
+  'compare', 'difference', 'differences', 'simplify', 'layman', 'breakdown', 'assignment', 'development',
+  'images', 'photos', 'picture', 'pictures', 'videos', 'spreadsheet', 'presentation', 'generate', 'analysis',
+];
+
+const READ_KEYWORDS = ['read', 'summarize', 'summary', 'content', 'what does', 'what is in', 'tell me about', 'explain', 'transcript', 'meeting', 'recording', 'call'];
+const SEARCH_KEYWORDS = ['find', 'search', 'show', 'get', 'list', 'check', 'want', 'need', 'look', 'related', 'about', 'share', 'give'];
+const FILE_KEYWORDS = ['file', 'files', 'document', 'documents', 'sheet', 'sheets', 'video', 'recording', 'recordings', 'image', 'images'];
+const SPECIFIC_TERMS = ['arogya', 'sanjeevani', 'top up', 'topup', 'product', 'policy', 'health'];
+const MULTIPLE_KEYWORDS = ['files', 'all', 'list', 'multiple', 'documents', 'every', 'related'];
+const IMAGE_KEYWORDS = ['image', 'images', 'photo', 'photos', 'picture', 'pictures', 'png', 'jpg', 'jpeg', 'gif'];
+const VIDEO_KEYWORDS = ['video', 'videos', 'mp4', 'mov', 'clip', 'clips'];
+const MEDIA_KEYWORDS = [...IMAGE_KEYWORDS, ...VIDEO_KEYWORDS, 'media'];
+const LAYMAN_PHRASES = ['simplify', 'layman', 'simple terms', 'plain language', 'non-technical', 'easy to understand'];
+const TASK_PHRASES = ['break down', 'breakdown', 'task breakdown', 'dev assignment', 'assign to dev', 'development tasks', 'dev tasks'];
+const QUESTION_WORDS = ['what', 'who', 'when', 'where', 'why', 'how', 'which', 'is', 'are', 'does', 'do', 'can', 'tell', 'explain', 'describe', 'list', 'show'];
+const COMPARE_PHRASES = ['compare these', 'compare them', 'compare both', 'compare all', 'compare the documents', 'compare documents'];
+const DIFFERENCE_PHRASES = ['differences between', 'what changed between', 'difference between'];
+const PM_DOCUMENT_PHRASES = ['generate pm', 'create pm', 'pm document', 'impact analysis document'];
+// "this diagram", "the second screenshot", "image 2" - pointing at images already shown
+const IMAGE_REFERENCE_PATTERN = /\b(this|that|the|these|those|both|first|second|third|last)\s+(image|picture|photo|diagram|screenshot|chart|figure|drawing)s?\b|\b(image|picture|photo|diagram|screenshot)\s*#?\d+\b/;
+const IMAGE_ACTION_PATTERN = /\b(describe|ocr|transcribe)\b|\btext (in|from|on)\b/;
+// "what's inside this .zip?", "list the files in the archive" - not a search for archives
+const ARCHIVE_PATTERN = /\b(zip|archive)\b/;
+const ARCHIVE_CONTENTS_PATTERN = /\b(inside|contents?|contains?|files in)\b|\bwhat('s| is) in\b/;
+
+const SEARCH_STOP_WORDS = [
+  // Action keywords
+  'find', 'search', 'show', 'get', 'list', 'check', 'want', 'need', 'look',
+  'related', 'about', 'from', 'my', 'all', 'the', 'in', 'for', 'to', 'a',
+  'an', 'of', 'every', 'multiple', 'share', 'give', 'me', 'please', 'can',
+  'you', 'could', 'would', 'should', 'this', 'that', 'these', 'those',
+  // Read/summary keywords
+  'read', 'summarize', 'summary', 'content', 'what', 'does', 'tell', 'explain',
+  'is', 'are', 'was', 'were', 'has', 'have', 'had', 'do', 'did',
+  // File type keywords
+  'file', 'files', 'document', 'documents', 'sheet', 'sheets',
+  'recording', 'recordings',
+  // Media keywords
+  'image', 'images', 'photo', 'photos', 'picture', 'pictures',
+  'video', 'videos', 'media', 'clip', 'clips',
+  // Count/number keywords
+  'top', 'first', 'last',
+  // Date keywords (captured as the dateRange slot)
+  'today', 'yesterday', 'week', 'month', 'year', 'since', 'days',
+  // Common filler words
+  'add', 'respective', 'fields', 'tags'
+];
+
+const includesAny = (text, keywords) => keywords.some(kw => text.includes(kw));
+
+// Edit distance counting an adjacent transposition as one edit ("documnet" -> "document")
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Correct misspelt routing keywords ("sumarize", "documnet", "summarise")
+ * @param {string} message - Raw user message
+ * @returns {string} - Message with single-edit misspellings replaced by the vocabulary word
+ */
+export function correctTypos(message) {
+  return message.replace(/[A-Za-z]{6,}/g, (word) => {
+    const lower = word.toLowerCase();
+    if (VOCABULARY.includes(lower)) return word;
+    const match = VOCABULARY.find(candidate =>
+      Math.abs(candidate.length - lower.length) <= 1 && editDistance(lower, candidate) === 1
+    );
+    return match || word;
+  });
+}
+
+// Extract requested file count from message (e.g. "top 10", "show 20 files")
+export function getRequestedCount(message) {
+  const lowerMsg = message.toLowerCase();
+  // Match patterns: "top 10", "top10", "show 20", "first 15", "10 files", "10 documents"
+  const patterns = [
+    /top\s*(\d+)/i,
+    /first\s*(\d+)/i,
+    /show\s*(\d+)/i,
+    /list\s*(\d+)/i,
+    /get\s*(\d+)/i,
+    /(\d+)\s*(?:files?|documents?|results?|items?)/i,
+  ];
+  for (const pattern of patterns) {
+    const match = lowerMsg.match(pattern);
+    if (match) {
+      const num = parseInt(match[1], 10);
+      if (num > 0 && num <= 50) return num;
+    }
+  }
+  return null;
+}
+
+// CR / Change Request number (e.g., CR 19637, CR-19637, CR19637)
+export function getCrNumber(message) {
+  const crMatch = message.match(/CR[\s\-_]*(\d+)/i);
+  return crMatch ? crMatch[1] : null;
+}
+
+// Search variants for a CR number, most specific first
+export function crSearchTerms(crNumber) {
+  return [
+    `CR${crNumber}`,    // CR20049 (exact, no space)
+    `CR_${crNumber}`,   // CR_20049 (underscore variant)
+    `CR ${crNumber}`,   // CR 20049
+    `CR-${crNumber}`,   // CR-20049
+    crNumber,           // 20049 (bare number last - too broad)
+  ];
+}
+
+// Extract search terms from message
+export function extractSearchTerms(message) {
+  const lowerMsg = message.toLowerCase();
+  const productTerms = [];
+
+  const crNumber = getCrNumber(message);
+  if (crNumber) {
+    return crSearchTerms(crNumber);
+  }
+
+  // Check for any standalone numbers (could be document IDs)
+  const numberMatch = message.match(/\b(\d{4,})\b/);
+  if (numberMatch) {
+    productTerms.push(numberMatch[1]);
+  }
+
+  // Common product/file terms to search for
+  if (lowerMsg.includes('arogya') && lowerMsg.includes('sanjeevani')) {
+    productTerms.push('Arogya Sanjeevani');
+  } else if (lowerMsg.includes('arogya')) {
+    productTerms.push('Arogya');
+  }
+
+  if (lowerMsg.includes('top up') || lowerMsg.includes('topup')) {
+    productTerms.push('Top up');
+    productTerms.push('Topup');
+  }
+
+  if (lowerMsg.includes('sanjeevani') && !lowerMsg.includes('arogya')) {
+    productTerms.push('Sanjeevani');
+  }
+
+  if (lowerMsg.includes('cross sell') || lowerMsg.includes('crosssell')) {
+    productTerms.push('Cross Sell');
+  }
+
+  if (lowerMsg.includes('insuremo')) {
+    productTerms.push('Insuremo');
+  }
+
+  // If we found specific terms, return them
+  if (productTerms.length > 0) {
+    return productTerms;
+  }
+
+  // Otherwise, extract key words from message
+  const words = message.split(/\s+/).filter(w =>
+    !SEARCH_STOP_WORDS.includes(w.toLowerCase()) &&
+    w.length > 2 &&
+    !/^[-_.,;:]+$/.test(w) && // Skip punctuation-only
+    !/^\d+$/.test(w) // Counts are captured separately
+  );
+
+  // Take only first 3-4 meaningful words for search
+  if (words.length > 0) {
+    productTerms.push(words.slice(0, 4).join(' '));
+  }
+
+  return productTerms;
+}
+
+// File type the user narrowed the request to, if any
+export function getFileTypeSlot(message) {
+  const lowerMsg = message.toLowerCase();
+  if (lowerMsg.includes('folder') || lowerMsg.includes('directory') || lowerMsg.includes('directories')) return 'folder';
+
+  const hasImage = includesAny(lowerMsg, IMAGE_KEYWORDS);
+  const hasVideo = includesAny(lowerMsg, VIDEO_KEYWORDS);
+  if (hasImage && !hasVideo) return 'image';
+  if (hasVideo && !hasImage) return 'video';
+  if (hasImage && hasVideo) return 'media';
+
+  if (/\b(spreadsheets?|excel|xlsx?|sheets?)\b/.test(lowerMsg)) return 'spreadsheet';
+  if (/\b(presentations?|slides?|decks?|pptx?|powerpoint)\b/.test(lowerMsg)) return 'presentation';
+  if (lowerMsg.includes('document') || lowerMsg.includes('doc ') || lowerMsg.includes('docs') || lowerMsg.endsWith('doc') || /\bpdfs?\b/.test(lowerMsg)) return 'document';
+  return null;
+}
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Date range mentioned in the message ("today", "last week", "past 30 days", "since 2025-01-01")
+ * @param {string} message
+ * @param {Date} now - Reference date
+ * @returns {Object|null} - { from, to } as YYYY-MM-DD strings (to may be null)
+ */
+export function getDateRange(message, now = new Date()) {
+  const lowerMsg = message.toLowerCase();
+  const daysAgo = (days) => {
+    const date = new Date(now);
+    date.setDate(date.getDate() - days);
+    return toDateString(date);
+  };
+  const today = toDateString(now);
+
+  if (/\btoday\b/.test(lowerMsg)) return { from: today, to: today };
+  if (/\byesterday\b/.test(lowerMsg)) return { from: daysAgo(1), to: daysAgo(1) };
+
+  const lastDays = lowerMsg.match(/\b(?:last|past)\s+(\d+)\s+days?\b/);
+  if (lastDays) return { from: daysAgo(parseInt(lastDays[1], 10)), to: today };
+
+  if (/\b(?:last|past|this)\s+week\b/.test(lowerMsg)) return { from: daysAgo(7), to: today };
+  if (/\bthis\s+month\b/.test(lowerMsg)) return { from: `${today.substring(0, 7)}-01`, to: today };
+  if (/\b(?:last|past)\s+month\b/.test(lowerMsg)) return { from: daysAgo(30), to: today };
+  if (/\bthis\s+year\b/.test(lowerMsg)) return { from: `${today.substring(0, 4)}-01-01`, to: today };
+  if (/\b(?:last|past)\s+year\b/.test(lowerMsg)) return { from: daysAgo(365), to: today };
+
+  const since = lowerMsg.match(/\bsince\s+(\d{4}-\d{2}-\d{2})\b/);
+  if (since) return { from: since[1], to: null };
+  return null;
+}
+
+/**
+ * Extract slots from a message
+ * @param {string} message - User message (typos already corrected)
+ * @returns {Object} - { searchTerms, fileType, count, dateRange, crNumber, multiple, action }
+ */
+export function extractSlots(message) {
+  const lowerMsg = message.toLowerCase();
+  const count = getRequestedCount(message);
+  let action = null;
+  if (includesAny(lowerMsg, LAYMAN_PHRASES)) action = 'simplify';
+  else if (includesAny(lowerMsg, TASK_PHRASES)) action = 'tasks';
+
+  return {
+    searchTerms: extractSearchTerms(message),
+    fileType: getFileTypeSlot(message),
+    count,
+    dateRange: getDateRange(message),
+    crNumber: getCrNumber(message),
+    multiple: includesAny(lowerMsg, MULTIPLE_KEYWORDS) || count !== null,
+    action,
+  };
+}
+
+// A follow-up question about the active document rather than a new request
+function isDocumentQuestion(message, lowerMsg) {
+  if (includesAny(lowerMsg, LAYMAN_PHRASES) || includesAny(lowerMsg, TASK_PHRASES)) return true;
+  const hasQuestionWord = QUESTION_WORDS.some(qw => lowerMsg.startsWith(qw) || lowerMsg.includes(' ' + qw + ' '));
+  return hasQuestionWord || message.includes('?');
+}
+
+// A question about the images on screen, not a search for more ("show the diagrams about billing")
+function isImageQuestion(lowerMsg) {
+  if (/^(find|search|show|list|get)\b/.test(lowerMsg)) return false;
+  return IMAGE_REFERENCE_PATTERN.test(lowerMsg) || IMAGE_ACTION_PATTERN.test(lowerMsg);
+}
+
+// Asking where the previous answer came from, not to find a named file ("share the deployment SOP")
+function isSourceRequest(lowerMsg, searchTerms) {
+  if (/\b(sources?|where did (that|this|you get))\b/.test(lowerMsg)) return true;
+  if (!/\bshare\b/.test(lowerMsg) || lowerMsg.includes('sharepoint')) return false;
+  return searchTerms.length === 0 || /\bshare\s+(the\s+)?(link|it|that|this)\b/.test(lowerMsg);
+}
+
+/**
+ * Classify a message with keyword rules
+ * @param {string} rawMessage - User message
+ * @param {Object} context - { aiEnabled, hasActiveDocument, workingSetSize, lastResultCount, fileListCount, suggestionCount,
+ *   imageCount }
+ * @returns {Object} - { intent, slots, confident } - confident is true for exact commands that skip the LLM
+ */
+export function classifyWithRules(rawMessage, context = {}) {
+  const message = correctTypos(rawMessage);
+  const lowerMsg = message.toLowerCase();
+  const slots = extractSlots(message);
+  const result = (intent, confident = false) => ({ intent, slots, confident });
+
+  if (/^\s*\d+\s*$/.test(message)) {
+    slots.selection = parseInt(message.trim(), 10);
+    if (context.suggestionCount > 0 || context.fileListCount > 0) return result('select_number', true);
+  }
+
+  if (includesAny(lowerMsg, ['show all files', 'show all', 'see more']) && context.lastResultCount > 1) {
+    return result('show_all_results', true);
+  }
+  if (includesAny(lowerMsg, ['recent files', 'my recent', 'show recent', 'list recent', 'all files', 'list files', 'my files'])) {
+    return result('recent_files', true);
+  }
+  if (includesAny(lowerMsg, ['clear document', 'clear all documents', 'clear working set'])) {
+    return result('clear_documents', true);
+  }
+  if (includesAny(lowerMsg, ['new document', 'different document', 'another document'])) {
+    return result('add_document', true);
+  }
+  if (context.aiEnabled && (includesAny(lowerMsg, COMPARE_PHRASES) ||
+    (context.workingSetSize > 1 && includesAny(lowerMsg, DIFFERENCE_PHRASES)))) {
+    return result('compare_documents', true);
+  }
+  if (includesAny(lowerMsg, PM_DOCUMENT_PHRASES)) {
+    return result('generate_pm_document', true);
+  }
+  if (ARCHIVE_PATTERN.test(lowerMsg) && ARCHIVE_CONTENTS_PATTERN.test(lowerMsg)) {
+    return result('archive_contents', true);
+  }
+  // Explicit simplify / task-breakdown actions always target the open document
+  if (context.aiEnabled && context.hasActiveDocument && slots.action) {
+    return result('document_question');
+  }
+  // "What's in this diagram?" reads like a read request, so check shown images first
+  if (context.aiEnabled && context.imageCount > 0 && isImageQuestion(lowerMsg)) {
+    return result('image_question');
+  }
+  if (includesAny(lowerMsg, READ_KEYWORDS)) {
+    return result('read_document');
+  }
+  if (includesAny(lowerMsg, MEDIA_KEYWORDS)) {
+    return result('media_search');
+  }
+  if (isSourceRequest(lowerMsg, slots.searchTerms)) {
+    return result('source_request');
+  }
+  // "show top 5 files from last week" is a search even with a document open
+  const looksLikeSearch = slots.count !== null || slots.dateRange !== null ||
+    (/^(find|search|show|list|get)\b/.test(lowerMsg) && includesAny(lowerMsg, FILE_KEYWORDS));
+  if (context.aiEnabled && context.hasActiveDocument && !looksLikeSearch && isDocumentQuestion(message, lowerMsg)) {
+    return result('document_question');
+  }
+  if (includesAny(lowerMsg, SEARCH_KEYWORDS) || includesAny(lowerMsg, FILE_KEYWORDS) || includesAny(lowerMsg, SPECIFIC_TERMS)) {
+    return result('file_search');
+  }
+  return result('chat');
+}
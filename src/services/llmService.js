@@ -1,119 +1,72 @@
-// Unified LLM Service - Supports Azure OpenAI, Groq, Google Gemini, Claude, and Ollama
-import { isAzureOpenAIConfigured } from '../config/azureOpenAIConfig';
-import { isGroqConfigured } from '../config/groqConfig';
-import { isGeminiConfigured } from '../config/geminiConfig';
-import { isClaudeConfigured } from '../config/claudeConfig';
-import { checkOllamaStatus } from '../config/ollamaConfig';
+// Unified LLM Service - dispatches to the providers registered in providerRegistry.js
+// (Claude, Azure OpenAI, Groq, Google Gemini, Ollama, any OpenAI-compatible server, and the LLM proxy)
+import { LLM_PROVIDERS, getProvider, getRegisteredProviders } from './providerRegistry';
 import {
-  generateDocumentSummary as azureSummary,
-  answerDocumentQuestion as azureAnswer,
-  getChatResponse as azureChat,
-} from './azureOpenAIService';
-import {
-  generateDocumentSummaryGemini,
-  answerDocumentQuestionGemini,
-  getChatResponseGemini,
-} from './geminiService';
-import {
-  generateDocumentSummaryGroq,
-  answerDocumentQuestionGroq,
-  getChatResponseGroq,
-} from './groqService';
-import {
-  generateDocumentSummaryClaude,
-  answerDocumentQuestionClaude,
-  getChatResponseClaude,
-} from './claudeService';
-import {
-  generateDocumentSummaryOllama,
-  answerDocumentQuestionOllama,
-  getChatResponseOllama,
-} from './ollamaService';
-
-// // LLM Provider types
-// exCLAUDE: 'claude',
-//   port const LLM_PROVIDERS = {
-//   NONE: 'none',
-//   AZURE_OPENAI: 'azure-openai',
-//   GROQ: 'groq',
-//   GEMINI: 'gemini',
-//   OLLAMA: 'ollama',
-// };
-// LLM Provider types
-export const LLM_PROVIDERS = {
-  NONE: 'none',
-  CLAUDE: 'claude',  
-  AZURE_OPENAI: 'azure-openai',
-  GROQ: 'groq',
-  GEMINI: 'gemini',
-  OLLAMA: 'ollama',
-};
+  selectRelevantPassages,
+  retrievePassages,
+  formatPassages,
+  extractCitations,
+} from './documentRetrieval';
+import { buildStructuredPrompt, generateValidatedJson } from './structuredOutput';
+import { buildSummaryPrompt, buildAnswerPrompt, buildImagePrompt, buildChatPrompt, buildJsonPrompt } from './prompts';
+import { runToolLoop } from './toolCalling';
+import { loadProviderSettings, withProviderSettings } from './providerSettings';
+import { loadPromptOverrides, renderPrompt, clearPromptsUsed, getPromptVersionLabel } from './promptLibrary';
+import { loadUsage, recordUsage, getBudgetStatus, getBlendedPrice } from './usageTracker';
+import { mergeUsage, estimateTokens } from './tokenUsage';
+import { getCachedDocumentData, cacheDocumentData } from './documentCache';
+// Each provider service registers itself when imported
+import './proxyService';
+import './claudeService';
+import './geminiService';
+import './azureOpenAIService';
+import './groqService';
+import './openAICompatibleService';
+import './ollamaService';
+
+export { LLM_PROVIDERS };
 
 // Current active provider (will be set during initialization)
 let activeProvider = LLM_PROVIDERS.NONE;
-let ollamaStatus = { running: false, models: [] };
 let availableProviders = []; // List of configured providers
 
+// Failover chain settings (persisted) and per-provider circuit breaker state
+const FAILOVER_STORAGE_KEY = 'nvest-llm-failover';
+const CIRCUIT_FAILURE_THRESHOLD = 3; // Consecutive failures before a provider is skipped
+const CIRCUIT_COOLDOWN_MS = 60 * 1000; // How long a tripped provider is skipped
+let failoverEnabled = true;
+let failoverOrder = []; // Preferred provider order after the active provider
+const providerHealth = {}; // providerId -> { failures, openUntil, lastError }
+let lastAnsweredBy = null; // Provider that produced the most recent response
+
+// Document characters a provider's prompts accept; longer documents are narrowed to the most
+// relevant passages within this budget
+function contextCharsFor(providerId) {
+  return getProvider(providerId)?.contextChars || 3900;
+}
+
 /**
  * Initialize and detect available LLM providers
  * @returns {Promise<Object>} - Active provider and list of available providers
  */
 export async function initializeLLM() {
-  // Reset available providers list
-  const providers = [];
-
-  // Check Claude (highest priority - though has CORS issues from browser)
-  if (isClaudeConfigured()) {
-    providers.push({
-      id: LLM_PROVIDERS.CLAUDE,
-      name: 'Claude 3.5 Sonnet',
-      icon: '🤖'
-    });
-  }
+  // Settings saved in the browser override the env defaults, and team prompt overrides the built-in templates
+  await Promise.all([loadProviderSettings(), loadPromptOverrides(), loadUsage()]);
 
-  // Check Gemini (stable, reliable, no deprecation issues)
-  if (isGeminiConfigured()) {
-    providers.push({
-      id: LLM_PROVIDERS.GEMINI,
-      name: 'Google Gemini',
-      icon: '✨'
-    });
-  }
-
-  // Check Azure OpenAI
-  if (isAzureOpenAIConfigured()) {
-    providers.push({
-      id: LLM_PROVIDERS.AZURE_OPENAI,
-      name: 'Azure OpenAI',
-      icon: '☁️'
-    });
-  }
-
-  // Check Groq (fallback - smaller model to avoid deprecation)
-  if (isGroqConfigured()) {
-    providers.push({
-      id: LLM_PROVIDERS.GROQ,
-      name: 'Groq (Llama 3.1 8B)',
-      icon: '⚡'
-    });
-  }
-
-  // Check Ollama
-  ollamaStatus = await checkOllamaStatus();
-  if (ollamaStatus.running) {
-    providers.push({
-      id: LLM_PROVIDERS.OLLAMA,
-      name: 'Ollama (Local)',
-      icon: '🦙'
-    });
-  }
+  // Registered providers in priority order; detection runs in parallel since some probe a server
+  const registered = getRegisteredProviders();
+  const detected = await Promise.all(registered.map(provider => provider.detect().catch(() => false)));
+  const providers = registered
+    .filter((provider, i) => detected[i])
+    .map(({ id, name, icon }) => ({ id, name, icon }));
 
   // Update the module-level variable
   availableProviders = providers;
+  loadFailoverSettings();
 
-  // Set default active provider (first available) only if not already set
-  if (activeProvider === LLM_PROVIDERS.NONE && providers.length > 0) {
-    activeProvider = providers[0].id;
+  // Set default active provider (first available) if none is set or the current one was removed
+  if (!providers.some(p => p.id === activeProvider)) {
+    activeProvider = providers.length > 0 ? providers[0].id : LLM_PROVIDERS.NONE;
   }
 
   console.log('Available LLM Providers:', availableProviders.map(p => p.name));
@@ -164,59 +117,373 @@ export function isLLMAvailable() {
 
 /**
  * Get provider display name
+ * @param {string} [providerId] - Provider ID (defaults to the active provider)
  * @returns {string}
  */
-export function getProviderName() {
-  switch (activeProvider) {
-    case LLM_PROVIDERS.AZURE_OPENAI:
-      return 'Azure OpenAI';
-    case LLM_PROVIDERS.GROQ:
-      return 'Groq (Llama 3.1)';
-    case LLM_PROVIDERS.GEMINI:
-      return 'Google Gemini';
-    case LLM_PROVIDERS.OLLAMA:
-      return 'Ollama (Local)';
-    case LLM_PROVIDERS.CLAUDE:
-      return 'Claude 3.5 Sonnet';
-    default:
-      return 'None';
+export function getProviderName(providerId = activeProvider) {
+  return getProvider(providerId)?.name || 'None';
+}
+
+/**
+ * Get every registered provider, whether or not it is configured (for the Settings list)
+ * @returns {Array} - { id, name, icon, capabilities }
+ */
+export function getAllProviders() {
+  return getRegisteredProviders().map(({ id, name, icon, capabilities }) => ({ id, name, icon, capabilities }));
+}
+
+/**
+ * Load failover settings saved by a previous session
+ */
+function loadFailoverSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(FAILOVER_STORAGE_KEY) || 'null');
+    if (saved) {
+      failoverEnabled = saved.enabled !== false;
+      failoverOrder = Array.isArray(saved.order) ? saved.order : [];
+    }
+  } catch (e) {
+    console.log('Could not load failover settings:', e.message);
   }
 }
 
+function saveFailoverSettings() {
+  localStorage.setItem(FAILOVER_STORAGE_KEY, JSON.stringify({
+    enabled: failoverEnabled,
+    order: failoverOrder,
+  }));
+}
+
 /**
- * Get available Ollama models
- * @returns {Array}
+ * Check whether automatic failover to other providers is enabled
+ * @returns {boolean}
+ */
+export function isFailoverEnabled() {
+  return failoverEnabled;
+}
+
+/**
+ * Enable or disable automatic failover
+ * @param {boolean} enabled
+ */
+export function setFailoverEnabled(enabled) {
+  failoverEnabled = !!enabled;
+  saveFailoverSettings();
+}
+
+/**
+ * Get the ordered provider chain tried for each request.
+ * The active provider always goes first, followed by the saved order,
+ * then any remaining available providers in detection order.
+ * @returns {Array<string>} - Provider IDs
+ */
+export function getFailoverChain() {
+  if (activeProvider === LLM_PROVIDERS.NONE) return [];
+  if (!failoverEnabled) return [activeProvider];
+
+  const availableIds = availableProviders.map(p => p.id);
+  const chain = [activeProvider];
+  for (const id of [...failoverOrder, ...availableIds]) {
+    if (availableIds.includes(id) && !chain.includes(id)) {
+      chain.push(id);
+    }
+  }
+  return chain;
+}
+
+/**
+ * Set the preferred failover order
+ * @param {Array<string>} providerIds - Provider IDs in preferred order
+ */
+export function setFailoverOrder(providerIds) {
+  failoverOrder = providerIds.filter(id => availableProviders.some(p => p.id === id));
+  saveFailoverSettings();
+}
+
+/**
+ * Get circuit breaker state for a provider
+ * @param {string} providerId
+ * @returns {{failures: number, open: boolean, retryInMs: number, lastError: string|null}}
+ */
+export function getProviderHealth(providerId) {
+  const health = providerHealth[providerId] || { failures: 0, openUntil: 0, lastError: null };
+  const retryInMs = Math.max(0, health.openUntil - Date.now());
+  return {
+    failures: health.failures,
+    open: retryInMs > 0,
+    retryInMs,
+    lastError: health.lastError,
+  };
+}
+
+function recordProviderSuccess(providerId) {
+  providerHealth[providerId] = { failures: 0, openUntil: 0, lastError: null };
+}
+
+function recordProviderFailure(providerId, error) {
+  const health = providerHealth[providerId] || { failures: 0, openUntil: 0, lastError: null };
+  health.failures += 1;
+  health.lastError = error?.message || String(error);
+
+  // Rate limits trip the breaker straight away; other errors after repeated failures
+  const rateLimited = /\b429\b|rate.?limit|quota/i.test(health.lastError);
+  if (rateLimited || health.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+    health.openUntil = Date.now() + CIRCUIT_COOLDOWN_MS;
+    console.warn(`${getProviderName(providerId)} circuit opened for ${CIRCUIT_COOLDOWN_MS / 1000}s:`, health.lastError);
+  }
+  providerHealth[providerId] = health;
+}
+
+/**
+ * Get the provider that produced the most recent response
+ * @returns {{id: string, name: string, failover: boolean, budgetFallback: boolean, budgetWarning: string|null, cached: boolean}|null}
+ */
+export function getLastAnsweredProvider() {
+  return lastAnsweredBy;
+}
+
+/**
+ * Forget the last answering provider and the prompt templates it was sent (call before starting a new request)
+ */
+export function clearLastAnsweredProvider() {
+  lastAnsweredBy = null;
+  clearPromptsUsed();
+}
+
+function isOverBudget(providerId) {
+  return getBudgetStatus(providerId).state === 'exceeded';
+}
+
+// Providers past their daily budget move to the back of the chain. When the preferred provider
+// is over budget, every available provider within budget is tried first, cheapest first (even
+// with failover off); over-budget providers stay as a last resort so requests don't just fail.
+function applyBudgets(candidates) {
+  if (!candidates.some(isOverBudget)) return candidates;
+  const overBudget = candidates.filter(isOverBudget);
+  if (!isOverBudget(candidates[0])) {
+    return [...candidates.filter(id => !isOverBudget(id)), ...overBudget];
+  }
+  const fallbacks = availableProviders
+    .map(p => p.id)
+    .filter(id => !isOverBudget(id) && !getProviderHealth(id).open)
+    .sort((a, b) => getBlendedPrice(a) - getBlendedPrice(b));
+  return [...fallbacks, ...overBudget];
+}
+
+// Warning shown under an answer once its provider has used most of its daily budget
+function budgetWarningFor(providerId) {
+  const status = getBudgetStatus(providerId);
+  if (status.state !== 'warning' && status.state !== 'exceeded') return null;
+  return `${getProviderName(providerId)} has used ${Math.round(status.ratio * 100)}% of its $${status.budget.toFixed(2)} daily budget`;
+}
+
+// Providers a request is sent to, in order: the failover chain without open breakers,
+// with over-budget providers moved back
+function failoverCandidates(canRun = () => true) {
+  let chain = getFailoverChain().filter(canRun);
+  if (chain.length === 0) {
+    chain = availableProviders.map(p => p.id).filter(canRun);
+  }
+  let candidates = chain.filter(id => !getProviderHealth(id).open);
+  if (candidates.length === 0 && chain.length > 0) {
+    // Every breaker is open - still try the preferred provider rather than failing outright
+    candidates = [chain[0]];
+  }
+  return applyBudgets(candidates).filter(canRun);
+}
+
+/**
+ * Run a task against each provider in the failover chain until one succeeds.
+ * Providers over their daily budget are tried last (see applyBudgets).
+ * If a provider fails after streaming partial output, onToken(null) is called
+ * so the caller can discard it before the next provider starts streaming.
+ * @param {string} label - Task name for logging
+ * @param {Function} task - (providerId, onToken) => Promise<string>
+ * @param {Function} [onToken] - Streaming callback
+ * @param {Function} [canRun] - providerId => boolean, for tasks only some providers can do (e.g. images).
+ *   When no provider in the chain can, any available provider that can is tried instead.
+ * @returns {Promise<string>}
+ */
+async function runWithFailover(label, task, onToken, canRun = () => true) {
+  let lastError = null;
+  for (const providerId of failoverCandidates(canRun)) {
+    let streamed = false;
+    const forwardToken = onToken
+      ? (token) => { streamed = true; onToken(token); }
+      : undefined;
+
+    try {
+      const result = await task(providerId, forwardToken);
+      if (!result || (typeof result === 'string' && !result.trim())) {
+        throw new Error('Empty response');
+      }
+      recordProviderSuccess(providerId);
+      lastAnsweredBy = {
+        id: providerId,
+        name: getProviderName(providerId),
+        failover: providerId !== activeProvider,
+        budgetFallback: providerId !== activeProvider && isOverBudget(activeProvider),
+        budgetWarning: budgetWarningFor(providerId),
+        cached: false,
+      };
+      return result;
+    } catch (error) {
+      lastError = error;
+      recordProviderFailure(providerId, error);
+      console.warn(`LLM ${label} failed on ${getProviderName(providerId)}:`, error.message);
+      if (streamed) onToken(null);
+    }
+  }
+
+  throw lastError || new Error('No LLM provider available');
+}
+
+// Cache entry for a response derived from a document version, as answered by one provider
+function documentCacheEntry(cache, providerId, promptIds) {
+  const config = getProvider(providerId)?.config || {};
+  return {
+    itemId: cache.itemId,
+    version: cache.version,
+    kind: cache.kind,
+    providerId,
+    model: config.model || config.deploymentName || '',
+    promptVersion: promptIds.map(getPromptVersionLabel).join(' + '),
+  };
+}
+
+/**
+ * runWithFailover for responses derived from a OneDrive document. A response any provider in
+ * the current failover order already gave for this version of the file is returned without
+ * calling a provider, earliest in that order first; new responses are cached under the provider
+ * that answered.
+ * @param {string} label - Task name for logging
+ * @param {Object|null} cache - { itemId, version, kind }, or null to skip the cache
+ * @param {Array<string>} promptIds - Prompt templates the response depends on
+ * @param {Function} task - (providerId, onToken) => Promise<string>
+ * @param {Function} [onToken] - Streaming callback
+ * @returns {Promise<string>}
+ */
+async function runWithDocumentCache(label, cache, promptIds, task, onToken) {
+  if (!cache?.itemId || !cache.version) {
+    return runWithFailover(label, task, onToken);
+  }
+
+  // Look under each provider the request would go to, so a response cached by a fallback is found too
+  for (const providerId of failoverCandidates()) {
+    const cached = await getCachedDocumentData(documentCacheEntry(cache, providerId, promptIds));
+    if (cached) {
+      lastAnsweredBy = {
+        id: providerId,
+        name: getProviderName(providerId),
+        failover: providerId !== activeProvider,
+        budgetFallback: providerId !== activeProvider && isOverBudget(activeProvider),
+        budgetWarning: null,
+        cached: true,
+      };
+      return cached;
+    }
+  }
+
+  return runWithFailover(label, async (providerId, streamToken) => {
+    const result = await task(providerId, streamToken);
+    if (result?.trim()) {
+      cacheDocumentData(documentCacheEntry(cache, providerId, promptIds), result);
+    }
+    return result;
+  }, onToken);
+}
+
+/**
+ * List the models a provider offers
+ * @param {string} providerId - Provider ID
+ * @returns {Promise<Array>} - Model names (empty if the provider can't be reached)
+ */
+export async function listProviderModels(providerId) {
+  try {
+    return await getProvider(providerId).listModels();
+  } catch (error) {
+    console.error(`Could not list ${getProviderName(providerId)} models:`, error);
+    return [];
+  }
+}
+
+/**
+ * Time one provider call and record its token usage. Providers report usage through the
+ * onUsage callback; when they don't, tokens are estimated from the prompt and response length.
+ * @param {string} providerId - Provider ID
+ * @param {string} feature - What the call was for (summary, answer, chat, prefill, ...)
+ * @param {string} promptText - Everything sent, for estimates
+ * @param {Function} call - (onUsage) => Promise<result>
+ * @returns {Promise<*>} - The call's result
  */
-export function getOllamaModels() {
-  return ollamaStatus.models;
+async function metered(providerId, feature, promptText, call) {
+  const started = Date.now();
+  let usage = null;
+  let result;
+  let ok = false;
+  try {
+    result = await call((reported) => { usage = mergeUsage(usage, reported); });
+    ok = true;
+    return result;
+  } finally {
+    const { config } = getProvider(providerId);
+    const output = typeof result === 'string' ? result : JSON.stringify(result ?? '');
+    recordUsage({
+      providerId,
+      model: usage?.model || config.model || config.deploymentName || config.provider || '',
+      feature: feature || 'other',
+      // Failed calls are usually not billed, so only count what the provider reported
+      promptTokens: usage?.promptTokens ?? (ok ? estimateTokens(promptText) : 0),
+      completionTokens: usage?.completionTokens ?? (ok ? estimateTokens(output) : 0),
+      estimated: ok && (usage?.promptTokens == null || usage?.completionTokens == null),
+      latencyMs: Date.now() - started,
+      ok,
+    });
+  }
+}
+
+// Send a prompt request to one provider, streaming when the caller wants tokens
+async function generate(providerId, request, onToken) {
+  const provider = getProvider(providerId);
+  const promptText = [request.system, ...request.messages.map(m => m.content)].join('\n');
+  return metered(providerId, request.feature, promptText, async (onUsage) => {
+    const tracked = { ...request, onUsage };
+    const text = onToken && provider.capabilities.streaming
+      ? await provider.stream(tracked, onToken)
+      : await provider.complete(tracked);
+    return text?.trim();
+  });
+}
+
+// Route a document question to one provider
+function dispatchAnswer(providerId, content, question, fileName, onToken, feature = 'answer') {
+  if (!content || content.trim().length === 0) {
+    return "I couldn't read the document content to answer your question.";
+  }
+  return generate(providerId, { ...buildAnswerPrompt(content, question, fileName), feature }, onToken);
 }
 
 /**
  * Generate document summary using available LLM
  * @param {string} content - Document content
  * @param {string} fileName - File name
- * @returns {Promise<string|null>}
+ * @param {Function} [onToken] - Optional callback receiving each streamed text delta
+ *   (called with null when a failed provider's partial output should be discarded)
+ * @param {Object} [cache] - { itemId, version } of the OneDrive file, to reuse an earlier summary of it
+ * @returns {Promise<string|null>} - The full summary once the stream completes
  */
-export async function generateSummary(content, fileName) {
+export async function generateSummary(content, fileName, onToken, cache = null) {
   if (!content || content.trim().length === 0) {
     return null;
   }
 
   try {
-    switch (activeProvider) {
-      case LLM_PROVIDERS.CLAUDE:
-        return await generateDocumentSummaryClaude(content, fileName);
-      case LLM_PROVIDERS.AZURE_OPENAI:
-        return await azureSummary(content, fileName);
-      case LLM_PROVIDERS.GROQ:
-        return await generateDocumentSummaryGroq(content, fileName);
-      case LLM_PROVIDERS.GEMINI:
-        return await generateDocumentSummaryGemini(content, fileName);
-      case LLM_PROVIDERS.OLLAMA:
-        return await generateDocumentSummaryOllama(content, fileName);
-      default:
-        return null;
-    }
+    const summaryCache = cache && { ...cache, kind: 'summary' };
+    return await runWithDocumentCache('summary', summaryCache, ['summary'], (providerId, streamToken) => generate(
+      providerId,
+      { ...buildSummaryPrompt(content, fileName, contextCharsFor(providerId)), feature: 'summary' },
+      streamToken
+    ), onToken);
   } catch (error) {
     console.error('LLM summary failed:', error);
     return null;
@@ -224,62 +491,308 @@ export async function generateSummary(content, fileName) {
 }
 
 /**
- * Answer question about document using available LLM
- * @param {string} content - Document content
+ * Answer question about document using available LLM.
+ * Long documents are narrowed to the passages most relevant to the question.
+ * @param {string} content - Full document content
  * @param {string} question - User question
  * @param {string} fileName - File name
- * @returns {Promise<string>}
+ * @param {Function} [onToken] - Optional callback receiving each streamed text delta
+ *   (called with null when a failed provider's partial output should be discarded)
+ * @param {Object} [cache] - { itemId, version, kind } for standard questions about a OneDrive file,
+ *   where kind is the id of the prompt template the question was rendered from
+ * @returns {Promise<string>} - The full answer once the stream completes
  */
-export async function answerQuestion(content, question, fileName) {
+export async function answerQuestion(content, question, fileName, onToken, cache = null) {
+  if (!isLLMAvailable()) {
+    return "No AI service is configured. Please set up Claude, Groq, Gemini, or Ollama.";
+  }
+
   try {
-    switch (activeProvider) {
-      case LLM_PROVIDERS.CLAUDE:
-        return await answerDocumentQuestionClaude(content, question, fileName);
-      case LLM_PROVIDERS.AZURE_OPENAI:
-        return await azureAnswer(content, question, fileName);
-      case LLM_PROVIDERS.GROQ:
-        return await answerDocumentQuestionGroq(content, question, fileName);
-      case LLM_PROVIDERS.GEMINI:
-        return await answerDocumentQuestionGemini(content, question, fileName);
-      case LLM_PROVIDERS.OLLAMA:
-        return await answerDocumentQuestionOllama(content, question, fileName);
-      default:
-        return "No AI service is configured. Please set up Claude, Groq, Gemini, or Ollama.";
-    }
+    const promptIds = cache ? ['answer', cache.kind] : [];
+    return await runWithDocumentCache('answer', cache, promptIds, (providerId, streamToken) => {
+      const context = selectRelevantPassages(content, question, contextCharsFor(providerId));
+      return dispatchAnswer(providerId, context, question, fileName, streamToken);
+    }, onToken);
   } catch (error) {
     console.error('LLM answer failed:', error);
     return "I encountered an error. Please try again.";
   }
 }
 
+/**
+ * Whether a provider can currently read images (Claude, Gemini, Azure GPT-4o deployments,
+ * Ollama vision models such as llava)
+ * @param {string} providerId - Provider ID
+ * @returns {boolean}
+ */
+export function supportsVision(providerId) {
+  return !!getProvider(providerId)?.capabilities.vision;
+}
+
+/**
+ * Answer a question about images (describe, transcribe text, explain a diagram).
+ * Only vision-capable providers are tried, even if the active provider can't read images.
+ * @param {Array} images - [{ name, mediaType, data }] with base64 data (see visionInputs.js)
+ * @param {string} question - User question
+ * @param {Function} [onToken] - Optional callback receiving each streamed text delta
+ * @returns {Promise<string>} - The full answer once the stream completes
+ */
+export async function answerAboutImages(images, question, onToken) {
+  if (!availableProviders.some(p => supportsVision(p.id))) {
+    return "None of the configured AI providers can read images. Add Claude, Gemini, an Azure GPT-4o deployment, or pick an Ollama vision model such as llava.";
+  }
+
+  try {
+    return await runWithFailover(
+      'image',
+      (providerId, streamToken) => generate(providerId, { ...buildImagePrompt(images, question), feature: 'vision' }, streamToken),
+      onToken,
+      supportsVision
+    );
+  } catch (error) {
+    console.error('LLM image answer failed:', error);
+    return "I couldn't analyze the image. Please try again.";
+  }
+}
+
+/**
+ * Answer a question about a document with [n] citations back to the source passages
+ * @param {string} content - Full document content
+ * @param {string} question - User question
+ * @param {string} fileName - File name
+ * @param {Function} [onToken] - Optional callback receiving each streamed text delta
+ * @param {Array} [locations] - Page/slide/paragraph markers from getDocumentContent
+ * @returns {Promise<{answer: string, citations: Array}>} - Answer plus the passages it cites
+ */
+export async function answerQuestionWithCitations(content, question, fileName, onToken, locations = []) {
+  if (!isLLMAvailable()) {
+    return { answer: "No AI service is configured. Please set up Claude, Groq, Gemini, or Ollama.", citations: [] };
+  }
+
+  // Each provider gets its own passage budget; keep the set the answering provider saw
+  let passages = [];
+  try {
+    const answer = await runWithFailover('answer', (providerId, streamToken) => {
+      const retrieval = retrievePassages(content, question, contextCharsFor(providerId), locations);
+      passages = retrieval.passages;
+      const context = formatPassages(retrieval.passages, retrieval.total);
+      return dispatchAnswer(providerId, context, `${question}\n\n${renderPrompt('answer.citations')}`, fileName, streamToken);
+    }, onToken);
+    return { answer, citations: extractCitations(answer, passages) };
+  } catch (error) {
+    console.error('LLM cited answer failed:', error);
+    return { answer: "I encountered an error. Please try again.", citations: [] };
+  }
+}
+
+/**
+ * Answer a question across a working set of documents, attributing each point to its source
+ * @param {Array} documents - Array of {name, content, locations} objects
+ * @param {string} question - User question
+ * @param {Function} [onToken] - Optional callback receiving each streamed text delta
+ * @returns {Promise<{answer: string, citations: Array}>} - Citations carry the document name
+ */
+export async function answerAcrossDocuments(documents, question, onToken) {
+  if (!isLLMAvailable()) {
+    return { answer: "No AI service is configured. Please set up Claude, Groq, Gemini, or Ollama.", citations: [] };
+  }
+
+  let passages = [];
+  try {
+    const answer = await runWithFailover('answer', (providerId, streamToken) => {
+      // Split the provider's budget evenly, then number passages across all documents
+      const share = Math.floor((contextCharsFor(providerId)) / documents.length);
+      passages = [];
+      let total = 0;
+      for (const doc of documents) {
+        const retrieval = retrievePassages(doc.content, question, share, doc.locations);
+        total += retrieval.total;
+        for (const passage of retrieval.passages) {
+          passages.push({
+            ...passage,
+            n: passages.length + 1,
+            document: doc.name,
+            location: passage.location ? `${doc.name} · ${passage.location}` : doc.name,
+          });
+        }
+      }
+
+      const context = formatPassages(passages, total);
+      const fileNames = documents.map(doc => doc.name).join(', ');
+      return dispatchAnswer(
+        providerId,
+        context,
+        `${question}\n\n${renderPrompt('answer.multiDocument')} ${renderPrompt('answer.citations')}`,
+        fileNames,
+        streamToken
+      );
+    }, onToken);
+    return { answer, citations: extractCitations(answer, passages) };
+  } catch (error) {
+    console.error('LLM multi-document answer failed:', error);
+    return { answer: "I encountered an error. Please try again.", citations: [] };
+  }
+}
+
+/**
+ * Compare two or more documents using whichever provider is available
+ * @param {Array} documents - Array of {name, content} objects
+ * @param {string} request - The user's comparison request, used to focus long documents
+ * @param {Function} [onToken] - Optional callback receiving each streamed text delta
+ * @returns {Promise<string>} - Comparison analysis
+ */
+export async function compareDocuments(documents, request, onToken) {
+  if (!isLLMAvailable()) {
+    return "No AI service is configured. Please set up Claude, Groq, Gemini, or Ollama.";
+  }
+  if (!documents || documents.length < 2) {
+    return "Need at least 2 documents to compare.";
+  }
+
+  try {
+    return await runWithFailover('compare', (providerId, streamToken) => {
+      const share = Math.floor((contextCharsFor(providerId)) / documents.length);
+      const trimmed = documents.map(doc => ({
+        fileName: doc.name,
+        content: selectRelevantPassages(doc.content, request, share),
+      }));
+
+      const combined = trimmed
+        .map((doc, i) => `Document ${i + 1}: "${doc.fileName}"\n${doc.content}`)
+        .join('\n\n---\n\n');
+      const fileNames = trimmed.map(doc => doc.fileName).join(', ');
+      return dispatchAnswer(providerId, combined, renderPrompt('compare'), fileNames, streamToken, 'compare');
+    }, onToken);
+  } catch (error) {
+    console.error('LLM compare failed:', error);
+    return "I encountered an error while comparing the documents.";
+  }
+}
+
+/**
+ * Generate output matching a JSON schema, using each provider's native JSON mode where it has one.
+ * Responses are validated against the schema and retried with the validation errors.
+ * @param {Object} schema - JSON Schema subset (see structuredOutput.js)
+ * @param {string} content - Source content, narrowed to relevant passages when long
+ * @param {Object} options - { instructions, fileName, maxRetries, feature } (feature labels the usage, e.g. 'prefill')
+ * @returns {Promise<Object|null>} - Validated value, or null if every provider failed
+ */
+export async function generateStructured(schema, content, options = {}) {
+  if (!isLLMAvailable()) {
+    return null;
+  }
+
+  // Retrieval query: the instructions plus the field descriptions being asked for
+  const query = `${options.instructions || ''} ${JSON.stringify(schema)}`;
+
+  try {
+    return await runWithFailover('structured', (providerId) => {
+      const context = selectRelevantPassages(content, query, contextCharsFor(providerId));
+      const prompt = buildStructuredPrompt(schema, context, options);
+      return generateValidatedJson(
+        schema,
+        prompt,
+        (attemptPrompt) => generate(providerId, { ...buildJsonPrompt(attemptPrompt, schema), feature: options.feature || 'structured' }),
+        options.maxRetries ?? 2
+      );
+    });
+  } catch (error) {
+    console.error('LLM structured output failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Run a multi-step request where the model calls tools (native function calling) to gather
+ * what it needs before answering. If a provider fails part-way, the next provider in the
+ * failover chain starts the request over.
+ * @param {string} request - The user's request
+ * @param {Array} tools - { name, description, parameters, run(args), summarize?(result) }
+ * @param {Object} options - { system, maxSteps, onStep(trace) }
+ * @returns {Promise<Object|null>} - { answer, trace, stepLimitReached }, or null if every provider failed
+ */
+export async function runAgent(request, tools, options = {}) {
+  if (!isLLMAvailable()) {
+    return null;
+  }
+
+  try {
+    return await runWithFailover('agent', (providerId) => runToolLoop(
+      (messages, callOptions) => dispatchToolCall(providerId, messages, tools, { system: options.system, ...callOptions }),
+      tools,
+      request,
+      options
+    ));
+  } catch (error) {
+    console.error('LLM agent run failed:', error);
+    return null;
+  }
+}
+
+// Route one tool-calling step to a provider's function-calling API
+function dispatchToolCall(providerId, messages, tools, options) {
+  const provider = getProvider(providerId);
+  if (!provider.capabilities.tools) {
+    throw new Error(`Tool calling is not supported by ${provider.name}`);
+  }
+  const promptText = `${options.system || ''}\n${JSON.stringify(messages)}\n${JSON.stringify(tools.map(t => t.parameters))}`;
+  return metered(providerId, 'agent', promptText, (onUsage) => provider.chat(messages, tools, { ...options, onUsage }));
+}
+
 /**
  * Get chat response using available LLM
  * @param {string} message - User message
  * @param {Array} history - Conversation history
- * @returns {Promise<string>}
+ * @param {Function} [onToken] - Optional callback receiving each streamed text delta
+ *   (called with null when a failed provider's partial output should be discarded)
+ * @returns {Promise<string>} - The full response once the stream completes
  */
-export async function getChatResponse(message, history = []) {
+export async function getChatResponse(message, history = [], onToken) {
+  if (!isLLMAvailable()) {
+    return "No AI service is configured. I can still help you search for files.";
+  }
+
   try {
-    switch (activeProvider) {
-      case LLM_PROVIDERS.CLAUDE:
-        return await getChatResponseClaude(message, history);
-      case LLM_PROVIDERS.AZURE_OPENAI:
-        return await azureChat(message, history);
-      case LLM_PROVIDERS.GROQ:
-        return await getChatResponseGroq(message, history);
-      case LLM_PROVIDERS.GEMINI:
-        return await getChatResponseGemini(message, history);
-      case LLM_PROVIDERS.OLLAMA:
-        return await getChatResponseOllama(message, history);
-      default:
-        return "No AI service is configured. I can still help you search for files.";
-    }
+    return await runWithFailover('chat', (providerId, streamToken) => generate(
+      providerId,
+      { ...buildChatPrompt(message, history), feature: 'chat' },
+      streamToken
+    ), onToken);
   } catch (error) {
     console.error('LLM chat failed:', error);
     return "I'm having trouble processing your request.";
   }
 }
 
+/**
+ * Check that a provider answers with the given (possibly unsaved) settings
+ * @param {string} providerId - Provider ID
+ * @param {Object} values - Settings form values
+ * @returns {Promise<Object>} - { ok, message }
+ */
+export async function testProviderConnection(providerId, values) {
+  const provider = getProvider(providerId);
+  if (!provider) {
+    return { ok: false, message: `Unknown provider ${providerId}` };
+  }
+
+  try {
+    return await withProviderSettings(providerId, values, async () => {
+      if (provider.testConnection) {
+        return await provider.testConnection();
+      }
+      await provider.complete({
+        messages: [{ role: 'user', content: 'Reply with the single word OK.' }],
+        maxTokens: 5,
+        temperature: 0,
+      });
+      return { ok: true, message: `Connected to ${provider.name}` };
+    });
+  } catch (error) {
+    return { ok: false, message: error.message };
+  }
+}
+
 /**
  * Re-check LLM availability (useful after config changes)
  * @returns {Promise<string>}
@@ -0,0 +1,109 @@
+// IndexedDB access shared by services that persist data in the browser
+
+const DB_NAME = 'nvest-insider';
+const DB_VERSION = 6;
+
+// Object stores created on upgrade - bump DB_VERSION when adding one
+const STORES = {
+  conversations: { keyPath: 'id', indexes: ['updatedAt'] },
+  providerSettings: { keyPath: 'id' },
+  cryptoKeys: { keyPath: 'id' },
+  promptOverrides: { keyPath: 'id' },
+  llmUsage: { keyPath: 'id', indexes: ['timestamp'] },
+  documentCache: { keyPath: 'key' },
+  documentCacheUsage: { keyPath: 'key', indexes: ['usedAt'] },
+};
+
+let dbPromise = null;
+
+// Wrap an IDBRequest in a promise
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and upgrade if needed) the app database
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        for (const [name, config] of Object.entries(STORES)) {
+          if (db.objectStoreNames.contains(name)) continue;
+          const store = db.createObjectStore(name, { keyPath: config.keyPath });
+          for (const index of config.indexes || []) {
+            store.createIndex(index, index);
+          }
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null; // Allow a later retry
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(storeName, mode, action) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, mode);
+  return requestToPromise(action(tx.objectStore(storeName)));
+}
+
+export function getRecord(storeName, key) {
+  return withStore(storeName, 'readonly', store => store.get(key));
+}
+
+export function getAllRecords(storeName) {
+  return withStore(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Primary keys of a store, optionally within a key range
+ * @param {string} storeName
+ * @param {IDBKeyRange} [range]
+ * @returns {Promise<Array>}
+ */
+export function getAllKeys(storeName, range) {
+  return withStore(storeName, 'readonly', store => store.getAllKeys(range));
+}
+
+/**
+ * Primary keys in index order (lowest index value first)
+ * @param {string} storeName
+ * @param {string} indexName
+ * @param {number} [count] - Return at most this many
+ * @returns {Promise<Array>}
+ */
+export function getKeysByIndex(storeName, indexName, count) {
+  return withStore(storeName, 'readonly', store => store.index(indexName).getAllKeys(null, count));
+}
+
+export function countRecords(storeName) {
+  return withStore(storeName, 'readonly', store => store.count());
+}
+
+export function putRecord(storeName, value) {
+  return withStore(storeName, 'readwrite', store => store.put(value));
+}
+
+export function deleteRecord(storeName, key) {
+  return withStore(storeName, 'readwrite', store => store.delete(key));
+}
+
+export function clearStore(storeName) {
+  return withStore(storeName, 'readwrite', store => store.clear());
+}
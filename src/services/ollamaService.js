@@ -1,31 +1,43 @@
 // Ollama Local LLM Service for document processing
-import { ollamaConfig } from '../config/ollamaConfig';
+import { ollamaConfig, isOllamaConfigured, checkOllamaStatus } from '../config/ollamaConfig';
+import { readNDJSONStream } from './streamUtils';
+import { toOllamaMessages, toOpenAITools, parseOllamaMessage } from './toolCalling';
+import { normalizeUsage } from './tokenUsage';
+import { samplingFor, SAMPLING_FIELDS, getProviderSettings, saveProviderSettings } from './providerSettings';
+import { LLM_PROVIDERS, registerProvider } from './providerRegistry';
+
+// Multimodal model families that accept images (llava, llama3.2-vision, moondream, ...)
+const VISION_MODEL_PATTERN = /llava|vision|moondream|minicpm-v|gemma3|qwen2\.5vl|granite3\.2-vision/i;
 
 /**
- * Call Ollama API for chat completion
- * @param {string} prompt - The prompt to send
- * @param {string} systemPrompt - System/context prompt
- * @param {Object} options - Optional parameters
+ * Call Ollama Chat API
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - Optional parameters: format (pass onToken to receive each streamed chunk,
+ *   onUsage to receive token counts)
  * @returns {Promise<string>} - The AI response text
  */
-export async function callOllama(prompt, systemPrompt = '', options = {}) {
-  const { baseUrl, model } = ollamaConfig;
-  const url = `${baseUrl}/api/generate`;
-
-  const fullPrompt = systemPrompt
-    ? `${systemPrompt}\n\nUser: ${prompt}\n\nAssistant:`
-    : prompt;
+export async function callOllamaChat(messages, options = {}) {
+  const { baseUrl, model, timeout } = ollamaConfig;
+  const url = `${baseUrl}/api/chat`;
 
+  const sampling = samplingFor(ollamaConfig, options, 500); // Short default for faster responses
   const requestBody = {
     model: options.model || model,
-    prompt: fullPrompt,
-    stream: true, // Use streaming to avoid timeout
+    messages: messages,
+    stream: true, // Use streaming so long answers don't hit the timeout
     options: {
-      temperature: options.temperature || 0.7,
-      num_predict: options.maxTokens || 500, // Reduced for faster response
+      temperature: sampling.temperature,
+      num_predict: sampling.maxTokens,
       top_p: options.topP || 0.9,
     },
   };
+  if (options.format) {
+    requestBody.format = options.format; // 'json' constrains output to valid JSON
+  }
+
+  // The timeout covers loading the model; once the stream starts it runs to completion
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
 
   try {
     console.log('Ollama: Calling', url, 'with model:', requestBody.model);
@@ -36,73 +48,73 @@ export async function callOllama(prompt, systemPrompt = '', options = {}) {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify(requestBody),
+      signal: controller.signal,
     });
+    clearTimeout(timeoutId);
 
     if (!response.ok) {
       const errorText = await response.text();
-      throw new Error(`Ollama API error: ${response.status} - ${errorText}`);
+      throw new Error(`Ollama Chat API error: ${response.status} - ${errorText}`);
     }
 
-    // Handle streaming response
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
+    // Handle streaming response (one JSON object per line)
     let fullResponse = '';
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      const chunk = decoder.decode(value);
-      const lines = chunk.split('\n').filter(line => line.trim());
-
-      for (const line of lines) {
-        try {
-          const json = JSON.parse(line);
-          if (json.response) {
-            fullResponse += json.response;
-          }
-          if (json.done) {
-            console.log('Ollama: Response complete, length:', fullResponse.length);
-            return fullResponse;
-          }
-        } catch (e) {
-          // Skip invalid JSON lines
-        }
+    await readNDJSONStream(response, (json) => {
+      const token = json.message?.content;
+      if (token) {
+        fullResponse += token;
+        if (options.onToken) options.onToken(token);
       }
-    }
+      if (json.done) {
+        // The final chunk carries the prompt and generated token counts
+        options.onUsage?.(normalizeUsage(json, json.model));
+        console.log('Ollama: Response complete, length:', fullResponse.length);
+        return true;
+      }
+      return false;
+    });
 
     return fullResponse;
   } catch (error) {
-    console.error('Ollama API call failed:', error);
+    if (error.name === 'AbortError') {
+      throw new Error('Ollama request timed out.');
+    }
+    console.error('Ollama Chat API call failed:', error);
     throw error;
+  } finally {
+    clearTimeout(timeoutId);
   }
 }
 
 /**
- * Call Ollama Chat API (for models that support chat format)
- * @param {Array} messages - Array of message objects with role and content
- * @param {Object} options - Optional parameters
- * @returns {Promise<string>} - The AI response text
+ * Call Ollama's chat API with tools the model may call (needs a tool-capable model, e.g. llama3.1)
+ * Ollama has no tool_choice, so tools are simply left out when the model must answer.
+ * @param {Array} messages - Provider-neutral agent messages (see toolCalling.js)
+ * @param {Array} tools - Tool definitions ({ name, description, parameters })
+ * @param {Object} options - { system, toolChoice: 'auto'|'none', maxTokens, onUsage }
+ * @returns {Promise<Object>} - { text, toolCalls }
  */
-export async function callOllamaChat(messages, options = {}) {
+export async function callOllamaWithTools(messages, tools, options = {}) {
   const { baseUrl, model, timeout } = ollamaConfig;
-  const url = `${baseUrl}/api/chat`;
+  const sampling = samplingFor(ollamaConfig, options, 1500, 0.2);
 
   const requestBody = {
-    model: options.model || model,
-    messages: messages,
+    model,
+    messages: toOllamaMessages(messages, options.system),
     stream: false,
     options: {
-      temperature: options.temperature || 0.7,
-      num_predict: options.maxTokens || 1000,
+      temperature: sampling.temperature,
+      num_predict: sampling.maxTokens,
     },
   };
+  if (options.toolChoice !== 'none') {
+    requestBody.tools = toOpenAITools(tools);
+  }
 
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-    const response = await fetch(url, {
+    const response = await fetch(`${baseUrl}/api/chat`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -111,167 +123,184 @@ export async function callOllamaChat(messages, options = {}) {
       signal: controller.signal,
     });
 
-    clearTimeout(timeoutId);
-
     if (!response.ok) {
       const errorText = await response.text();
       throw new Error(`Ollama Chat API error: ${response.status} - ${errorText}`);
     }
 
     const data = await response.json();
-    return data.message?.content || '';
+    options.onUsage?.(normalizeUsage(data, data.model));
+    return parseOllamaMessage(data.message);
   } catch (error) {
     if (error.name === 'AbortError') {
       throw new Error('Ollama request timed out.');
     }
-    console.error('Ollama Chat API call failed:', error);
     throw error;
+  } finally {
+    clearTimeout(timeoutId);
   }
 }
 
 /**
- * Generate an intelligent summary of document content
- * @param {string} content - The document content to summarize
- * @param {string} fileName - The name of the document
- * @returns {Promise<string>} - The AI-generated summary
+ * List the models pulled into Ollama, with the details shown in Settings
+ * @returns {Promise<Array|null>} - [{ name, size, family, parameterSize, quantization, modifiedAt }],
+ *   or null if the server can't be reached
  */
-export async function generateDocumentSummaryOllama(content, fileName) {
-  if (!content || content.trim().length === 0) {
-    return null;
-  }
-
-  // Truncate content if too long (Ollama models have context limits)
-  const maxContentLength = 4000;
-  const truncatedContent = content.length > maxContentLength
-    ? content.substring(0, maxContentLength) + '...[truncated]'
-    : content;
-
-  const systemPrompt = `You are a helpful document assistant. Provide clear, concise summaries of documents.
-Focus on: main topics, key points, important facts/dates, and document purpose.
-Keep summaries to 3-5 sentences.`;
-
-  const prompt = `Please summarize this document "${fileName}":\n\n${truncatedContent}`;
+export async function getOllamaModels() {
+  const { baseUrl } = ollamaConfig;
 
   try {
-    const summary = await callOllama(prompt, systemPrompt, {
-      maxTokens: 500,
-      temperature: 0.5,
-    });
-    return summary.trim();
+    const response = await fetch(`${baseUrl}/api/tags`);
+    if (!response.ok) return null;
+    const data = await response.json();
+    return (data.models || []).map(m => ({
+      name: m.name,
+      size: m.size,
+      family: m.details?.family || '',
+      parameterSize: m.details?.parameter_size || '',
+      quantization: m.details?.quantization_level || '',
+      modifiedAt: m.modified_at,
+    }));
   } catch (error) {
-    console.error('Failed to generate document summary with Ollama:', error);
+    console.error('Failed to list Ollama models:', error);
     return null;
   }
 }
 
 /**
- * Answer a question about document content
- * @param {string} content - The document content
- * @param {string} question - The user's question
- * @param {string} fileName - The name of the document
- * @returns {Promise<string>} - The AI-generated answer
+ * List available models in Ollama
+ * @returns {Promise<Array>} - List of model names
  */
-export async function answerDocumentQuestionOllama(content, question, fileName) {
-  if (!content || content.trim().length === 0) {
-    return "I couldn't read the document content to answer your question.";
-  }
-
-  const maxContentLength = 4000;
-  const truncatedContent = content.length > maxContentLength
-    ? content.substring(0, maxContentLength) + '...[truncated]'
-    : content;
-
-  const systemPrompt = `You are a helpful document assistant. Answer questions based on the provided document content.
-If the answer cannot be found in the document, say so clearly.
-Be accurate and cite specific information from the document.`;
+export async function listOllamaModels() {
+  const models = await getOllamaModels();
+  return models?.map(m => m.name) || [];
+}
 
-  const prompt = `Document: "${fileName}"\n\nContent:\n${truncatedContent}\n\nQuestion: ${question}`;
+/**
+ * Pull/download a model in Ollama
+ * @param {string} modelName - Name of the model to pull
+ * @param {Function} [onProgress] - Called with each progress update ({ status, completed, total })
+ * @param {AbortSignal} [signal] - Cancels the download
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function pullOllamaModel(modelName, onProgress, signal) {
+  const { baseUrl } = ollamaConfig;
 
   try {
-    const answer = await callOllama(prompt, systemPrompt, {
-      maxTokens: 800,
-      temperature: 0.3,
+    const response = await fetch(`${baseUrl}/api/pull`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: modelName, stream: true }),
+      signal,
+    });
+    if (!response.ok) return false;
+
+    // Ollama streams one status line per layer step, ending with { status: 'success' }
+    let succeeded = false;
+    await readNDJSONStream(response, (json) => {
+      if (json.error) {
+        throw new Error(json.error);
+      }
+      onProgress?.({ status: json.status, completed: json.completed, total: json.total });
+      succeeded = json.status === 'success';
+      return succeeded;
     });
-    return answer.trim();
+    return succeeded;
   } catch (error) {
-    console.error('Failed to answer document question with Ollama:', error);
-    return "I encountered an error processing your question. Please try again.";
+    if (error.name === 'AbortError') {
+      console.log('Ollama pull cancelled:', modelName);
+      return false;
+    }
+    console.error('Failed to pull Ollama model:', error);
+    onProgress?.({ status: `Failed: ${error.message}` });
+    return false;
   }
 }
 
 /**
- * General chat response
- * @param {string} userMessage - The user's message
- * @param {Array} conversationHistory - Previous messages
- * @returns {Promise<string>} - The AI response
+ * Delete a model from Ollama
+ * @param {string} modelName - Name of the model to delete
+ * @returns {Promise<boolean>} - Success status
  */
-export async function getChatResponseOllama(userMessage, conversationHistory = []) {
-  const systemPrompt = `You are a helpful document assistant for a corporate environment. You help users:
-- Find and understand documents
-- Answer questions about company policies
-- Provide information about processes and procedures
-
-Be professional, helpful, and concise.`;
-
-  // Build context from history
-  let contextPrompt = systemPrompt;
-  if (conversationHistory.length > 0) {
-    const recentHistory = conversationHistory.slice(-6);
-    const historyText = recentHistory.map(msg =>
-      `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`
-    ).join('\n');
-    contextPrompt += `\n\nRecent conversation:\n${historyText}`;
-  }
+export async function deleteOllamaModel(modelName) {
+  const { baseUrl } = ollamaConfig;
 
   try {
-    const response = await callOllama(userMessage, contextPrompt, {
-      maxTokens: 800,
-      temperature: 0.7,
+    const response = await fetch(`${baseUrl}/api/delete`, {
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: modelName }),
     });
-    return response.trim();
+    return response.ok;
   } catch (error) {
-    console.error('Failed to get chat response from Ollama:', error);
-    return "I'm having trouble connecting to the AI. Please check if Ollama is running.";
+    console.error('Failed to delete Ollama model:', error);
+    return false;
   }
 }
 
 /**
- * List available models in Ollama
- * @returns {Promise<Array>} - List of model names
+ * Use a different pulled model for Ollama requests (saved like any other Settings change)
+ * @param {string} modelName - Name of a pulled model
  */
-export async function listOllamaModels() {
-  const { baseUrl } = ollamaConfig;
-
-  try {
-    const response = await fetch(`${baseUrl}/api/tags`);
-    if (response.ok) {
-      const data = await response.json();
-      return data.models?.map(m => m.name) || [];
-    }
-    return [];
-  } catch (error) {
-    console.error('Failed to list Ollama models:', error);
-    return [];
-  }
+export async function setOllamaModel(modelName) {
+  const { values } = getProviderSettings(LLM_PROVIDERS.OLLAMA);
+  await saveProviderSettings(LLM_PROVIDERS.OLLAMA, { ...values, model: modelName });
 }
 
 /**
- * Pull/download a model in Ollama
- * @param {string} modelName - Name of the model to pull
- * @returns {Promise<boolean>} - Success status
+ * Send a prompt request (see prompts.js) to Ollama, using its JSON format mode for structured output
+ * @param {Object} request - { system, messages, maxTokens, temperature, json, onUsage }
+ * @param {Function} [onToken] - Optional callback receiving streamed text deltas
+ * @returns {Promise<string>} - The AI response text
  */
-export async function pullOllamaModel(modelName) {
-  const { baseUrl } = ollamaConfig;
+function completeOllama(request, onToken) {
+  return callOllamaChat(toOllamaMessages(request.messages, request.system), {
+    maxTokens: request.maxTokens,
+    temperature: request.temperature,
+    format: request.json ? 'json' : undefined,
+    onToken,
+    onUsage: request.onUsage,
+  });
+}
 
-  try {
-    const response = await fetch(`${baseUrl}/api/pull`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ name: modelName, stream: false }),
-    });
-    return response.ok;
-  } catch (error) {
-    console.error('Failed to pull Ollama model:', error);
-    return false;
+// A running server isn't enough - the configured model has to be pulled too
+async function testOllamaConnection() {
+  const status = await checkOllamaStatus();
+  if (!status.running) {
+    return { ok: false, message: `Ollama is not running at ${ollamaConfig.baseUrl}` };
+  }
+  const model = ollamaConfig.model;
+  if (!status.models.some(m => m.name === model || m.name === `${model}:latest`)) {
+    return { ok: false, message: `Ollama is running, but model "${model}" is not pulled` };
   }
+  return { ok: true, message: 'Connected to Ollama (Local)' };
 }
+
+registerProvider({
+  id: LLM_PROVIDERS.OLLAMA,
+  name: 'Ollama (Local)',
+  icon: '🦙',
+  priority: 60,
+  contextChars: 3900,
+  capabilities: {
+    streaming: true,
+    tools: true,
+    jsonMode: true,
+    jsonSchema: false,
+    get vision() { return VISION_MODEL_PATTERN.test(ollamaConfig.model || ''); },
+    checksReachability: true,
+  },
+  config: ollamaConfig,
+  settingsFields: [
+    { key: 'baseUrl', label: 'Server URL', type: 'url', required: true, placeholder: 'http://localhost:11434' },
+    { key: 'model', label: 'Model', type: 'text', required: true, placeholder: 'llama3' },
+    { key: 'timeout', label: 'Timeout (ms)', type: 'number', min: 1000, step: 1000 },
+    ...SAMPLING_FIELDS,
+  ],
+  detect: async () => isOllamaConfigured() && (await checkOllamaStatus()).running,
+  complete: (request) => completeOllama(request),
+  stream: completeOllama,
+  chat: callOllamaWithTools,
+  listModels: listOllamaModels,
+  testConnection: testOllamaConnection,
+});
@@ -0,0 +1,169 @@
+// OpenAI-compatible API Service - vLLM, LM Studio, LocalAI, OpenRouter and other chat completions servers
+import {
+  openAICompatibleConfig,
+  isOpenAICompatibleConfigured,
+  parseExtraHeaders,
+} from '../config/openAICompatibleConfig';
+import { readSSEStream } from './streamUtils';
+import { toOpenAIMessages, toOpenAITools, parseOpenAIMessage } from './toolCalling';
+import { normalizeUsage } from './tokenUsage';
+import { samplingFor, SAMPLING_FIELDS } from './providerSettings';
+import { LLM_PROVIDERS, registerProvider } from './providerRegistry';
+
+function buildHeaders() {
+  const { apiKey, headers } = openAICompatibleConfig;
+  return {
+    'Content-Type': 'application/json',
+    ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+    ...(parseExtraHeaders(headers) || {}),
+  };
+}
+
+async function postChatCompletion(requestBody) {
+  const response = await fetch(`${openAICompatibleConfig.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: buildHeaders(),
+    body: JSON.stringify(requestBody),
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    console.error('OpenAI-compatible API error:', data);
+    throw new Error(`OpenAI-compatible API error: ${response.status} - ${data.error?.message || response.statusText}`);
+  }
+  return response;
+}
+
+/**
+ * Call the OpenAI-compatible server
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - Optional parameters (pass onToken to stream the response, onUsage to receive token counts)
+ * @returns {Promise<string>} - The AI response text
+ */
+export async function callOpenAICompatible(messages, options = {}) {
+  const { model } = openAICompatibleConfig;
+
+  const sampling = samplingFor(openAICompatibleConfig, options);
+  const requestBody = {
+    model: options.model || model,
+    messages: messages,
+    max_tokens: sampling.maxTokens,
+    temperature: sampling.temperature,
+    stream: !!options.onToken,
+  };
+
+  try {
+    console.log('OpenAI-compatible: Calling', model);
+
+    const response = await postChatCompletion(requestBody);
+
+    if (options.onToken) {
+      let text = '';
+      // stream_options isn't sent (not every server accepts it), but some report usage anyway
+      await readSSEStream(response, (chunk) => {
+        const token = chunk.choices?.[0]?.delta?.content;
+        if (token) {
+          text += token;
+          options.onToken(token);
+        }
+        const usage = normalizeUsage(chunk.usage, chunk.model);
+        if (usage) options.onUsage?.(usage);
+      });
+      console.log('OpenAI-compatible: Stream complete, length:', text.length);
+      return text;
+    }
+
+    const data = await response.json();
+    options.onUsage?.(normalizeUsage(data.usage, data.model));
+    const text = data.choices?.[0]?.message?.content || '';
+    console.log('OpenAI-compatible: Response length:', text.length);
+
+    return text;
+  } catch (error) {
+    console.error('OpenAI-compatible API call failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Call the OpenAI-compatible server with tools the model may call.
+ * The server has to support function calling (e.g., vLLM with --enable-auto-tool-choice).
+ * @param {Array} messages - Provider-neutral agent messages (see toolCalling.js)
+ * @param {Array} tools - Tool definitions ({ name, description, parameters })
+ * @param {Object} options - { system, toolChoice: 'auto'|'none', maxTokens, onUsage }
+ * @returns {Promise<Object>} - { text, toolCalls }
+ */
+export async function callOpenAICompatibleWithTools(messages, tools, options = {}) {
+  const sampling = samplingFor(openAICompatibleConfig, options, 1500, 0.2);
+
+  const response = await postChatCompletion({
+    model: openAICompatibleConfig.model,
+    messages: toOpenAIMessages(messages, options.system),
+    tools: toOpenAITools(tools),
+    tool_choice: options.toolChoice || 'auto',
+    max_tokens: sampling.maxTokens,
+    temperature: sampling.temperature,
+  });
+
+  const data = await response.json();
+  options.onUsage?.(normalizeUsage(data.usage, data.model));
+  return parseOpenAIMessage(data.choices?.[0]?.message);
+}
+
+/**
+ * Send a prompt request (see prompts.js) to the OpenAI-compatible server.
+ * JSON mode isn't requested because servers disagree on response_format (LM Studio only
+ * accepts json_schema); llmService validates structured output and retries instead.
+ * @param {Object} request - { system, messages, maxTokens, temperature, onUsage }
+ * @param {Function} [onToken] - Optional callback receiving streamed text deltas
+ * @returns {Promise<string>} - The AI response text
+ */
+function completeOpenAICompatible(request, onToken) {
+  return callOpenAICompatible(toOpenAIMessages(request.messages, request.system), {
+    maxTokens: request.maxTokens,
+    temperature: request.temperature,
+    onToken,
+    onUsage: request.onUsage,
+  });
+}
+
+/**
+ * List the models the server offers
+ * @returns {Promise<Array>} - Model ids
+ */
+async function listOpenAICompatibleModels() {
+  const response = await fetch(`${openAICompatibleConfig.baseUrl}/models`, { headers: buildHeaders() });
+  if (!response.ok) {
+    throw new Error(`OpenAI-compatible API error: ${response.status} - ${response.statusText}`);
+  }
+  const data = await response.json();
+  return (data.data || []).map(m => m.id);
+}
+
+registerProvider({
+  id: LLM_PROVIDERS.OPENAI_COMPATIBLE,
+  name: 'OpenAI-compatible',
+  icon: '🔌',
+  priority: 50,
+  contextChars: 7800, // Self-hosted models often have small context windows
+  capabilities: { streaming: true, tools: true, jsonMode: false, jsonSchema: false, vision: false, checksReachability: false },
+  config: openAICompatibleConfig,
+  settingsFields: [
+    { key: 'baseUrl', label: 'Base URL', type: 'url', required: true, placeholder: 'http://localhost:1234/v1' },
+    { key: 'model', label: 'Model', type: 'text', required: true, placeholder: 'meta-llama/Llama-3.1-8B-Instruct' },
+    { key: 'apiKey', label: 'API key', type: 'password', placeholder: 'Not needed for most local servers' },
+    {
+      key: 'headers',
+      label: 'Extra headers (JSON)',
+      type: 'text',
+      placeholder: '{"HTTP-Referer": "https://example.com"}',
+      validate: (value) => parseExtraHeaders(value) ? null : 'must be a JSON object of header names to string values.',
+    },
+    ...SAMPLING_FIELDS,
+  ],
+  detect: async () => isOpenAICompatibleConfigured(),
+  complete: (request) => completeOpenAICompatible(request),
+  stream: completeOpenAICompatible,
+  chat: callOpenAICompatibleWithTools,
+  listModels: listOpenAICompatibleModels,
+});
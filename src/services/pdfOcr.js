@@ -0,0 +1,67 @@
+// OCR fallback for scanned PDFs - pages whose text layer is (nearly) empty are rendered to a canvas
+// and read with Tesseract in a WASM worker. tesseract.js is loaded on first use, and its worker,
+// core and English language data come from its CDN, like the pdf.js worker.
+
+export const OCR_MIN_PAGE_CHARS = 20; // Pages with less extracted text than this are treated as scanned
+export const MAX_OCR_PAGES = 25; // OCR takes a few seconds per page, so long scans are cut off
+const OCR_RENDER_SCALE = 2; // ~150 DPI for a typical page - small print needs more than screen resolution
+const OCR_LANGUAGE = 'eng';
+
+async function renderPageToCanvas(page) {
+  const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+  await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+  return canvas;
+}
+
+/**
+ * Recognize the text on PDF pages that have no usable text layer
+ * @param {Object} pdf - Loaded pdf.js document
+ * @param {Array<number>} pageNumbers - 1-based pages to read (at most MAX_OCR_PAGES are used)
+ * @param {Function} [onProgress] - Called with { page, index, count, progress } as pages are read;
+ *   progress is 0-1 across all pages
+ * @returns {Promise<Map<number, string>>} - Page number -> recognized text (pages that failed are left out)
+ */
+export async function ocrPdfPages(pdf, pageNumbers, onProgress) {
+  const pages = pageNumbers.slice(0, MAX_OCR_PAGES);
+  const results = new Map();
+  if (pages.length === 0) return results;
+
+  let current = { page: pages[0], index: 0 };
+  const report = (pageProgress) => {
+    onProgress?.({
+      page: current.page,
+      index: current.index,
+      count: pages.length,
+      progress: (current.index + pageProgress) / pages.length,
+    });
+  };
+
+  const { createWorker } = await import('tesseract.js');
+  const worker = await createWorker(OCR_LANGUAGE, 1, {
+    logger: (message) => {
+      if (message.status === 'recognizing text') report(message.progress || 0);
+    },
+  });
+
+  try {
+    for (const [index, pageNum] of pages.entries()) {
+      current = { page: pageNum, index };
+      report(0);
+      try {
+        const page = await pdf.getPage(pageNum);
+        const canvas = await renderPageToCanvas(page);
+        const { data } = await worker.recognize(canvas);
+        results.set(pageNum, (data.text || '').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim());
+        page.cleanup();
+      } catch (pageErr) {
+        console.log(`OCR failed on page ${pageNum}:`, pageErr);
+      }
+    }
+  } finally {
+    await worker.terminate();
+  }
+  return results;
+}
@@ -0,0 +1,349 @@
+// Prompt template library - named, versioned templates with {variable} placeholders.
+// Team leads can override any template from Settings; overrides are saved in IndexedDB and
+// apply to the next request without a rebuild. Every render is recorded so answers can be
+// tagged with the template versions that produced them.
+import { getAllRecords, putRecord, deleteRecord } from './localDb';
+
+const STORE = 'promptOverrides';
+const EXPORT_FORMAT = 'nvest-prompt-overrides';
+
+// Bump a template's version when its default text changes, so answers stay traceable
+const DEFAULT_TEMPLATES = {
+  summary: {
+    name: 'Document summary',
+    description: 'Summarizes a document after it is opened.',
+    version: 1,
+    variables: ['fileName', 'content'],
+    system: `You are a helpful document assistant. Provide clear, concise summaries focusing on the document's purpose, main topics, key points, and important details like dates, names, or numbers.
+Keep summaries to 3-5 sentences.`,
+    text: 'Summarize this document "{fileName}":\n\n{content}',
+  },
+  answer: {
+    name: 'Document Q&A',
+    description: 'Answers a question using passages from one or more documents.',
+    version: 1,
+    variables: ['fileName', 'content', 'question'],
+    system: `You are a helpful document assistant. Answer questions based only on the provided document content.
+If the answer cannot be found in the document, say so clearly.
+Be accurate and cite specific information from the document when possible.`,
+    text: 'Document: "{fileName}"\n\nContent:\n{content}\n\nQuestion: {question}',
+  },
+  'answer.citations': {
+    name: 'Citation instructions',
+    description: 'Appended to questions answered with numbered, cited sections.',
+    version: 1,
+    variables: [],
+    text: 'Cite the numbered sections that support each statement inline, e.g. [2] or [1][3]. Only cite sections you actually used.',
+  },
+  'answer.multiDocument': {
+    name: 'Multi-document instructions',
+    description: 'Appended to questions asked across the working set.',
+    version: 1,
+    variables: [],
+    text: 'The sections come from several documents. Say which document each point comes from, and point out where the documents disagree.',
+  },
+  compare: {
+    name: 'Document comparison',
+    description: 'Asked when comparing two or more documents.',
+    version: 1,
+    variables: [],
+    text: `Compare these documents and identify:
+- Key similarities
+- Key differences
+- Unique information in each document
+Refer to each document by name. Be concise and focus on the most important points.`,
+  },
+  image: {
+    name: 'Image question',
+    description: 'Asked about images and diagrams from OneDrive (vision-capable providers only).',
+    version: 1,
+    variables: ['fileName', 'question'],
+    system: `You are a helpful assistant that reads images such as architecture diagrams, screenshots, charts and scanned pages.
+Answer from what is visible in the image. When asked for the text in an image, transcribe it exactly.
+For diagrams, name the components and describe how they connect. If something is unreadable, say so.`,
+    text: 'Image: "{fileName}"\n\nQuestion: {question}',
+  },
+  chat: {
+    name: 'General chat',
+    description: 'System prompt for messages that are not about a specific document.',
+    version: 1,
+    variables: [],
+    system: `You are a helpful document assistant for a corporate environment. You help users:
+- Find and understand documents
+- Answer questions about company policies
+- Provide information about processes and procedures
+
+Be professional, helpful, and concise. If you don't have specific information, offer to search for relevant documents.`,
+  },
+  structured: {
+    name: 'Structured extraction',
+    description: 'System prompt for JSON output such as form prefill.',
+    version: 1,
+    variables: [],
+    system: 'You are a precise data extraction assistant. Respond with a single JSON value only.',
+  },
+  'document.suggestedQuestions': {
+    name: 'Suggested questions',
+    description: 'Follow-up questions offered after a document summary. Must return one question per line.',
+    version: 1,
+    variables: [],
+    text: 'Based on this document, suggest exactly 3 short questions a user might ask. Return ONLY the 3 questions, one per line, without numbering or bullet points.',
+  },
+  'cr.impactedAreas': {
+    name: 'CR impacted areas',
+    description: 'Extracted when a change request document is opened.',
+    version: 1,
+    variables: [],
+    text: 'List all impacted areas, affected modules, systems, screens, APIs, and components mentioned in this document. Format as a concise bullet list. If specific module names, screen names, or API names are mentioned, include them.',
+  },
+  'cr.simplify': {
+    name: 'CR in simple terms',
+    description: 'Explains a change request for non-technical readers.',
+    version: 1,
+    variables: [],
+    text: 'Explain this change request in simple, non-technical language that anyone can understand. Describe what is changing, why it matters, and what the end result will be for the users or the business. Keep it to 4-6 sentences. Avoid all technical jargon.',
+  },
+  'cr.tasks': {
+    name: 'CR task breakdown',
+    description: 'Breaks a change request into assignable development tasks.',
+    version: 1,
+    variables: [],
+    text: 'Break down this change request into specific development tasks that can be assigned to developers. For each task include: task title, brief description of what needs to be done, and the module/area it belongs to. Format as a numbered list. Be specific and actionable.',
+  },
+  'pm.prefill': {
+    name: 'PM Impact Analysis prefill',
+    description: 'Instructions for filling the PM Impact Analysis form from a CR document.',
+    version: 1,
+    variables: [],
+    text: 'Extract the PM and CR numbers, the issue description, the impacted systems and the risks from this change request document for a PM Impact Analysis form.',
+  },
+};
+
+let overrides = {}; // templateId -> { id, system, text, revision, updatedAt }
+const promptsUsed = new Map(); // templateId -> version label, since the last clearPromptsUsed()
+
+function templateFor(id) {
+  const template = DEFAULT_TEMPLATES[id];
+  if (!template) {
+    throw new Error(`Unknown prompt template: ${id}`);
+  }
+  return template;
+}
+
+function substitute(text, variables) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name] ?? '') : match
+  ));
+}
+
+/**
+ * Version label recorded with answers, e.g. "cr.tasks v1" or "cr.tasks v1 (team r3)"
+ * @param {string} id - Template ID
+ * @returns {string}
+ */
+export function getPromptVersionLabel(id) {
+  const override = overrides[id];
+  const label = `${id} v${templateFor(id).version}`;
+  return override ? `${label} (team r${override.revision})` : label;
+}
+
+// Resolve one part of a template ('system' or 'text'), preferring the team override
+function renderPart(id, part, variables) {
+  const template = templateFor(id);
+  const text = overrides[id]?.[part] ?? template[part];
+  if (text === undefined) {
+    throw new Error(`Prompt template ${id} has no ${part} part`);
+  }
+  promptsUsed.set(id, getPromptVersionLabel(id));
+  return substitute(text, variables);
+}
+
+/**
+ * Render a template's prompt text with its variables filled in.
+ * Unknown placeholders are left as written so literal braces survive.
+ * @param {string} id - Template ID
+ * @param {Object} [variables] - Values for {placeholders}
+ * @returns {string}
+ */
+export function renderPrompt(id, variables = {}) {
+  return renderPart(id, 'text', variables);
+}
+
+/**
+ * Render a template's system prompt
+ * @param {string} id - Template ID
+ * @param {Object} [variables] - Values for {placeholders}
+ * @returns {string}
+ */
+export function renderSystemPrompt(id, variables = {}) {
+  return renderPart(id, 'system', variables);
+}
+
+/**
+ * Template versions rendered since the last clearPromptsUsed()
+ * @returns {Array<string>} - Version labels
+ */
+export function getPromptsUsed() {
+  return [...promptsUsed.values()];
+}
+
+/**
+ * Forget recorded template use (call before starting a new request)
+ */
+export function clearPromptsUsed() {
+  promptsUsed.clear();
+}
+
+/**
+ * Load team overrides from IndexedDB (called by initializeLLM)
+ */
+export async function loadPromptOverrides() {
+  let records = [];
+  try {
+    records = await getAllRecords(STORE);
+  } catch (error) {
+    console.error('Could not load prompt overrides:', error);
+    return;
+  }
+  overrides = Object.fromEntries(
+    records.filter(record => DEFAULT_TEMPLATES[record.id]).map(record => [record.id, record])
+  );
+}
+
+/**
+ * Templates for the Settings screen, with defaults and any team override
+ * @returns {Array<Object>} - { id, name, description, version, variables, defaults, system, text, revision, overridden }
+ */
+export function getPromptTemplates() {
+  return Object.entries(DEFAULT_TEMPLATES).map(([id, template]) => {
+    const override = overrides[id];
+    return {
+      id,
+      name: template.name,
+      description: template.description,
+      version: template.version,
+      variables: template.variables,
+      defaults: { system: template.system, text: template.text },
+      system: override?.system ?? template.system,
+      text: override?.text ?? template.text,
+      revision: override?.revision || 0,
+      overridden: !!override,
+    };
+  });
+}
+
+/**
+ * Check an edited template before saving
+ * @param {string} id - Template ID
+ * @param {Object} values - { system, text } for the parts the template has
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validatePromptTemplate(id, values) {
+  const template = templateFor(id);
+  for (const part of ['system', 'text']) {
+    if (template[part] === undefined) continue;
+    const value = values[part] || '';
+    if (!value.trim()) {
+      return `The ${part === 'system' ? 'system prompt' : 'prompt'} can't be empty.`;
+    }
+    const missing = template.variables.filter(name => template[part].includes(`{${name}}`) && !value.includes(`{${name}}`));
+    if (missing.length > 0) {
+      return `The ${part === 'system' ? 'system prompt' : 'prompt'} must still include ${missing.map(name => `{${name}}`).join(', ')}.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Save a team override; each save bumps the override's revision
+ * @param {string} id - Template ID
+ * @param {Object} values - { system, text }
+ */
+export async function savePromptOverride(id, values) {
+  const error = validatePromptTemplate(id, values);
+  if (error) {
+    throw new Error(error);
+  }
+  const template = templateFor(id);
+  const record = {
+    id,
+    revision: (overrides[id]?.revision || 0) + 1,
+    updatedAt: Date.now(),
+  };
+  if (template.system !== undefined) record.system = values.system;
+  if (template.text !== undefined) record.text = values.text;
+  await putRecord(STORE, record);
+  overrides[id] = record;
+}
+
+/**
+ * Drop a team override so the built-in template is used again
+ * @param {string} id - Template ID
+ */
+export async function resetPromptOverride(id) {
+  await deleteRecord(STORE, id);
+  delete overrides[id];
+}
+
+/**
+ * Serialize the team overrides so a lead can share them with the team
+ * @returns {string} - JSON
+ */
+export function exportPromptOverrides() {
+  const templates = Object.values(overrides).map(({ id, system, text, revision }) => ({
+    id,
+    version: DEFAULT_TEMPLATES[id].version,
+    system,
+    text,
+    revision,
+  }));
+  return JSON.stringify({ format: EXPORT_FORMAT, exportedAt: new Date().toISOString(), templates }, null, 2);
+}
+
+/**
+ * Import overrides exported from another browser. Imported templates keep the lead's
+ * revision number, so answers from the whole team carry the same version label.
+ * @param {string} json - Output of exportPromptOverrides
+ * @returns {Promise<number>} - Number of templates imported
+ */
+export async function importPromptOverrides(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.templates)) {
+    throw new Error('The file is not a prompt template export.');
+  }
+
+  const records = [];
+  for (const entry of data.templates) {
+    const template = DEFAULT_TEMPLATES[entry.id];
+    if (!template) {
+      console.log('Skipping unknown prompt template in import:', entry.id);
+      continue;
+    }
+    const error = validatePromptTemplate(entry.id, entry);
+    if (error) {
+      throw new Error(`${template.name}: ${error}`);
+    }
+    if (entry.version !== template.version) {
+      console.warn(`Importing ${entry.id} written for v${entry.version}; the built-in template is v${template.version}`);
+    }
+    const record = {
+      id: entry.id,
+      revision: Math.max(Number(entry.revision) || 1, 1),
+      updatedAt: Date.now(),
+    };
+    if (template.system !== undefined) record.system = entry.system;
+    if (template.text !== undefined) record.text = entry.text;
+    records.push(record);
+  }
+
+  for (const record of records) {
+    await putRecord(STORE, record);
+    overrides[record.id] = record;
+  }
+  return records.length;
+}
@@ -0,0 +1,104 @@
+// Shared prompt requests - every provider gets the same summary, Q&A, image, chat and JSON prompts.
+// The wording comes from the prompt library (promptLibrary.js), so team overrides apply here.
+// Builders return a provider-neutral prompt request for LLMProvider.complete/stream:
+// { system, messages, maxTokens, temperature, json, schema }
+import { renderPrompt, renderSystemPrompt } from './promptLibrary';
+
+const CHAT_HISTORY_MESSAGES = 8; // Earlier turns are dropped to keep the prompt small
+
+function truncate(content, maxChars) {
+  return content.length > maxChars ? content.substring(0, maxChars) + '\n...[truncated]' : content;
+}
+
+/**
+ * Prompt for a document summary
+ * @param {string} content - Document content
+ * @param {string} fileName - File name
+ * @param {number} maxChars - Content budget for the answering provider
+ * @returns {Object} - Prompt request
+ */
+export function buildSummaryPrompt(content, fileName, maxChars) {
+  return {
+    system: renderSystemPrompt('summary', { fileName }),
+    messages: [
+      { role: 'user', content: renderPrompt('summary', { fileName, content: truncate(content, maxChars) }) },
+    ],
+    maxTokens: 500,
+    temperature: 0.5,
+  };
+}
+
+/**
+ * Prompt for a question about document content (already narrowed to relevant passages)
+ * @param {string} content - Document content or numbered passages
+ * @param {string} question - User question, plus any answer instructions
+ * @param {string} fileName - File name(s)
+ * @returns {Object} - Prompt request
+ */
+export function buildAnswerPrompt(content, question, fileName) {
+  return {
+    system: renderSystemPrompt('answer', { fileName, question }),
+    messages: [
+      { role: 'user', content: renderPrompt('answer', { fileName, content, question }) },
+    ],
+    maxTokens: 800,
+    temperature: 0.3,
+  };
+}
+
+/**
+ * Prompt for a question about one or more images, sent to vision-capable providers
+ * @param {Array} images - [{ name, mediaType, data }] with base64 data
+ * @param {string} question - User question
+ * @returns {Object} - Prompt request
+ */
+export function buildImagePrompt(images, question) {
+  const fileName = images.map(image => image.name).join('", "');
+  return {
+    system: renderSystemPrompt('image', { fileName, question }),
+    messages: [
+      {
+        role: 'user',
+        content: renderPrompt('image', { fileName, question }),
+        images: images.map(({ mediaType, data }) => ({ mediaType, data })),
+      },
+    ],
+    maxTokens: 1000,
+    temperature: 0.3,
+  };
+}
+
+/**
+ * Prompt for a general chat turn
+ * @param {string} userMessage - User's message
+ * @param {Array} history - Previous { role, content } messages
+ * @returns {Object} - Prompt request
+ */
+export function buildChatPrompt(userMessage, history = []) {
+  return {
+    system: renderSystemPrompt('chat'),
+    messages: [
+      ...history.slice(-CHAT_HISTORY_MESSAGES).map(msg => ({ role: msg.role, content: msg.content })),
+      { role: 'user', content: userMessage },
+    ],
+    maxTokens: 800,
+    temperature: 0.7,
+  };
+}
+
+/**
+ * Prompt for JSON output; providers with a JSON mode use it, and Gemini also constrains to the schema
+ * @param {string} prompt - Prompt from buildStructuredPrompt (describes the schema)
+ * @param {Object} schema - Expected output schema
+ * @returns {Object} - Prompt request
+ */
+export function buildJsonPrompt(prompt, schema) {
+  return {
+    system: renderSystemPrompt('structured'),
+    messages: [{ role: 'user', content: prompt }],
+    maxTokens: 1500,
+    temperature: 0.2,
+    json: true,
+    schema,
+  };
+}
@@ -0,0 +1,65 @@
+// LLM provider registry - each provider service module registers itself here, and llmService
+// dispatches through the registered providers instead of switching on provider ids.
+
+// Well-known provider ids
+export const LLM_PROVIDERS = {
+  NONE: 'none',
+  CLAUDE: 'claude',
+  AZURE_OPENAI: 'azure-openai',
+  GROQ: 'groq',
+  GEMINI: 'gemini',
+  OLLAMA: 'ollama',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  PROXY: 'proxy',
+};
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} id - Provider id (see LLM_PROVIDERS)
+ * @property {string} name - Display name
+ * @property {string} icon - Emoji shown next to the name
+ * @property {number} priority - Lower comes first when picking the default provider
+ * @property {number} contextChars - Document characters a prompt may include
+ * @property {Object} capabilities - { streaming, tools, jsonMode, jsonSchema, vision, checksReachability };
+ *   vision may depend on the configured model, so read it when needed rather than copying it
+ * @property {Object} config - Live config object the service reads (edited from Settings)
+ * @property {Array} settingsFields - Editable config fields for the Settings form, in form order
+ * @property {Function} detect - async () => boolean: configured (and reachable, for servers)
+ * @property {Function} complete - async (request) => string
+ * @property {Function} stream - async (request, onToken) => string; onToken receives each text delta
+ * @property {Function} chat - async (messages, tools, options) => { text, toolCalls }: one tool-calling turn
+ * @property {Function} listModels - async () => string[]
+ * @property {Function} [testConnection] - async () => { ok, message }, when a test prompt isn't enough
+ *
+ * complete/stream take a prompt request from prompts.js:
+ * { system, messages: [{ role: 'user'|'assistant', content, images? }], maxTokens, temperature, json, schema }
+ * images ([{ mediaType, data }], base64) are only sent to providers with the vision capability.
+ */
+
+const providers = new Map();
+
+/**
+ * Register a provider (called once by each provider service module)
+ * @param {LLMProvider} provider
+ */
+export function registerProvider(provider) {
+  // Keep the build-time config so Settings can reset to it
+  providers.set(provider.id, { ...provider, defaults: { ...provider.config } });
+}
+
+/**
+ * Look up a registered provider
+ * @param {string} providerId
+ * @returns {LLMProvider|undefined}
+ */
+export function getProvider(providerId) {
+  return providers.get(providerId);
+}
+
+/**
+ * All registered providers, highest priority first
+ * @returns {Array<LLMProvider>}
+ */
+export function getRegisteredProviders() {
+  return [...providers.values()].sort((a, b) => a.priority - b.priority);
+}
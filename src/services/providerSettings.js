@@ -0,0 +1,184 @@
+// Per-user LLM provider settings, edited in the Settings modal and saved encrypted in IndexedDB
+// Each registered provider exposes the config object its service reads, plus the fields the form
+// edits. Configs start from the VITE_ env vars, which act as defaults; initializeLLM applies saved
+// settings on top.
+import { getProvider } from './providerRegistry';
+import { getAllRecords, putRecord, deleteRecord } from './localDb';
+import { encryptJson, decryptJson } from './secureStore';
+
+const STORE = 'providerSettings';
+
+// Temperature and max tokens fields every provider's settings form ends with
+export const SAMPLING_FIELDS = [
+  { key: 'temperature', label: 'Temperature', type: 'number', min: 0, max: 2, step: 0.1, placeholder: 'Per-request default' },
+  { key: 'maxTokens', label: 'Max tokens', type: 'number', min: 1, step: 1, placeholder: 'Per-request default' },
+];
+
+/**
+ * Editable settings for a provider's form, in form order
+ * @param {string} providerId
+ * @returns {Array} - Field definitions ({ key, label, type, required, ... })
+ */
+export function getProviderSettingsFields(providerId) {
+  return getProvider(providerId).settingsFields;
+}
+
+let settingsSources = {}; // providerId -> 'saved' | 'removed'; absent means env defaults
+
+function applySettings(providerId, values) {
+  const provider = getProvider(providerId);
+  Object.assign(provider.config, provider.defaults, values);
+}
+
+// Form values arrive as strings: numbers are parsed, and blanks dropped so the default applies
+function normalizeSettings(providerId, values) {
+  const normalized = {};
+  for (const field of getProvider(providerId).settingsFields) {
+    const raw = values[field.key];
+    if (raw === undefined || raw === null || String(raw).trim() === '') continue;
+    normalized[field.key] = field.type === 'number' ? Number(raw) : String(raw).trim();
+  }
+  return normalized;
+}
+
+/**
+ * Check form values before they are tested or saved
+ * @param {string} providerId
+ * @param {Object} values - Form values keyed by field
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateProviderSettings(providerId, values) {
+  const settings = normalizeSettings(providerId, values);
+  for (const field of getProvider(providerId).settingsFields) {
+    const value = settings[field.key];
+    if (value === undefined) {
+      if (field.required) return `${field.label} is required.`;
+      continue;
+    }
+    if (field.type === 'url' && !/^https?:\/\//i.test(value)) {
+      return `${field.label} must start with http:// or https://`;
+    }
+    if (field.validate) {
+      const error = field.validate(value);
+      if (error) return `${field.label} ${error}`;
+    }
+    if (field.type === 'number') {
+      if (!Number.isFinite(value)) return `${field.label} must be a number.`;
+      if (field.min !== undefined && value < field.min) return `${field.label} must be at least ${field.min}.`;
+      if (field.max !== undefined && value > field.max) return `${field.label} must be at most ${field.max}.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply saved settings from IndexedDB to the provider configs (called by initializeLLM)
+ */
+export async function loadProviderSettings() {
+  settingsSources = {};
+  let records = [];
+  try {
+    records = await getAllRecords(STORE);
+  } catch (error) {
+    console.error('Could not load provider settings:', error);
+    return;
+  }
+
+  for (const record of records) {
+    if (!getProvider(record.id)) continue;
+    try {
+      const values = record.sealed ? await decryptJson(record.sealed) : {};
+      applySettings(record.id, { ...values, enabled: record.enabled });
+      settingsSources[record.id] = record.enabled ? 'saved' : 'removed';
+    } catch (error) {
+      console.error(`Could not decrypt saved settings for ${record.id}, using defaults:`, error);
+    }
+  }
+}
+
+/**
+ * Current settings for the Settings form
+ * @param {string} providerId
+ * @returns {Object} - { values, source: 'saved'|'removed'|'environment' }
+ */
+export function getProviderSettings(providerId) {
+  const { config } = getProvider(providerId);
+  const values = {};
+  for (const field of getProvider(providerId).settingsFields) {
+    values[field.key] = config[field.key] ?? '';
+  }
+  return { values, source: settingsSources[providerId] || 'environment' };
+}
+
+/**
+ * Encrypt and save settings for a provider, and enable it
+ * @param {string} providerId
+ * @param {Object} values - Form values keyed by field
+ */
+export async function saveProviderSettings(providerId, values) {
+  const settings = normalizeSettings(providerId, values);
+  await putRecord(STORE, {
+    id: providerId,
+    enabled: true,
+    sealed: await encryptJson(settings),
+    updatedAt: Date.now(),
+  });
+  applySettings(providerId, { ...settings, enabled: true });
+  settingsSources[providerId] = 'saved';
+}
+
+/**
+ * Turn a provider off, even when env vars configure it
+ * @param {string} providerId
+ */
+export async function removeProvider(providerId) {
+  await putRecord(STORE, { id: providerId, enabled: false, updatedAt: Date.now() });
+  applySettings(providerId, { enabled: false });
+  settingsSources[providerId] = 'removed';
+}
+
+/**
+ * Forget saved settings so the provider goes back to its env defaults
+ * @param {string} providerId
+ */
+export async function resetProviderSettings(providerId) {
+  await deleteRecord(STORE, providerId);
+  applySettings(providerId, {});
+  delete settingsSources[providerId];
+}
+
+/**
+ * Run a task with unsaved settings applied, e.g. to test a connection before saving.
+ * The previous values are restored afterwards.
+ * @param {string} providerId
+ * @param {Object} values - Form values keyed by field
+ * @param {Function} task - async () => result
+ * @returns {Promise<*>}
+ */
+export async function withProviderSettings(providerId, values, task) {
+  const { config } = getProvider(providerId);
+  const previous = { ...config };
+  applySettings(providerId, { ...normalizeSettings(providerId, values), enabled: true });
+  try {
+    return await task();
+  } finally {
+    Object.assign(config, previous);
+  }
+}
+
+/**
+ * Temperature and token budget for one request. A temperature set in Settings replaces the
+ * request's own; max tokens from Settings caps the request's budget.
+ * @param {Object} config - Provider config
+ * @param {Object} options - Request options ({ temperature, maxTokens })
+ * @param {number} defaultMaxTokens
+ * @param {number} defaultTemperature
+ * @returns {Object} - { temperature, maxTokens }
+ */
+export function samplingFor(config, options, defaultMaxTokens = 1000, defaultTemperature = 0.7) {
+  const maxTokens = options.maxTokens || defaultMaxTokens;
+  return {
+    temperature: config.temperature ?? options.temperature ?? defaultTemperature,
+    maxTokens: config.maxTokens ? Math.min(maxTokens, config.maxTokens) : maxTokens,
+  };
+}
@@ -0,0 +1,203 @@
+// LLM Proxy Service - sends requests through the Node proxy in server/, which holds the API keys
+// Each request carries the signed-in user's MSAL token; the proxy validates it and rate-limits per user.
+// Failures are rethrown so llmService can fail over to the next provider in the chain
+import { proxyConfig, isProxyConfigured } from '../config/proxyConfig';
+import { loginRequest } from '../config/authConfig';
+import { readSSEStream } from './streamUtils';
+import { samplingFor, SAMPLING_FIELDS } from './providerSettings';
+import { LLM_PROVIDERS, registerProvider } from './providerRegistry';
+
+let msalInstance = null;
+
+/**
+ * Let proxy calls use the app's MSAL instance for tokens (called once from main.jsx)
+ * @param {PublicClientApplication} instance
+ */
+export function registerProxyAuth(instance) {
+  msalInstance = instance;
+}
+
+// ID token by default; an access token when the proxy is exposed as its own API scope
+async function getProxyToken() {
+  const account = msalInstance?.getActiveAccount() || msalInstance?.getAllAccounts()[0];
+  if (!account) {
+    throw new Error('Sign in to use the AI proxy.');
+  }
+  const scopes = proxyConfig.scope ? [proxyConfig.scope] : loginRequest.scopes;
+  const result = await msalInstance.acquireTokenSilent({ scopes, account });
+  return proxyConfig.scope ? result.accessToken : result.idToken;
+}
+
+async function postToProxy(body) {
+  if (!isProxyConfigured()) {
+    throw new Error('LLM proxy is not configured. Add it in Settings or set VITE_LLM_PROXY_URL.');
+  }
+
+  const token = await getProxyToken();
+  const response = await fetch(`${proxyConfig.baseUrl}/llm/chat`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`,
+    },
+    body: JSON.stringify({ provider: proxyConfig.provider || undefined, ...body }),
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(`LLM proxy error: ${response.status} - ${data.error || response.statusText}`);
+  }
+  return response;
+}
+
+/**
+ * Call the LLM proxy
+ * @param {Array} messages - Array of { role: 'user'|'assistant', content }
+ * @param {Object} options - Optional parameters: system, json, maxTokens, temperature (pass onToken to stream,
+ *   onUsage to receive the upstream token counts)
+ * @returns {Promise<string>} - The AI response text
+ */
+export async function callProxy(messages, options = {}) {
+  const sampling = samplingFor(proxyConfig, options);
+  const response = await postToProxy({
+    system: options.system,
+    messages,
+    maxTokens: sampling.maxTokens,
+    temperature: sampling.temperature,
+    json: !!options.json,
+    stream: !!options.onToken,
+  });
+
+  if (options.onToken) {
+    let text = '';
+    await readSSEStream(response, (event) => {
+      if (event.error) {
+        throw new Error(`LLM proxy error: ${event.status} - ${event.error}`);
+      }
+      if (event.token) {
+        text += event.token;
+        options.onToken(event.token);
+      }
+      if (event.done && event.usage) {
+        options.onUsage?.({ ...event.usage, model: event.model });
+      }
+    });
+    return text;
+  }
+
+  const data = await response.json();
+  if (data.usage) options.onUsage?.({ ...data.usage, model: data.model });
+  return data.text || '';
+}
+
+/**
+ * Call the proxy with tools the model may call (the proxy uses the provider's native function calling)
+ * @param {Array} messages - Provider-neutral agent messages (see toolCalling.js)
+ * @param {Array} tools - Tool definitions ({ name, description, parameters })
+ * @param {Object} options - { system, toolChoice: 'auto'|'none', maxTokens, onUsage }
+ * @returns {Promise<Object>} - { text, toolCalls }
+ */
+export async function callProxyWithTools(messages, tools, options = {}) {
+  const sampling = samplingFor(proxyConfig, options, 1500, 0.2);
+  const response = await postToProxy({
+    system: options.system,
+    messages,
+    tools: tools.map(({ name, description, parameters }) => ({ name, description, parameters })),
+    toolChoice: options.toolChoice || 'auto',
+    maxTokens: sampling.maxTokens,
+    temperature: sampling.temperature,
+  });
+  const data = await response.json();
+  if (data.usage) options.onUsage?.({ ...data.usage, model: data.model });
+  return { text: data.text || '', toolCalls: data.toolCalls || [] };
+}
+
+/**
+ * Today's token usage recorded by the proxy: the signed-in user's, plus every user's for usage admins
+ * @returns {Promise<Object|null>} - { day, user, users? }, or null if the proxy can't be reached
+ */
+export async function getProxyUsage() {
+  try {
+    const token = await getProxyToken();
+    const response = await fetch(`${proxyConfig.baseUrl}/llm/usage`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+    });
+    if (!response.ok) {
+      throw new Error(`LLM proxy error: ${response.status} - ${response.statusText}`);
+    }
+    return await response.json();
+  } catch (error) {
+    console.log('Could not load proxy usage:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Check whether the proxy is reachable (no sign-in needed)
+ * @returns {Promise<Object>} - { running }
+ */
+export async function checkProxyStatus() {
+  try {
+    const response = await fetch(`${proxyConfig.baseUrl}/health`, {
+      signal: AbortSignal.timeout(5000),
+    });
+    return { running: response.ok };
+  } catch (error) {
+    console.log('LLM proxy not reachable:', error.message);
+    return { running: false };
+  }
+}
+
+/**
+ * Send a prompt request (see prompts.js) through the proxy
+ * @param {Object} request - { system, messages, maxTokens, temperature, json, onUsage }
+ * @param {Function} [onToken] - Optional callback receiving streamed text deltas
+ * @returns {Promise<string>} - The AI response text
+ */
+function completeProxy(request, onToken) {
+  return callProxy(request.messages, {
+    system: request.system,
+    maxTokens: request.maxTokens,
+    temperature: request.temperature,
+    json: request.json,
+    onToken,
+    onUsage: request.onUsage,
+  });
+}
+
+/**
+ * List the upstream models the proxy serves
+ * @returns {Promise<Array>} - "provider: model" entries
+ */
+async function listProxyModels() {
+  const token = await getProxyToken();
+  const response = await fetch(`${proxyConfig.baseUrl}/llm/providers`, {
+    headers: { 'Authorization': `Bearer ${token}` },
+  });
+  if (!response.ok) {
+    throw new Error(`LLM proxy error: ${response.status} - ${response.statusText}`);
+  }
+  const data = await response.json();
+  return (data.providers || []).map(p => `${p.id}: ${p.model}`);
+}
+
+registerProvider({
+  id: LLM_PROVIDERS.PROXY,
+  name: 'Secure Proxy',
+  icon: '🔒',
+  priority: 0, // Checked first - API keys stay on the server
+  contextChars: 7800, // Upstream model is chosen server-side, so stay within the smallest common budget
+  capabilities: { streaming: true, tools: true, jsonMode: true, jsonSchema: false, vision: false, checksReachability: true },
+  config: proxyConfig,
+  settingsFields: [
+    { key: 'baseUrl', label: 'Proxy URL', type: 'url', required: true, placeholder: 'http://localhost:8787' },
+    { key: 'provider', label: 'Upstream provider', type: 'text', placeholder: 'Proxy default' },
+    { key: 'scope', label: 'API scope', type: 'text', placeholder: 'ID token (no scope)' },
+    ...SAMPLING_FIELDS,
+  ],
+  detect: async () => isProxyConfigured() && (await checkProxyStatus()).running,
+  complete: (request) => completeProxy(request),
+  stream: completeProxy,
+  chat: callProxyWithTools,
+  listModels: listProxyModels,
+});
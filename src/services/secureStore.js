@@ -0,0 +1,53 @@
+// Encryption for secrets kept in IndexedDB (provider API keys)
+// Values are sealed with AES-GCM under a non-extractable key that is generated in this
+// browser, so reading the records directly (e.g. in devtools) shows only ciphertext.
+// The key is stored in the same database, so anyone with a copy of the browser profile
+// can decrypt them, as can code running in this app.
+import { getRecord, putRecord } from './localDb';
+
+const KEY_STORE = 'cryptoKeys';
+const KEY_ID = 'provider-settings';
+
+let keyPromise = null;
+
+async function getEncryptionKey() {
+  if (!keyPromise) {
+    keyPromise = (async () => {
+      const saved = await getRecord(KEY_STORE, KEY_ID);
+      if (saved?.key) return saved.key;
+
+      const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+      await putRecord(KEY_STORE, { id: KEY_ID, key, createdAt: Date.now() });
+      return key;
+    })().catch((error) => {
+      keyPromise = null; // Allow a later retry
+      throw error;
+    });
+  }
+  return keyPromise;
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {*} value
+ * @returns {Promise<Object>} - { iv, data } ready to store in IndexedDB
+ */
+export async function encryptJson(value) {
+  const key = await getEncryptionKey();
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode(JSON.stringify(value));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  return { iv, data };
+}
+
+/**
+ * Decrypt a value sealed by encryptJson
+ * @param {Object} sealed - { iv, data }
+ * @returns {Promise<*>}
+ * @throws {Error} - When the key has changed or the data was tampered with
+ */
+export async function decryptJson(sealed) {
+  const key = await getEncryptionKey();
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: sealed.iv }, key, sealed.data);
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
@@ -0,0 +1,92 @@
+// Streaming helpers shared by the LLM provider services
+
+/**
+ * Read a Server-Sent Events response body (Claude, OpenAI-style, Gemini alt=sse)
+ * @param {Response} response - fetch Response whose body is an SSE stream
+ * @param {Function} onData - Called with each parsed `data:` payload
+ * @returns {Promise<void>}
+ */
+export async function readSSEStream(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return false;
+
+    const payload = trimmed.slice(5).trim();
+    if (!payload) return false;
+    if (payload === '[DONE]') return true;
+
+    let data;
+    try {
+      data = JSON.parse(payload);
+    } catch (parseErr) {
+      console.log('SSE: Skipping unparsable payload:', parseErr.message);
+      return false;
+    }
+    onData(data);
+    return false;
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop(); // Keep the incomplete last line for the next chunk
+
+    for (const line of lines) {
+      if (handleLine(line)) {
+        reader.cancel().catch(() => {});
+        return;
+      }
+    }
+  }
+
+  if (buffer) handleLine(buffer);
+}
+
+/**
+ * Read a newline-delimited JSON response body (Ollama)
+ * @param {Response} response - fetch Response whose body is NDJSON
+ * @param {Function} onJson - Called with each parsed line; return true to stop reading
+ * @returns {Promise<void>}
+ */
+export async function readNDJSONStream(response, onJson) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handleLine = (line) => {
+    if (!line.trim()) return false;
+    let json;
+    try {
+      json = JSON.parse(line);
+    } catch (parseErr) {
+      console.log('NDJSON: Skipping invalid line:', parseErr.message);
+      return false;
+    }
+    return onJson(json) === true;
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (handleLine(line)) {
+        reader.cancel().catch(() => {});
+        return;
+      }
+    }
+  }
+
+  if (buffer) handleLine(buffer);
+}
@@ -0,0 +1,173 @@
+// Structured (JSON) output helpers shared by the LLM provider services
+// Schemas are a small JSON Schema subset: type (string or array incl. 'null'), properties,
+// required, items, enum and description.
+
+// Key facts pulled from a document by extractKeyInfo / analyzeDocumentGemini
+export const KEY_INFO_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: ['string', 'null'], description: 'Document title if mentioned' },
+    type: { type: ['string', 'null'], description: 'Document type (policy, procedure, report, etc.)' },
+    date: { type: ['string', 'null'], description: 'Any relevant dates mentioned' },
+    keyPoints: { type: 'array', items: { type: 'string' }, description: '3-5 key points' },
+    topics: { type: 'array', items: { type: 'string' }, description: 'Main topics covered' },
+    summary: { type: ['string', 'null'], description: '2-3 sentence summary' },
+  },
+  required: ['title', 'type', 'date', 'keyPoints', 'topics'],
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Validate a parsed value against a schema
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - Schema to check against
+ * @param {string} path - Location used in error messages
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  const errors = [];
+  if (!schema) return errors;
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+    const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+    if (!matches) {
+      errors.push(`${path} should be ${allowed.join(' or ')} but was ${actual}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        errors.push(...validateAgainstSchema(value[key], propSchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Parse a model response as JSON, tolerating code fences and surrounding prose
+ * @param {string} text - Raw model output
+ * @returns {*} - Parsed value
+ * @throws {SyntaxError} - When no JSON can be found
+ */
+export function parseJsonResponse(text) {
+  const cleaned = (text || '').replace(/```(?:json)?\s*/g, '').replace(/```/g, '').trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch (parseErr) {
+    const match = cleaned.match(/\{[\s\S]*\}|\[[\s\S]*\]/);
+    if (!match) throw parseErr;
+    return JSON.parse(match[0]);
+  }
+}
+
+/**
+ * Build the prompt for a structured request
+ * @param {Object} schema - Expected output schema
+ * @param {string} content - Source content (document text)
+ * @param {Object} options - { instructions, fileName }
+ * @returns {string}
+ */
+export function buildStructuredPrompt(schema, content, options = {}) {
+  const source = options.fileName ? `Document: "${options.fileName}"\n\n` : '';
+  return `${options.instructions || 'Extract the requested information from the content below.'}
+
+Return ONLY a JSON value matching this JSON schema (no markdown, no code blocks, no commentary).
+Use null for fields that are not present in the content.
+${JSON.stringify(schema, null, 2)}
+
+${source}Content:
+${content}`;
+}
+
+/**
+ * Convert a schema to Gemini's responseSchema dialect (uppercase types, nullable flag)
+ * @param {Object} schema
+ * @returns {Object}
+ */
+export function toGeminiSchema(schema) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const nonNull = types.filter(t => t && t !== 'null');
+  const converted = { type: (nonNull[0] || 'string').toUpperCase() };
+
+  if (types.includes('null')) converted.nullable = true;
+  if (schema.description) converted.description = schema.description;
+  if (schema.enum) converted.enum = schema.enum;
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, prop]) => [key, toGeminiSchema(prop)])
+    );
+  }
+  if (schema.required) converted.required = schema.required;
+  return converted;
+}
+
+/**
+ * Call a model until its output parses and validates, feeding validation errors back on retry
+ * @param {Object} schema - Expected output schema
+ * @param {string} prompt - Prompt from buildStructuredPrompt
+ * @param {Function} callModel - async (prompt) => raw text, using the provider's JSON mode
+ * @param {number} maxRetries - Extra attempts after the first
+ * @returns {Promise<*>} - Validated value
+ * @throws {Error} - When every attempt fails validation
+ */
+export async function generateValidatedJson(schema, prompt, callModel, maxRetries = 2) {
+  let attemptPrompt = prompt;
+  let lastProblem = '';
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    const raw = await callModel(attemptPrompt);
+
+    let value;
+    let errors;
+    try {
+      value = parseJsonResponse(raw);
+      errors = validateAgainstSchema(value, schema);
+    } catch (parseErr) {
+      errors = [`response is not valid JSON (${parseErr.message})`];
+    }
+
+    if (errors.length === 0) {
+      return value;
+    }
+
+    lastProblem = errors.slice(0, 10).join('; ');
+    console.log(`Structured output: Attempt ${attempt + 1} invalid:`, lastProblem);
+    attemptPrompt = `${prompt}
+
+Your previous response was rejected: ${lastProblem}
+Previous response:
+${(raw || '').substring(0, 2000)}
+
+Return corrected JSON only.`;
+  }
+
+  throw new Error(`Structured output failed validation: ${lastProblem}`);
+}
@@ -0,0 +1,99 @@
+// Token usage normalization and cost estimates, shared by the app and the LLM proxy (server/).
+// Each provider API reports usage in its own shape; these helpers turn them all into
+// { promptTokens, completionTokens, model }.
+
+const CHARS_PER_TOKEN = 4; // Rough average for English text
+
+// List prices in USD per million tokens, matched against the model name (most specific first).
+// Deployments with custom names can be priced from the usage panel instead.
+export const MODEL_PRICES = [
+  { pattern: /claude.*opus/i, input: 15, output: 75 },
+  { pattern: /claude-3-haiku/i, input: 0.25, output: 1.25 },
+  { pattern: /claude.*haiku/i, input: 0.8, output: 4 },
+  { pattern: /claude/i, input: 3, output: 15 },
+  { pattern: /gpt-4o-mini/i, input: 0.15, output: 0.6 },
+  { pattern: /gpt-4o/i, input: 2.5, output: 10 },
+  { pattern: /gpt-4\.1-nano/i, input: 0.1, output: 0.4 },
+  { pattern: /gpt-4\.1-mini/i, input: 0.4, output: 1.6 },
+  { pattern: /gpt-4\.1/i, input: 2, output: 8 },
+  { pattern: /gpt-4-turbo|gpt-4-\d{4}-preview/i, input: 10, output: 30 },
+  { pattern: /gpt-4-32k/i, input: 60, output: 120 },
+  { pattern: /gpt-4/i, input: 30, output: 60 },
+  { pattern: /gpt-35-turbo|gpt-3\.5-turbo/i, input: 0.5, output: 1.5 },
+  { pattern: /gemini-2\.5-pro/i, input: 1.25, output: 10 },
+  { pattern: /gemini-2\.5-flash/i, input: 0.3, output: 2.5 },
+  { pattern: /gemini-2\.0-flash-lite/i, input: 0.075, output: 0.3 },
+  { pattern: /gemini-2\.0-flash/i, input: 0.1, output: 0.4 },
+  { pattern: /gemini-1\.5-flash/i, input: 0.075, output: 0.3 },
+  { pattern: /gemini-1\.5-pro/i, input: 1.25, output: 5 },
+  { pattern: /llama-3\.[13]-70b/i, input: 0.59, output: 0.79 },
+  { pattern: /llama-3\.1-8b/i, input: 0.05, output: 0.08 },
+  { pattern: /mixtral-8x7b/i, input: 0.24, output: 0.24 },
+  { pattern: /gemma2-9b/i, input: 0.2, output: 0.2 },
+];
+
+/**
+ * Normalize a provider's usage block
+ * Handles OpenAI-style (prompt_tokens), Claude (input_tokens), Gemini (promptTokenCount)
+ * and Ollama (prompt_eval_count) fields.
+ * @param {Object} raw - Usage object from the API response
+ * @param {string} [model] - Model that produced the response
+ * @returns {Object|null} - { promptTokens, completionTokens, model }
+ */
+export function normalizeUsage(raw, model) {
+  if (!raw) return null;
+  const promptTokens = raw.prompt_tokens ?? raw.input_tokens ?? raw.promptTokenCount ?? raw.prompt_eval_count;
+  const completionTokens = raw.completion_tokens ?? raw.output_tokens ?? raw.candidatesTokenCount ?? raw.eval_count;
+  if (promptTokens === undefined && completionTokens === undefined) return null;
+  return {
+    promptTokens: promptTokens ?? null,
+    completionTokens: completionTokens ?? null,
+    model: model || null,
+  };
+}
+
+/**
+ * Combine partial usage reported during one streamed response (later values win)
+ * @param {Object|null} current
+ * @param {Object|null} update
+ * @returns {Object|null}
+ */
+export function mergeUsage(current, update) {
+  if (!update) return current;
+  if (!current) return update;
+  return {
+    promptTokens: update.promptTokens ?? current.promptTokens,
+    completionTokens: update.completionTokens ?? current.completionTokens,
+    model: update.model || current.model,
+  };
+}
+
+/**
+ * Rough token count for text a provider didn't report usage for
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * List price for a model
+ * @param {string} model - Model or deployment name
+ * @returns {Object|null} - { input, output } in USD per million tokens, or null if unknown
+ */
+export function listPriceFor(model) {
+  const entry = model && MODEL_PRICES.find(price => price.pattern.test(model));
+  return entry ? { input: entry.input, output: entry.output } : null;
+}
+
+/**
+ * Estimated cost of a call
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @param {Object|null} price - { input, output } in USD per million tokens
+ * @returns {number|null} - USD, or null when the price is unknown
+ */
+export function estimateCost(usage, price) {
+  if (!price) return null;
+  return ((usage.promptTokens || 0) * price.input + (usage.completionTokens || 0) * price.output) / 1e6;
+}
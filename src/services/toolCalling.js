@@ -0,0 +1,283 @@
+// Tool-calling (function calling) helpers shared by the LLM provider services
+//
+// The agent loop keeps its conversation in a provider-neutral shape, converted per provider:
+//   { role: 'user', content, images? }   images: [{ mediaType, data }] with base64 data (vision providers only)
+//   { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+//   { role: 'tool', toolCallId, name, content }
+// Tools are { name, description, parameters } where parameters uses the schema subset
+// from structuredOutput.js (always type 'object').
+// The .js extension lets the Node proxy in server/ import this module as well
+import { toGeminiSchema } from './structuredOutput.js';
+
+// Tool arguments arrive as a JSON string from OpenAI-style APIs and as an object elsewhere
+function parseArguments(args) {
+  if (!args) return {};
+  if (typeof args === 'object') return args;
+  try {
+    return JSON.parse(args);
+  } catch {
+    return {};
+  }
+}
+
+// --- Claude (tools / tool_use / tool_result blocks) ---
+
+export function toClaudeTools(tools) {
+  return tools.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    input_schema: tool.parameters,
+  }));
+}
+
+export function toClaudeMessages(messages) {
+  const converted = [];
+  for (const msg of messages) {
+    const last = converted[converted.length - 1];
+    if (msg.role === 'assistant') {
+      const content = [];
+      if (msg.content) content.push({ type: 'text', text: msg.content });
+      for (const call of msg.toolCalls || []) {
+        content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments });
+      }
+      converted.push({ role: 'assistant', content });
+      continue;
+    }
+
+    // Tool results go back as user turns; consecutive ones share a single turn
+    const blocks = msg.role === 'tool'
+      ? [{ type: 'tool_result', tool_use_id: msg.toolCallId, content: msg.content }]
+      : [
+        // Claude reads images best when they come before the question
+        ...(msg.images || []).map(image => ({
+          type: 'image',
+          source: { type: 'base64', media_type: image.mediaType, data: image.data },
+        })),
+        { type: 'text', text: msg.content },
+      ];
+    if (last?.role === 'user' && Array.isArray(last.content)) {
+      last.content.push(...blocks);
+    } else {
+      converted.push({ role: 'user', content: blocks });
+    }
+  }
+  return converted;
+}
+
+export function parseClaudeResponse(data) {
+  const blocks = data.content || [];
+  return {
+    text: blocks.filter(b => b.type === 'text').map(b => b.text).join('\n').trim(),
+    toolCalls: blocks
+      .filter(b => b.type === 'tool_use')
+      .map(b => ({ id: b.id, name: b.name, arguments: b.input || {} })),
+  };
+}
+
+// --- OpenAI-compatible (Groq, Azure OpenAI): tools / tool_calls / role 'tool' ---
+
+export function toOpenAITools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.parameters },
+  }));
+}
+
+export function toOpenAIMessages(messages, system) {
+  const converted = system ? [{ role: 'system', content: system }] : [];
+  for (const msg of messages) {
+    if (msg.role === 'assistant') {
+      const entry = { role: 'assistant', content: msg.content || null };
+      if (msg.toolCalls?.length) {
+        entry.tool_calls = msg.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) },
+        }));
+      }
+      converted.push(entry);
+    } else if (msg.role === 'tool') {
+      converted.push({ role: 'tool', tool_call_id: msg.toolCallId, content: msg.content });
+    } else if (msg.images?.length) {
+      converted.push({
+        role: 'user',
+        content: [
+          { type: 'text', text: msg.content },
+          ...msg.images.map(image => ({
+            type: 'image_url',
+            image_url: { url: `data:${image.mediaType};base64,${image.data}` },
+          })),
+        ],
+      });
+    } else {
+      converted.push({ role: 'user', content: msg.content });
+    }
+  }
+  return converted;
+}
+
+export function parseOpenAIMessage(message) {
+  return {
+    text: (message?.content || '').trim(),
+    toolCalls: (message?.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function?.name,
+      arguments: parseArguments(call.function?.arguments),
+    })),
+  };
+}
+
+// --- Ollama /api/chat: OpenAI-style tools, but arguments are objects and calls have no ids ---
+
+export function toOllamaMessages(messages, system) {
+  const converted = system ? [{ role: 'system', content: system }] : [];
+  for (const msg of messages) {
+    if (msg.role === 'assistant') {
+      converted.push({
+        role: 'assistant',
+        content: msg.content || '',
+        tool_calls: (msg.toolCalls || []).map(call => ({
+          function: { name: call.name, arguments: call.arguments },
+        })),
+      });
+    } else if (msg.role === 'tool') {
+      converted.push({ role: 'tool', content: msg.content, tool_name: msg.name });
+    } else if (msg.images?.length) {
+      converted.push({ role: 'user', content: msg.content, images: msg.images.map(image => image.data) });
+    } else {
+      converted.push({ role: 'user', content: msg.content });
+    }
+  }
+  return converted;
+}
+
+export function parseOllamaMessage(message) {
+  return {
+    text: (message?.content || '').trim(),
+    toolCalls: (message?.tool_calls || []).map((call, idx) => ({
+      id: `call-${Date.now()}-${idx}`,
+      name: call.function?.name,
+      arguments: parseArguments(call.function?.arguments),
+    })),
+  };
+}
+
+// --- Gemini: functionDeclarations / functionCall / functionResponse parts ---
+
+export function toGeminiTools(tools) {
+  return [{
+    functionDeclarations: tools.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: toGeminiSchema(tool.parameters),
+    })),
+  }];
+}
+
+export function toGeminiContents(messages) {
+  const contents = [];
+  for (const msg of messages) {
+    const last = contents[contents.length - 1];
+    if (msg.role === 'assistant') {
+      const parts = [];
+      if (msg.content) parts.push({ text: msg.content });
+      for (const call of msg.toolCalls || []) {
+        // Newer models sign their function calls and expect the signature echoed back
+        const part = { functionCall: { name: call.name, args: call.arguments } };
+        if (call.signature) part.thoughtSignature = call.signature;
+        parts.push(part);
+      }
+      contents.push({ role: 'model', parts });
+      continue;
+    }
+
+    const parts = msg.role === 'tool'
+      ? [{ functionResponse: { name: msg.name, response: { content: msg.content } } }]
+      : [
+        ...(msg.images || []).map(image => ({ inlineData: { mimeType: image.mediaType, data: image.data } })),
+        { text: msg.content },
+      ];
+    if (last?.role === 'user') {
+      last.parts.push(...parts);
+    } else {
+      contents.push({ role: 'user', parts });
+    }
+  }
+  return contents;
+}
+
+export function parseGeminiResponse(data) {
+  const parts = data.candidates?.[0]?.content?.parts || [];
+  return {
+    text: parts.filter(p => p.text).map(p => p.text).join('\n').trim(),
+    toolCalls: parts
+      .filter(p => p.functionCall)
+      .map((p, idx) => ({
+        id: `call-${Date.now()}-${idx}`,
+        name: p.functionCall.name,
+        arguments: p.functionCall.args || {},
+        signature: p.thoughtSignature,
+      })),
+  };
+}
+
+/**
+ * Let a model call tools until it answers, or the step limit is reached.
+ * Each step is one model call; every tool call it makes is run and recorded in the trace.
+ * When the limit is hit the model is asked to answer from what it has, with tools disabled.
+ * @param {Function} callModel - async (messages, { toolChoice }) => { text, toolCalls }
+ * @param {Array} tools - { name, description, parameters, run(args) => Promise<*> }
+ * @param {string} request - The user's request
+ * @param {Object} options - { maxSteps, onStep(trace) }
+ * @returns {Promise<Object>} - { answer, trace, stepLimitReached }
+ */
+export async function runToolLoop(callModel, tools, request, options = {}) {
+  const maxSteps = options.maxSteps || 6;
+  const messages = [{ role: 'user', content: request }];
+  const trace = [];
+
+  for (let step = 1; step <= maxSteps; step++) {
+    const reply = await callModel(messages, { toolChoice: 'auto' });
+    if (reply.toolCalls.length === 0) {
+      return { answer: reply.text, trace, stepLimitReached: false };
+    }
+
+    messages.push({ role: 'assistant', content: reply.text, toolCalls: reply.toolCalls });
+    for (const call of reply.toolCalls) {
+      const tool = tools.find(t => t.name === call.name);
+      const entry = { step, tool: call.name, arguments: call.arguments, status: 'running' };
+      trace.push(entry);
+      options.onStep?.(trace.map(e => ({ ...e })));
+
+      const started = Date.now();
+      let result;
+      try {
+        if (!tool) throw new Error(`Unknown tool "${call.name}"`);
+        result = await tool.run(call.arguments);
+        entry.status = 'done';
+        entry.summary = tool.summarize ? tool.summarize(result) : '';
+      } catch (error) {
+        console.error(`Tool ${call.name} failed:`, error);
+        result = { error: error.message };
+        entry.status = 'error';
+        entry.summary = error.message;
+      }
+      entry.durationMs = Date.now() - started;
+      options.onStep?.(trace.map(e => ({ ...e })));
+
+      messages.push({
+        role: 'tool',
+        toolCallId: call.id,
+        name: call.name,
+        content: typeof result === 'string' ? result : JSON.stringify(result),
+      });
+    }
+  }
+
+  messages.push({
+    role: 'user',
+    content: `You have reached the limit of ${maxSteps} steps. Answer now using only the information gathered so far, and say what you could not check.`,
+  });
+  const final = await callModel(messages, { toolChoice: 'none' });
+  return { answer: final.text, trace, stepLimitReached: true };
+}
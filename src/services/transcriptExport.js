@@ -0,0 +1,181 @@
+// Export a chat conversation (answers, source links and citations) to Word, Markdown or PDF
+import { generateTranscriptDocument } from './docxGenerator';
+import { titleFromMessages } from './conversationStore';
+
+const MAX_QUOTE_LENGTH = 300;
+
+export const TRANSCRIPT_FORMATS = {
+  docx: { label: 'Word (.docx)', extension: 'docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  md: { label: 'Markdown (.md)', extension: 'md', mimeType: 'text/markdown' },
+  pdf: { label: 'PDF (print)', extension: 'pdf', mimeType: 'application/pdf' },
+};
+
+// OneDrive rejects these characters in file names
+function safeFileName(title) {
+  return title.replace(/["*:<>?/\\|]/g, '').replace(/\s+/g, ' ').trim() || 'Chat';
+}
+
+function shortQuote(text) {
+  const quote = (text || '').replace(/\s+/g, ' ').trim();
+  return quote.length > MAX_QUOTE_LENGTH ? quote.substring(0, MAX_QUOTE_LENGTH) + '…' : quote;
+}
+
+/**
+ * Normalise chat messages into export turns
+ * @param {Array} messages - ChatBot messages (welcome and in-progress messages already removed)
+ * @param {string} [title] - Conversation title; derived from the first question when omitted
+ * @returns {Object} - { title, exportedAt, turns: [{ role, provider, prompts, text, sources, citations }] }
+ */
+export function buildTranscript(messages, title) {
+  const turns = messages
+    .filter(m => m.text && m.text.trim())
+    .map(m => ({
+      role: m.type === 'user' ? 'You' : 'Assistant',
+      provider: m.answeredBy?.name || null,
+      prompts: m.prompts || [],
+      text: m.text.trim(),
+      sources: (m.sources || [])
+        .filter(doc => doc.name && !doc.isFolder)
+        .map(doc => ({ name: doc.name, webUrl: doc.webUrl || null })),
+      citations: (m.citations || []).map(citation => ({
+        n: citation.n,
+        location: citation.location || `Section ${citation.n}`,
+        cited: citation.cited,
+        quote: shortQuote(citation.text),
+      })),
+    }));
+
+  return {
+    title: title || titleFromMessages(messages),
+    exportedAt: new Date().toLocaleString('en-IN'),
+    turns,
+  };
+}
+
+/**
+ * Render a transcript as Markdown
+ * @param {Object} transcript - From buildTranscript
+ * @returns {string}
+ */
+export function transcriptToMarkdown(transcript) {
+  const lines = [`# ${transcript.title}`, '', `_Knowledge Centre chat exported ${transcript.exportedAt}_`, ''];
+
+  for (const turn of transcript.turns) {
+    lines.push(`## ${turn.role}${turn.provider ? ` (${turn.provider})` : ''}`, '');
+    lines.push(turn.text.replace(/^(\s*)•\s+/gm, '$1- '), '');
+
+    if (turn.sources.length > 0) {
+      lines.push('**Sources:**', '');
+      for (const source of turn.sources) {
+        lines.push(source.webUrl ? `- [${source.name}](${source.webUrl})` : `- ${source.name}`);
+      }
+      lines.push('');
+    }
+
+    if (turn.citations.length > 0) {
+      lines.push(`**${turn.citations[0].cited ? 'Citations' : 'Related passages'}:**`, '');
+      for (const citation of turn.citations) {
+        lines.push(`- [${citation.n}] ${citation.location}: _"${citation.quote}"_`);
+      }
+      lines.push('');
+    }
+
+    if (turn.prompts.length > 0) {
+      lines.push(`_Prompt templates: ${turn.prompts.join(', ')}_`, '');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function inlineHtml(text) {
+  return escapeHtml(text).replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
+}
+
+/**
+ * Render a transcript as a standalone printable HTML page
+ * @param {Object} transcript - From buildTranscript
+ * @returns {string}
+ */
+export function transcriptToHtml(transcript) {
+  const body = transcript.turns.map(turn => {
+    const text = turn.text.split('\n').map(line => `<p>${inlineHtml(line) || '&nbsp;'}</p>`).join('');
+    const sources = turn.sources.length > 0
+      ? `<h4>Sources</h4><ul>${turn.sources.map(source => source.webUrl
+        ? `<li><a href="${escapeHtml(source.webUrl)}">${escapeHtml(source.name)}</a></li>`
+        : `<li>${escapeHtml(source.name)}</li>`).join('')}</ul>`
+      : '';
+    const citations = turn.citations.length > 0
+      ? `<h4>${turn.citations[0].cited ? 'Citations' : 'Related passages'}</h4>${turn.citations.map(citation =>
+        `<p class="citation"><strong>[${citation.n}] ${escapeHtml(citation.location)}:</strong> <em>"${escapeHtml(citation.quote)}"</em></p>`).join('')}`
+      : '';
+    const prompts = turn.prompts.length > 0
+      ? `<p class="prompts">Prompt templates: ${escapeHtml(turn.prompts.join(', '))}</p>`
+      : '';
+    const provider = turn.provider ? ` <span>(${escapeHtml(turn.provider)})</span>` : '';
+    return `<section><h2>${turn.role}${provider}</h2>${text}${sources}${citations}${prompts}</section>`;
+  }).join('');
+
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(transcript.title)}</title>
+<style>
+body { font-family: Calibri, Arial, sans-serif; font-size: 11pt; color: #1a2332; margin: 24px; }
+h1, h2 { color: #2F5496; } h2 { font-size: 13pt; margin-top: 20px; } h2 span { color: #666; font-size: 9pt; font-weight: normal; }
+h4 { color: #666; margin: 8px 0 4px; font-size: 9pt; } p { margin: 0 0 4px; } .meta { color: #666; }
+.citation { font-size: 9pt; color: #444; } .prompts { font-size: 8pt; color: #888; } section { page-break-inside: avoid; }
+</style></head><body><h1>${escapeHtml(transcript.title)}</h1><p class="meta">Knowledge Centre chat exported ${escapeHtml(transcript.exportedAt)}</p>${body}</body></html>`;
+}
+
+/**
+ * Build an exported transcript file
+ * @param {Array} messages - ChatBot messages to export
+ * @param {string} format - 'docx' or 'md' ('pdf' goes through printTranscript)
+ * @param {string} [title] - Conversation title
+ * @returns {Promise<Object>} - { blob, fileName, mimeType }
+ */
+export async function exportTranscript(messages, format, title) {
+  const transcript = buildTranscript(messages, title);
+  const { extension, mimeType } = TRANSCRIPT_FORMATS[format];
+  const fileName = `${safeFileName(transcript.title)}.${extension}`;
+
+  const blob = format === 'docx'
+    ? await generateTranscriptDocument(transcript)
+    : new Blob([transcriptToMarkdown(transcript)], { type: `${mimeType};charset=utf-8` });
+
+  return { blob, fileName, mimeType };
+}
+
+/**
+ * Open the browser print dialog for a transcript so it can be saved as PDF
+ * @param {Array} messages - ChatBot messages to export
+ * @param {string} [title] - Conversation title
+ * @returns {boolean} - false when the print frame could not be created
+ */
+export function printTranscript(messages, title) {
+  const transcript = buildTranscript(messages, title);
+  const frame = document.createElement('iframe');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = 'none';
+  document.body.appendChild(frame);
+
+  const printDoc = frame.contentDocument;
+  if (!printDoc) {
+    frame.remove();
+    return false;
+  }
+
+  printDoc.open();
+  printDoc.write(transcriptToHtml(transcript));
+  printDoc.close();
+
+  frame.contentWindow.focus();
+  frame.contentWindow.print();
+  // print() blocks until the dialog closes in most browsers; remove the frame afterwards
+  setTimeout(() => frame.remove(), 1000);
+  return true;
+}
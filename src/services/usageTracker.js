@@ -0,0 +1,252 @@
+// LLM usage accounting - tokens, latency and estimated cost of every provider call.
+// Calls are kept in IndexedDB for RETENTION_DAYS; budgets and price overrides are saved in
+// localStorage. Costs are worked out when read, so a corrected price applies to past calls too.
+import { getAllRecords, putRecord, deleteRecord, clearStore } from './localDb';
+import { LLM_PROVIDERS, getProvider } from './providerRegistry';
+import { listPriceFor, estimateCost } from './tokenUsage';
+
+const STORE = 'llmUsage';
+const SETTINGS_STORAGE_KEY = 'nvest-llm-usage';
+const RETENTION_DAYS = 30;
+const SLOWEST_CALLS = 5;
+export const BUDGET_WARNING_RATIO = 0.8; // Share of a daily budget at which answers start warning
+
+// Providers that run on the user's own hardware cost nothing per token
+const LOCAL_PROVIDERS = [LLM_PROVIDERS.OLLAMA];
+
+let records = [];
+let currentUser = null;
+let settings = { budgets: {}, prices: {} }; // providerId -> USD per day; providerId -> { input, output }
+
+// Local calendar day, so "today" matches the user's clock
+function dayKey(time) {
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function loadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || 'null');
+    if (saved) {
+      settings = { budgets: saved.budgets || {}, prices: saved.prices || {} };
+    }
+  } catch (e) {
+    console.log('Could not load usage settings:', e.message);
+  }
+}
+
+function saveSettings() {
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Load recorded usage and budgets, dropping calls older than the retention period (called by initializeLLM)
+ */
+export async function loadUsage() {
+  loadSettings();
+  try {
+    const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const all = await getAllRecords(STORE);
+    records = all.filter(record => record.timestamp >= cutoff);
+    for (const record of all) {
+      if (record.timestamp < cutoff) await deleteRecord(STORE, record.id);
+    }
+  } catch (error) {
+    console.error('Could not load LLM usage:', error);
+  }
+}
+
+/**
+ * Set the signed-in user that new usage is attributed to
+ * @param {string|null} name - Account user name
+ */
+export function setUsageUser(name) {
+  currentUser = name || null;
+}
+
+/**
+ * Record one provider call
+ * @param {Object} entry - { providerId, model, feature, promptTokens, completionTokens, estimated, latencyMs, ok }
+ */
+export function recordUsage(entry) {
+  const timestamp = Date.now();
+  const record = {
+    id: `${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp,
+    day: dayKey(timestamp),
+    user: currentUser,
+    ...entry,
+  };
+  records.push(record);
+  putRecord(STORE, record).catch(error => console.error('Could not save LLM usage:', error));
+}
+
+/**
+ * Price used for a provider's calls: the override from the usage panel, free for local
+ * providers, otherwise the list price of the model
+ * @param {string} providerId
+ * @param {string} [model] - Model that answered (defaults to the configured one)
+ * @returns {Object|null} - { input, output, source: 'override'|'local'|'list' } in USD per million tokens
+ */
+export function getPriceFor(providerId, model) {
+  if (settings.prices[providerId]) {
+    return { ...settings.prices[providerId], source: 'override' };
+  }
+  if (LOCAL_PROVIDERS.includes(providerId)) {
+    return { input: 0, output: 0, source: 'local' };
+  }
+  const config = getProvider(providerId)?.config || {};
+  const price = listPriceFor(model || config.model || config.deploymentName);
+  return price ? { ...price, source: 'list' } : null;
+}
+
+/**
+ * Override the price of a provider's calls (e.g. an Azure deployment with a custom name)
+ * @param {string} providerId
+ * @param {Object|null} price - { input, output } in USD per million tokens, or null to use list prices
+ */
+export function setPriceOverride(providerId, price) {
+  if (price) {
+    settings.prices[providerId] = { input: Number(price.input) || 0, output: Number(price.output) || 0 };
+  } else {
+    delete settings.prices[providerId];
+  }
+  saveSettings();
+}
+
+/**
+ * Average price per million tokens for a provider's configured model, used to find a cheaper fallback
+ * @param {string} providerId
+ * @returns {number} - Infinity when the price is unknown
+ */
+export function getBlendedPrice(providerId) {
+  const price = getPriceFor(providerId);
+  return price ? (price.input + price.output) / 2 : Infinity;
+}
+
+function costOf(record) {
+  return estimateCost(record, getPriceFor(record.providerId, record.model));
+}
+
+/**
+ * Get a provider's daily budget
+ * @param {string} providerId
+ * @returns {number|null} - USD per day, or null for no budget
+ */
+export function getBudget(providerId) {
+  return settings.budgets[providerId] ?? null;
+}
+
+/**
+ * Set or clear a provider's daily budget
+ * @param {string} providerId
+ * @param {number|null} amount - USD per day
+ */
+export function setBudget(providerId, amount) {
+  if (amount > 0) {
+    settings.budgets[providerId] = amount;
+  } else {
+    delete settings.budgets[providerId];
+  }
+  saveSettings();
+}
+
+/**
+ * How much of a provider's daily budget has been spent today
+ * @param {string} providerId
+ * @returns {Object} - { spent, budget, ratio, state: 'none'|'ok'|'warning'|'exceeded' }
+ */
+export function getBudgetStatus(providerId) {
+  const today = dayKey(Date.now());
+  const spent = records
+    .filter(record => record.day === today && record.providerId === providerId)
+    .reduce((sum, record) => sum + (costOf(record) || 0), 0);
+  const budget = getBudget(providerId);
+  if (!budget) {
+    return { spent, budget: null, ratio: 0, state: 'none' };
+  }
+  const ratio = spent / budget;
+  const state = ratio >= 1 ? 'exceeded' : ratio >= BUDGET_WARNING_RATIO ? 'warning' : 'ok';
+  return { spent, budget, ratio, state };
+}
+
+function addTo(totals, record) {
+  const cost = costOf(record);
+  totals.calls++;
+  totals.promptTokens += record.promptTokens || 0;
+  totals.completionTokens += record.completionTokens || 0;
+  totals.cost += cost || 0;
+  if (cost === null) totals.unpriced++;
+  if (record.estimated) totals.estimated++;
+  return totals;
+}
+
+function group(list, keyOf, extra) {
+  const groups = new Map();
+  for (const record of list) {
+    const key = keyOf(record);
+    if (!groups.has(key)) {
+      groups.set(key, { ...extra(record), calls: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpriced: 0, estimated: 0 });
+    }
+    addTo(groups.get(key), record);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Totals for the usage panel
+ * @param {number} [days] - How many days back to include
+ * @returns {Object} - { daily, providersToday, models, features, slowest }
+ */
+export function getUsageSummary(days = 7) {
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const recent = records.filter(record => record.timestamp >= cutoff);
+  const today = dayKey(Date.now());
+
+  return {
+    daily: group(recent, r => r.day, r => ({ day: r.day })).sort((a, b) => b.day.localeCompare(a.day)),
+    providersToday: group(recent.filter(r => r.day === today), r => r.providerId, r => ({ providerId: r.providerId }))
+      .map(totals => ({ ...totals, budget: getBudgetStatus(totals.providerId) })),
+    models: group(recent, r => `${r.providerId}|${r.model}`, r => ({ providerId: r.providerId, model: r.model }))
+      .sort((a, b) => b.cost - a.cost),
+    features: group(recent, r => r.feature, r => ({ feature: r.feature })).sort((a, b) => b.calls - a.calls),
+    users: group(recent, r => r.user || '', r => ({ user: r.user })),
+    slowest: [...recent].sort((a, b) => b.latencyMs - a.latencyMs).slice(0, SLOWEST_CALLS)
+      .map(record => ({ ...record, cost: costOf(record) })),
+  };
+}
+
+/**
+ * Every recorded call as CSV, for attributing spend outside the app
+ * @returns {string}
+ */
+export function exportUsageCsv() {
+  const header = ['time', 'user', 'provider', 'model', 'feature', 'prompt_tokens', 'completion_tokens', 'estimated', 'latency_ms', 'ok', 'cost_usd'];
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = records.map(record => [
+    new Date(record.timestamp).toISOString(),
+    record.user,
+    record.providerId,
+    record.model,
+    record.feature,
+    record.promptTokens,
+    record.completionTokens,
+    record.estimated,
+    record.latencyMs,
+    record.ok,
+    costOf(record)?.toFixed(6),
+  ].map(escape).join(','));
+  return [header.join(','), ...rows].join('\n');
+}
+
+/**
+ * Delete all recorded usage (budgets and prices are kept)
+ */
+export async function clearUsage() {
+  await clearStore(STORE);
+  records = [];
+}
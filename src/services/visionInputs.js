@@ -0,0 +1,61 @@
+// Turns OneDrive image items (from searchMedia) into base64 image inputs for vision-capable providers.
+// Formats every vision API accepts are sent as-is; larger files and other formats (BMP, SVG, HEIC)
+// are sent as the JPEG thumbnail OneDrive renders for them.
+
+const IMAGE_MEDIA_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+};
+
+// Claude's per-image limit is 5 MB of base64; stay under it for every provider
+const MAX_IMAGE_BYTES = 3.5 * 1024 * 1024;
+
+export const MAX_IMAGES_PER_QUESTION = 4;
+
+function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+async function fetchImage(url, fallbackType) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Image download failed: ${response.status}`);
+  }
+  const blob = await response.blob();
+  const mediaType = Object.values(IMAGE_MEDIA_TYPES).includes(blob.type) ? blob.type : fallbackType;
+  if (blob.size > MAX_IMAGE_BYTES || !mediaType) return null;
+  return { mediaType, data: await blobToBase64(blob) };
+}
+
+/**
+ * Download an image item for a vision prompt
+ * @param {Object} item - Image from searchMedia ({ name, size, downloadUrl, thumbnailUrl })
+ * @returns {Promise<Object|null>} - { name, mediaType, data }, or null if it couldn't be loaded
+ */
+export async function loadImageInput(item) {
+  const ext = item.name.split('.').pop()?.toLowerCase();
+  const originalType = IMAGE_MEDIA_TYPES[ext];
+  const sendOriginal = originalType && (item.size || 0) <= MAX_IMAGE_BYTES;
+  const sources = [
+    sendOriginal && { url: item.downloadUrl, type: originalType },
+    { url: item.thumbnailUrl, type: 'image/jpeg' },
+  ].filter(source => source && source.url);
+
+  for (const source of sources) {
+    try {
+      const image = await fetchImage(source.url, source.type);
+      if (image) return { name: item.name, ...image };
+    } catch (error) {
+      console.log('Could not load image for vision:', item.name, error.message);
+    }
+  }
+  return null;
+}
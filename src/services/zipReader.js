@@ -0,0 +1,242 @@
+// ZIP reader for Office files (docx/xlsx/pptx are ZIP packages) and .zip archives.
+// Entries are found through the central directory at the end of the archive rather than by
+// walking local headers, so entries written with data descriptors (sizes stored after the data,
+// zero in the local header) and ZIP64 archives (over 4 GB or 65,535 entries) read correctly.
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EXTRA_FIELD_ID = 0x0001;
+const EOCD_SIZE = 22;
+const ZIP64_LOCATOR_SIZE = 20;
+const ZIP64_EOCD_SIZE = 56;
+const CENTRAL_HEADER_SIZE = 46;
+const MAX_COMMENT_LENGTH = 0xffff;
+const UINT32_MAX = 0xffffffff;
+
+const FLAG_ENCRYPTED = 0x1;
+
+const COMPRESSION_STORED = 0;
+const COMPRESSION_DEFLATE = 8;
+
+function readUint64(view, offset) {
+  return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+}
+
+// The end-of-central-directory record is the last thing in the file, before an optional comment
+function findEndOfCentralDirectory(view) {
+  const last = view.byteLength - EOCD_SIZE;
+  const first = Math.max(0, last - MAX_COMMENT_LENGTH);
+  for (let offset = last; offset >= first; offset--) {
+    if (view.getUint32(offset, true) === EOCD_SIGNATURE) return offset;
+  }
+  return -1;
+}
+
+// Entry count, size and offset of the central directory, and where the ZIP64 record is if there is one
+function readEndOfCentralDirectory(view, eocdOffset) {
+  const directory = {
+    count: view.getUint16(eocdOffset + 10, true),
+    size: view.getUint32(eocdOffset + 12, true),
+    offset: view.getUint32(eocdOffset + 16, true),
+    zip64Offset: null,
+  };
+  const locatorOffset = eocdOffset - ZIP64_LOCATOR_SIZE;
+  if (locatorOffset >= 0 && view.getUint32(locatorOffset, true) === ZIP64_LOCATOR_SIGNATURE) {
+    directory.zip64Offset = readUint64(view, locatorOffset + 8);
+  }
+  return directory;
+}
+
+// ZIP64 archives keep the real count, size and offset in the ZIP64 end-of-central-directory record
+function applyZip64Record(view, recordOffset, directory) {
+  if (recordOffset + ZIP64_EOCD_SIZE > view.byteLength || view.getUint32(recordOffset, true) !== ZIP64_EOCD_SIGNATURE) {
+    return;
+  }
+  directory.count = readUint64(view, recordOffset + 32);
+  directory.size = readUint64(view, recordOffset + 40);
+  directory.offset = readUint64(view, recordOffset + 48);
+}
+
+// ZIP64 extended information holds the 64-bit values of whichever header fields are 0xFFFFFFFF, in order
+function applyZip64Extra(view, extraStart, extraEnd, entry) {
+  let offset = extraStart;
+  while (offset + 4 <= extraEnd) {
+    const id = view.getUint16(offset, true);
+    const size = view.getUint16(offset + 2, true);
+    if (id === ZIP64_EXTRA_FIELD_ID) {
+      let field = offset + 4;
+      for (const key of ['size', 'compressedSize', 'localHeaderOffset']) {
+        if (entry[key] === UINT32_MAX && field + 8 <= offset + 4 + size) {
+          entry[key] = readUint64(view, field);
+          field += 8;
+        }
+      }
+      return;
+    }
+    offset += 4 + size;
+  }
+}
+
+// MS-DOS date and time fields, in local time
+function dosDateTime(date, time) {
+  if (!date) return null;
+  return new Date(
+    1980 + (date >> 9), ((date >> 5) & 0x0f) - 1, date & 0x1f,
+    time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2
+  );
+}
+
+function dataViewOf(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+// Parse central directory headers; offsets in them are absolute, so `bytes` can be just the directory
+function parseCentralDirectory(bytes, count) {
+  const view = dataViewOf(bytes);
+  const decoder = new TextDecoder();
+  const entries = [];
+  let offset = 0;
+  for (let i = 0; i < count; i++) {
+    if (offset + CENTRAL_HEADER_SIZE > view.byteLength || view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+      console.log('ZIP central directory ends early, at entry', i, 'of', count);
+      break;
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const nameStart = offset + CENTRAL_HEADER_SIZE;
+    // Names are UTF-8 when flagged; older tools use the DOS code page, which matches for ASCII names
+    const name = decoder.decode(bytes.subarray(nameStart, nameStart + nameLength)).replace(/\\/g, '/');
+
+    const entry = {
+      name,
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      localHeaderOffset: view.getUint32(offset + 42, true),
+      modified: dosDateTime(view.getUint16(offset + 14, true), view.getUint16(offset + 12, true)),
+      isDirectory: name.endsWith('/'),
+      encrypted: (flags & FLAG_ENCRYPTED) !== 0,
+    };
+    const extraStart = nameStart + nameLength;
+    applyZip64Extra(view, extraStart, extraStart + extraLength, entry);
+    entries.push(entry);
+    offset = extraStart + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Read the central directory of a ZIP archive held in memory
+ * @param {Uint8Array} zipData - The whole archive
+ * @returns {Object|null} - { data, view, entries, byName }, or null if this isn't a readable ZIP.
+ *   Entries are { name, size, compressedSize, method, localHeaderOffset, modified, isDirectory, encrypted }
+ */
+export function openZipArchive(zipData) {
+  if (!zipData || zipData.byteLength < EOCD_SIZE) return null;
+  const view = dataViewOf(zipData);
+  const eocdOffset = findEndOfCentralDirectory(view);
+  if (eocdOffset < 0) {
+    console.log('Not a ZIP archive (no end of central directory record)');
+    return null;
+  }
+
+  const directory = readEndOfCentralDirectory(view, eocdOffset);
+  if (directory.zip64Offset !== null) applyZip64Record(view, directory.zip64Offset, directory);
+  const entries = parseCentralDirectory(zipData.subarray(directory.offset), directory.count);
+  return { data: zipData, view, entries, byName: new Map(entries.map(entry => [entry.name, entry])) };
+}
+
+// Bytes start..end (inclusive) of a download URL
+async function fetchRange(url, start, end) {
+  const response = await fetch(url, { headers: { 'Range': `bytes=${start}-${end}` } });
+  if (!response.ok) {
+    throw new Error(`Range request failed: ${response.status}`);
+  }
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  // A server that ignores Range sends the whole file
+  return response.status === 206 ? bytes : bytes.subarray(start, end + 1);
+}
+
+/**
+ * List the entries of a ZIP archive without downloading it - only the end of the file and the
+ * central directory are fetched, with range requests
+ * @param {string} url - Download URL that accepts Range headers
+ * @param {number} size - Archive size in bytes
+ * @returns {Promise<Array|null>} - Entries as from openZipArchive, or null if this isn't a readable ZIP
+ */
+export async function listRemoteZipEntries(url, size) {
+  if (!size || size < EOCD_SIZE) return null;
+  const tailStart = Math.max(0, size - (EOCD_SIZE + MAX_COMMENT_LENGTH + ZIP64_LOCATOR_SIZE + ZIP64_EOCD_SIZE));
+  const tail = await fetchRange(url, tailStart, size - 1);
+  const tailView = dataViewOf(tail);
+  const eocdOffset = findEndOfCentralDirectory(tailView);
+  if (eocdOffset < 0) {
+    console.log('Not a ZIP archive (no end of central directory record)');
+    return null;
+  }
+
+  // Parts of the archive already in the tail are read from it instead of being fetched again
+  const readBytes = (start, length) => (start >= tailStart
+    ? Promise.resolve(tail.subarray(start - tailStart, start - tailStart + length))
+    : fetchRange(url, start, start + length - 1));
+
+  const directory = readEndOfCentralDirectory(tailView, eocdOffset);
+  if (directory.zip64Offset !== null) {
+    applyZip64Record(dataViewOf(await readBytes(directory.zip64Offset, ZIP64_EOCD_SIZE)), 0, directory);
+  }
+  if (directory.size === 0) return [];
+  return parseCentralDirectory(await readBytes(directory.offset, directory.size), directory.count);
+}
+
+// Decompress raw deflate data with the browser's DecompressionStream
+async function decompressDeflate(compressedData) {
+  const stream = new Blob([compressedData]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read the bytes of one entry
+ * @param {Object} archive - From openZipArchive
+ * @param {Object} entry - One of archive.entries
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readZipEntry(archive, entry) {
+  const { view, data } = archive;
+  const header = entry.localHeaderOffset;
+  if (header + 30 > view.byteLength || view.getUint32(header, true) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`Missing local header for ${entry.name}`);
+  }
+  if (entry.encrypted) {
+    throw new Error(`${entry.name} is encrypted`);
+  }
+  // The local header's own name/extra lengths can differ from the central directory's;
+  // the sizes always come from the central directory (they're zero here with data descriptors)
+  const dataStart = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+  const compressed = data.subarray(dataStart, dataStart + entry.compressedSize);
+
+  if (entry.method === COMPRESSION_STORED) return compressed;
+  if (entry.method === COMPRESSION_DEFLATE) return decompressDeflate(compressed);
+  throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+}
+
+/**
+ * Read a text entry by path
+ * @param {Object} archive - From openZipArchive
+ * @param {string} path - Entry path, e.g. 'word/document.xml'
+ * @returns {Promise<string>} - The decoded text, or '' if the entry is missing or unreadable
+ */
+export async function readZipText(archive, path) {
+  const entry = archive?.byName.get(path);
+  if (!entry) return '';
+  try {
+    return new TextDecoder().decode(await readZipEntry(archive, entry));
+  } catch (error) {
+    console.log('Could not read ZIP entry:', path, error.message);
+    return '';
+  }
+}